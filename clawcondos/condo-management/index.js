@@ -1,6 +1,6 @@
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { watch, existsSync, readFileSync, writeFileSync } from 'fs';
+import { watch, existsSync } from 'fs';
 import { createGoalsStore } from './lib/goals-store.js';
 import { createGoalHandlers } from './lib/goals-handlers.js';
 import { createCondoHandlers } from './lib/condos-handlers.js';
@@ -11,6 +11,8 @@ import { createTeamHandlers } from './lib/team-handlers.js';
 import { createRolesHandlers } from './lib/roles-handlers.js';
 import { createNotificationHandlers } from './lib/notification-manager.js';
 import { createAutonomyHandlers } from './lib/autonomy.js';
+import { createHistoryHandlers, runWithActor } from './lib/audit-log.js';
+import { createTrashHandlers, purgeTrash, recordTrashRetention } from './lib/trash.js';
 import { buildGoalContext, buildCondoContext, buildCondoMenuContext, getProjectSummaryForGoal } from './lib/context-builder.js';
 import { createGoalUpdateExecutor } from './lib/goal-update-tool.js';
 import { createTaskSpawnHandler, buildPlanFilePath } from './lib/task-spawn.js';
@@ -40,11 +42,30 @@ import { analyzeCorrections, applyLearning } from './lib/learning.js';
 import { createSessionLifecycleHandlers } from './lib/session-lifecycle.js';
 import { pushBranch, createPullRequest } from './lib/github.js';
 import { processPmCascadeResponse } from './lib/cascade-processor.js';
+import { resolveConcurrencyCap, countRunningTasks, selectRunnableTasks } from './lib/task-graph.js';
+import { createCostHandlers, recordSessionUsage, kickoffBudgetBlock } from './lib/cost-tracking.js';
+import { checkOverdue } from './lib/time-tracking.js';
+import { createScheduleHandlers, runDueSchedules } from './lib/goal-scheduler.js';
+import { createEventLog } from './lib/event-log.js';
+import { createConflictHandlers, isResolvingConflicts, remainingConflicts } from './lib/merge-conflicts.js';
+import { createSyncHandlers, runWorktreeSync, takeSyncNotice } from './lib/worktree-sync.js';
+import {
+  resolveRetryPolicy,
+  planRetry,
+  applyRetry,
+  finishAttempt,
+  describeAgentError,
+  escalateToPm,
+  createRetryHandlers,
+  findDueRetries,
+} from './lib/retry-policy.js';
 
 export default function register(api) {
   const dataDir = api.pluginConfig?.dataDir
     || join(dirname(fileURLToPath(import.meta.url)), '.data');
-  const store = createGoalsStore(dataDir);
+  // Recorded in dataDir; serve.js follows whatever the plugin picked
+  const backend = api.pluginConfig?.storage || process.env.CLAWCONDOS_GOALS_BACKEND || 'json';
+  const store = createGoalsStore(dataDir, { backend, logger: api.logger });
   const classificationLog = createClassificationLog(dataDir);
 
   // ── Workspace management ──
@@ -63,13 +84,35 @@ export default function register(api) {
   // handlers so gatewayRpcCall can dispatch to them directly.
   const localMethodRegistry = new Map();
 
-  // Wrap api.registerGatewayMethod to also record in local registry
+  // Wrap api.registerGatewayMethod to also record in local registry, and to
+  // attribute store mutations to the caller in the audit log. Gateway RPCs come
+  // from the dashboard; internal calls via gatewayRpcCall keep the outer actor.
   const _registerGatewayMethod = api.registerGatewayMethod.bind(api);
   api.registerGatewayMethod = (method, handler) => {
-    localMethodRegistry.set(method, handler);
-    return _registerGatewayMethod(method, handler);
+    const audited = (msg) => runWithActor({ actor: 'dashboard', method }, () => handler(msg));
+    localMethodRegistry.set(method, audited);
+    return _registerGatewayMethod(method, audited);
   };
 
+  // Agent tools act on behalf of the calling session
+  const _registerTool = api.registerTool.bind(api);
+  api.registerTool = (factory, opts) => _registerTool((ctx) => {
+    const tool = factory(ctx);
+    if (!tool || typeof tool.execute !== 'function') return tool;
+    const execute = tool.execute;
+    return {
+      ...tool,
+      execute: (...args) => runWithActor({ actor: ctx.sessionKey, method: tool.name }, () => execute.apply(tool, args)),
+    };
+  }, opts);
+
+  // Hooks act on behalf of the session that triggered them
+  if (api.registerHook) {
+    const _registerHook = api.registerHook.bind(api);
+    api.registerHook = (name, fn, opts) => _registerHook(name, (event, ...rest) =>
+      runWithActor({ actor: event?.context?.sessionKey, method: `hook:${name}` }, () => fn(event, ...rest)), opts);
+  }
+
   // Shared RPC helper — calls gateway methods with proper fallback chain:
   // 1. api.callMethod (if gateway ever exposes it)
   // 2. Local registry (for plugin's own methods)
@@ -99,8 +142,9 @@ export default function register(api) {
   }
 
   /**
-   * Start spawned sessions. Attempts chat.send (works when gateway exposes callMethod
-   * or UI is connected). When unavailable, marks sessions as requiring agent-side spawn.
+   * Start spawned sessions. Attempts chat.send (works when gateway exposes callMethod).
+   * When unavailable, marks sessions headlessStarted=false; serve.js's session driver
+   * then starts them from the goal.kickoff event.
    * @param {Array} spawnedSessions - Sessions from internalKickoff()
    * @returns {Promise<void>}
    */
@@ -200,8 +244,10 @@ export default function register(api) {
   }
 
   // ── WebSocket broadcasting for real-time plan updates ──
-  // Dual-path: use api.broadcast (gateway internal) + write to kickoff file (serve.js relay)
-  const kickoffEventsFile = join(dataDir, 'kickoff-events.json');
+  // Dual-path: use api.broadcast (gateway internal) + append to the event log (serve.js relay)
+  const eventLog = createEventLog(dataDir, { logger: api.logger });
+
+  const LOGGED_PLAN_EVENTS = new Set(['plan.approved', 'plan.rejected']);
 
   const broadcastPlanUpdate = (payload) => {
     const eventName = payload.event || 'plan.update';
@@ -211,17 +257,14 @@ export default function register(api) {
       api.broadcast({ type: 'event', event: eventName, payload });
     }
 
-    // Path 2: Write to kickoff file for serve.js relay (reliable for goal.* events)
-    if (eventName.startsWith('goal.')) {
+    // Path 2: Durable event log for serve.js relay (reliable for goal.* events;
+    // plan decisions are logged for serve.js consumers such as outbound webhooks)
+    if (eventName.startsWith('goal.') || LOGGED_PLAN_EVENTS.has(eventName)) {
       try {
-        let existing = [];
-        try { existing = JSON.parse(readFileSync(kickoffEventsFile, 'utf-8')); } catch {}
-        if (!Array.isArray(existing)) existing = [];
-        existing.push(payload);
-        writeFileSync(kickoffEventsFile, JSON.stringify(existing), 'utf-8');
-        api.logger.info(`clawcondos-goals: wrote ${eventName} to kickoff-events.json`);
+        const { seq } = eventLog.append(eventName, payload);
+        api.logger.info(`clawcondos-goals: logged ${eventName} as event ${seq}`);
       } catch (err) {
-        api.logger.error(`clawcondos-goals: failed to write kickoff event: ${err.message}`);
+        api.logger.error(`clawcondos-goals: failed to log event: ${err.message}`);
       }
     }
   };
@@ -289,6 +332,141 @@ export default function register(api) {
     api.registerGatewayMethod(method, handler);
   }
 
+  // Mutation history (audit log) handlers
+  const historyHandlers = createHistoryHandlers(store);
+  for (const [method, handler] of Object.entries(historyHandlers)) {
+    api.registerGatewayMethod(method, handler);
+  }
+
+  // Trash handlers (restore / purge of deleted goals and condos)
+  // Recorded in the store so serve.js purges with the same retention
+  try {
+    recordTrashRetention(store, api.pluginConfig?.trashRetentionDays);
+  } catch (err) {
+    api.logger.error(`clawcondos-goals: could not record trash retention: ${err.message}`);
+  }
+  const trashHandlers = createTrashHandlers(store, {
+    wsOps,
+    rpcCall: gatewayRpcCall,
+    logger: api.logger,
+  });
+  for (const [method, handler] of Object.entries(trashHandlers)) {
+    api.registerGatewayMethod(method, handler);
+  }
+
+  // Purge expired trash entries hourly (does not keep the process alive)
+  const trashPurgeTimer = setInterval(() => {
+    runWithActor({ actor: 'system', method: 'trash.purge' }, () =>
+      purgeTrash(store, { wsOps, rpcCall: gatewayRpcCall, logger: api.logger })
+    ).catch(err => api.logger.error(`clawcondos-goals: trash purge failed: ${err.message}`));
+  }, 60 * 60 * 1000);
+  trashPurgeTimer.unref?.();
+
+  // Notify about goals/tasks whose dueAtMs has passed, every 5 minutes
+  const overdueTimer = setInterval(() => {
+    try {
+      const overdue = runWithActor({ actor: 'system', method: 'overdue.check' }, () => checkOverdue(store));
+      if (overdue.length > 0) {
+        api.logger.info(`clawcondos-goals: ${overdue.length} goal(s)/task(s) became overdue`);
+      }
+    } catch (err) {
+      api.logger.error(`clawcondos-goals: overdue check failed: ${err.message}`);
+    }
+  }, 5 * 60 * 1000);
+  overdueTimer.unref?.();
+
+  // Retry policy defaults for failed worker sessions (condo/goal/task retryPolicy override them)
+  const retryPolicyDefaults = api.pluginConfig?.retryPolicy || null;
+
+  // Escalations start a PM turn via chat.send, falling back to a plain session message
+  async function sendPmMessage(sessionKey, message) {
+    try {
+      await gatewayRpcCall('chat.send', { sessionKey, message });
+    } catch {
+      sendToSession(sessionKey, message);
+    }
+  }
+
+  // Kick off a goal and start the spawned sessions (retries and scheduled goals)
+  async function kickoffAndStart(goalId) {
+    const kickoffResult = await internalKickoff(goalId);
+    if (kickoffResult.spawnedSessions?.length > 0) {
+      await startSpawnedSessions(kickoffResult.spawnedSessions);
+      broadcastPlanUpdate({
+        event: 'goal.kickoff',
+        goalId,
+        spawnedCount: kickoffResult.spawnedSessions.length,
+        spawnedSessions: kickoffResult.spawnedSessions,
+      });
+    }
+    return kickoffResult;
+  }
+
+  // goals.retryTask — manual retry; re-runs kickoff so the task is spawned right away
+  const retryHandlers = createRetryHandlers(store, {
+    rpcCall: gatewayRpcCall,
+    logger: api.logger,
+    onRetry: kickoffAndStart,
+  });
+  for (const [method, handler] of Object.entries(retryHandlers)) {
+    api.registerGatewayMethod(method, handler);
+  }
+
+  // Automatic retries: kick off goals whose retry backoff has passed. The retry
+  // time is persisted (task.nextRetryAtMs), so the sweep also picks up retries
+  // scheduled before a restart; agent_end arms a timer for the exact time.
+  const RETRY_SWEEP_MS = 5000;
+  const kickedRetries = new Set(); // `${taskId}:${nextRetryAtMs}` already kicked off
+  async function kickoffDueRetries() {
+    const due = findDueRetries(store.load());
+    const keys = new Set(due.map(r => `${r.taskId}:${r.nextRetryAtMs}`));
+    for (const key of kickedRetries) {
+      if (!keys.has(key)) kickedRetries.delete(key);
+    }
+    const fresh = due.filter(r => !kickedRetries.has(`${r.taskId}:${r.nextRetryAtMs}`));
+    for (const r of fresh) kickedRetries.add(`${r.taskId}:${r.nextRetryAtMs}`);
+
+    for (const goalId of new Set(fresh.map(r => r.goalId))) {
+      try {
+        const kickoffResult = await kickoffAndStart(goalId);
+        if (kickoffResult.spawnedSessions?.length > 0) {
+          api.logger.info(`clawcondos-goals: auto re-kickoff for goal ${goalId} after retry — started ${kickoffResult.spawnedSessions.length} session(s)`);
+        }
+      } catch (err) {
+        api.logger.error(`clawcondos-goals: auto re-kickoff failed for goal ${goalId}: ${err.message}`);
+      }
+    }
+  }
+  const retryTimer = setInterval(() => {
+    kickoffDueRetries().catch(err => api.logger.error(`clawcondos-goals: retry sweep failed: ${err.message}`));
+  }, RETRY_SWEEP_MS);
+  retryTimer.unref?.();
+
+  // Recurring goals (schedules.*) — goals created from templates on cron expressions
+  const scheduleOptions = { goalHandlers: handlers, kickoff: kickoffAndStart, logger: api.logger };
+  const scheduleHandlers = createScheduleHandlers(store, scheduleOptions);
+  for (const [method, handler] of Object.entries(scheduleHandlers)) {
+    api.registerGatewayMethod(method, handler);
+  }
+
+  // Create goals for due schedules, checked every minute
+  const scheduleTimer = setInterval(() => {
+    runWithActor({ actor: 'system', method: 'schedules.run' }, () => runDueSchedules(store, scheduleOptions))
+      .then(results => {
+        if (results.length > 0) {
+          api.logger.info(`clawcondos-goals: ran ${results.length} scheduled goal(s)`);
+        }
+      })
+      .catch(err => api.logger.error(`clawcondos-goals: scheduled goals failed: ${err.message}`));
+  }, 60 * 1000);
+  scheduleTimer.unref?.();
+
+  // Usage/budget handlers (goals.usage, condos.usage)
+  const costHandlers = createCostHandlers(store);
+  for (const [method, handler] of Object.entries(costHandlers)) {
+    api.registerGatewayMethod(method, handler);
+  }
+
   // Autonomy handlers
   const autonomyHandlers = createAutonomyHandlers(store);
   for (const [method, handler] of Object.entries(autonomyHandlers)) {
@@ -309,11 +487,26 @@ export default function register(api) {
   // goals.kickoff - Spawn sessions for all tasks with assigned agents
   const taskSpawnHandler = createTaskSpawnHandler(store);
 
+  /**
+   * Mutate a stored goal in its own store transaction, so writes made by other
+   * handlers (or serve.js) while we awaited are not overwritten.
+   * @param {string} goalId
+   * @param {(goal: object, data: object) => void} fn - Mutates the freshly loaded goal
+   * @returns {object|null} The updated goal, or null when it no longer exists
+   */
+  function updateStoredGoal(goalId, fn) {
+    return store.transaction(data => {
+      const goal = data.goals.find(g => g.id === goalId);
+      if (goal) fn(goal, data);
+      return goal || null;
+    });
+  }
+
   /**
    * Internal kickoff logic — spawns sessions for unblocked tasks in a goal.
    * Extracted so it can be reused (e.g., auto re-kickoff after task completion).
    * @param {string} goalId
-   * @returns {Promise<{goalId, spawnedSessions, errors?, message}>}
+   * @returns {Promise<{goalId, spawnedSessions, errors?, deferredTaskIds, message}>}
    */
   async function internalKickoff(goalId) {
     const data = store.load();
@@ -334,29 +527,36 @@ export default function register(api) {
       }
     }
 
-    const tasks = goal.tasks || [];
-
-    // Collect IDs of tasks that are already done
-    const doneTasks = new Set(tasks.filter(t => t.status === 'done' || t.done).map(t => t.id));
-
-    const tasksToSpawn = tasks.filter(t => {
-      // Skip already-assigned or done tasks
-      if (t.sessionKey || t.status === 'done') return false;
-
-      // Check dependency ordering: only spawn if ALL dependencies are done
-      if (Array.isArray(t.dependsOn) && t.dependsOn.length > 0) {
-        const allDepsDone = t.dependsOn.every(depId => doneTasks.has(depId));
-        if (!allDepsDone) return false;
-      }
+    // Paused while the goal or its condo is over budget
+    const budgetBlock = kickoffBudgetBlock(data, goal);
+    if (budgetBlock) {
+      return { goalId, spawnedSessions: [], budgetExceeded: budgetBlock, message: budgetBlock.message };
+    }
 
-      return true;
-    });
+    // Spawn every task whose dependencies are done, up to the goal/condo concurrency cap.
+    // A condo cap is shared: running tasks of the condo's other goals take slots too.
+    const condo = goal.condoId ? (data.condos || []).find(c => c.id === goal.condoId) : null;
+    const cap = resolveConcurrencyCap(goal, condo);
+    const maxConcurrent = cap.max;
+    const runningElsewhere = cap.scope === 'condo'
+      ? data.goals.filter(g => g.condoId === goal.condoId && g.id !== goal.id).reduce((n, g) => n + countRunningTasks(g), 0)
+      : 0;
+    const { runnable: tasksToSpawn, deferred, running } = selectRunnableTasks(goal, maxConcurrent, runningElsewhere);
+    const deferredTaskIds = deferred.map(t => t.id);
+
+    // Remember goals with deferred tasks so a slot freed by another goal of the condo starts them
+    if (!!goal.waitingForSlot !== deferred.length > 0) {
+      updateStoredGoal(goalId, (g) => { g.waitingForSlot = deferred.length > 0; });
+    }
 
     if (tasksToSpawn.length === 0) {
       return {
         goalId,
         spawnedSessions: [],
-        message: 'No tasks to spawn',
+        deferredTaskIds,
+        message: deferred.length > 0
+          ? `Concurrency limit reached (${running}/${maxConcurrent} running${cap.scope === 'condo' ? ' in the condo' : ''}), ${deferred.length} task(s) waiting`
+          : 'No tasks to spawn',
       };
     }
 
@@ -408,20 +608,19 @@ export default function register(api) {
 
     // Update goal status to 'in-progress' if any sessions spawned
     if (spawnedSessions.length > 0) {
-      const updatedData = store.load();
-      const updatedGoal = updatedData.goals.find(g => g.id === goalId);
-      if (updatedGoal && updatedGoal.status !== 'done') {
+      updateStoredGoal(goalId, (updatedGoal) => {
+        if (updatedGoal.status === 'done') return;
         updatedGoal.status = 'active';
         updatedGoal.updatedAtMs = Date.now();
-        store.save(updatedData);
-      }
+      });
     }
 
     return {
       goalId,
       spawnedSessions,
       errors: errors.length > 0 ? errors : undefined,
-      message: `Spawned ${spawnedSessions.length} session(s)${errors.length > 0 ? `, ${errors.length} error(s)` : ''}`,
+      deferredTaskIds,
+      message: `Spawned ${spawnedSessions.length} session(s)${errors.length > 0 ? `, ${errors.length} error(s)` : ''}${deferred.length > 0 ? `, ${deferred.length} waiting for a free slot` : ''}`,
     };
   }
 
@@ -476,10 +675,11 @@ export default function register(api) {
 
       // If workspaces are disabled or goal has no worktree, skip git ops but still complete the goal
       if (!wsOps || !mergeGoal.worktree?.branch || !mergeCondo?.workspace?.path) {
-        mergeGoal.status = 'done';
-        mergeGoal.completed = true;
-        mergeGoal.completedAtMs = Date.now();
-        store.save(mergeData);
+        updateStoredGoal(goalId, (goal) => {
+          goal.status = 'done';
+          goal.completed = true;
+          goal.completedAtMs = Date.now();
+        });
 
         broadcastPlanUpdate({
           event: 'goal.completed',
@@ -503,11 +703,40 @@ export default function register(api) {
         return;
       }
 
+      // Main was merged into the worktree for conflict resolution: conclude that
+      // merge only once no conflicts remain, so markers never reach main
+      const resolution = isResolvingConflicts(mergeGoal) ? mergeGoal.conflictResolution : null;
+      if (resolution) {
+        const remaining = remainingConflicts(wsOps, mergeGoal);
+        if (remaining === null || remaining.length > 0) {
+          const error = remaining === null ? 'Could not check the worktree for conflicts' : `${remaining.length} file(s) still conflict`;
+          updateStoredGoal(goalId, (goal) => {
+            goal.conflictResolution = {
+              ...(goal.conflictResolution || resolution),
+              status: 'unresolved',
+              remainingFiles: remaining || [],
+              error,
+              updatedAtMs: Date.now(),
+            };
+            goal.mergeStatus = 'conflict';
+            goal.mergeError = error;
+          });
+          broadcastPlanUpdate({ event: 'goal.conflicts_unresolved', goalId, files: remaining || [], timestamp: Date.now() });
+          api.logger.warn(`clawcondos-goals: not merging goal ${goalId}: ${error}`);
+          return;
+        }
+      }
+
+      // Push results recorded on the goal together with the merge outcome
+      const pushPatch = {};
+
       // Auto-commit any uncommitted changes in the goal worktree before merging
       if (mergeGoal.worktree?.path && wsOps.commitWorktreeChanges) {
         const commitResult = wsOps.commitWorktreeChanges(
           mergeGoal.worktree.path,
-          `Goal complete: ${mergeGoal.title || goalId}`
+          resolution
+            ? `Merge ${resolution.mainBranch} into ${mergeGoal.worktree.branch}`
+            : `Goal complete: ${mergeGoal.title || goalId}`
         );
         if (commitResult.committed) {
           api.logger.info(`clawcondos-goals: auto-committed changes in worktree for goal ${goalId}`);
@@ -516,12 +745,12 @@ export default function register(api) {
             const branchPush = wsOps.pushGoalBranch(mergeGoal.worktree.path, mergeGoal.worktree.branch);
             if (branchPush.pushed) {
               api.logger.info(`clawcondos-goals: pushed goal branch ${mergeGoal.worktree.branch} to remote`);
-              mergeGoal.pushStatus = 'pushed';
-              mergeGoal.pushError = null;
+              pushPatch.pushStatus = 'pushed';
+              pushPatch.pushError = null;
             } else if (!branchPush.ok) {
-              mergeGoal.pushStatus = 'failed';
-              mergeGoal.pushError = branchPush.error || 'Push failed';
-              store.save(mergeData);
+              pushPatch.pushStatus = 'failed';
+              pushPatch.pushError = branchPush.error || 'Push failed';
+              updateStoredGoal(goalId, (goal) => Object.assign(goal, pushPatch));
               broadcastPlanUpdate({ event: 'goal.push_failed', goalId, error: branchPush.error, branch: mergeGoal.worktree.branch, timestamp: Date.now() });
             }
           }
@@ -531,28 +760,44 @@ export default function register(api) {
       }
 
       const mergeResult = wsOps.mergeGoalBranch(mergeCondo.workspace.path, mergeGoal.worktree.branch);
-      mergeGoal.mergeStatus = mergeResult.ok ? 'merged' : (mergeResult.conflict ? 'conflict' : 'error');
-      mergeGoal.mergedAtMs = mergeResult.ok ? Date.now() : null;
-      mergeGoal.mergeError = mergeResult.error || null;
-
-      // Auto-complete goal on successful merge
-      if (mergeResult.ok) {
-        mergeGoal.status = 'done';
-        mergeGoal.completed = true;
-        mergeGoal.completedAtMs = Date.now();
-      }
+      const mergeStatus = mergeResult.ok ? 'merged' : (mergeResult.conflict ? 'conflict' : 'error');
+      const resolutionStatus = resolution ? (mergeResult.ok ? 'resolved' : 'failed') : null;
+
+      updateStoredGoal(goalId, (goal) => {
+        Object.assign(goal, pushPatch);
+        goal.mergeStatus = mergeStatus;
+        goal.mergedAtMs = mergeResult.ok ? Date.now() : null;
+        goal.mergeError = mergeResult.error || null;
+
+        if (resolution) {
+          goal.conflictResolution = {
+            ...(goal.conflictResolution || resolution),
+            status: resolutionStatus,
+            remainingFiles: [],
+            resolvedAtMs: mergeResult.ok ? Date.now() : null,
+            error: mergeResult.ok ? null : (mergeResult.conflict ? `${resolution.mainBranch} changed again; resolve the new conflicts` : mergeResult.error || 'Merge failed'),
+            updatedAtMs: Date.now(),
+          };
+        }
 
-      store.save(mergeData);
+        // Auto-complete goal on successful merge
+        if (mergeResult.ok) {
+          goal.status = 'done';
+          goal.completed = true;
+          goal.completedAtMs = Date.now();
+        }
+      });
 
       broadcastPlanUpdate({
         event: 'goal.merged',
         goalId: mergeGoal.id,
-        mergeStatus: mergeGoal.mergeStatus,
+        mergeStatus,
+        conflictResolution: resolutionStatus,
         branch: mergeGoal.worktree.branch,
         timestamp: Date.now(),
       });
 
-      api.logger.info(`clawcondos-goals: auto-merge ${mergeGoal.worktree.branch} → ${mergeGoal.mergeStatus}`);
+      api.logger.info(`clawcondos-goals: auto-merge ${mergeGoal.worktree.branch} → ${mergeStatus}`);
 
       // Auto-push main to GitHub after successful merge
       if (mergeResult.ok && mergeCondo.workspace.repoUrl) {
@@ -563,9 +808,10 @@ export default function register(api) {
             api.logger.info(`clawcondos-goals: auto-pushed ${mainBranch} to GitHub for condo ${mergeCondo.id}`);
           } else {
             api.logger.error(`clawcondos-goals: auto-push failed for condo ${mergeCondo.id}: ${pushResult.error}`);
-            mergeGoal.pushStatus = 'failed';
-            mergeGoal.pushError = pushResult.error || 'Main branch push failed';
-            store.save(mergeData);
+            updateStoredGoal(goalId, (goal) => {
+              goal.pushStatus = 'failed';
+              goal.pushError = pushResult.error || 'Main branch push failed';
+            });
             broadcastPlanUpdate({ event: 'goal.push_failed', goalId: mergeGoal.id, error: pushResult.error, branch: mainBranch, timestamp: Date.now() });
           }
         } catch (pushErr) {
@@ -615,9 +861,9 @@ export default function register(api) {
           spawnedSessions: result.spawnedSessions,
         });
 
-        // Manual kickoff: frontend gets spawnedSessions in the response and
-        // calls chat.send. Auto-kickoffs (cascade) call startSpawnedSessions()
-        // directly so they don't depend on the frontend relay.
+        // serve.js starts the spawned sessions: its session driver reads this
+        // event from the event log and the RPC response it proxies.
+        // Auto-kickoffs (cascade) also try startSpawnedSessions() directly.
       }
 
       respond(true, result);
@@ -840,6 +1086,54 @@ export default function register(api) {
     }
   });
 
+  // goals.conflicts / goals.resolveConflicts — merge conflict workflow; the
+  // resolution task is spawned by kickoff and autoMergeGoal re-runs the merge
+  const conflictHandlers = createConflictHandlers(store, {
+    wsOps,
+    kickoff: kickoffAndStart,
+    onResolved: autoMergeGoal,
+    logger: api.logger,
+  });
+  for (const [method, handler] of Object.entries(conflictHandlers)) {
+    api.registerGatewayMethod(method, handler);
+  }
+
+  // goals.syncWithMain — bring goal worktrees up to date with main; optionally
+  // every worktreeSync.intervalMinutes for all active goals
+  const worktreeSyncConfig = api.pluginConfig?.worktreeSync || {};
+  const syncOptions = {
+    wsOps,
+    strategy: worktreeSyncConfig.strategy,
+    logger: api.logger,
+    onSync: (goal, mainSync) => broadcastPlanUpdate({
+      event: 'goal.synced',
+      goalId: goal.id,
+      status: mainSync.status,
+      mainBranch: mainSync.mainBranch,
+      conflictFiles: mainSync.conflictFiles,
+      timestamp: Date.now(),
+    }),
+  };
+  const syncHandlers = createSyncHandlers(store, syncOptions);
+  for (const [method, handler] of Object.entries(syncHandlers)) {
+    api.registerGatewayMethod(method, handler);
+  }
+
+  if (wsOps && worktreeSyncConfig.intervalMinutes > 0) {
+    const worktreeSyncTimer = setInterval(() => {
+      try {
+        const results = runWithActor({ actor: 'system', method: 'worktrees.sync' }, () => runWorktreeSync(store, syncOptions));
+        const synced = results.filter(r => r.status === 'synced').length;
+        if (synced > 0) {
+          api.logger.info(`clawcondos-goals: synced ${synced} goal worktree(s) with main`);
+        }
+      } catch (err) {
+        api.logger.error(`clawcondos-goals: worktree sync failed: ${err.message}`);
+      }
+    }, worktreeSyncConfig.intervalMinutes * 60 * 1000);
+    worktreeSyncTimer.unref?.();
+  }
+
   // goals.pushMain — Push main branch to remote
   api.registerGatewayMethod('goals.pushMain', async ({ params, respond }) => {
     const { condoId } = params || {};
@@ -1023,7 +1317,10 @@ export default function register(api) {
         const projectSummary = getProjectSummaryForGoal(goal, data);
         const context = buildGoalContext(goal, { currentSessionKey: sessionKey });
         if (context) {
-          return { prependContext: projectSummary ? `${projectSummary}\n\n${context}` : context };
+          // Once per sync with main: which files changed under the worker
+          const syncNotice = takeSyncNotice(goal, sessionKey);
+          if (syncNotice) store.save(data);
+          return { prependContext: [projectSummary, context, syncNotice].filter(Boolean).join('\n\n') };
         }
       }
     }
@@ -1089,50 +1386,273 @@ export default function register(api) {
   function updateCascadeTracking(condoId, goalId) {
     if (!condoId) return;
     try {
-      const data = store.load();
-      const condo = data.condos.find(c => c.id === condoId);
-      if (!condo || !Array.isArray(condo.cascadePendingGoals)) return;
+      const complete = store.transaction(data => {
+        const condo = data.condos.find(c => c.id === condoId);
+        if (!condo || !Array.isArray(condo.cascadePendingGoals)) return false;
 
-      condo.cascadePendingGoals = condo.cascadePendingGoals.filter(id => id !== goalId);
+        condo.cascadePendingGoals = condo.cascadePendingGoals.filter(id => id !== goalId);
+        if (condo.cascadePendingGoals.length > 0) return false;
 
-      if (condo.cascadePendingGoals.length === 0) {
         // All goals processed — clear cascade state
         condo.cascadePendingGoals = null;
         condo.updatedAtMs = Date.now();
-        store.save(data);
+        return true;
+      });
 
+      if (complete) {
         broadcastPlanUpdate({
           event: 'condo.cascade_complete',
           condoId,
           timestamp: Date.now(),
         });
         api.logger.info(`clawcondos-goals: cascade complete for condo ${condoId}`);
-      } else {
-        store.save(data);
       }
     } catch (err) {
       api.logger.error(`clawcondos-goals: updateCascadeTracking error: ${err.message}`);
     }
   }
 
+  /**
+   * Kick off a goal's next runnable tasks shortly after one of its tasks ended
+   * (completed, failed or went into retry backoff) and freed a concurrency slot.
+   * @param {object} goal
+   * @param {string} reason - For log messages
+   */
+  function scheduleFollowUpKickoff(goal, reason) {
+    setTimeout(async () => {
+      try {
+        const kickoffResult = await internalKickoff(goal.id);
+        if (kickoffResult.spawnedSessions?.length > 0) {
+          await startSpawnedSessions(kickoffResult.spawnedSessions);
+          broadcastPlanUpdate({
+            event: 'goal.kickoff',
+            goalId: goal.id,
+            spawnedCount: kickoffResult.spawnedSessions.length,
+            spawnedSessions: kickoffResult.spawnedSessions,
+          });
+          api.logger.info(`clawcondos-goals: auto-kickoff after ${reason} started ${kickoffResult.spawnedSessions.length} session(s) for goal "${goal.title}"`);
+        }
+      } catch (err) {
+        api.logger.error(`clawcondos-goals: auto-kickoff after ${reason} failed for goal ${goal.id}: ${err.message}`);
+      }
+    }, 1000);
+  }
+
+  /**
+   * A task of `goal` stopped holding a session slot (completed, failed or went
+   * into retry backoff): start the goal's next runnable tasks and, under a condo
+   * cap, those of the condo's goals that were waiting for a slot.
+   * @param {object} goal
+   * @param {string} reason - For log messages
+   */
+  function kickoffAfterSlotFreed(goal, reason) {
+    if (!(goal.tasks || []).every(t => t.status === 'done')) scheduleFollowUpKickoff(goal, reason);
+    if (!goal.condoId) return;
+    const data = store.load();
+    const condo = data.condos.find(c => c.id === goal.condoId);
+    if (resolveConcurrencyCap(goal, condo).scope !== 'condo') return;
+    for (const other of data.goals) {
+      if (other.id === goal.id || other.condoId !== goal.condoId || other.status === 'done' || !other.waitingForSlot) continue;
+      scheduleFollowUpKickoff(other, reason);
+    }
+  }
+
+  // Text of the last assistant message of a finished run (string or structured content)
+  function lastAssistantText(messages) {
+    for (let i = messages.length - 1; i >= 0; i--) {
+      const msg = messages[i];
+      if (msg.role === 'assistant') {
+        return typeof msg.content === 'string'
+          ? msg.content
+          : Array.isArray(msg.content)
+            ? msg.content.filter(c => c.type === 'text').map(c => c.text).join('\n')
+            : null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Process the plan response of a goal PM whose cascade awaits it.
+   * @param {string} goalId
+   * @param {string} sessionKey
+   * @param {object} event - agent_end event
+   */
+  function handlePmCascadeEnd(goalId, sessionKey, event) {
+    const planFetchFailed = (goal) => {
+      broadcastPlanUpdate({
+        event: 'goal.cascade_plan_ready',
+        goalId: goal.id,
+        condoId: goal.condoId,
+        hasPlan: false,
+        cascadeState: 'plan_fetch_failed',
+        timestamp: Date.now(),
+      });
+      updateCascadeTracking(goal.condoId, goal.id);
+    };
+
+    let outcome;
+    try {
+      // Extract PM response from hook event messages (avoids chat.history RPC
+      // which requires api.callMethod that plugins don't have)
+      const pmContent = lastAssistantText(event.messages || []);
+
+      outcome = store.transaction(data => {
+        const pmGoal = data.goals.find(g => g.id === goalId);
+        if (!pmGoal || pmGoal.cascadeState !== 'awaiting_plan') return null;
+        pmGoal.updatedAtMs = Date.now();
+
+        if (!pmContent) {
+          // No assistant message found
+          pmGoal.cascadeState = 'plan_fetch_failed';
+          return { goal: pmGoal, cascadeResult: null };
+        }
+
+        const cascadeResult = processPmCascadeResponse(store, pmGoal, pmContent, {
+          mode: pmGoal.cascadeMode,
+        });
+        let depsSatisfied = true;
+        if (cascadeResult.cascadeState === 'tasks_created' && pmGoal.cascadeMode === 'full') {
+          // Ensure goal autonomy mode is 'full' so spawned workers don't wait for approval
+          pmGoal.autonomyMode = 'full';
+          // Check goal-level dependencies before kickoff
+          depsSatisfied = (pmGoal.dependsOn || []).every(depGoalId => {
+            const depGoal = data.goals.find(g => g.id === depGoalId);
+            return depGoal && depGoal.status === 'done';
+          });
+        }
+        return { goal: pmGoal, cascadeResult, depsSatisfied };
+      });
+    } catch (err) {
+      const pmGoal = updateStoredGoal(goalId, (goal) => { goal.cascadeState = 'plan_fetch_failed'; });
+      api.logger.error(`clawcondos-goals: agent_end PM cascade fetch failed for ${sessionKey}: ${err.message}`);
+      if (pmGoal) planFetchFailed(pmGoal);
+      return;
+    }
+    if (!outcome) return;
+
+    const { goal: pmGoal, cascadeResult, depsSatisfied } = outcome;
+    if (!cascadeResult) {
+      api.logger.warn(`clawcondos-goals: agent_end PM cascade: no assistant message found for ${sessionKey}`);
+      planFetchFailed(pmGoal);
+      return;
+    }
+
+    api.logger.info(`clawcondos-goals: agent_end PM cascade for goal "${pmGoal.title}": state=${cascadeResult.cascadeState}, tasks=${cascadeResult.tasksCreated}`);
+
+    if (cascadeResult.cascadeState === 'tasks_created' && pmGoal.cascadeMode === 'full') {
+      // Broadcast tasks created event
+      broadcastPlanUpdate({
+        event: 'goal.cascade_tasks_created',
+        goalId: pmGoal.id,
+        condoId: pmGoal.condoId,
+        tasksCreated: cascadeResult.tasksCreated,
+        timestamp: Date.now(),
+      });
+
+      if (depsSatisfied) {
+        // Auto-kickoff after a short delay
+        scheduleFollowUpKickoff(pmGoal, 'PM cascade');
+      } else {
+        api.logger.info(`clawcondos-goals: PM cascade: goal "${pmGoal.title}" has tasks but is blocked by dependencies`);
+      }
+    } else {
+      // Plan mode or no tasks — broadcast plan ready
+      broadcastPlanUpdate({
+        event: 'goal.cascade_plan_ready',
+        goalId: pmGoal.id,
+        condoId: pmGoal.condoId,
+        hasPlan: cascadeResult.hasPlan,
+        cascadeState: cascadeResult.cascadeState,
+        timestamp: Date.now(),
+      });
+    }
+
+    // Update cascade tracking on condo
+    updateCascadeTracking(pmGoal.condoId, pmGoal.id);
+  }
+
+  /**
+   * Settle the task a finished worker session was running, in one transaction:
+   * keep it done, auto-complete it, or apply the retry policy after an error.
+   * @returns {object|null} { kind, goal, task, ... } describing what happened, or null
+   */
+  function settleTaskSession(goalId, sessionKey, event) {
+    return store.transaction(data => {
+      const goal = data.goals.find(g => g.id === goalId);
+      if (!goal) return null;
+      goal.updatedAtMs = Date.now();
+
+      // Find the task associated with this session
+      const task = (goal.tasks || []).find(t => t.sessionKey === sessionKey);
+
+      if (task && task.status === 'done') {
+        finishAttempt(task, sessionKey, { outcome: 'done' });
+        return { kind: 'done', goal, task };
+      }
+      if (!task || task.status !== 'in-progress') return { kind: 'touched', goal, task };
+
+      // Check if agent completed normally (just didn't call goal_update)
+      if (event.success !== false) {
+        // Agent ended normally — auto-mark task as done
+        task.status = 'done';
+        task.done = true;
+        task.summary = task.summary || 'Completed (auto-marked on session end)';
+        task.updatedAtMs = Date.now();
+        finishAttempt(task, sessionKey, { outcome: 'done' });
+        return { kind: 'completed', goal, task };
+      }
+
+      // Agent ended with error — apply the retry policy
+      const taskCondo = goal.condoId ? data.condos.find(c => c.id === goal.condoId) : null;
+      const policy = resolveRetryPolicy({ defaults: retryPolicyDefaults, condo: taskCondo, goal, task });
+      const errorText = describeAgentError(event);
+      finishAttempt(task, sessionKey, { outcome: 'failed', error: errorText });
+      const decision = planRetry(task, policy);
+
+      if (decision.action === 'retry') {
+        applyRetry(task, decision, errorText);
+        return { kind: 'retry', goal, task, policy, decision, errorText };
+      }
+
+      // Attempts exhausted — mark task as failed
+      task.status = 'failed';
+      task.lastError = errorText;
+      task.nextRetryAtMs = null;
+      task.updatedAtMs = Date.now();
+      return { kind: 'failed', goal, task, decision, errorText };
+    });
+  }
+
   // Hook: track session activity on goals and condos + cleanup plan file watchers + error recovery
   api.registerHook('agent_end', async (event) => {
     const sessionKey = event.context?.sessionKey;
     if (!sessionKey) return;
 
+    // Book token/cost usage of this run on its task, goal and condo
+    try {
+      const booked = recordSessionUsage(store, sessionKey, event);
+      for (const e of booked?.exceeded || []) {
+        api.logger.warn(`clawcondos-goals: ${e.kind} ${e.id} exceeded its budget (${e.reason}); kickoff paused`);
+      }
+    } catch (err) {
+      api.logger.error(`clawcondos-goals: usage tracking failed for ${sessionKey}: ${err.message}`);
+    }
+
     try {
+      // Routing only; every write below re-loads inside its own transaction
       const data = store.load();
 
       // Update condo timestamp if session is bound to one
       const condoId = data.sessionCondoIndex[sessionKey];
-      if (condoId) {
-        const condo = data.condos.find(c => c.id === condoId);
-        if (condo) {
-          condo.updatedAtMs = Date.now();
-          store.save(data);
-          api.logger.info(`clawcondos-goals: agent_end for session ${sessionKey} (condo: ${condo.name})`);
-          return;
-        }
+      if (condoId && data.condos.some(c => c.id === condoId)) {
+        const condoName = store.transaction(fresh => {
+          const condo = fresh.condos.find(c => c.id === condoId);
+          if (condo) condo.updatedAtMs = Date.now();
+          return condo?.name;
+        });
+        api.logger.info(`clawcondos-goals: agent_end for session ${sessionKey} (condo: ${condoName})`);
+        return;
       }
 
       // PM cascade auto-processing: detect PM sessions awaiting plan responses
@@ -1140,263 +1660,101 @@ export default function register(api) {
         // Find which goal this PM session belongs to
         const pmGoal = data.goals.find(g => g.pmSessionKey === sessionKey);
         if (pmGoal && pmGoal.cascadeState === 'awaiting_plan') {
-          pmGoal.updatedAtMs = Date.now();
-
-          try {
-            // Extract PM response from hook event messages (avoids chat.history RPC
-            // which requires api.callMethod that plugins don't have)
-            const messages = event.messages || [];
-            let pmContent = null;
-            for (let i = messages.length - 1; i >= 0; i--) {
-              const msg = messages[i];
-              if (msg.role === 'assistant') {
-                // Handle content as string or structured array
-                pmContent = typeof msg.content === 'string'
-                  ? msg.content
-                  : Array.isArray(msg.content)
-                    ? msg.content.filter(c => c.type === 'text').map(c => c.text).join('\n')
-                    : null;
-                break;
-              }
-            }
-
-            if (pmContent) {
-              const cascadeResult = processPmCascadeResponse(store, pmGoal, pmContent, {
-                mode: pmGoal.cascadeMode,
-              });
-              store.save(data);
-
-              api.logger.info(`clawcondos-goals: agent_end PM cascade for goal "${pmGoal.title}": state=${cascadeResult.cascadeState}, tasks=${cascadeResult.tasksCreated}`);
-
-              if (cascadeResult.cascadeState === 'tasks_created' && pmGoal.cascadeMode === 'full') {
-                // Ensure goal autonomy mode is 'full' so spawned workers don't wait for approval
-                pmGoal.autonomyMode = 'full';
-                store.save(data);
-
-                // Broadcast tasks created event
-                broadcastPlanUpdate({
-                  event: 'goal.cascade_tasks_created',
-                  goalId: pmGoal.id,
-                  condoId: pmGoal.condoId,
-                  tasksCreated: cascadeResult.tasksCreated,
-                  timestamp: Date.now(),
-                });
-
-                // Check goal-level dependencies before kickoff
-                let depsSatisfied = true;
-                if (pmGoal.dependsOn?.length > 0) {
-                  depsSatisfied = pmGoal.dependsOn.every(depGoalId => {
-                    const depGoal = data.goals.find(g => g.id === depGoalId);
-                    return depGoal && depGoal.status === 'done';
-                  });
-                }
-
-                if (depsSatisfied) {
-                  // Auto-kickoff after a short delay
-                  setTimeout(async () => {
-                    try {
-                      const kickoffResult = await internalKickoff(pmGoal.id);
-                      if (kickoffResult.spawnedSessions?.length > 0) {
-                        await startSpawnedSessions(kickoffResult.spawnedSessions);
-                        broadcastPlanUpdate({
-                          event: 'goal.kickoff',
-                          goalId: pmGoal.id,
-                          spawnedCount: kickoffResult.spawnedSessions.length,
-                          spawnedSessions: kickoffResult.spawnedSessions,
-                        });
-                        api.logger.info(`clawcondos-goals: PM cascade auto-kickoff started ${kickoffResult.spawnedSessions.length} session(s) for goal "${pmGoal.title}"`);
-                      }
-                    } catch (err) {
-                      api.logger.error(`clawcondos-goals: PM cascade auto-kickoff failed for goal ${pmGoal.id}: ${err.message}`);
-                    }
-                  }, 1000);
-                } else {
-                  api.logger.info(`clawcondos-goals: PM cascade: goal "${pmGoal.title}" has tasks but is blocked by dependencies`);
-                }
-              } else {
-                // Plan mode or no tasks — broadcast plan ready
-                broadcastPlanUpdate({
-                  event: 'goal.cascade_plan_ready',
-                  goalId: pmGoal.id,
-                  condoId: pmGoal.condoId,
-                  hasPlan: cascadeResult.hasPlan,
-                  cascadeState: cascadeResult.cascadeState,
-                  timestamp: Date.now(),
-                });
-              }
-
-              // Update cascade tracking on condo
-              updateCascadeTracking(pmGoal.condoId, pmGoal.id);
-            } else {
-              // No assistant message found
-              pmGoal.cascadeState = 'plan_fetch_failed';
-              store.save(data);
-              api.logger.warn(`clawcondos-goals: agent_end PM cascade: no assistant message found for ${sessionKey}`);
-
-              broadcastPlanUpdate({
-                event: 'goal.cascade_plan_ready',
-                goalId: pmGoal.id,
-                condoId: pmGoal.condoId,
-                hasPlan: false,
-                cascadeState: 'plan_fetch_failed',
-                timestamp: Date.now(),
-              });
-              updateCascadeTracking(pmGoal.condoId, pmGoal.id);
-            }
-          } catch (err) {
-            pmGoal.cascadeState = 'plan_fetch_failed';
-            store.save(data);
-            api.logger.error(`clawcondos-goals: agent_end PM cascade fetch failed for ${sessionKey}: ${err.message}`);
-
-            broadcastPlanUpdate({
-              event: 'goal.cascade_plan_ready',
-              goalId: pmGoal.id,
-              condoId: pmGoal.condoId,
-              hasPlan: false,
-              cascadeState: 'plan_fetch_failed',
-              timestamp: Date.now(),
-            });
-            updateCascadeTracking(pmGoal.condoId, pmGoal.id);
-          }
-
+          handlePmCascadeEnd(pmGoal.id, sessionKey, event);
           return; // PM sessions don't have tasks — skip task-level processing
         }
       }
 
       // Update goal timestamp if session is assigned to one
       const entry = data.sessionIndex[sessionKey];
-      if (!entry) return;
-      const goal = data.goals.find(g => g.id === entry.goalId);
-      if (!goal) return;
-      goal.updatedAtMs = Date.now();
+      if (!entry || !data.goals.some(g => g.id === entry.goalId)) return;
 
-      // Find the task associated with this session
-      const task = (goal.tasks || []).find(t => t.sessionKey === sessionKey);
+      const outcome = settleTaskSession(entry.goalId, sessionKey, event);
+      if (!outcome) return;
+      const { kind, goal, task } = outcome;
 
-      if (task && task.status === 'done') {
+      if (kind === 'done') {
         // Task completed successfully — cleanup watcher
-        store.save(data);
         api.logger.info(`clawcondos-goals: agent_end for session ${sessionKey} (goal: ${goal.title})`);
         unwatchPlanFile(sessionKey);
         planLogBuffer.clear(sessionKey);
-      } else if (task && task.status === 'in-progress') {
-        // Check if agent completed normally (just didn't call goal_update)
-        if (event.success !== false) {
-          // Agent ended normally — auto-mark task as done
-          task.status = 'done';
-          task.done = true;
-          task.summary = task.summary || 'Completed (auto-marked on session end)';
-          task.updatedAtMs = Date.now();
-          store.save(data);
-
-          api.logger.info(`clawcondos-goals: auto-completed task ${task.id} on normal agent_end for goal "${goal.title}"`);
-
-          // Broadcast completion event
-          broadcastPlanUpdate({
-            event: 'goal.task_completed',
-            goalId: goal.id,
-            taskId: task.id,
-            allTasksDone: goal.tasks.every(t => t.status === 'done'),
-            autoCompleted: true,
-            timestamp: Date.now(),
-          });
+      } else if (kind === 'completed') {
+        api.logger.info(`clawcondos-goals: auto-completed task ${task.id} on normal agent_end for goal "${goal.title}"`);
 
-          // Trigger cascading kickoff or merge
-          const allDone = goal.tasks.every(t => t.status === 'done');
-          if (!allDone) {
-            setTimeout(async () => {
-              try {
-                const kickoffResult = await internalKickoff(goal.id);
-                if (kickoffResult.spawnedSessions?.length > 0) {
-                  await startSpawnedSessions(kickoffResult.spawnedSessions);
-                  broadcastPlanUpdate({
-                    event: 'goal.kickoff',
-                    goalId: goal.id,
-                    spawnedCount: kickoffResult.spawnedSessions.length,
-                    spawnedSessions: kickoffResult.spawnedSessions,
-                  });
-                  api.logger.info(`clawcondos-goals: auto-kickoff after auto-complete started ${kickoffResult.spawnedSessions.length} session(s) for goal "${goal.title}"`);
-                }
-              } catch (err) {
-                api.logger.error(`auto-kickoff after auto-complete failed: ${err.message}`);
-              }
-            }, 1000);
-          } else {
-            // All tasks done — auto-merge, mark goal done, kick off unblocked goals
-            await autoMergeGoal(goal.id);
-          }
+        // Broadcast completion event
+        const allDone = goal.tasks.every(t => t.status === 'done');
+        broadcastPlanUpdate({
+          event: 'goal.task_completed',
+          goalId: goal.id,
+          taskId: task.id,
+          allTasksDone: allDone,
+          autoCompleted: true,
+          timestamp: Date.now(),
+        });
 
-          unwatchPlanFile(sessionKey);
-          planLogBuffer.clear(sessionKey);
-          return; // Skip retry logic
+        // Trigger cascading kickoff or merge
+        if (allDone) {
+          // All tasks done — auto-merge, mark goal done, kick off unblocked goals
+          await autoMergeGoal(goal.id);
         }
+        kickoffAfterSlotFreed(goal, 'auto-complete');
 
-        // Agent ended with error — error recovery
-        const retryCount = task.retryCount || 0;
-        const maxRetries = goal.maxRetries ?? 1;
+        unwatchPlanFile(sessionKey);
+        planLogBuffer.clear(sessionKey);
+      } else if (kind === 'retry') {
+        const { policy, decision, errorText } = outcome;
+        api.logger.warn(`clawcondos-goals: task ${task.id} retry ${task.retryCount}/${policy.maxAttempts - 1} in ${decision.delayMs}ms for goal "${goal.title}"`);
 
-        if (retryCount < maxRetries) {
-          // Retry: reset task for re-kickoff
-          task.sessionKey = null;
-          task.status = 'pending';
-          task.retryCount = retryCount + 1;
-          task.lastError = 'Agent failed while working on task';
-          task.updatedAtMs = Date.now();
-          store.save(data);
+        // Broadcast retry event
+        broadcastPlanUpdate({
+          event: 'goal.task_retry',
+          goalId: goal.id,
+          taskId: task.id,
+          retryCount: task.retryCount,
+          maxRetries: policy.maxAttempts - 1,
+          delayMs: decision.delayMs,
+          agent: task.assignedAgent || null,
+          model: task.model || null,
+          error: errorText,
+          timestamp: Date.now(),
+        });
 
-          api.logger.warn(`clawcondos-goals: task ${task.id} retry ${task.retryCount}/${maxRetries} for goal "${goal.title}"`);
+        // Auto re-kickoff once the backoff has passed (the retry sweep covers restarts)
+        const retryKickoffTimer = setTimeout(() => {
+          kickoffDueRetries().catch(err => api.logger.error(`clawcondos-goals: auto re-kickoff failed for goal ${goal.id}: ${err.message}`));
+        }, decision.delayMs);
+        retryKickoffTimer.unref?.();
+        // Meanwhile its slot can run other ready tasks
+        kickoffAfterSlotFreed(goal, 'task retry');
 
-          // Broadcast retry event
-          broadcastPlanUpdate({
-            event: 'goal.task_retry',
-            goalId: goal.id,
-            taskId: task.id,
-            retryCount: task.retryCount,
-            maxRetries,
-            timestamp: Date.now(),
-          });
+        unwatchPlanFile(sessionKey);
+        planLogBuffer.clear(sessionKey);
+      } else if (kind === 'failed') {
+        const { decision, errorText } = outcome;
+        const attempts = (task.retryCount || 0) + 1;
+        api.logger.error(`clawcondos-goals: task ${task.id} FAILED after ${attempts} attempt(s) for goal "${goal.title}": ${errorText}`);
 
-          // Auto re-kickoff after a delay
-          setTimeout(async () => {
-            try {
-              const kickoffResult = await internalKickoff(goal.id);
-              if (kickoffResult.spawnedSessions?.length > 0) {
-                await startSpawnedSessions(kickoffResult.spawnedSessions);
-                broadcastPlanUpdate({
-                  event: 'goal.kickoff',
-                  goalId: goal.id,
-                  spawnedCount: kickoffResult.spawnedSessions.length,
-                  spawnedSessions: kickoffResult.spawnedSessions,
-                });
-                api.logger.info(`clawcondos-goals: auto re-kickoff for goal ${goal.id} after retry — started ${kickoffResult.spawnedSessions.length} session(s)`);
-              }
-            } catch (err) {
-              api.logger.error(`clawcondos-goals: auto re-kickoff failed for goal ${goal.id}: ${err.message}`);
-            }
-          }, 2000);
-        } else {
-          // Max retries exhausted — mark task as failed
-          task.status = 'failed';
-          task.lastError = 'Max retries exhausted — agent ended without completing task';
-          task.updatedAtMs = Date.now();
-          store.save(data);
+        const escalatedTo = decision.escalate
+          ? await escalateToPm(store, goal, task, { sendMessage: sendPmMessage, logger: api.logger })
+          : null;
 
-          api.logger.error(`clawcondos-goals: task ${task.id} FAILED after ${retryCount} retries for goal "${goal.title}"`);
+        // Broadcast failure event
+        broadcastPlanUpdate({
+          event: 'goal.task_failed',
+          goalId: goal.id,
+          taskId: task.id,
+          retryCount: task.retryCount || 0,
+          error: errorText,
+          escalatedTo,
+          timestamp: Date.now(),
+        });
 
-          // Broadcast failure event
-          broadcastPlanUpdate({
-            event: 'goal.task_failed',
-            goalId: goal.id,
-            taskId: task.id,
-            retryCount,
-            timestamp: Date.now(),
-          });
-        }
+        // Tasks that do not depend on the failed one can take its slot
+        kickoffAfterSlotFreed(goal, 'task failure');
 
         unwatchPlanFile(sessionKey);
         planLogBuffer.clear(sessionKey);
       } else {
-        store.save(data);
         api.logger.info(`clawcondos-goals: agent_end for session ${sessionKey} (goal: ${goal.title})`);
       }
     } catch (err) {
@@ -1545,6 +1903,8 @@ export default function register(api) {
             planStatus: { type: 'string', enum: ['none', 'draft', 'awaiting_approval', 'approved', 'rejected', 'executing', 'completed'], description: 'Update the plan status for the task (requires taskId)' },
             stepIndex: { type: 'integer', description: 'Index of the plan step to update (0-based, requires taskId)' },
             stepStatus: { type: 'string', enum: ['pending', 'in-progress', 'done', 'skipped'], description: 'New status for the plan step (use with stepIndex and taskId)' },
+            dueAtMs: { type: 'string', description: 'Due date as ISO 8601 (e.g. 2026-03-01T17:00:00Z) or epoch ms; empty string clears it. Applies to taskId when given, else the goal' },
+            estimateMinutes: { type: 'number', description: 'Estimated effort in minutes. Applies to taskId when given, else the goal' },
           },
         },
         async execute(toolCallId, params) {
@@ -1566,30 +1926,8 @@ export default function register(api) {
             }
 
             // Auto-kickoff next tasks after task completion
-            if (!result._meta.allTasksDone) {
-              setTimeout(async () => {
-                try {
-                  const kickoffResult = await internalKickoff(result._meta.goalId);
-
-                  if (kickoffResult.spawnedSessions?.length > 0) {
-                    // Backend starts agents directly — no frontend relay needed
-                    await startSpawnedSessions(kickoffResult.spawnedSessions);
-
-                    // Broadcast for UI updates (frontend skips chat.send via headlessStarted flag)
-                    broadcastPlanUpdate({
-                      event: 'goal.kickoff',
-                      goalId: result._meta.goalId,
-                      spawnedCount: kickoffResult.spawnedSessions.length,
-                      spawnedSessions: kickoffResult.spawnedSessions,
-                    });
-                    api.logger.info(`clawcondos-goals: auto-kickoff started ${kickoffResult.spawnedSessions.length} session(s) for goal ${result._meta.goalId}`);
-                  }
-                } catch (err) {
-                  api.logger.error(`clawcondos-goals: auto-kickoff after task completion failed: ${err.message}`);
-                }
-              }, 1000);
-            }
-
+            const goal = store.load().goals.find(g => g.id === result._meta.goalId);
+            if (goal) kickoffAfterSlotFreed(goal, 'task completion');
           }
 
           return result;
@@ -1902,6 +2240,6 @@ export default function register(api) {
     { names: ['condo_pm_kickoff'] }
   );
 
-  const totalMethods = Object.keys(handlers).length + Object.keys(condoHandlers2).length + Object.keys(planHandlers).length + Object.keys(pmHandlers).length + Object.keys(configHandlers).length + Object.keys(teamHandlers).length + Object.keys(rolesHandlers).length + Object.keys(notificationHandlers).length + Object.keys(autonomyHandlers).length + Object.keys(sessionLifecycleHandlers).length + 11; // +11 directly: spawnTaskSession, kickoff, close, branchStatus, createPR, retryPush, retryMerge, pushMain, classification x3
+  const totalMethods = Object.keys(handlers).length + Object.keys(condoHandlers2).length + Object.keys(planHandlers).length + Object.keys(pmHandlers).length + Object.keys(configHandlers).length + Object.keys(teamHandlers).length + Object.keys(rolesHandlers).length + Object.keys(notificationHandlers).length + Object.keys(historyHandlers).length + Object.keys(trashHandlers).length + Object.keys(retryHandlers).length + Object.keys(scheduleHandlers).length + Object.keys(costHandlers).length + Object.keys(autonomyHandlers).length + Object.keys(sessionLifecycleHandlers).length + 11; // +11 directly: spawnTaskSession, kickoff, close, branchStatus, createPR, retryPush, retryMerge, pushMain, classification x3
   api.logger.info(`clawcondos-goals: registered ${totalMethods} gateway methods, 9 tools, ${planFileWatchers.size} plan file watchers, data at ${dataDir}`);
 }
@@ -0,0 +1,292 @@
+/**
+ * Audit Log - append-only journal of goal, task and condo mutations.
+ *
+ * The goals store records an event for every goal/condo/task that a save()
+ * creates, changes or removes, with a field-level before/after diff. Who made
+ * the change comes from the ambient actor context: gateway methods, agent tools
+ * and hooks are run inside runWithActor() by the plugin (and serve.js for its
+ * local RPCs), so handlers do not need to pass an actor around.
+ *
+ * Events are stored one JSON object per line in audit-log.jsonl, each with an
+ * increasing `seq`. Past MAX_LOG_BYTES the file is rotated to audit-log.1.jsonl,
+ * replacing the previous generation.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { existsSync, readFileSync, appendFileSync, mkdirSync, renameSync, statSync, openSync, readSync, closeSync } from 'fs';
+import { join } from 'path';
+import crypto from 'crypto';
+
+const actorContext = new AsyncLocalStorage();
+
+// Bookkeeping fields that change on nearly every save and carry no meaning on their own
+const IGNORED_FIELDS = new Set(['updatedAtMs', 'revision']);
+const SENSITIVE_KEY = /token|secret|password|apikey/i;
+const MAX_STRING_CHARS = 2000;
+const DEFAULT_HISTORY_LIMIT = 100;
+const MAX_HISTORY_LIMIT = 500;
+const MAX_LOG_BYTES = 5 * 1024 * 1024;
+const SEQ_TAIL_BYTES = 64 * 1024;
+
+/**
+ * Run fn with an actor/method attached to every audit event it produces
+ * (including across awaits and timers started inside fn). Nested calls keep
+ * the outer actor unless they set their own.
+ * @param {object} context
+ * @param {string} [context.actor] - Session key, 'dashboard', or another caller id
+ * @param {string} [context.method] - RPC method, tool name or hook name
+ * @param {Function} fn
+ */
+export function runWithActor({ actor, method }, fn) {
+  const parent = actorContext.getStore();
+  return actorContext.run({
+    actor: actor || parent?.actor || 'system',
+    method: method || parent?.method || null,
+  }, fn);
+}
+
+/** @returns {{actor: string, method: string|null}} Current actor context */
+export function currentActor() {
+  return actorContext.getStore() || { actor: 'system', method: null };
+}
+
+function sanitize(value) {
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_CHARS ? value.slice(0, MAX_STRING_CHARS) + '…' : value;
+  }
+  if (Array.isArray(value)) return value.map(sanitize);
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      out[k] = SENSITIVE_KEY.test(k) && v ? '[redacted]' : sanitize(v);
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Field-level diff of two plain objects (top-level keys only).
+ * @returns {object} { [field]: { before, after } } for fields that differ
+ */
+export function diffFields(before, after, skip = []) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (IGNORED_FIELDS.has(key) || skip.includes(key)) continue;
+    const a = before?.[key];
+    const b = after?.[key];
+    if (JSON.stringify(a) === JSON.stringify(b)) continue;
+    const redact = SENSITIVE_KEY.test(key);
+    changes[key] = {
+      before: redact && a ? '[redacted]' : sanitize(a ?? null),
+      after: redact && b ? '[redacted]' : sanitize(b ?? null),
+    };
+  }
+  return changes;
+}
+
+function actionFor(before, after) {
+  if (!before) return 'created';
+  if (!after) return 'deleted';
+  return 'updated';
+}
+
+/**
+ * Turn entity changes (from applyRevisions) into audit events.
+ * Goal changes are split into one goal event (non-task fields) and one event per
+ * created/updated/deleted task.
+ * @param {Array} changes - [{ collection, id, before, after }]
+ * @param {object} [context] - { actor, method }; defaults to the ambient actor context
+ * @returns {object[]} Events (not yet persisted)
+ */
+export function buildAuditEvents(changes, context = currentActor()) {
+  const ts = Date.now();
+  const events = [];
+  const base = () => ({
+    id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+    ts,
+    actor: context.actor,
+    method: context.method,
+  });
+
+  for (const { collection, id, before, after } of changes) {
+    const action = actionFor(before, after);
+    const current = after || before;
+
+    if (collection === 'condos') {
+      const fields = action === 'updated' ? diffFields(before, after) : {};
+      if (action === 'updated' && Object.keys(fields).length === 0) continue;
+      events.push({ ...base(), entity: 'condo', action, condoId: id, label: current.name || null, changes: fields });
+      continue;
+    }
+
+    // Goals
+    const condoId = current.condoId ?? null;
+    const fields = action === 'updated' ? diffFields(before, after, ['tasks']) : {};
+    if (action !== 'updated' || Object.keys(fields).length > 0) {
+      events.push({ ...base(), entity: 'goal', action, goalId: id, condoId, label: current.title || null, changes: fields });
+    }
+    if (action !== 'updated') continue;
+
+    const beforeTasks = new Map((before.tasks || []).filter(t => t?.id).map(t => [t.id, t]));
+    const afterTasks = new Map((after.tasks || []).filter(t => t?.id).map(t => [t.id, t]));
+    for (const taskId of new Set([...beforeTasks.keys(), ...afterTasks.keys()])) {
+      const tb = beforeTasks.get(taskId) || null;
+      const ta = afterTasks.get(taskId) || null;
+      const taskAction = actionFor(tb, ta);
+      const taskFields = taskAction === 'updated' ? diffFields(tb, ta) : {};
+      if (taskAction === 'updated' && Object.keys(taskFields).length === 0) continue;
+      events.push({
+        ...base(),
+        entity: 'task',
+        action: taskAction,
+        goalId: id,
+        taskId,
+        condoId,
+        label: (ta || tb).text || null,
+        changes: taskFields,
+      });
+    }
+  }
+  return events;
+}
+
+/**
+ * @param {string} dataDir - Directory holding audit-log.jsonl
+ * @param {object} [options]
+ * @param {number} [options.maxBytes] - Size at which the log is rotated to audit-log.1.jsonl
+ */
+export function createAuditLog(dataDir, options = {}) {
+  const filePath = join(dataDir, 'audit-log.jsonl');
+  const rotatedPath = join(dataDir, 'audit-log.1.jsonl');
+  const maxBytes = options.maxBytes || MAX_LOG_BYTES;
+
+  function sizeOf(path) {
+    try { return statSync(path).size; } catch { return 0; }
+  }
+
+  function readEvents(path) {
+    if (!existsSync(path)) return [];
+    const events = [];
+    for (const line of readFileSync(path, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      try { events.push(JSON.parse(line)); } catch { /* skip torn line */ }
+    }
+    return events;
+  }
+
+  // Highest seq in the newest file that has events. Read from disk on every
+  // append so the plugin and serve.js writing the same log keep counting up;
+  // only the tail is read unless the last event is larger than it.
+  function lastSeq() {
+    for (const path of [filePath, rotatedPath]) {
+      const size = sizeOf(path);
+      if (size === 0) continue;
+      const tailBytes = Math.min(size, SEQ_TAIL_BYTES);
+      const fd = openSync(path, 'r');
+      let tail;
+      try {
+        const buf = Buffer.alloc(tailBytes);
+        readSync(fd, buf, 0, tailBytes, size - tailBytes);
+        tail = buf.toString('utf-8');
+      } finally {
+        closeSync(fd);
+      }
+      const lines = tail.split('\n');
+      // The first line may be cut off unless the tail is the whole file
+      const events = lines.slice(tailBytes < size ? 1 : 0).map(line => {
+        try { return JSON.parse(line); } catch { return null; }
+      }).filter(Boolean);
+      if (events.length === 0 && tailBytes < size) events.push(...readEvents(path));
+      for (let i = events.length - 1; i >= 0; i--) {
+        if (Number.isInteger(events[i].seq)) return events[i].seq;
+      }
+      // Only events written before seqs existed
+      return 0;
+    }
+    return 0;
+  }
+
+  function append(events) {
+    if (!events.length) return;
+    if (!existsSync(dataDir)) mkdirSync(dataDir, { recursive: true });
+    // Keep one older generation; queries read it only when the current file runs out
+    if (sizeOf(filePath) >= maxBytes) renameSync(filePath, rotatedPath);
+    let seq = lastSeq();
+    appendFileSync(filePath, events.map(e => JSON.stringify({ ...e, seq: ++seq })).join('\n') + '\n');
+  }
+
+  /**
+   * Query events, newest first. Events saved together share a `ts`, so pages
+   * continue from the oldest event seen by passing both its `ts` and `seq`.
+   * @param {object} filter
+   * @param {string} [filter.goalId]
+   * @param {string} [filter.taskId]
+   * @param {string} [filter.condoId] - Matches condo events and events of goals in the condo
+   * @param {number} [filter.beforeTs] - Only events older than this (for paging)
+   * @param {number} [filter.beforeSeq] - With beforeTs: also events at beforeTs with a lower seq
+   * @param {number} [filter.limit] - Defaults to 100 when missing or not a number; at most 500
+   */
+  function query({ goalId, taskId, condoId, beforeTs, beforeSeq, limit } = {}) {
+    const max = Math.max(1, Math.min(parseInt(limit, 10) || DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT));
+    const matches = [];
+    for (const path of [filePath, rotatedPath]) {
+      const found = readEvents(path).filter(e =>
+        (!goalId || e.goalId === goalId)
+        && (!taskId || e.taskId === taskId)
+        && (!condoId || e.condoId === condoId)
+        && (!beforeTs || e.ts < beforeTs || (beforeSeq != null && e.ts === beforeTs && (e.seq ?? 0) < beforeSeq)));
+      matches.push(...found.reverse());
+      if (matches.length >= max) break;
+    }
+    return matches.slice(0, max);
+  }
+
+  return { append, query, filePath };
+}
+
+/**
+ * Create RPC handlers for mutation history
+ * @param {object} store - Goals store instance (with store.audit)
+ * @returns {object} Map of method names to handlers
+ */
+export function createHistoryHandlers(store) {
+  const handlers = {};
+
+  /**
+   * goals.history - Audit events for a goal and its tasks, newest first
+   * Params: { goalId: string, taskId?: string, limit?: number, beforeTs?: number, beforeSeq?: number }
+   * Response: { events: object[] }
+   */
+  handlers['goals.history'] = ({ params, respond }) => {
+    const { goalId, taskId, limit, beforeTs, beforeSeq } = params || {};
+    if (!goalId) {
+      return respond(false, null, 'goalId is required');
+    }
+    try {
+      respond(true, { events: store.audit.query({ goalId, taskId, limit, beforeTs, beforeSeq }) });
+    } catch (err) {
+      respond(false, null, err.message);
+    }
+  };
+
+  /**
+   * condos.history - Audit events for a condo and the goals/tasks in it, newest first
+   * Params: { condoId: string, limit?: number, beforeTs?: number, beforeSeq?: number }
+   * Response: { events: object[] }
+   */
+  handlers['condos.history'] = ({ params, respond }) => {
+    const { condoId, limit, beforeTs, beforeSeq } = params || {};
+    if (!condoId) {
+      return respond(false, null, 'condoId is required');
+    }
+    try {
+      respond(true, { events: store.audit.query({ condoId, limit, beforeTs, beforeSeq }) });
+    } catch (err) {
+      respond(false, null, err.message);
+    }
+  };
+
+  return handlers;
+}
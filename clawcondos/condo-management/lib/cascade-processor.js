@@ -4,18 +4,7 @@
  * during a cascade flow, enabling backend-first cascade without frontend.
  */
 
-import { parseTasksFromPlan, detectPlan } from './plan-parser.js';
-
-/**
- * Set sequential dependencies on an array of tasks.
- * Each task (after the first) depends on the previous task.
- * @param {Array} tasks - Array of task objects with `id` property
- */
-function setSequentialDependencies(tasks) {
-  for (let i = 1; i < tasks.length; i++) {
-    tasks[i].dependsOn = [tasks[i - 1].id];
-  }
-}
+import { parseTasksFromPlan, detectPlan, applyPlanDependencies } from './plan-parser.js';
 
 /**
  * Process a PM's cascade response for a goal.
@@ -92,8 +81,8 @@ export function processPmCascadeResponse(store, goal, pmResponseContent, options
     createdTasks.push(task);
   }
 
-  // Set sequential dependencies
-  setSequentialDependencies(createdTasks);
+  // Dependencies from the plan (depends-on column / phases), sequential otherwise
+  applyPlanDependencies(parsedTasks, createdTasks);
 
   // Store the full plan content
   goal.pmPlanContent = content;
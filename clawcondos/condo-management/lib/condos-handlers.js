@@ -1,10 +1,15 @@
 import { AUTONOMY_MODES } from './autonomy.js';
 import { initGitHubRepo, pushBranch, setupGitRemote } from './github.js';
+import { revisionConflict } from './revisions.js';
+import { trashCondo } from './trash.js';
+import { isValidConcurrencyCap } from './task-graph.js';
+import { retryPolicyError } from './retry-policy.js';
+import { budgetError } from './cost-tracking.js';
+import { mutateAndRespond } from './goals-store.js';
 
 export function createCondoHandlers(store, options = {}) {
   const { wsOps, logger, rpcCall } = options;
   function loadData() { return store.load(); }
-  function saveData(data) { store.save(data); }
 
   /**
    * Resolve GitHub config from store (global services).
@@ -52,7 +57,6 @@ export function createCondoHandlers(store, options = {}) {
           respond(false, undefined, { message: `Invalid autonomyMode. Must be one of: ${AUTONOMY_MODES.join(', ')}` });
           return;
         }
-        const data = loadData();
         const now = Date.now();
         const condoId = store.newId('condo');
         const condo = {
@@ -119,8 +123,8 @@ export function createCondoHandlers(store, options = {}) {
           }
         }
 
-        data.condos.unshift(condo);
-        saveData(data);
+        // Saved only now, after the awaited repo creation, so writes made meanwhile are kept
+        store.transaction(data => { data.condos.unshift(condo); });
         respond(true, { condo });
       } catch (err) {
         respond(false, undefined, { message: String(err) });
@@ -155,56 +159,72 @@ export function createCondoHandlers(store, options = {}) {
       }
     },
 
-    'condos.update': ({ params, respond }) => {
-      try {
-        const data = loadData();
-        const idx = data.condos.findIndex(c => c.id === params.id);
-        if (idx === -1) {
-          respond(false, undefined, { message: 'Condo not found' });
-          return;
-        }
-        const condo = data.condos[idx];
+    'condos.update': ({ params, respond }) => mutateAndRespond(store, respond, (data, fail) => {
+      const idx = data.condos.findIndex(c => c.id === params.id);
+      if (idx === -1) {
+        return fail({ message: 'Condo not found' });
+      }
+      const condo = data.condos[idx];
+      const conflict = revisionConflict('Condo', condo, params.expectedRevision);
+      if (conflict) {
+        return fail(conflict);
+      }
 
-        // Validate name if provided (match condos.create rigor)
-        if ('name' in params && (!params.name || typeof params.name !== 'string' || !params.name.trim())) {
-          respond(false, undefined, { message: 'name is required' });
-          return;
-        }
+      // Validate name if provided (match condos.create rigor)
+      if ('name' in params && (!params.name || typeof params.name !== 'string' || !params.name.trim())) {
+        return fail({ message: 'name is required' });
+      }
 
-        // Whitelist allowed patch fields (prevent overwriting internal fields)
-        // Validate autonomyMode if provided
-        if ('autonomyMode' in params && params.autonomyMode !== null && !AUTONOMY_MODES.includes(params.autonomyMode)) {
-          respond(false, undefined, { message: `Invalid autonomyMode. Must be one of: ${AUTONOMY_MODES.join(', ')}` });
-          return;
-        }
+      // Whitelist allowed patch fields (prevent overwriting internal fields)
+      // Validate autonomyMode if provided
+      if ('autonomyMode' in params && params.autonomyMode !== null && !AUTONOMY_MODES.includes(params.autonomyMode)) {
+        return fail({ message: `Invalid autonomyMode. Must be one of: ${AUTONOMY_MODES.join(', ')}` });
+      }
 
-        const allowed = ['name', 'description', 'color', 'keywords', 'telegramTopicIds', 'autonomyMode', 'services'];
-        for (const f of allowed) {
-          if (f in params) {
-            // Validate array fields
-            if ((f === 'keywords' || f === 'telegramTopicIds') && !Array.isArray(params[f])) continue;
-            condo[f] = params[f];
-          }
-        }
-        if (typeof condo.name === 'string') condo.name = condo.name.trim();
-        condo.updatedAtMs = Date.now();
+      if ('maxConcurrentTasks' in params && !isValidConcurrencyCap(params.maxConcurrentTasks)) {
+        return fail({ message: 'maxConcurrentTasks must be a positive integer or null' });
+      }
+      const policyError = 'retryPolicy' in params ? retryPolicyError(params.retryPolicy) : null;
+      if (policyError) {
+        return fail({ message: policyError });
+      }
+      const budgetProblem = 'budget' in params ? budgetError(params.budget) : null;
+      if (budgetProblem) {
+        return fail({ message: budgetProblem });
+      }
 
-        saveData(data);
-        respond(true, { condo });
-      } catch (err) {
-        respond(false, undefined, { message: String(err) });
+      const allowed = ['name', 'description', 'color', 'keywords', 'telegramTopicIds', 'autonomyMode', 'services', 'maxConcurrentTasks', 'retryPolicy', 'budget'];
+      for (const f of allowed) {
+        if (f in params) {
+          // Validate array fields
+          if ((f === 'keywords' || f === 'telegramTopicIds') && !Array.isArray(params[f])) continue;
+          condo[f] = params[f];
+        }
       }
-    },
+      if (typeof condo.name === 'string') condo.name = condo.name.trim();
+      // A new budget re-arms the budget_exceeded notification
+      if ('budget' in params) condo.budgetExceededAtMs = null;
+      condo.updatedAtMs = Date.now();
+
+      return { condo };
+    }),
 
     'condos.delete': async ({ params, respond }) => {
-      try {
-        const data = loadData();
-        const idx = data.condos.findIndex(c => c.id === params.id);
-        if (idx === -1) {
-          respond(false, undefined, { message: 'Condo not found' });
-          return;
+      // Trash the condo first, in one transaction with the revision check; the
+      // sessions are stopped afterwards so their agent_end writes find it gone
+      let killedSessions = null;
+      mutateAndRespond(store, (ok, payload, error) => {
+        if (!ok) respond(false, undefined, error);
+        else killedSessions = payload.killedSessions;
+      }, (data, fail) => {
+        const deletedCondo = data.condos.find(c => c.id === params.id);
+        if (!deletedCondo) {
+          return fail({ message: 'Condo not found' });
+        }
+        const conflict = revisionConflict('Condo', deletedCondo, params.expectedRevision);
+        if (conflict) {
+          return fail(conflict);
         }
-        const deletedCondo = data.condos[idx];
 
         // Collect ALL sessions associated with this condo (for abort + frontend cleanup)
         const allSessionKeys = new Set();
@@ -222,56 +242,22 @@ export function createCondoHandlers(store, options = {}) {
             if (task.sessionKey) allSessionKeys.add(task.sessionKey);
           }
         }
-        // Kill all running sessions (best-effort)
-        if (rpcCall) {
-          for (const sk of allSessionKeys) {
-            try { await rpcCall('sessions.delete', { sessionKey: sk }); } catch { /* may not exist */ }
-            try { await rpcCall('chat.abort', { sessionKey: sk }); } catch { /* best-effort */ }
-          }
-        }
 
-        // Remove workspace if it exists
-        if (wsOps && deletedCondo.workspace?.path) {
-          const rmResult = wsOps.removeCondoWorkspace(deletedCondo.workspace.path);
-          if (!rmResult.ok && logger) {
-            logger.error(`clawcondos-goals: workspace removal failed for condo ${params.id}: ${rmResult.error}`);
-          }
-        }
+        // Linked goals are preserved but detached from the deleted condo, and stale
+        // session links are cleared because those sessions are stopped below.
+        trashCondo(data, deletedCondo, [...allSessionKeys]);
+        return { killedSessions: [...allSessionKeys] };
+      });
+      if (!killedSessions) return;
 
-        // Preserve linked goals but detach them from the deleted condo.
-        // Also clear stale session links because those sessions were terminated above.
-        const linkedGoals = data.goals.filter(g => g.condoId === params.id);
-        for (const goal of linkedGoals) {
-          for (const [key, val] of Object.entries(data.sessionIndex || {})) {
-            if (val.goalId === goal.id) delete data.sessionIndex[key];
-          }
-          for (const task of goal.tasks || []) {
-            if (task.sessionKey) task.sessionKey = null;
-            if (task.status === 'in-progress') task.status = 'pending';
-          }
-          goal.sessions = [];
-          goal.pmSessionKey = null;
-          goal.condoId = null;
-          goal.updatedAtMs = Date.now();
-          // Remove detached goal worktree metadata; parent condo workspace is gone.
-          goal.worktree = null;
+      // Stop all running sessions (best-effort). Transcripts and the workspace are
+      // kept until the trash entry is purged so the condo can be restored.
+      if (rpcCall) {
+        for (const sk of killedSessions) {
+          try { await rpcCall('chat.abort', { sessionKey: sk }); } catch { /* best-effort */ }
         }
-        // Clean up sessionCondoIndex entries pointing to this condo
-        if (data.sessionCondoIndex) {
-          for (const [key, val] of Object.entries(data.sessionCondoIndex)) {
-            if (val === params.id) delete data.sessionCondoIndex[key];
-          }
-        }
-        // Clean up sessionIndex entries for this condo's PM session
-        if (deletedCondo.pmCondoSessionKey && data.sessionIndex) {
-          delete data.sessionIndex[deletedCondo.pmCondoSessionKey];
-        }
-        data.condos.splice(idx, 1);
-        saveData(data);
-        respond(true, { ok: true, killedSessions: [...allSessionKeys] });
-      } catch (err) {
-        respond(false, undefined, { message: String(err) });
       }
+      respond(true, { ok: true, killedSessions });
     },
   };
 }
@@ -1,3 +1,17 @@
+import { isOverdue } from './time-tracking.js';
+
+function formatDue(ms) {
+  return new Date(ms).toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+}
+
+// Compact schedule suffix: "due 2026-03-01 17:00 UTC (OVERDUE) · est 90m"
+function scheduleLabel(entity) {
+  const parts = [];
+  if (entity.dueAtMs) parts.push(`due ${formatDue(entity.dueAtMs)}${isOverdue(entity) ? ' (OVERDUE)' : ''}`);
+  if (entity.estimateMinutes) parts.push(`est ${entity.estimateMinutes}m`);
+  return parts.join(' · ');
+}
+
 export function buildGoalContext(goal, opts = {}) {
   if (!goal) return null;
   const { currentSessionKey } = opts;
@@ -7,10 +21,12 @@ export function buildGoalContext(goal, opts = {}) {
     `# ${goal.title}`,
   ];
 
-  // Compact meta line: P0 · Deadline: 2026-02-15
+  // Compact meta line: P0 · Deadline: 2026-02-15 · Due 2026-02-15 17:00 UTC · est 240m
   const meta = [];
   if (goal.priority) meta.push(goal.priority);
   if (goal.deadline) meta.push(`Deadline: ${goal.deadline}`);
+  const goalSchedule = scheduleLabel(goal);
+  if (goalSchedule) meta.push(goalSchedule.charAt(0).toUpperCase() + goalSchedule.slice(1));
   if (meta.length) lines.push(meta.join(' · '));
 
   if (goal.worktree?.path) {
@@ -33,7 +49,8 @@ export function buildGoalContext(goal, opts = {}) {
       } else if (!isDone) {
         suffix = ' — unassigned';
       }
-      lines.push(`- [${status}] ${t.text} [${t.id}]${suffix}`);
+      const taskSchedule = isDone ? '' : scheduleLabel(t);
+      lines.push(`- [${status}] ${t.text} [${t.id}]${taskSchedule ? ` (${taskSchedule})` : ''}${suffix}`);
       if (isDone && t.summary) {
         lines.push(`  > ${t.summary}`);
       }
@@ -0,0 +1,279 @@
+/**
+ * Cost Tracking - token/cost usage per task, goal and condo, and budgets.
+ *
+ * Usage is read from agent_end events (per-message `usage` on assistant
+ * messages, or a run-level `event.usage`) and added to the session's task,
+ * its goal and the goal's condo, so each level holds its own rolled-up total.
+ * Goal PM sessions count towards the goal, condo PM sessions towards the condo.
+ *
+ * A `budget` ({ maxCostUsd?, maxTokens? }) on a goal or condo pauses kickoff
+ * once usage reaches it, and raises one `budget_exceeded` notification.
+ */
+
+import { createNotification } from './notification-manager.js';
+
+const USAGE_FIELDS = ['inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens', 'totalTokens', 'costUsd'];
+
+/**
+ * Empty usage record.
+ * @returns {object}
+ */
+export function emptyUsage() {
+  return { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, totalTokens: 0, costUsd: 0, runs: 0, updatedAtMs: null };
+}
+
+function num(...values) {
+  for (const v of values) {
+    if (typeof v === 'number' && Number.isFinite(v) && v >= 0) return v;
+  }
+  return 0;
+}
+
+/**
+ * Normalize one usage object from the gateway or a provider
+ * (OpenClaw `input`/`output`/`cacheRead`/`cacheWrite`/`cost.total`,
+ * Anthropic `input_tokens`/`output_tokens`, OpenAI `prompt_tokens`/`completion_tokens`).
+ * @param {object} raw
+ * @returns {object|null} Usage fields, or null when nothing was reported
+ */
+export function normalizeUsage(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const inputTokens = num(raw.inputTokens, raw.input, raw.input_tokens, raw.prompt_tokens);
+  const outputTokens = num(raw.outputTokens, raw.output, raw.output_tokens, raw.completion_tokens);
+  const cacheReadTokens = num(raw.cacheReadTokens, raw.cacheRead, raw.cache_read_input_tokens);
+  const cacheWriteTokens = num(raw.cacheWriteTokens, raw.cacheWrite, raw.cache_creation_input_tokens);
+  const totalTokens = num(raw.totalTokens, raw.total_tokens, raw.total)
+    || inputTokens + outputTokens + cacheReadTokens + cacheWriteTokens;
+  const costUsd = num(raw.costUsd, raw.cost?.total, raw.cost);
+  if (!totalTokens && !costUsd) return null;
+  return { inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens, totalTokens, costUsd };
+}
+
+/**
+ * Usage of the run that just ended.
+ * Prefers a run-level `event.usage`; otherwise sums assistant messages newer
+ * than `sinceTs` (or, without timestamps, those after the last user message)
+ * so history replayed in later runs is not counted twice.
+ * @param {object} event - agent_end event
+ * @param {number} [sinceTs] - Timestamp of the newest message already counted
+ * @returns {object|null} Usage plus `lastTs`, or null when nothing was reported
+ */
+export function extractRunUsage(event, sinceTs = 0) {
+  const messages = Array.isArray(event?.messages) ? event.messages : [];
+  const lastTs = messages.reduce((max, m) => (typeof m?.timestamp === 'number' && m.timestamp > max ? m.timestamp : max), 0) || null;
+
+  const direct = normalizeUsage(event?.usage);
+  if (direct) return { ...direct, lastTs };
+
+  let run = messages;
+  if (messages.some(m => typeof m?.timestamp === 'number')) {
+    run = messages.filter(m => typeof m?.timestamp === 'number' && m.timestamp > sinceTs);
+  } else {
+    const lastUser = messages.map(m => m?.role).lastIndexOf('user');
+    run = messages.slice(lastUser + 1);
+  }
+
+  let total = null;
+  for (const message of run) {
+    if (message?.role !== 'assistant') continue;
+    const usage = normalizeUsage(message.usage);
+    if (!usage) continue;
+    total = total || Object.fromEntries(USAGE_FIELDS.map(f => [f, 0]));
+    for (const f of USAGE_FIELDS) total[f] += usage[f];
+  }
+  return total ? { ...total, lastTs } : null;
+}
+
+/**
+ * Add a run's usage to an entity's `usage` record.
+ * @param {object} entity - Task, goal or condo (mutated)
+ * @param {object} usage
+ */
+export function addUsage(entity, usage, now = Date.now()) {
+  const current = { ...emptyUsage(), ...(entity.usage || {}) };
+  for (const f of USAGE_FIELDS) current[f] += usage[f] || 0;
+  current.costUsd = Math.round(current.costUsd * 1e6) / 1e6;
+  current.runs += 1;
+  current.updatedAtMs = now;
+  entity.usage = current;
+}
+
+/**
+ * Validate a budget; null clears it.
+ * @param {*} budget
+ * @returns {string|null} Error message, or null when valid
+ */
+export function budgetError(budget) {
+  if (budget === null) return null;
+  if (typeof budget !== 'object' || Array.isArray(budget)) return 'budget must be an object or null';
+  for (const key of Object.keys(budget)) {
+    if (key !== 'maxCostUsd' && key !== 'maxTokens') return `Unknown budget field: ${key}`;
+  }
+  if ('maxCostUsd' in budget && budget.maxCostUsd !== null
+    && !(typeof budget.maxCostUsd === 'number' && Number.isFinite(budget.maxCostUsd) && budget.maxCostUsd > 0)) {
+    return 'budget.maxCostUsd must be a positive number';
+  }
+  if ('maxTokens' in budget && budget.maxTokens !== null
+    && !(Number.isInteger(budget.maxTokens) && budget.maxTokens > 0)) {
+    return 'budget.maxTokens must be a positive integer';
+  }
+  return null;
+}
+
+/**
+ * Usage against budget for a goal or condo.
+ * @param {object} entity
+ * @returns {{ costUsd: number, totalTokens: number, maxCostUsd: number|null, maxTokens: number|null, exceeded: boolean, reason: string|null }}
+ */
+export function budgetStatus(entity) {
+  const usage = entity?.usage || emptyUsage();
+  const maxCostUsd = entity?.budget?.maxCostUsd ?? null;
+  const maxTokens = entity?.budget?.maxTokens ?? null;
+  let reason = null;
+  if (maxCostUsd != null && usage.costUsd >= maxCostUsd) {
+    reason = `cost $${usage.costUsd.toFixed(2)} of $${maxCostUsd.toFixed(2)}`;
+  } else if (maxTokens != null && usage.totalTokens >= maxTokens) {
+    reason = `${usage.totalTokens} of ${maxTokens} tokens`;
+  }
+  return { costUsd: usage.costUsd, totalTokens: usage.totalTokens, maxCostUsd, maxTokens, exceeded: reason !== null, reason };
+}
+
+/**
+ * Why kickoff of a goal is paused by a budget, or null when it may proceed.
+ * @param {object} data - Store data
+ * @param {object} goal
+ * @returns {{ scope: 'goal'|'condo', id: string, message: string }|null}
+ */
+export function kickoffBudgetBlock(data, goal) {
+  const goalStatus = budgetStatus(goal);
+  if (goalStatus.exceeded) {
+    return { scope: 'goal', id: goal.id, message: `Goal budget exceeded (${goalStatus.reason})` };
+  }
+  const condo = goal.condoId ? (data.condos || []).find(c => c.id === goal.condoId) : null;
+  const condoStatus = condo ? budgetStatus(condo) : null;
+  if (condoStatus?.exceeded) {
+    return { scope: 'condo', id: condo.id, message: `Condo budget exceeded (${condoStatus.reason})` };
+  }
+  return null;
+}
+
+/**
+ * Find where a session's usage is booked.
+ * @returns {{ task: object|null, goal: object|null, condo: object|null }|null}
+ */
+function findUsageOwner(data, sessionKey) {
+  let goal = null;
+  const entry = data.sessionIndex?.[sessionKey];
+  if (entry) goal = data.goals.find(g => g.id === entry.goalId) || null;
+  if (!goal) goal = data.goals.find(g => g.pmSessionKey === sessionKey) || null;
+
+  if (goal) {
+    const task = (goal.tasks || []).find(t => t.sessionKey === sessionKey
+      || (t.attempts || []).some(a => a.sessionKey === sessionKey)) || null;
+    const condo = goal.condoId ? data.condos.find(c => c.id === goal.condoId) || null : null;
+    return { task, goal, condo };
+  }
+
+  const condoId = data.sessionCondoIndex?.[sessionKey];
+  const condo = data.condos.find(c => c.pmCondoSessionKey === sessionKey)
+    || (condoId ? data.condos.find(c => c.id === condoId) : null);
+  return condo ? { task: null, goal: null, condo } : null;
+}
+
+/**
+ * Book the usage of a finished run and notify about newly exceeded budgets.
+ * @param {object} store - Goals store instance
+ * @param {string} sessionKey
+ * @param {object} event - agent_end event
+ * @returns {{ usage: object, exceeded: object[] }|null} Null when the session is untracked or reported no usage
+ */
+export function recordSessionUsage(store, sessionKey, event) {
+  if (!findUsageOwner(store.load(), sessionKey)) return null;
+
+  const booked = store.transaction(data => {
+    const owner = findUsageOwner(data, sessionKey);
+    if (!owner) return null;
+
+    // Per-session watermark lives on the goal (task + goal PM sessions) or condo (condo sessions)
+    const holder = owner.goal || owner.condo;
+    const sinceTs = holder.usageWatermarks?.[sessionKey] || 0;
+    const usage = extractRunUsage(event, sinceTs);
+    if (!usage) return null;
+
+    const now = Date.now();
+    if (usage.lastTs) holder.usageWatermarks = { ...(holder.usageWatermarks || {}), [sessionKey]: usage.lastTs };
+    for (const entity of [owner.task, owner.goal, owner.condo]) {
+      if (entity) addUsage(entity, usage, now);
+    }
+
+    const exceeded = [];
+    for (const [kind, entity] of [['goal', owner.goal], ['condo', owner.condo]]) {
+      if (!entity || entity.budgetExceededAtMs) continue;
+      const status = budgetStatus(entity);
+      if (status.exceeded) {
+        entity.budgetExceededAtMs = now;
+        exceeded.push({ kind, id: entity.id, name: entity.title || entity.name || entity.id, reason: status.reason });
+      }
+    }
+    return { usage, exceeded };
+  });
+  if (!booked) return null;
+
+  for (const e of booked.exceeded) {
+    createNotification(store, {
+      type: 'budget_exceeded',
+      goalId: e.kind === 'goal' ? e.id : null,
+      sessionKey,
+      title: `Budget exceeded: ${e.name}`,
+      detail: `${e.kind === 'goal' ? 'Goal' : 'Condo'} used ${e.reason}. Kickoff is paused until the budget is raised.`,
+    });
+  }
+  return booked;
+}
+
+/**
+ * Create usage RPC handlers.
+ * @param {object} store - Goals store instance
+ * @returns {object} Map of method names to handlers
+ */
+export function createCostHandlers(store) {
+  return {
+    'goals.usage': ({ params, respond }) => {
+      const { goalId } = params || {};
+      if (!goalId) return respond(false, undefined, { message: 'goalId is required' });
+      try {
+        const goal = store.load().goals.find(g => g.id === goalId);
+        if (!goal) return respond(false, undefined, { message: 'Goal not found' });
+        respond(true, {
+          usage: goal.usage || emptyUsage(),
+          budget: budgetStatus(goal),
+          tasks: (goal.tasks || []).map(t => ({ id: t.id, text: t.text, usage: t.usage || emptyUsage() })),
+        });
+      } catch (err) {
+        respond(false, undefined, { message: String(err) });
+      }
+    },
+
+    'condos.usage': ({ params, respond }) => {
+      const { condoId } = params || {};
+      if (!condoId) return respond(false, undefined, { message: 'condoId is required' });
+      try {
+        const data = store.load();
+        const condo = data.condos.find(c => c.id === condoId);
+        if (!condo) return respond(false, undefined, { message: 'Condo not found' });
+        respond(true, {
+          usage: condo.usage || emptyUsage(),
+          budget: budgetStatus(condo),
+          goals: data.goals.filter(g => g.condoId === condoId).map(g => ({
+            id: g.id,
+            title: g.title,
+            usage: g.usage || emptyUsage(),
+            budget: budgetStatus(g),
+          })),
+        });
+      } catch (err) {
+        respond(false, undefined, { message: String(err) });
+      }
+    },
+  };
+}
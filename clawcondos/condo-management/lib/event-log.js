@@ -0,0 +1,222 @@
+/**
+ * Event Log - durable, append-only bus for goal.* events (and plan approvals).
+ *
+ * The plugin (inside the gateway process) appends events; serve.js tails the
+ * log, runs its own consumers and relays events to browsers. Each event gets a
+ * sequence number, so readers resume from the last one they saw and detect gaps
+ * left by retention.
+ *
+ * Files in the data dir:
+ *   events.jsonl          one { seq, ts, event, payload } per line
+ *   events.seq            last assigned sequence number (survives compaction)
+ *   events.cursors.json   { [consumer]: seq } for durable server-side consumers
+ *   events.lock           cross-process writer lock (holds the writer's pid)
+ *
+ * Retention keeps the newest `maxEvents` events and drops events older than
+ * `maxAgeMs`; the log is compacted every COMPACT_EVERY appends.
+ */
+
+import { existsSync, readFileSync, writeFileSync, writeSync, appendFileSync, mkdirSync, renameSync, openSync, closeSync, unlinkSync, statSync } from 'fs';
+import { join } from 'path';
+
+export const DEFAULT_EVENT_RETENTION = Object.freeze({
+  maxEvents: 1000,
+  maxAgeMs: 7 * 24 * 60 * 60 * 1000,
+});
+
+const COMPACT_EVERY = 50;
+// Writers hold the lock for a few ms. A lock older than LOCK_STALE_MS is
+// abandoned, and waiters give up only after it would have been broken.
+const LOCK_STALE_MS = 2000;
+const LOCK_TIMEOUT_MS = LOCK_STALE_MS + 3000;
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+function sleepSync(ms) {
+  Atomics.wait(sleeper, 0, 0, ms);
+}
+
+/**
+ * @param {string} dataDir - Directory shared by the plugin and serve.js
+ * @param {object} [options]
+ * @param {number} [options.maxEvents]
+ * @param {number} [options.maxAgeMs]
+ * @param {object} [options.logger]
+ */
+export function createEventLog(dataDir, options = {}) {
+  const log = options.logger || console;
+  const retention = {
+    maxEvents: options.maxEvents ?? DEFAULT_EVENT_RETENTION.maxEvents,
+    maxAgeMs: options.maxAgeMs ?? DEFAULT_EVENT_RETENTION.maxAgeMs,
+  };
+  const filePath = join(dataDir, 'events.jsonl');
+  const seqPath = join(dataDir, 'events.seq');
+  const cursorsPath = join(dataDir, 'events.cursors.json');
+  const lockPath = join(dataDir, 'events.lock');
+  let appendsSinceCompact = 0;
+
+  function ensureDir() {
+    if (!existsSync(dataDir)) mkdirSync(dataDir, { recursive: true });
+  }
+
+  // A lock whose writer process has exited, or that outlived LOCK_STALE_MS
+  function lockAbandoned() {
+    const pid = parseInt(readFileSync(lockPath, 'utf-8'), 10);
+    if (pid > 0 && pid !== process.pid) {
+      try {
+        process.kill(pid, 0);
+      } catch (err) {
+        if (err.code === 'ESRCH') return true;
+      }
+    }
+    return Date.now() - statSync(lockPath).mtimeMs > LOCK_STALE_MS;
+  }
+
+  // Exclusive lock file; a lock left behind by a crashed writer is broken right
+  // away when its pid is gone, otherwise once it is stale
+  function withLock(fn) {
+    ensureDir();
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    let fd;
+    for (;;) {
+      try {
+        fd = openSync(lockPath, 'wx');
+        writeSync(fd, String(process.pid));
+        break;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+        try {
+          if (lockAbandoned()) unlinkSync(lockPath);
+        } catch { /* released meanwhile */ }
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the event log lock');
+        sleepSync(5);
+      }
+    }
+    try {
+      return fn();
+    } finally {
+      closeSync(fd);
+      try { unlinkSync(lockPath); } catch { /* already gone */ }
+    }
+  }
+
+  function lastSeq() {
+    try {
+      const seq = parseInt(readFileSync(seqPath, 'utf-8'), 10);
+      return Number.isInteger(seq) && seq > 0 ? seq : 0;
+    } catch {
+      return 0;
+    }
+  }
+
+  // A torn trailing line (write in progress) is skipped; it is read on the next pass
+  function readAll() {
+    if (!existsSync(filePath)) return [];
+    const events = [];
+    for (const line of readFileSync(filePath, 'utf-8').split('\n')) {
+      if (!line) continue;
+      try {
+        const evt = JSON.parse(line);
+        if (Number.isInteger(evt?.seq)) events.push(evt);
+      } catch { /* partial line */ }
+    }
+    return events;
+  }
+
+  function retained(events, now = Date.now()) {
+    const fresh = events.filter(e => now - e.ts <= retention.maxAgeMs);
+    return fresh.slice(-retention.maxEvents);
+  }
+
+  function writeAtomic(path, content) {
+    const tmp = path + '.tmp';
+    writeFileSync(tmp, content, 'utf-8');
+    renameSync(tmp, path);
+  }
+
+  /**
+   * Rewrite the log without events past retention.
+   * @returns {number} Events removed
+   */
+  function compact() {
+    return withLock(() => {
+      const events = readAll();
+      const keep = retained(events);
+      appendsSinceCompact = 0;
+      if (keep.length === events.length) return 0;
+      writeAtomic(filePath, keep.map(e => JSON.stringify(e) + '\n').join(''));
+      return events.length - keep.length;
+    });
+  }
+
+  /**
+   * Append an event.
+   * @param {string} event - Event name, e.g. 'goal.kickoff'
+   * @param {object} payload
+   * @returns {{ seq: number, ts: number, event: string, payload: object }}
+   */
+  function append(event, payload) {
+    const record = withLock(() => {
+      const entry = { seq: lastSeq() + 1, ts: Date.now(), event, payload };
+      appendFileSync(filePath, JSON.stringify(entry) + '\n', 'utf-8');
+      writeAtomic(seqPath, String(entry.seq));
+      return entry;
+    });
+    if (++appendsSinceCompact >= COMPACT_EVERY) {
+      try { compact(); } catch (err) {
+        log.error(`[event-log] Compaction failed: ${err.message}`);
+      }
+    }
+    return record;
+  }
+
+  /**
+   * Events after `seq`, oldest first. `gap` is true when events the reader has
+   * not seen were dropped by retention (or the log was reset), so it should
+   * reload state instead of relying on the events alone.
+   * @param {number} seq - Last sequence number the reader has seen (0 for all)
+   * @param {{ limit?: number }} [opts]
+   * @returns {{ events: object[], lastSeq: number, gap: boolean }}
+   */
+  function readSince(seq, opts = {}) {
+    const all = readAll();
+    const latest = Math.max(lastSeq(), all.length ? all[all.length - 1].seq : 0);
+    const since = seq > latest ? 0 : seq; // log was reset
+    const firstSeq = all.length ? all[0].seq : latest + 1;
+    let events = all.filter(e => e.seq > since);
+    if (opts.limit) events = events.slice(0, opts.limit);
+    return { events, lastSeq: latest, gap: seq > latest || since < firstSeq - 1 };
+  }
+
+  function readCursors() {
+    try {
+      const cursors = JSON.parse(readFileSync(cursorsPath, 'utf-8'));
+      return cursors && typeof cursors === 'object' ? cursors : {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Last sequence number a durable consumer has processed.
+   * @param {string} name
+   * @returns {number|null} null when the consumer has never committed
+   */
+  function getCursor(name) {
+    const seq = readCursors()[name];
+    return Number.isInteger(seq) ? seq : null;
+  }
+
+  /**
+   * @param {string} name
+   * @param {number} seq
+   */
+  function setCursor(name, seq) {
+    withLock(() => {
+      const cursors = readCursors();
+      cursors[name] = seq;
+      writeAtomic(cursorsPath, JSON.stringify(cursors));
+    });
+  }
+
+  return { filePath, append, readSince, lastSeq, compact, getCursor, setCursor };
+}
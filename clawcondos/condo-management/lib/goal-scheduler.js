@@ -0,0 +1,463 @@
+/**
+ * Goal Scheduler - create goals from templates on cron schedules.
+ *
+ * A schedule (`data.schedules[]`) pairs a five-field cron expression with a goal
+ * template (title, description, tasks, condo, autonomy mode, priority). When a
+ * schedule is due the plugin creates the goal through the regular goals.create /
+ * goals.addTask handlers and, with `autoKickoff`, starts it like goals.kickoff.
+ * Cron expressions use the server's local time; `{{date}}` in the template title
+ * expands to the run date (YYYY-MM-DD).
+ */
+
+import { AUTONOMY_MODES } from './autonomy.js';
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+};
+
+// Give up looking for a next run after this long (e.g. "0 0 30 2 *" never fires)
+const MAX_LOOKAHEAD_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+const SCHEDULE_FIELDS = ['name', 'cron', 'enabled', 'autoKickoff', 'template'];
+
+function parseCronValue(text, field) {
+  const lower = text.toLowerCase();
+  const named = field.names ? field.names.indexOf(lower) : -1;
+  if (named !== -1) return named + (field.min === 1 ? 1 : 0);
+  if (!/^\d+$/.test(text)) throw new Error(`Invalid ${field.name} value "${text}"`);
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} value ${value} out of range ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+function parseCronField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${field.name} "${part}"`);
+    let from, to;
+    if (range === '*') {
+      from = field.min;
+      to = field.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      from = parseCronValue(a, field);
+      to = parseCronValue(b, field);
+      if (from > to) throw new Error(`Invalid range in ${field.name} "${range}"`);
+    } else {
+      from = parseCronValue(range, field);
+      to = stepText === undefined ? from : field.max;
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return { values, restricted: !text.startsWith('*') };
+}
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week)
+ * or a macro such as @daily. Supports `*`, lists, ranges, steps and month/day names.
+ * @param {string} expr
+ * @returns {{ minute: object, hour: object, dayOfMonth: object, month: object, dayOfWeek: object }}
+ * @throws {Error} When the expression is invalid
+ */
+export function parseCron(expr) {
+  if (typeof expr !== 'string' || !expr.trim()) throw new Error('cron expression is required');
+  const normalized = CRON_MACROS[expr.trim().toLowerCase()] || expr.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`cron expression must have 5 fields, got ${parts.length}`);
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((p, i) => parseCronField(p, CRON_FIELDS[i]));
+  // Both 0 and 7 mean Sunday
+  if (dayOfWeek.values.has(7)) dayOfWeek.values.add(0);
+  return { minute, hour, dayOfMonth, month, dayOfWeek };
+}
+
+/**
+ * Next time a cron expression fires strictly after `afterMs` (local time).
+ * As in cron, when both day fields are restricted a day matching either one fires.
+ * @param {string} expr
+ * @param {number} [afterMs]
+ * @returns {number|null} Epoch ms, or null when it never fires within five years
+ */
+export function nextCronRun(expr, afterMs = Date.now()) {
+  const cron = parseCron(expr);
+  const d = new Date(afterMs);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+
+  const dayMatches = () => {
+    const dom = cron.dayOfMonth.values.has(d.getDate());
+    const dow = cron.dayOfWeek.values.has(d.getDay());
+    if (cron.dayOfMonth.restricted && cron.dayOfWeek.restricted) return dom || dow;
+    return dom && dow;
+  };
+
+  while (d.getTime() - afterMs <= MAX_LOOKAHEAD_MS) {
+    if (!cron.month.values.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!dayMatches()) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.values.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.values.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+    } else {
+      return d.getTime();
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a goal template.
+ * @param {*} template
+ * @param {object} data - Store data (to check condoId)
+ * @returns {string|null} Error message, or null when valid
+ */
+export function templateError(template, data) {
+  if (!template || typeof template !== 'object' || Array.isArray(template)) return 'template must be an object';
+  if (typeof template.title !== 'string' || !template.title.trim()) return 'template.title is required';
+  if (template.description != null && typeof template.description !== 'string') return 'template.description must be a string';
+  if (template.condoId != null && !data.condos.some(c => c.id === template.condoId)) {
+    return `Condo ${template.condoId} not found`;
+  }
+  if (template.autonomyMode != null && !AUTONOMY_MODES.includes(template.autonomyMode)) {
+    return `Invalid template.autonomyMode. Must be one of: ${AUTONOMY_MODES.join(', ')}`;
+  }
+  if (template.tasks != null && !Array.isArray(template.tasks)) return 'template.tasks must be an array';
+  for (const [i, task] of (template.tasks || []).entries()) {
+    if (!task || typeof task.text !== 'string' || !task.text.trim()) return `template.tasks[${i}].text is required`;
+    if (task.dependsOn != null && (!Array.isArray(task.dependsOn)
+      || !task.dependsOn.every(d => Number.isInteger(d) && d >= 0 && d < i))) {
+      return `template.tasks[${i}].dependsOn must list indexes of earlier tasks`;
+    }
+  }
+  return null;
+}
+
+function scheduleError(schedule, data) {
+  if (schedule.name != null && typeof schedule.name !== 'string') return 'name must be a string';
+  if (schedule.enabled != null && typeof schedule.enabled !== 'boolean') return 'enabled must be a boolean';
+  if (schedule.autoKickoff != null && typeof schedule.autoKickoff !== 'boolean') return 'autoKickoff must be a boolean';
+  try {
+    parseCron(schedule.cron);
+  } catch (err) {
+    return `Invalid cron: ${err.message}`;
+  }
+  return templateError(schedule.template, data);
+}
+
+function formatDate(ms) {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Call a ({params, respond}) handler and resolve with its payload
+function callHandler(handlers, method, params) {
+  return new Promise((resolve, reject) => {
+    Promise.resolve(handlers[method]({
+      params,
+      respond: (ok, payload, error) => (ok
+        ? resolve(payload)
+        : reject(new Error(error?.message || error || `${method} failed`))),
+    })).catch(reject);
+  });
+}
+
+/**
+ * Create the goal for one run of a schedule and record the outcome on it.
+ * @param {object} store - Goals store instance
+ * @param {object} schedule
+ * @param {object} options - { goalHandlers, kickoff?, logger? }
+ * @param {number} [now]
+ * @returns {Promise<{ goal: object, kickoff: object|null }>}
+ */
+async function runSchedule(store, schedule, options, now = Date.now()) {
+  const { goalHandlers, kickoff, logger } = options;
+  const template = schedule.template;
+  let goal = null;
+  let kickoffResult = null;
+  let runError = null;
+
+  try {
+    ({ goal } = await callHandler(goalHandlers, 'goals.create', {
+      title: template.title.trim().replace(/\{\{\s*date\s*\}\}/g, formatDate(now)),
+      description: template.description || '',
+      condoId: template.condoId || null,
+      autonomyMode: template.autonomyMode || null,
+      priority: template.priority || null,
+    }));
+
+    const taskIds = [];
+    for (const t of template.tasks || []) {
+      const { task } = await callHandler(goalHandlers, 'goals.addTask', {
+        goalId: goal.id,
+        text: t.text,
+        description: t.description || '',
+        assignedAgent: t.assignedAgent || null,
+        model: t.model || null,
+        dependsOn: (t.dependsOn || []).map(i => taskIds[i]),
+        ...(t.estimateMinutes != null ? { estimateMinutes: t.estimateMinutes } : {}),
+      });
+      taskIds.push(task.id);
+    }
+
+    const data = store.load();
+    const stored = data.goals.find(g => g.id === goal.id);
+    if (stored) {
+      stored.scheduleId = schedule.id;
+      store.save(data);
+      goal = stored;
+    }
+
+    if (schedule.autoKickoff && kickoff && taskIds.length > 0) {
+      kickoffResult = await kickoff(goal.id);
+    }
+  } catch (err) {
+    runError = err;
+    logger?.error?.(`clawcondos-goals: schedule ${schedule.id} run failed: ${err.message}`);
+  }
+
+  const data = store.load();
+  const record = (data.schedules || []).find(s => s.id === schedule.id);
+  if (record) {
+    record.lastRunAtMs = now;
+    record.lastGoalId = goal?.id || record.lastGoalId || null;
+    record.lastError = runError ? runError.message : null;
+    record.runCount = (record.runCount || 0) + (goal ? 1 : 0);
+    store.save(data);
+  }
+  if (runError) throw runError;
+  return { goal, kickoff: kickoffResult };
+}
+
+/**
+ * Run every enabled schedule whose nextRunAtMs has passed. Missed runs (e.g.
+ * while the gateway was down) collapse into a single run.
+ * @param {object} store - Goals store instance
+ * @param {object} options - { goalHandlers, kickoff?, logger? }
+ * @param {number} [now]
+ * @returns {Promise<Array<{ scheduleId: string, goalId: string|null, error: string|null }>>}
+ */
+export async function runDueSchedules(store, options, now = Date.now()) {
+  // Claim due runs first by advancing nextRunAtMs, so an overlapping tick cannot repeat them
+  const data = store.load();
+  const due = (data.schedules || []).filter(s => s.enabled !== false && s.nextRunAtMs && s.nextRunAtMs <= now);
+  if (due.length === 0) return [];
+  for (const schedule of due) {
+    schedule.nextRunAtMs = nextCronRun(schedule.cron, now);
+  }
+  store.save(data);
+
+  const results = [];
+  for (const schedule of due) {
+    try {
+      const { goal } = await runSchedule(store, schedule, options, now);
+      results.push({ scheduleId: schedule.id, goalId: goal.id, error: null });
+    } catch (err) {
+      results.push({ scheduleId: schedule.id, goalId: null, error: err.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Create schedules.* RPC handlers.
+ * @param {object} store - Goals store instance
+ * @param {object} options
+ * @param {object} options.goalHandlers - Handlers from createGoalHandlers (used to create goals and tasks)
+ * @param {Function} [options.kickoff] - async (goalId) => kickoff result, for autoKickoff
+ * @param {object} [options.logger]
+ * @returns {object} Map of method names to handlers
+ */
+export function createScheduleHandlers(store, options = {}) {
+  const handlers = {};
+
+  /**
+   * schedules.list - All schedules, soonest next run first
+   * Response: { schedules: object[] }
+   */
+  handlers['schedules.list'] = ({ respond }) => {
+    try {
+      const schedules = [...(store.load().schedules || [])]
+        .sort((a, b) => (a.nextRunAtMs || Infinity) - (b.nextRunAtMs || Infinity));
+      respond(true, { schedules });
+    } catch (err) {
+      respond(false, undefined, { message: String(err) });
+    }
+  };
+
+  /**
+   * schedules.get - One schedule
+   * Params: { id: string }
+   * Response: { schedule }
+   */
+  handlers['schedules.get'] = ({ params, respond }) => {
+    try {
+      const schedule = (store.load().schedules || []).find(s => s.id === params?.id);
+      if (!schedule) {
+        respond(false, undefined, { message: 'Schedule not found' });
+        return;
+      }
+      respond(true, { schedule });
+    } catch (err) {
+      respond(false, undefined, { message: String(err) });
+    }
+  };
+
+  /**
+   * schedules.create - Add a schedule
+   * Params: { cron: string, template: object, name?: string, enabled?: boolean, autoKickoff?: boolean }
+   * Response: { schedule }
+   */
+  handlers['schedules.create'] = ({ params, respond }) => {
+    try {
+      const data = store.load();
+      const input = { enabled: true, autoKickoff: false, ...(params || {}) };
+      const error = scheduleError(input, data);
+      if (error) {
+        respond(false, undefined, { message: error });
+        return;
+      }
+      const now = Date.now();
+      const schedule = {
+        id: store.newId('sched'),
+        name: (input.name || '').trim() || input.template.title.trim(),
+        cron: input.cron.trim(),
+        enabled: input.enabled,
+        autoKickoff: input.autoKickoff,
+        template: input.template,
+        nextRunAtMs: input.enabled ? nextCronRun(input.cron, now) : null,
+        lastRunAtMs: null,
+        lastGoalId: null,
+        lastError: null,
+        runCount: 0,
+        createdAtMs: now,
+        updatedAtMs: now,
+      };
+      if (!Array.isArray(data.schedules)) data.schedules = [];
+      data.schedules.push(schedule);
+      store.save(data);
+      respond(true, { schedule });
+    } catch (err) {
+      respond(false, undefined, { message: String(err) });
+    }
+  };
+
+  /**
+   * schedules.update - Edit a schedule; changing cron or enabling it recomputes the next run
+   * Params: { id: string, name?, cron?, enabled?, autoKickoff?, template? }
+   * Response: { schedule }
+   */
+  handlers['schedules.update'] = ({ params, respond }) => {
+    try {
+      const data = store.load();
+      const schedule = (data.schedules || []).find(s => s.id === params?.id);
+      if (!schedule) {
+        respond(false, undefined, { message: 'Schedule not found' });
+        return;
+      }
+      const patch = {};
+      for (const f of SCHEDULE_FIELDS) {
+        if (f in params) patch[f] = params[f];
+      }
+      const error = scheduleError({ ...schedule, ...patch }, data);
+      if (error) {
+        respond(false, undefined, { message: error });
+        return;
+      }
+      Object.assign(schedule, patch);
+      if (typeof schedule.cron === 'string') schedule.cron = schedule.cron.trim();
+      if ('cron' in patch || 'enabled' in patch) {
+        schedule.nextRunAtMs = schedule.enabled ? nextCronRun(schedule.cron) : null;
+      }
+      schedule.updatedAtMs = Date.now();
+      store.save(data);
+      respond(true, { schedule });
+    } catch (err) {
+      respond(false, undefined, { message: String(err) });
+    }
+  };
+
+  /**
+   * schedules.delete - Remove a schedule (goals it created are kept)
+   * Params: { id: string }
+   * Response: { ok: true }
+   */
+  handlers['schedules.delete'] = ({ params, respond }) => {
+    try {
+      const data = store.load();
+      const idx = (data.schedules || []).findIndex(s => s.id === params?.id);
+      if (idx === -1) {
+        respond(false, undefined, { message: 'Schedule not found' });
+        return;
+      }
+      data.schedules.splice(idx, 1);
+      store.save(data);
+      respond(true, { ok: true });
+    } catch (err) {
+      respond(false, undefined, { message: String(err) });
+    }
+  };
+
+  /**
+   * schedules.runNow - Create the schedule's goal immediately (does not move nextRunAtMs)
+   * Params: { id: string }
+   * Response: { goal, kickoff }
+   */
+  handlers['schedules.runNow'] = async ({ params, respond }) => {
+    try {
+      const schedule = (store.load().schedules || []).find(s => s.id === params?.id);
+      if (!schedule) {
+        respond(false, undefined, { message: 'Schedule not found' });
+        return;
+      }
+      respond(true, await runSchedule(store, schedule, options));
+    } catch (err) {
+      respond(false, undefined, { message: err.message || String(err) });
+    }
+  };
+
+  /**
+   * schedules.preview - Next run times of a cron expression
+   * Params: { cron: string, count?: number }
+   * Response: { runs: number[] }
+   */
+  handlers['schedules.preview'] = ({ params, respond }) => {
+    try {
+      const count = Math.min(Math.max(Number(params?.count) || 5, 1), 20);
+      parseCron(params?.cron);
+      const runs = [];
+      let after = Date.now();
+      while (runs.length < count) {
+        const next = nextCronRun(params.cron, after);
+        if (next === null) break;
+        runs.push(next);
+        after = next;
+      }
+      respond(true, { runs });
+    } catch (err) {
+      respond(false, undefined, { message: `Invalid cron: ${err.message}` });
+    }
+  };
+
+  return handlers;
+}
@@ -1,9 +1,15 @@
 import { pushBranch } from './github.js';
+import { revisionConflict } from './revisions.js';
+import { trashGoal } from './trash.js';
+import { dependencyError, buildDependencyGraph, isValidConcurrencyCap } from './task-graph.js';
+import { retryPolicyError } from './retry-policy.js';
+import { budgetError } from './cost-tracking.js';
+import { scheduleFields } from './time-tracking.js';
+import { mutateAndRespond } from './goals-store.js';
 
 export function createGoalHandlers(store, options = {}) {
   const { wsOps, logger, rpcCall } = options;
   function loadData() { return store.load(); }
-  function saveData(data) { store.save(data); }
 
   return {
     'goals.list': ({ params, respond }) => {
@@ -22,7 +28,11 @@ export function createGoalHandlers(store, options = {}) {
           respond(false, undefined, { message: 'title is required' });
           return;
         }
-        const data = loadData();
+        const schedule = scheduleFields(params);
+        if (schedule.error) {
+          respond(false, undefined, { message: schedule.error });
+          return;
+        }
         const now = Date.now();
         const isCompleted = completed === true || status === 'done';
         const goalId = store.newId('goal');
@@ -36,6 +46,9 @@ export function createGoalHandlers(store, options = {}) {
           condoId: condoId || null,
           priority: priority || null,
           deadline: deadline || null,
+          dueAtMs: null,
+          estimateMinutes: null,
+          ...schedule.patch,
           autonomyMode: autonomyMode || null,
           worktree: null,
           tasks: [],
@@ -46,7 +59,7 @@ export function createGoalHandlers(store, options = {}) {
 
         // Create worktree if parent condo has a workspace
         if (wsOps && condoId) {
-          const condo = data.condos.find(c => c.id === condoId);
+          const condo = loadData().condos.find(c => c.id === condoId);
           if (condo?.workspace?.path) {
             const wtResult = wsOps.createGoalWorktree(condo.workspace.path, goalId, title.trim());
             if (wtResult.ok) {
@@ -71,8 +84,7 @@ export function createGoalHandlers(store, options = {}) {
           }
         }
 
-        data.goals.unshift(goal);
-        saveData(data);
+        store.transaction(data => { data.goals.unshift(goal); });
         respond(true, { goal });
       } catch (err) {
         respond(false, undefined, { message: String(err) });
@@ -93,65 +105,97 @@ export function createGoalHandlers(store, options = {}) {
       }
     },
 
-    'goals.update': ({ params, respond }) => {
-      try {
-        const data = loadData();
-        const idx = data.goals.findIndex(g => g.id === params.id);
-        if (idx === -1) {
-          respond(false, undefined, { message: 'Goal not found' });
-          return;
-        }
-        const goal = data.goals[idx];
+    'goals.update': ({ params, respond }) => mutateAndRespond(store, respond, (data, fail) => {
+      const idx = data.goals.findIndex(g => g.id === params.id);
+      if (idx === -1) {
+        return fail({ message: 'Goal not found' });
+      }
+      const goal = data.goals[idx];
+      const conflict = revisionConflict('Goal', goal, params.expectedRevision);
+      if (conflict) {
+        return fail(conflict);
+      }
 
-        // Validate title if provided
-        if ('title' in params) {
-          if (typeof params.title !== 'string' || !params.title.trim()) {
-            respond(false, undefined, { message: 'title must be a non-empty string' });
-            return;
-          }
-          // Reject titles that are just numbers — these come from auto-patch
-          // misinterpreting numbered goal lists in agent context.
-          if (/^\d+$/.test(params.title.trim())) {
-            respond(false, undefined, { message: 'title cannot be a bare number' });
-            return;
-          }
+      // Validate title if provided
+      if ('title' in params) {
+        if (typeof params.title !== 'string' || !params.title.trim()) {
+          return fail({ message: 'title must be a non-empty string' });
         }
-
-        // Whitelist allowed patch fields (prevent overwriting internal fields)
-        const allowed = ['title', 'description', 'status', 'completed', 'condoId', 'priority', 'deadline', 'notes', 'tasks', 'nextTask', 'dropped', 'droppedAtMs', 'files', 'plan', 'autonomyMode', 'phase', 'dependsOn', 'closedAtMs'];
-        for (const f of allowed) {
-          if (f in params) goal[f] = params[f];
+        // Reject titles that are just numbers — these come from auto-patch
+        // misinterpreting numbered goal lists in agent context.
+        if (/^\d+$/.test(params.title.trim())) {
+          return fail({ message: 'title cannot be a bare number' });
         }
-        if (typeof goal.title === 'string') goal.title = goal.title.trim();
-        goal.updatedAtMs = Date.now();
-
-        // Sync completed/status + completedAt
-        if ('status' in params) {
-          goal.completed = goal.status === 'done';
-          if (goal.completed && !goal.completedAt) goal.completedAt = new Date().toISOString();
-          if (!goal.completed) goal.completedAt = null;
-        } else if ('completed' in params) {
-          goal.status = goal.completed ? 'done' : 'active';
-          if (goal.completed && !goal.completedAt) goal.completedAt = new Date().toISOString();
-          if (!goal.completed) goal.completedAt = null;
+      }
+
+      if (Array.isArray(params.tasks)) {
+        const stored = new Map((goal.tasks || []).map(t => [t.id, JSON.stringify(t.dependsOn || [])]));
+        const changed = params.tasks
+          .filter(t => t?.id && stored.get(t.id) !== JSON.stringify(t.dependsOn || []))
+          .map(t => t.id);
+        const depError = dependencyError(params.tasks, changed);
+        if (depError) {
+          return fail(depError);
         }
+      }
 
-        saveData(data);
-        respond(true, { goal });
-      } catch (err) {
-        respond(false, undefined, { message: String(err) });
+      if ('maxConcurrentTasks' in params && !isValidConcurrencyCap(params.maxConcurrentTasks)) {
+        return fail({ message: 'maxConcurrentTasks must be a positive integer or null' });
       }
-    },
+      const policyError = 'retryPolicy' in params ? retryPolicyError(params.retryPolicy) : null;
+      if (policyError) {
+        return fail({ message: policyError });
+      }
+      const budgetProblem = 'budget' in params ? budgetError(params.budget) : null;
+      if (budgetProblem) {
+        return fail({ message: budgetProblem });
+      }
+      const schedule = scheduleFields(params);
+      if (schedule.error) {
+        return fail({ message: schedule.error });
+      }
+
+      // Whitelist allowed patch fields (prevent overwriting internal fields)
+      const allowed = ['title', 'description', 'status', 'completed', 'condoId', 'priority', 'deadline', 'notes', 'tasks', 'nextTask', 'dropped', 'droppedAtMs', 'files', 'plan', 'autonomyMode', 'phase', 'dependsOn', 'closedAtMs', 'maxConcurrentTasks', 'retryPolicy', 'budget'];
+      for (const f of allowed) {
+        if (f in params) goal[f] = params[f];
+      }
+      Object.assign(goal, schedule.patch);
+      if (typeof goal.title === 'string') goal.title = goal.title.trim();
+      // A new budget re-arms the budget_exceeded notification
+      if ('budget' in params) goal.budgetExceededAtMs = null;
+      goal.updatedAtMs = Date.now();
+
+      // Sync completed/status + completedAt
+      if ('status' in params) {
+        goal.completed = goal.status === 'done';
+        if (goal.completed && !goal.completedAt) goal.completedAt = new Date().toISOString();
+        if (!goal.completed) goal.completedAt = null;
+      } else if ('completed' in params) {
+        goal.status = goal.completed ? 'done' : 'active';
+        if (goal.completed && !goal.completedAt) goal.completedAt = new Date().toISOString();
+        if (!goal.completed) goal.completedAt = null;
+      }
+
+      return { goal };
+    }),
 
     'goals.delete': async ({ params, respond }) => {
-      try {
-        const data = loadData();
-        const idx = data.goals.findIndex(g => g.id === params.id);
-        if (idx === -1) {
-          respond(false, undefined, { message: 'Goal not found' });
-          return;
+      // Trash the goal first, in one transaction with the revision check; the
+      // sessions are stopped afterwards so their agent_end writes find it gone
+      let killedSessions = null;
+      mutateAndRespond(store, (ok, payload, error) => {
+        if (!ok) respond(false, undefined, error);
+        else killedSessions = payload.killedSessions;
+      }, (data, fail) => {
+        const deletedGoal = data.goals.find(g => g.id === params.id);
+        if (!deletedGoal) {
+          return fail({ message: 'Goal not found' });
+        }
+        const conflict = revisionConflict('Goal', deletedGoal, params.expectedRevision);
+        if (conflict) {
+          return fail(conflict);
         }
-        const deletedGoal = data.goals[idx];
 
         // Collect ALL sessions for this goal (for abort + frontend cleanup)
         const sessionKeys = new Set([
@@ -161,93 +205,69 @@ export function createGoalHandlers(store, options = {}) {
         // Include goal PM session
         if (deletedGoal.pmSessionKey) sessionKeys.add(deletedGoal.pmSessionKey);
 
-        // Kill running sessions (best-effort) — try delete first, then abort
-        if (rpcCall) {
-          for (const sk of sessionKeys) {
-            try { await rpcCall('sessions.delete', { sessionKey: sk }); } catch { /* may not exist */ }
-            try { await rpcCall('chat.abort', { sessionKey: sk }); } catch { /* best-effort */ }
-          }
-        }
+        trashGoal(data, deletedGoal, [...sessionKeys]);
+        return { killedSessions: [...sessionKeys] };
+      });
+      if (!killedSessions) return;
 
-        // Remove worktree if it exists
-        if (wsOps && deletedGoal.worktree?.path && deletedGoal.condoId) {
-          const condo = data.condos.find(c => c.id === deletedGoal.condoId);
-          if (condo?.workspace?.path) {
-            const rmResult = wsOps.removeGoalWorktree(condo.workspace.path, deletedGoal.id, deletedGoal.worktree?.branch);
-            if (!rmResult.ok && logger) {
-              logger.error(`clawcondos-goals: worktree removal failed for goal ${params.id}: ${rmResult.error}`);
-            }
-          }
-        }
-
-        // Clean up session index entries pointing to this goal
-        for (const [key, val] of Object.entries(data.sessionIndex)) {
-          if (val.goalId === params.id) delete data.sessionIndex[key];
+      // Stop running sessions (best-effort). Transcripts and the worktree are kept
+      // until the trash entry is purged so the goal can be restored.
+      if (rpcCall) {
+        for (const sk of killedSessions) {
+          try { await rpcCall('chat.abort', { sessionKey: sk }); } catch { /* best-effort */ }
         }
-        data.goals.splice(idx, 1);
-        saveData(data);
-        respond(true, { ok: true, killedSessions: [...sessionKeys] });
-      } catch (err) {
-        respond(false, undefined, { message: String(err) });
       }
+      respond(true, { ok: true, killedSessions });
     },
 
-    'goals.addSession': ({ params, respond }) => {
-      try {
-        const { id, sessionKey } = params;
-        if (!sessionKey) {
-          respond(false, undefined, { message: 'sessionKey is required' });
-          return;
-        }
-        const data = loadData();
-        const goal = data.goals.find(g => g.id === id);
-        if (!goal) {
-          respond(false, undefined, { message: 'Goal not found' });
-          return;
-        }
-        // Remove session from any other goal (move semantics)
-        for (const g of data.goals) {
-          const sIdx = (g.sessions || []).indexOf(sessionKey);
-          if (sIdx !== -1) {
-            g.sessions.splice(sIdx, 1);
-            g.updatedAtMs = Date.now();
-          }
-        }
-        // Add to target goal
-        if (!goal.sessions.includes(sessionKey)) {
-          goal.sessions.unshift(sessionKey);
-        }
-        goal.updatedAtMs = Date.now();
-        data.sessionIndex[sessionKey] = { goalId: id };
-        saveData(data);
-        respond(true, { ok: true, goal });
-      } catch (err) {
-        respond(false, undefined, { message: String(err) });
+    'goals.addSession': ({ params, respond }) => mutateAndRespond(store, respond, (data, fail) => {
+      const { id, sessionKey } = params;
+      if (!sessionKey) {
+        return fail({ message: 'sessionKey is required' });
       }
-    },
-
-    'goals.removeSession': ({ params, respond }) => {
-      try {
-        const { id, sessionKey } = params;
-        if (!sessionKey) {
-          respond(false, undefined, { message: 'sessionKey is required' });
-          return;
-        }
-        const data = loadData();
-        const goal = data.goals.find(g => g.id === id);
-        if (!goal) {
-          respond(false, undefined, { message: 'Goal not found' });
-          return;
+      const goal = data.goals.find(g => g.id === id);
+      if (!goal) {
+        return fail({ message: 'Goal not found' });
+      }
+      const conflict = revisionConflict('Goal', goal, params.expectedRevision);
+      if (conflict) {
+        return fail(conflict);
+      }
+      // Remove session from any other goal (move semantics)
+      for (const g of data.goals) {
+        const sIdx = (g.sessions || []).indexOf(sessionKey);
+        if (sIdx !== -1) {
+          g.sessions.splice(sIdx, 1);
+          g.updatedAtMs = Date.now();
         }
-        goal.sessions = (goal.sessions || []).filter(s => s !== sessionKey);
-        goal.updatedAtMs = Date.now();
-        delete data.sessionIndex[sessionKey];
-        saveData(data);
-        respond(true, { ok: true, goal });
-      } catch (err) {
-        respond(false, undefined, { message: String(err) });
       }
-    },
+      // Add to target goal
+      if (!goal.sessions.includes(sessionKey)) {
+        goal.sessions.unshift(sessionKey);
+      }
+      goal.updatedAtMs = Date.now();
+      data.sessionIndex[sessionKey] = { goalId: id };
+      return { ok: true, goal };
+    }),
+
+    'goals.removeSession': ({ params, respond }) => mutateAndRespond(store, respond, (data, fail) => {
+      const { id, sessionKey } = params;
+      if (!sessionKey) {
+        return fail({ message: 'sessionKey is required' });
+      }
+      const goal = data.goals.find(g => g.id === id);
+      if (!goal) {
+        return fail({ message: 'Goal not found' });
+      }
+      const conflict = revisionConflict('Goal', goal, params.expectedRevision);
+      if (conflict) {
+        return fail(conflict);
+      }
+      goal.sessions = (goal.sessions || []).filter(s => s !== sessionKey);
+      goal.updatedAtMs = Date.now();
+      delete data.sessionIndex[sessionKey];
+      return { ok: true, goal };
+    }),
 
     'goals.sessionLookup': ({ params, respond }) => {
       try {
@@ -259,26 +279,18 @@ export function createGoalHandlers(store, options = {}) {
       }
     },
 
-    'goals.setSessionCondo': ({ params, respond }) => {
-      try {
-        const { sessionKey, condoId } = params;
-        if (!sessionKey || !condoId) {
-          respond(false, undefined, { message: 'sessionKey and condoId are required' });
-          return;
-        }
-        const data = loadData();
-        const condo = data.condos.find(c => c.id === condoId);
-        if (!condo) {
-          respond(false, undefined, { message: 'Condo not found' });
-          return;
-        }
-        data.sessionCondoIndex[sessionKey] = condoId;
-        saveData(data);
-        respond(true, { ok: true, sessionKey, condoId });
-      } catch (err) {
-        respond(false, undefined, { message: String(err) });
+    'goals.setSessionCondo': ({ params, respond }) => mutateAndRespond(store, respond, (data, fail) => {
+      const { sessionKey, condoId } = params;
+      if (!sessionKey || !condoId) {
+        return fail({ message: 'sessionKey and condoId are required' });
       }
-    },
+      const condo = data.condos.find(c => c.id === condoId);
+      if (!condo) {
+        return fail({ message: 'Condo not found' });
+      }
+      data.sessionCondoIndex[sessionKey] = condoId;
+      return { ok: true, sessionKey, condoId };
+    }),
 
     'goals.getSessionCondo': ({ params, respond }) => {
       try {
@@ -298,134 +310,116 @@ export function createGoalHandlers(store, options = {}) {
       }
     },
 
-    'goals.removeSessionCondo': ({ params, respond }) => {
-      try {
-        const { sessionKey } = params;
-        if (!sessionKey) {
-          respond(false, undefined, { message: 'sessionKey is required' });
-          return;
-        }
-        const data = loadData();
-        delete data.sessionCondoIndex[sessionKey];
-        saveData(data);
-        respond(true, { ok: true });
-      } catch (err) {
-        respond(false, undefined, { message: String(err) });
+    'goals.removeSessionCondo': ({ params, respond }) => mutateAndRespond(store, respond, (data, fail) => {
+      const { sessionKey } = params;
+      if (!sessionKey) {
+        return fail({ message: 'sessionKey is required' });
       }
-    },
-
-    'goals.addTask': ({ params, respond }) => {
-      try {
-        const { goalId, text, description, priority, dependsOn, assignedAgent, model } = params;
-        if (!goalId || !text || typeof text !== 'string' || !text.trim()) {
-          respond(false, undefined, { message: 'goalId and text are required' });
-          return;
-        }
-        const data = loadData();
-        const goal = data.goals.find(g => g.id === goalId);
-        if (!goal) {
-          respond(false, undefined, { message: 'Goal not found' });
-          return;
-        }
-        const now = Date.now();
-        const task = {
-          id: store.newId('task'),
-          text: text.trim(),
-          description: description || '',
-          status: 'pending',
-          done: false,
-          priority: priority || null,
-          sessionKey: null,
-          assignedAgent: assignedAgent || null,
-          model: model || null,
-          dependsOn: Array.isArray(dependsOn) ? dependsOn : [],
-          summary: '',
-          createdAtMs: now,
-          updatedAtMs: now,
-        };
-        goal.tasks.push(task);
-        goal.updatedAtMs = now;
-        saveData(data);
-        respond(true, { task });
-      } catch (err) {
-        respond(false, undefined, { message: String(err) });
+      delete data.sessionCondoIndex[sessionKey];
+      return { ok: true };
+    }),
+
+    'goals.addTask': ({ params, respond }) => mutateAndRespond(store, respond, (data, fail) => {
+      const { goalId, text, description, priority, dependsOn, assignedAgent, model } = params;
+      if (!goalId || !text || typeof text !== 'string' || !text.trim()) {
+        return fail({ message: 'goalId and text are required' });
       }
-    },
-
-    'goals.updateTask': ({ params, respond }) => {
-      try {
-        const { goalId, taskId } = params;
-        if (!goalId || !taskId) {
-          respond(false, undefined, { message: 'goalId and taskId are required' });
-          return;
-        }
-        const data = loadData();
-        const goal = data.goals.find(g => g.id === goalId);
-        if (!goal) {
-          respond(false, undefined, { message: 'Goal not found' });
-          return;
-        }
-        const task = (goal.tasks || []).find(t => t.id === taskId);
-        if (!task) {
-          respond(false, undefined, { message: 'Task not found' });
-          return;
-        }
-        // Whitelist allowed patch fields
-        const allowed = ['text', 'description', 'status', 'done', 'priority', 'dependsOn', 'summary', 'assignedAgent', 'model'];
-        for (const f of allowed) {
-          if (f in params) task[f] = params[f];
-        }
-        if (typeof task.text === 'string') task.text = task.text.trim();
-        task.updatedAtMs = Date.now();
-
-        // Sync done/status
-        if ('status' in params) {
-          task.done = task.status === 'done';
-        } else if ('done' in params) {
-          task.status = task.done ? 'done' : 'pending';
-        }
-
-        goal.updatedAtMs = Date.now();
-        saveData(data);
-        respond(true, { task });
-      } catch (err) {
-        respond(false, undefined, { message: String(err) });
+      const goal = data.goals.find(g => g.id === goalId);
+      if (!goal) {
+        return fail({ message: 'Goal not found' });
       }
-    },
-
-    'goals.deleteTask': ({ params, respond }) => {
-      try {
-        const { goalId, taskId } = params;
-        const data = loadData();
-        const goal = data.goals.find(g => g.id === goalId);
-        if (!goal) {
-          respond(false, undefined, { message: 'Goal not found' });
-          return;
-        }
-        const idx = (goal.tasks || []).findIndex(t => t.id === taskId);
-        if (idx === -1) {
-          respond(false, undefined, { message: 'Task not found' });
-          return;
-        }
-        const removed = goal.tasks[idx];
-        // Clean up sessionIndex if this task had an assigned session
-        if (removed.sessionKey && data.sessionIndex[removed.sessionKey]) {
-          delete data.sessionIndex[removed.sessionKey];
+      const conflict = revisionConflict('Goal', goal, params.expectedRevision);
+      if (conflict) {
+        return fail(conflict);
+      }
+      const schedule = scheduleFields(params);
+      if (schedule.error) {
+        return fail({ message: schedule.error });
+      }
+      const now = Date.now();
+      const task = {
+        id: store.newId('task'),
+        text: text.trim(),
+        description: description || '',
+        status: 'pending',
+        done: false,
+        priority: priority || null,
+        sessionKey: null,
+        assignedAgent: assignedAgent || null,
+        model: model || null,
+        dependsOn: Array.isArray(dependsOn) ? dependsOn : [],
+        summary: '',
+        dueAtMs: null,
+        estimateMinutes: null,
+        ...schedule.patch,
+        createdAtMs: now,
+        updatedAtMs: now,
+      };
+      const depError = dependencyError([...goal.tasks, task], [task.id]);
+      if (depError) {
+        return fail(depError);
+      }
+      goal.tasks.push(task);
+      goal.updatedAtMs = now;
+      return { task };
+    }),
+
+    'goals.updateTask': ({ params, respond }) => mutateAndRespond(store, respond, (data, fail) => {
+      const { goalId, taskId } = params;
+      if (!goalId || !taskId) {
+        return fail({ message: 'goalId and taskId are required' });
+      }
+      const goal = data.goals.find(g => g.id === goalId);
+      if (!goal) {
+        return fail({ message: 'Goal not found' });
+      }
+      const conflict = revisionConflict('Goal', goal, params.expectedRevision);
+      if (conflict) {
+        return fail(conflict);
+      }
+      const task = (goal.tasks || []).find(t => t.id === taskId);
+      if (!task) {
+        return fail({ message: 'Task not found' });
+      }
+      if ('dependsOn' in params) {
+        const depError = dependencyError(goal.tasks.map(t => t === task ? { ...t, dependsOn: params.dependsOn } : t), [taskId]);
+        if (depError) {
+          return fail(depError);
         }
-        goal.tasks.splice(idx, 1);
-        goal.updatedAtMs = Date.now();
-        saveData(data);
-        respond(true, { ok: true });
-      } catch (err) {
-        respond(false, undefined, { message: String(err) });
       }
-    },
+      const policyError = 'retryPolicy' in params ? retryPolicyError(params.retryPolicy) : null;
+      if (policyError) {
+        return fail({ message: policyError });
+      }
+      const schedule = scheduleFields(params);
+      if (schedule.error) {
+        return fail({ message: schedule.error });
+      }
+      // Whitelist allowed patch fields
+      const allowed = ['text', 'description', 'status', 'done', 'priority', 'dependsOn', 'summary', 'assignedAgent', 'model', 'retryPolicy'];
+      for (const f of allowed) {
+        if (f in params) task[f] = params[f];
+      }
+      Object.assign(task, schedule.patch);
+      if (typeof task.text === 'string') task.text = task.text.trim();
+      task.updatedAtMs = Date.now();
+
+      // Sync done/status
+      if ('status' in params) {
+        task.done = task.status === 'done';
+      } else if ('done' in params) {
+        task.status = task.done ? 'done' : 'pending';
+      }
+
+      goal.updatedAtMs = Date.now();
+      return { task };
+    }),
 
-    'goals.addFiles': ({ params, respond }) => {
+    'goals.dependencyGraph': ({ params, respond }) => {
       try {
-        const { goalId, files } = params;
-        if (!goalId || !Array.isArray(files) || !files.length) {
-          respond(false, undefined, { message: 'goalId and files (array) are required' });
+        const { goalId } = params;
+        if (!goalId) {
+          respond(false, undefined, { message: 'goalId is required' });
           return;
         }
         const data = loadData();
@@ -434,106 +428,140 @@ export function createGoalHandlers(store, options = {}) {
           respond(false, undefined, { message: 'Goal not found' });
           return;
         }
-        if (!Array.isArray(goal.files)) goal.files = [];
-        const now = Date.now();
-        let added = 0;
-        for (const f of files) {
-          const path = (typeof f === 'string' ? f : f?.path || '').trim();
-          if (!path) continue;
-          goal.files = goal.files.filter(e => e.path !== path);
-          goal.files.push({
-            path,
-            taskId: null,
-            sessionKey: null,
-            addedAtMs: now,
-            source: 'manual',
-          });
-          added++;
-        }
-        goal.updatedAtMs = now;
-        saveData(data);
-        respond(true, { ok: true, added, files: goal.files });
+        respond(true, { goalId, ...buildDependencyGraph(goal) });
       } catch (err) {
         respond(false, undefined, { message: String(err) });
       }
     },
 
-    'goals.removeFile': ({ params, respond }) => {
-      try {
-        const { goalId, path } = params;
-        if (!goalId || !path) {
-          respond(false, undefined, { message: 'goalId and path are required' });
-          return;
-        }
-        const data = loadData();
-        const goal = data.goals.find(g => g.id === goalId);
-        if (!goal) {
-          respond(false, undefined, { message: 'Goal not found' });
-          return;
+    'goals.deleteTask': ({ params, respond }) => mutateAndRespond(store, respond, (data, fail) => {
+      const { goalId, taskId } = params;
+      const goal = data.goals.find(g => g.id === goalId);
+      if (!goal) {
+        return fail({ message: 'Goal not found' });
+      }
+      const conflict = revisionConflict('Goal', goal, params.expectedRevision);
+      if (conflict) {
+        return fail(conflict);
+      }
+      const idx = (goal.tasks || []).findIndex(t => t.id === taskId);
+      if (idx === -1) {
+        return fail({ message: 'Task not found' });
+      }
+      const removed = goal.tasks[idx];
+      // Clean up sessionIndex if this task had an assigned session
+      if (removed.sessionKey && data.sessionIndex[removed.sessionKey]) {
+        delete data.sessionIndex[removed.sessionKey];
+      }
+      goal.tasks.splice(idx, 1);
+      // Drop references to the removed task so the remaining graph stays valid
+      for (const t of goal.tasks) {
+        if (Array.isArray(t.dependsOn) && t.dependsOn.includes(taskId)) {
+          t.dependsOn = t.dependsOn.filter(d => d !== taskId);
         }
-        if (!Array.isArray(goal.files)) goal.files = [];
-        const before = goal.files.length;
+      }
+      goal.updatedAtMs = Date.now();
+      return { ok: true };
+    }),
+
+    'goals.addFiles': ({ params, respond }) => mutateAndRespond(store, respond, (data, fail) => {
+      const { goalId, files } = params;
+      if (!goalId || !Array.isArray(files) || !files.length) {
+        return fail({ message: 'goalId and files (array) are required' });
+      }
+      const goal = data.goals.find(g => g.id === goalId);
+      if (!goal) {
+        return fail({ message: 'Goal not found' });
+      }
+      const conflict = revisionConflict('Goal', goal, params.expectedRevision);
+      if (conflict) {
+        return fail(conflict);
+      }
+      if (!Array.isArray(goal.files)) goal.files = [];
+      const now = Date.now();
+      let added = 0;
+      for (const f of files) {
+        const path = (typeof f === 'string' ? f : f?.path || '').trim();
+        if (!path) continue;
         goal.files = goal.files.filter(e => e.path !== path);
-        if (goal.files.length === before) {
-          respond(false, undefined, { message: 'File not found in goal' });
-          return;
-        }
-        goal.updatedAtMs = Date.now();
-        saveData(data);
-        respond(true, { ok: true, files: goal.files });
-      } catch (err) {
-        respond(false, undefined, { message: String(err) });
+        goal.files.push({
+          path,
+          taskId: null,
+          sessionKey: null,
+          addedAtMs: now,
+          source: 'manual',
+        });
+        added++;
       }
-    },
-
-    'goals.updatePlan': ({ params, respond }) => {
-      try {
-        const { goalId, plan } = params;
-        if (!goalId) {
-          respond(false, undefined, { message: 'goalId is required' });
-          return;
-        }
-        if (!plan || typeof plan !== 'object') {
-          respond(false, undefined, { message: 'plan object is required' });
-          return;
-        }
-        const data = loadData();
-        const goal = data.goals.find(g => g.id === goalId);
-        if (!goal) {
-          respond(false, undefined, { message: 'Goal not found' });
-          return;
-        }
-
-        // Initialize or update goal-level plan
-        const now = Date.now();
-        const existingPlan = goal.plan || {};
-
-        // Validate plan fields
-        const validStatuses = ['none', 'draft', 'awaiting_approval', 'approved', 'rejected', 'executing', 'completed'];
-        const newPlan = {
-          status: validStatuses.includes(plan.status) ? plan.status : (existingPlan.status || 'draft'),
-          content: typeof plan.content === 'string' ? plan.content : (existingPlan.content || ''),
-          steps: Array.isArray(plan.steps) ? plan.steps.map((step, idx) => ({
-            index: idx,
-            title: step.title || step.text || '',
-            taskId: step.taskId || null,
-            status: step.status || 'pending',
-            description: step.description || '',
-          })) : (existingPlan.steps || []),
-          feedback: typeof plan.feedback === 'string' ? plan.feedback : (existingPlan.feedback || null),
-          updatedAtMs: now,
-          createdAtMs: existingPlan.createdAtMs || now,
-        };
-
-        goal.plan = newPlan;
-        goal.updatedAtMs = now;
-        saveData(data);
-
-        respond(true, { goal, plan: newPlan });
-      } catch (err) {
-        respond(false, undefined, { message: String(err) });
+      goal.updatedAtMs = now;
+      return { ok: true, added, files: goal.files };
+    }),
+
+    'goals.removeFile': ({ params, respond }) => mutateAndRespond(store, respond, (data, fail) => {
+      const { goalId, path } = params;
+      if (!goalId || !path) {
+        return fail({ message: 'goalId and path are required' });
       }
-    },
+      const goal = data.goals.find(g => g.id === goalId);
+      if (!goal) {
+        return fail({ message: 'Goal not found' });
+      }
+      const conflict = revisionConflict('Goal', goal, params.expectedRevision);
+      if (conflict) {
+        return fail(conflict);
+      }
+      if (!Array.isArray(goal.files)) goal.files = [];
+      const before = goal.files.length;
+      goal.files = goal.files.filter(e => e.path !== path);
+      if (goal.files.length === before) {
+        return fail({ message: 'File not found in goal' });
+      }
+      goal.updatedAtMs = Date.now();
+      return { ok: true, files: goal.files };
+    }),
+
+    'goals.updatePlan': ({ params, respond }) => mutateAndRespond(store, respond, (data, fail) => {
+      const { goalId, plan } = params;
+      if (!goalId) {
+        return fail({ message: 'goalId is required' });
+      }
+      if (!plan || typeof plan !== 'object') {
+        return fail({ message: 'plan object is required' });
+      }
+      const goal = data.goals.find(g => g.id === goalId);
+      if (!goal) {
+        return fail({ message: 'Goal not found' });
+      }
+      const conflict = revisionConflict('Goal', goal, params.expectedRevision);
+      if (conflict) {
+        return fail(conflict);
+      }
+
+      // Initialize or update goal-level plan
+      const now = Date.now();
+      const existingPlan = goal.plan || {};
+
+      // Validate plan fields
+      const validStatuses = ['none', 'draft', 'awaiting_approval', 'approved', 'rejected', 'executing', 'completed'];
+      const newPlan = {
+        status: validStatuses.includes(plan.status) ? plan.status : (existingPlan.status || 'draft'),
+        content: typeof plan.content === 'string' ? plan.content : (existingPlan.content || ''),
+        steps: Array.isArray(plan.steps) ? plan.steps.map((step, idx) => ({
+          index: idx,
+          title: step.title || step.text || '',
+          taskId: step.taskId || null,
+          status: step.status || 'pending',
+          description: step.description || '',
+        })) : (existingPlan.steps || []),
+        feedback: typeof plan.feedback === 'string' ? plan.feedback : (existingPlan.feedback || null),
+        updatedAtMs: now,
+        createdAtMs: existingPlan.createdAtMs || now,
+      };
+
+      goal.plan = newPlan;
+      goal.updatedAtMs = now;
+      return { goal, plan: newPlan };
+    }),
 
     'goals.checkConflicts': ({ params, respond }) => {
       try {
@@ -0,0 +1,297 @@
+/**
+ * SQLite storage adapter for the goals store (goals.db).
+ *
+ * Each goal, condo, notification and trash entry is a row (JSON document + ordering position);
+ * sessionIndex, sessionCondoIndex and config entries are key/value rows. Any other
+ * top-level keys (including `version`) live in the `extras` table.
+ *
+ * save() diffs the data against the snapshot taken when it was loaded and only
+ * touches rows that changed, inside a single transaction. Two writers that loaded
+ * the store concurrently therefore only clobber each other when they modify the
+ * same row, instead of the last full-file write winning.
+ *
+ * On first open an existing goals.json in the same directory is imported once and
+ * renamed to goals.json.migrated.
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync } from 'fs';
+import { join } from 'path';
+import Database from 'better-sqlite3';
+
+const SCHEMA_VERSION = 1;
+
+// store key -> table name
+const ARRAY_COLLECTIONS = {
+  goals: 'goals',
+  condos: 'condos',
+  notifications: 'notifications',
+  trash: 'trash',
+  schedules: 'schedules',
+};
+
+const MAP_COLLECTIONS = {
+  sessionIndex: 'session_index',
+  sessionCondoIndex: 'session_condo_index',
+  config: 'config',
+  // catch-all for remaining top-level keys (see extraKeys)
+  _extras: 'extras',
+};
+
+const SCHEMA_SQL = `
+CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+${Object.values(ARRAY_COLLECTIONS).map(t => `
+CREATE TABLE IF NOT EXISTS ${t} (
+  id TEXT PRIMARY KEY,
+  position REAL NOT NULL,
+  data TEXT NOT NULL
+);`).join('')}
+${Object.values(MAP_COLLECTIONS).map(t => `
+CREATE TABLE IF NOT EXISTS ${t} (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);`).join('')}
+`;
+
+function rowId(row, index) {
+  return row && typeof row === 'object' && row.id != null ? String(row.id) : `#${index}`;
+}
+
+function extraKeys(data) {
+  return Object.keys(data).filter(k =>
+    !k.startsWith('_') && !(k in ARRAY_COLLECTIONS) && !(k in MAP_COLLECTIONS) && data[k] !== undefined);
+}
+
+function mapEntries(data, key) {
+  if (key === '_extras') {
+    return extraKeys(data).map(k => [k, data[k]]);
+  }
+  const obj = data[key];
+  if (!obj || typeof obj !== 'object') return [];
+  return Object.entries(obj).filter(([, v]) => v !== undefined);
+}
+
+/**
+ * Serialize every row so a later save can tell what changed.
+ */
+function takeSnapshot(data) {
+  const snapshot = { arrays: {}, order: {}, maps: {} };
+  for (const key of Object.keys(ARRAY_COLLECTIONS)) {
+    const rows = Array.isArray(data[key]) ? data[key] : [];
+    const docs = new Map();
+    rows.forEach((row, i) => docs.set(rowId(row, i), JSON.stringify(row)));
+    snapshot.arrays[key] = docs;
+    snapshot.order[key] = [...docs.keys()];
+  }
+  for (const key of Object.keys(MAP_COLLECTIONS)) {
+    snapshot.maps[key] = new Map(mapEntries(data, key).map(([k, v]) => [k, JSON.stringify(v)]));
+  }
+  return snapshot;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.dataDir - Directory holding goals.db (and any legacy goals.json)
+ * @param {object} [options.logger] - Logger (defaults to console)
+ */
+export function createSqliteGoalsAdapter({ dataDir, logger }) {
+  const log = logger || console;
+  const dbPath = join(dataDir, 'goals.db');
+  const legacyJsonPath = join(dataDir, 'goals.json');
+  const snapshots = new WeakMap();
+  let db = null;
+  let stmts = null;
+
+  function prepareStatements() {
+    const s = { arrays: {}, maps: {} };
+    for (const [key, table] of Object.entries(ARRAY_COLLECTIONS)) {
+      s.arrays[key] = {
+        all: db.prepare(`SELECT id, data FROM ${table} ORDER BY position, rowid`),
+        upsert: db.prepare(`INSERT INTO ${table} (id, position, data) VALUES (?, ?, ?)
+          ON CONFLICT(id) DO UPDATE SET data = excluded.data`),
+        setPosition: db.prepare(`UPDATE ${table} SET position = ? WHERE id = ?`),
+        bounds: db.prepare(`SELECT MIN(position) AS min, MAX(position) AS max FROM ${table}`),
+        remove: db.prepare(`DELETE FROM ${table} WHERE id = ?`),
+        clear: db.prepare(`DELETE FROM ${table}`),
+      };
+    }
+    for (const [key, table] of Object.entries(MAP_COLLECTIONS)) {
+      s.maps[key] = {
+        all: db.prepare(`SELECT key, value FROM ${table}`),
+        upsert: db.prepare(`INSERT INTO ${table} (key, value) VALUES (?, ?)
+          ON CONFLICT(key) DO UPDATE SET value = excluded.value`),
+        remove: db.prepare(`DELETE FROM ${table} WHERE key = ?`),
+        clear: db.prepare(`DELETE FROM ${table}`),
+      };
+    }
+    s.getMeta = db.prepare('SELECT value FROM meta WHERE key = ?');
+    s.setMeta = db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)');
+    return s;
+  }
+
+  function ensureDb() {
+    if (db) return db;
+    if (!existsSync(dataDir)) mkdirSync(dataDir, { recursive: true });
+    const conn = new Database(dbPath);
+    try {
+      conn.pragma('journal_mode = WAL');
+      conn.pragma('busy_timeout = 5000');
+      conn.exec(SCHEMA_SQL);
+      db = conn;
+      stmts = prepareStatements();
+      if (!stmts.getMeta.get('schemaVersion')) {
+        migrateFromJson();
+      }
+    } catch (err) {
+      db = null;
+      stmts = null;
+      conn.close();
+      throw err;
+    }
+    return db;
+  }
+
+  /**
+   * One-shot import of goals.json. Leaves the DB uninitialized (and therefore
+   * retried on next open) if the JSON file cannot be parsed.
+   */
+  function migrateFromJson() {
+    let legacy = null;
+    if (existsSync(legacyJsonPath)) {
+      try {
+        legacy = JSON.parse(readFileSync(legacyJsonPath, 'utf-8'));
+      } catch (err) {
+        throw new Error(`Cannot migrate ${legacyJsonPath} to SQLite: ${err.message}`);
+      }
+    }
+    db.transaction(() => {
+      if (legacy) writeRows(legacy, null);
+      stmts.setMeta.run('schemaVersion', String(SCHEMA_VERSION));
+      stmts.setMeta.run('createdAtMs', String(Date.now()));
+      if (legacy) stmts.setMeta.run('migratedFrom', legacyJsonPath);
+    }).immediate();
+    if (legacy) {
+      renameSync(legacyJsonPath, legacyJsonPath + '.migrated');
+      const goalCount = Array.isArray(legacy.goals) ? legacy.goals.length : 0;
+      log.info?.(`goals-store: migrated ${goalCount} goals from ${legacyJsonPath} to ${dbPath}`);
+    }
+  }
+
+  function read() {
+    ensureDb();
+    const data = {};
+    for (const key of Object.keys(ARRAY_COLLECTIONS)) {
+      data[key] = stmts.arrays[key].all.all().map(r => JSON.parse(r.data));
+    }
+    for (const key of Object.keys(MAP_COLLECTIONS)) {
+      const entries = stmts.maps[key].all.all().map(r => [r.key, JSON.parse(r.value)]);
+      if (key === '_extras') {
+        for (const [k, v] of entries) data[k] = v;
+      } else {
+        data[key] = Object.fromEntries(entries);
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Write only the rows that differ from `snapshot`. With no snapshot (data that
+   * was not produced by load()), every collection is replaced wholesale.
+   */
+  function writeRows(data, snapshot) {
+    for (const key of Object.keys(ARRAY_COLLECTIONS)) {
+      const s = stmts.arrays[key];
+      const rows = Array.isArray(data[key]) ? data[key] : [];
+      const current = rows.map((row, i) => [rowId(row, i), JSON.stringify(row)]);
+
+      if (!snapshot) {
+        s.clear.run();
+        current.forEach(([id, doc], i) => s.upsert.run(id, i, doc));
+        continue;
+      }
+
+      const prev = snapshot.arrays[key];
+      const currentIds = new Set(current.map(([id]) => id));
+      for (const id of prev.keys()) {
+        if (!currentIds.has(id)) s.remove.run(id);
+      }
+
+      // Rows that survived keep their relative order unless the caller reordered them
+      const kept = current.map(([id]) => id).filter(id => prev.has(id));
+      const prevKept = snapshot.order[key].filter(id => currentIds.has(id));
+      const reordered = kept.some((id, i) => id !== prevKept[i]);
+
+      current.forEach(([id, doc], i) => {
+        if (reordered) {
+          s.upsert.run(id, i, doc);
+          s.setPosition.run(i, id);
+        } else if (!prev.has(id)) {
+          // New row: prepend or append relative to whatever is stored now
+          const { min, max } = s.bounds.get();
+          const position = i === 0 && rows.length > 1 ? (min ?? 0) - 1 : (max ?? -1) + 1;
+          s.upsert.run(id, position, doc);
+        } else if (prev.get(id) !== doc) {
+          s.upsert.run(id, 0, doc);
+        }
+      });
+    }
+
+    for (const key of Object.keys(MAP_COLLECTIONS)) {
+      const s = stmts.maps[key];
+      const entries = mapEntries(data, key).map(([k, v]) => [k, JSON.stringify(v)]);
+
+      if (!snapshot) {
+        s.clear.run();
+        for (const [k, v] of entries) s.upsert.run(k, v);
+        continue;
+      }
+
+      const prev = snapshot.maps[key];
+      const currentKeys = new Set(entries.map(([k]) => k));
+      for (const k of prev.keys()) {
+        if (!currentKeys.has(k)) s.remove.run(k);
+      }
+      for (const [k, v] of entries) {
+        if (prev.get(k) !== v) s.upsert.run(k, v);
+      }
+    }
+  }
+
+  function write(data) {
+    ensureDb();
+    db.transaction(() => writeRows(data, snapshots.get(data) || null))();
+    snapshots.set(data, takeSnapshot(data));
+  }
+
+  /** Remember the loaded state of `data` so write() can compute a row-level diff. */
+  function track(data) {
+    snapshots.set(data, takeSnapshot(data));
+  }
+
+  function transaction(fn) {
+    ensureDb();
+    if (db.inTransaction) return fn();
+    // IMMEDIATE takes the write lock up front so a concurrent writer cannot
+    // slip in between our read and our write
+    return db.transaction(fn).immediate();
+  }
+
+  function close() {
+    if (db) {
+      db.close();
+      db = null;
+      stmts = null;
+    }
+  }
+
+  return {
+    name: 'sqlite',
+    filePath: dbPath,
+    // In WAL mode commits land in the -wal file; the main file only changes on checkpoint
+    watchPath: `${dbPath}-wal`,
+    read,
+    write,
+    track,
+    transaction,
+    close,
+  };
+}
@@ -1,57 +1,209 @@
+/**
+ * Goals store — load/mutate/save access to goals, condos, indexes, notifications and config.
+ *
+ * Persistence is delegated to a storage adapter:
+ *   - 'json'   (default) whole-file goals.json with atomic tmp+rename writes
+ *   - 'sqlite' goals.db with one row per goal/condo/notification/index entry,
+ *              row-level diffs on save and transactional writes
+ *
+ * The plugin picks the backend (its `storage` config) and records it in the
+ * data directory (goals-backend). A store created without options.backend, as
+ * serve.js does, follows the recorded backend and re-checks it on every load,
+ * so both processes always read the same file.
+ *
+ * Adapter interface:
+ *   read()               -> raw store object, or null when nothing is stored yet (throws on corrupt data)
+ *   write(data)          -> persist the full store object
+ *   transaction(fn)      -> run fn() atomically with respect to other writers
+ *   close()              -> release resources
+ *   filePath, watchPath  -> data file, and the file whose mtime changes on every write
+ *
+ * Every save also appends goal/task/condo changes to the audit log (see audit-log.js)
+ * and updates task active time for status changes (see time-tracking.js).
+ */
+
 import { existsSync, readFileSync, writeFileSync, mkdirSync, renameSync } from 'fs';
 import { join } from 'path';
 import crypto from 'crypto';
+import { createSqliteGoalsAdapter } from './goals-store-sqlite.js';
+import { snapshotRevisions, applyRevisions } from './revisions.js';
+import { createAuditLog, buildAuditEvents } from './audit-log.js';
+import { applyStatusTiming } from './time-tracking.js';
+
+export const STORAGE_BACKENDS = ['json', 'sqlite'];
+
+const BACKEND_FILE = 'goals-backend';
+
+export function emptyStoreData() {
+  return { version: 2, goals: [], condos: [], sessionIndex: {}, sessionCondoIndex: {}, notifications: [], trash: [], schedules: [], config: {} };
+}
+
+/**
+ * Normalize raw persisted data into the current store shape (fills legacy defaults).
+ * @param {object} parsed - Raw store object as read by an adapter
+ * @returns {object} Normalized store data
+ */
+export function normalizeStoreData(parsed) {
+  const rawGoals = Array.isArray(parsed.goals) ? parsed.goals : [];
+  const goals = rawGoals.map(g => {
+    const completed = g?.completed === true || g?.status === 'done';
+    // Normalize goal-level plan
+    let plan = null;
+    if (g?.plan && typeof g.plan === 'object') {
+      plan = {
+        status: g.plan.status || 'none',
+        content: g.plan.content || '',
+        steps: Array.isArray(g.plan.steps) ? g.plan.steps : [],
+        feedback: g.plan.feedback || null,
+        createdAtMs: g.plan.createdAtMs || null,
+        updatedAtMs: g.plan.updatedAtMs || null,
+      };
+    }
+    return {
+      ...g,
+      revision: Number.isInteger(g?.revision) ? g.revision : 0,
+      condoId: g?.condoId ?? null,
+      completed,
+      description: g?.description ?? g?.notes ?? '',
+      sessions: Array.isArray(g?.sessions) ? g.sessions : [],
+      tasks: Array.isArray(g?.tasks) ? g.tasks : [],
+      files: Array.isArray(g?.files) ? g.files : [],
+      plan,
+    };
+  });
+  return {
+    version: parsed.version ?? 2,
+    goals,
+    condos: Array.isArray(parsed.condos)
+      ? parsed.condos.map(c => ({ ...c, revision: Number.isInteger(c?.revision) ? c.revision : 0 }))
+      : [],
+    sessionIndex: parsed.sessionIndex && typeof parsed.sessionIndex === 'object' ? parsed.sessionIndex : {},
+    sessionCondoIndex: parsed.sessionCondoIndex && typeof parsed.sessionCondoIndex === 'object' ? parsed.sessionCondoIndex : {},
+    notifications: Array.isArray(parsed.notifications) ? parsed.notifications : [],
+    trash: Array.isArray(parsed.trash) ? parsed.trash : [],
+    schedules: Array.isArray(parsed.schedules) ? parsed.schedules : [],
+    config: parsed.config && typeof parsed.config === 'object' ? parsed.config : {},
+  };
+}
+
+/**
+ * Answer an RPC from a store transaction. fn(data, fail) mutates the loaded
+ * data and returns the response payload; fail(error) stops without saving and
+ * responds with `error` instead.
+ * @param {object} store - Goals store instance
+ * @param {Function} respond - RPC respond(ok, payload, error)
+ * @param {(data: object, fail: (error: object) => never) => object} fn
+ */
+export function mutateAndRespond(store, respond, fn) {
+  let failure = null;
+  const fail = (error) => {
+    failure = error;
+    throw error;
+  };
+  try {
+    respond(true, store.transaction(data => fn(data, fail)));
+  } catch (err) {
+    respond(false, undefined, failure && err === failure ? failure : { message: String(err) });
+  }
+}
 
-export function createGoalsStore(dataDir) {
+/**
+ * Whole-file JSON adapter (goals.json).
+ * @param {string} dataDir - Directory holding goals.json
+ */
+export function createJsonGoalsAdapter(dataDir) {
   const filePath = join(dataDir, 'goals.json');
 
+  function read() {
+    if (!existsSync(filePath)) return null;
+    return JSON.parse(readFileSync(filePath, 'utf-8'));
+  }
+
+  function write(data) {
+    if (!existsSync(dataDir)) {
+      mkdirSync(dataDir, { recursive: true });
+    }
+    const tmp = filePath + '.tmp';
+    writeFileSync(tmp, JSON.stringify(data, null, 2));
+    renameSync(tmp, filePath);
+  }
+
+  // Sync load/mutate/save cannot interleave within a single process
+  function transaction(fn) {
+    return fn();
+  }
+
+  return { name: 'json', filePath, watchPath: filePath, read, write, transaction, close() {} };
+}
+
+/**
+ * Backend recorded in a data directory by the store that owns it. Before one
+ * is recorded, a goals.db without a goals.json means sqlite.
+ * @param {string} dataDir
+ * @returns {'json'|'sqlite'}
+ */
+export function recordedBackend(dataDir) {
+  try {
+    const recorded = readFileSync(join(dataDir, BACKEND_FILE), 'utf-8').trim();
+    if (STORAGE_BACKENDS.includes(recorded)) return recorded;
+  } catch { /* not recorded yet */ }
+  return existsSync(join(dataDir, 'goals.db')) && !existsSync(join(dataDir, 'goals.json')) ? 'sqlite' : 'json';
+}
+
+/**
+ * @param {string} dataDir - Directory for store data
+ * @param {object} [options]
+ * @param {'json'|'sqlite'} [options.backend] - Storage backend, recorded for
+ *   stores that follow it; omit to follow the recorded backend
+ * @param {object} [options.logger] - Logger (defaults to console)
+ */
+export function createGoalsStore(dataDir, options = {}) {
+  const follow = !options.backend;
+  const backend = options.backend || recordedBackend(dataDir);
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown goals storage backend: ${backend} (expected one of: ${STORAGE_BACKENDS.join(', ')})`);
+  }
+  const openAdapter = (name) => (name === 'sqlite'
+    ? createSqliteGoalsAdapter({ dataDir, logger: options.logger })
+    : createJsonGoalsAdapter(dataDir));
+  let adapter = openAdapter(backend);
+  if (!follow) {
+    const markerPath = join(dataDir, BACKEND_FILE);
+    const recorded = existsSync(markerPath) ? readFileSync(markerPath, 'utf-8').trim() : null;
+    if (recorded !== backend) {
+      if (!existsSync(dataDir)) mkdirSync(dataDir, { recursive: true });
+      writeFileSync(markerPath, backend + '\n');
+    }
+  }
+  // data object -> goal/condo revisions as loaded, used to bump revisions on save
+  const loadedRevisions = new WeakMap();
+  const audit = createAuditLog(dataDir);
+  const log = options.logger || console;
+
   function newId(prefix = 'goal') {
     return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
   }
 
-  function load() {
-    if (!existsSync(filePath)) {
-      return { version: 2, goals: [], condos: [], sessionIndex: {}, sessionCondoIndex: {}, notifications: [], config: {} };
+  // Following stores switch adapters when the owner switches backends
+  function currentAdapter() {
+    if (!follow) return adapter;
+    const wanted = recordedBackend(dataDir);
+    if (wanted !== adapter.name) {
+      adapter.close();
+      adapter = openAdapter(wanted);
     }
+    return adapter;
+  }
+
+  function load() {
     try {
-      const parsed = JSON.parse(readFileSync(filePath, 'utf-8'));
-      const rawGoals = Array.isArray(parsed.goals) ? parsed.goals : [];
-      const goals = rawGoals.map(g => {
-        const completed = g?.completed === true || g?.status === 'done';
-        // Normalize goal-level plan
-        let plan = null;
-        if (g?.plan && typeof g.plan === 'object') {
-          plan = {
-            status: g.plan.status || 'none',
-            content: g.plan.content || '',
-            steps: Array.isArray(g.plan.steps) ? g.plan.steps : [],
-            feedback: g.plan.feedback || null,
-            createdAtMs: g.plan.createdAtMs || null,
-            updatedAtMs: g.plan.updatedAtMs || null,
-          };
-        }
-        return {
-          ...g,
-          condoId: g?.condoId ?? null,
-          completed,
-          description: g?.description ?? g?.notes ?? '',
-          sessions: Array.isArray(g?.sessions) ? g.sessions : [],
-          tasks: Array.isArray(g?.tasks) ? g.tasks : [],
-          files: Array.isArray(g?.files) ? g.files : [],
-          plan,
-        };
-      });
-      return {
-        version: parsed.version ?? 2,
-        goals,
-        condos: Array.isArray(parsed.condos) ? parsed.condos : [],
-        sessionIndex: parsed.sessionIndex && typeof parsed.sessionIndex === 'object' ? parsed.sessionIndex : {},
-        sessionCondoIndex: parsed.sessionCondoIndex && typeof parsed.sessionCondoIndex === 'object' ? parsed.sessionCondoIndex : {},
-        notifications: Array.isArray(parsed.notifications) ? parsed.notifications : [],
-        config: parsed.config && typeof parsed.config === 'object' ? parsed.config : {},
-      };
+      const parsed = currentAdapter().read();
+      const data = parsed ? normalizeStoreData(parsed) : emptyStoreData();
+      loadedRevisions.set(data, snapshotRevisions(data));
+      if (adapter.track) adapter.track(data);
+      return data;
     } catch (err) {
-      return { version: 2, goals: [], condos: [], sessionIndex: {}, sessionCondoIndex: {}, notifications: [], config: {}, _loadError: true };
+      return { ...emptyStoreData(), _loadError: true };
     }
   }
 
@@ -59,13 +211,45 @@ export function createGoalsStore(dataDir) {
     if (data._loadError) {
       throw new Error('Refusing to save — store was loaded with errors (would destroy data)');
     }
-    if (!existsSync(dataDir)) {
-      mkdirSync(dataDir, { recursive: true });
+    const changes = applyRevisions(data, loadedRevisions.get(data) || null);
+    applyStatusTiming(changes);
+    adapter.write(data);
+    loadedRevisions.set(data, snapshotRevisions(data));
+    // The journal is best-effort: a failed append must not fail a write that already landed
+    try {
+      audit.append(buildAuditEvents(changes));
+    } catch (err) {
+      log.warn?.(`goals-store: failed to append audit events: ${err.message}`);
     }
-    const tmp = filePath + '.tmp';
-    writeFileSync(tmp, JSON.stringify(data, null, 2));
-    renameSync(tmp, filePath);
   }
 
-  return { load, save, newId, filePath };
+  /**
+   * Run a load-mutate-save cycle atomically. fn receives the loaded data,
+   * mutates it in place and may return a value, which is passed through.
+   * Throwing from fn aborts without saving.
+   */
+  function transaction(fn) {
+    return currentAdapter().transaction(() => {
+      const data = load();
+      const result = fn(data);
+      save(data);
+      return result;
+    });
+  }
+
+  function close() {
+    adapter.close();
+  }
+
+  return {
+    load,
+    save,
+    transaction,
+    newId,
+    close,
+    audit,
+    get backend() { return currentAdapter().name; },
+    get filePath() { return currentAdapter().filePath; },
+    get watchPath() { return currentAdapter().watchPath; },
+  };
 }
@@ -0,0 +1,274 @@
+/**
+ * Merge conflict resolution for goal branches.
+ *
+ * When a goal branch no longer merges cleanly into main, goals.resolveConflicts
+ * merges main into the goal worktree (leaving the conflicts in place) and adds a
+ * special resolution task (`kind: 'merge-conflict'`) whose worker session gets
+ * the conflicting files and both sides as context. Every other task must be
+ * done first, so kickoff starts only the resolution task. When that task is done the
+ * usual all-tasks-done path re-runs the merge; autoMergeGoal refuses to
+ * conclude it while conflicts remain (see remainingConflicts).
+ *
+ * Progress is tracked on the goal as `conflictResolution`:
+ *
+ *   { status: 'resolving'|'unresolved'|'resolved'|'failed', taskId, mainBranch,
+ *     files: [{ path, hunkCount }], remainingFiles, startedAtMs, updatedAtMs,
+ *     resolvedAtMs, error }
+ */
+
+export const CONFLICT_TASK_KIND = 'merge-conflict';
+
+const BRIEF_MAX_HUNKS = 20;
+const BRIEF_MAX_SIDE_LINES = 30;
+
+/**
+ * Resolution states in which the goal worktree holds a merge in progress.
+ * @param {object} goal
+ * @returns {boolean}
+ */
+export function isResolvingConflicts(goal) {
+  const status = goal?.conflictResolution?.status;
+  return status === 'resolving' || status === 'unresolved';
+}
+
+function fence(lines) {
+  const shown = lines.slice(0, BRIEF_MAX_SIDE_LINES);
+  if (lines.length > shown.length) shown.push(`… ${lines.length - shown.length} more line(s)`);
+  return ['```', ...shown, '```'];
+}
+
+/**
+ * Task description for the resolution worker: what happened, every conflicting
+ * file with both sides of its hunks, and how to finish.
+ * @param {{ goal: object, mainBranch: string, files: Array<{ path: string, hunks: object[] }> }} opts
+ * @returns {string}
+ */
+export function buildConflictBrief({ goal, mainBranch, files }) {
+  const branch = goal.worktree?.branch || 'the goal branch';
+  const lines = [
+    `\`${mainBranch}\` has been merged into \`${branch}\` in the goal worktree and the merge stopped on conflicts.`,
+    'Resolve them so the goal branch keeps its own changes and the changes that landed on ' +
+      `\`${mainBranch}\` since it branched off.`,
+    '',
+    `### Conflicting files (${files.length})`,
+  ];
+  let shownHunks = 0;
+  for (const file of files) {
+    lines.push('', `#### \`${file.path}\``);
+    if (!file.hunks?.length) {
+      lines.push('No conflict markers (e.g. deleted on one side) — check `git status` for how it conflicts.');
+      continue;
+    }
+    for (const hunk of file.hunks) {
+      if (shownHunks >= BRIEF_MAX_HUNKS) break;
+      shownHunks++;
+      lines.push('', `Line ${hunk.line} — goal branch:`, ...fence(hunk.goal), `\`${mainBranch}\`:`, ...fence(hunk.main));
+    }
+  }
+  const totalHunks = files.reduce((n, f) => n + (f.hunks?.length || 0), 0);
+  if (totalHunks > shownHunks) {
+    lines.push('', `… ${totalHunks - shownHunks} more conflict(s) not shown; search the files for \`<<<<<<<\`.`);
+  }
+  lines.push(
+    '',
+    '### Steps',
+    '1. Edit each file and remove every `<<<<<<<`, `=======` and `>>>>>>>` marker, combining both sides.',
+    '2. Run the project\'s tests if it has any.',
+    '3. `git add` the resolved files and `git commit --no-edit` to conclude the merge.',
+    `Do not abort the merge or reset the branch. When you mark this task done the goal is merged into \`${mainBranch}\` again.`,
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Files of an in-progress resolution that still conflict in the worktree.
+ * @param {object} wsOps - Workspace operations (getWorktreeConflicts)
+ * @param {object} goal
+ * @returns {string[]|null} Paths, or null when the worktree could not be checked
+ */
+export function remainingConflicts(wsOps, goal) {
+  if (!wsOps?.getWorktreeConflicts || !goal?.worktree?.path) return null;
+  const paths = (goal.conflictResolution?.files || []).map(f => f.path);
+  const check = wsOps.getWorktreeConflicts(goal.worktree.path, paths);
+  return check.ok ? check.files.map(f => f.path) : null;
+}
+
+/**
+ * Create merge conflict handlers.
+ * @param {object} store - Goals store instance
+ * @param {object} options
+ * @param {object|null} options.wsOps - Workspace operations (null when workspaces are disabled)
+ * @param {Function} [options.kickoff] - async (goalId) => kickoff result; spawns the resolution task
+ * @param {Function} [options.onResolved] - async (goalId) => void; re-runs the merge when main merged in cleanly
+ * @param {object} [options.logger]
+ * @returns {object} Map of method names to handlers
+ */
+export function createConflictHandlers(store, options = {}) {
+  const { wsOps, kickoff, onResolved, logger } = options;
+
+  function locate(goalId) {
+    const data = store.load();
+    const goal = data.goals.find(g => g.id === goalId);
+    if (!goal) return { error: 'Goal not found' };
+    if (!goal.worktree?.branch || !goal.worktree?.path) return { error: 'Goal has no worktree branch' };
+    const condo = data.condos.find(c => c.id === goal.condoId);
+    if (!condo?.workspace?.path) return { error: 'Condo has no workspace' };
+    if (!wsOps) return { error: 'Workspaces not enabled' };
+    return { data, goal, condo };
+  }
+
+  return {
+    // goals.conflicts — conflicting files and hunks for the goal view
+    'goals.conflicts': ({ params, respond }) => {
+      const { goalId } = params || {};
+      if (!goalId) return respond(false, undefined, { message: 'goalId is required' });
+      try {
+        const { goal, condo, error } = locate(goalId);
+        if (error) return respond(false, undefined, { message: error });
+
+        // While resolving, the worktree holds the merge; otherwise preview it
+        const resolving = isResolvingConflicts(goal);
+        const result = resolving
+          ? wsOps.getWorktreeConflicts(goal.worktree.path, (goal.conflictResolution.files || []).map(f => f.path))
+          : wsOps.previewMergeConflicts(condo.workspace.path, goal.worktree.branch);
+        if (!result.ok) return respond(false, undefined, { message: result.error || 'Conflict check failed' });
+
+        respond(true, {
+          goalId,
+          source: resolving ? 'worktree' : 'preview',
+          mainBranch: goal.conflictResolution?.mainBranch || result.mainBranch || null,
+          mergeStatus: goal.mergeStatus || null,
+          resolution: goal.conflictResolution || null,
+          files: result.files,
+        });
+      } catch (err) {
+        respond(false, undefined, { message: String(err) });
+      }
+    },
+
+    // goals.resolveConflicts — hand the goal's merge conflicts to a worker session
+    'goals.resolveConflicts': async ({ params, respond }) => {
+      const { goalId, agentId, model } = params || {};
+      if (!goalId) return respond(false, undefined, { message: 'goalId is required' });
+      try {
+        const { data, goal, condo, error } = locate(goalId);
+        if (error) return respond(false, undefined, { message: error });
+
+        const existing = goal.conflictResolution;
+        const resolving = isResolvingConflicts(goal);
+        const openTask = resolving && existing.taskId
+          && goal.tasks?.find(t => t.id === existing.taskId && t.status !== 'done' && t.status !== 'failed');
+        if (openTask) {
+          return respond(false, undefined, { message: 'Conflicts are already being resolved', taskId: openTask.id });
+        }
+        // Workers share the worktree; merging under them would scramble their files
+        const running = (goal.tasks || []).filter(t => t.sessionKey && t.status === 'in-progress');
+        if (running.length > 0) {
+          return respond(false, undefined, { message: `Wait for ${running.length} running task(s) to finish before resolving conflicts` });
+        }
+        // Kickoff would start them in a worktree with a merge in progress, and the
+        // merge into main only re-runs once every task is done
+        const pending = (goal.tasks || []).filter(t => t.status !== 'done' && t.kind !== CONFLICT_TASK_KIND);
+        if (pending.length > 0) {
+          return respond(false, undefined, { message: `Finish ${pending.length} pending task(s) before resolving conflicts` });
+        }
+
+        const mainBranch = resolving ? existing.mainBranch : wsOps.getMainBranch(condo.workspace.path);
+
+        // Commit pending work first so the merge starts from a clean worktree
+        if (!resolving) {
+          const commitResult = wsOps.commitWorktreeChanges(goal.worktree.path, `Goal work before merging ${mainBranch}`);
+          if (!commitResult.ok) {
+            return respond(false, undefined, { message: `Could not commit worktree changes: ${commitResult.error}` });
+          }
+        }
+
+        const merge = wsOps.mergeMainIntoWorktree(goal.worktree.path, mainBranch);
+        if (!merge.ok && !merge.conflict) {
+          return respond(false, undefined, { message: `Merge of ${mainBranch} failed: ${merge.error}` });
+        }
+        let files = [];
+        if (!merge.ok) {
+          const known = [...(merge.conflictFiles || []), ...(existing?.files || []).map(f => f.path)];
+          const conflicts = wsOps.getWorktreeConflicts(goal.worktree.path, known);
+          files = conflicts.ok ? conflicts.files : (merge.conflictFiles || []).map(path => ({ path, hunks: [] }));
+        }
+
+        const now = Date.now();
+        const allTasksDone = (goal.tasks || []).every(t => t.status === 'done');
+        if (files.length === 0) {
+          // Nothing left to resolve: main merged in cleanly (or the conflicts were fixed by hand)
+          goal.conflictResolution = {
+            ...(existing || {}),
+            status: allTasksDone && onResolved ? 'resolving' : 'resolved',
+            mainBranch,
+            files: existing?.files || [],
+            remainingFiles: [],
+            startedAtMs: existing?.startedAtMs || now,
+            updatedAtMs: now,
+            resolvedAtMs: allTasksDone && onResolved ? null : now,
+            error: null,
+          };
+          goal.updatedAtMs = now;
+          store.save(data);
+          // Re-run the merge into main once the goal's work is complete
+          if (allTasksDone && onResolved) await onResolved(goalId);
+          const after = store.load().goals.find(g => g.id === goalId);
+          return respond(true, {
+            resolution: after?.conflictResolution || null,
+            mergeStatus: after?.mergeStatus || null,
+            task: null,
+            files: [],
+            kickoff: null,
+          });
+        }
+
+        const task = {
+          id: store.newId('task'),
+          text: `Resolve merge conflicts with ${mainBranch}`,
+          description: buildConflictBrief({ goal, mainBranch, files }),
+          kind: CONFLICT_TASK_KIND,
+          status: 'pending',
+          done: false,
+          sessionKey: null,
+          assignedAgent: (typeof agentId === 'string' && agentId.trim()) || null,
+          model: (typeof model === 'string' && model.trim()) || null,
+          dependsOn: [],
+          createdAtMs: now,
+          updatedAtMs: now,
+        };
+        goal.tasks = goal.tasks || [];
+        goal.tasks.push(task);
+        goal.conflictResolution = {
+          status: 'resolving',
+          taskId: task.id,
+          mainBranch,
+          files: files.map(f => ({ path: f.path, hunkCount: f.hunks?.length || 0 })),
+          remainingFiles: files.map(f => f.path),
+          startedAtMs: existing?.startedAtMs || now,
+          updatedAtMs: now,
+          resolvedAtMs: null,
+          error: null,
+        };
+        goal.mergeStatus = 'conflict';
+        goal.updatedAtMs = now;
+        store.save(data);
+        if (logger) logger.info(`clawcondos-goals: resolving ${files.length} conflicting file(s) for goal ${goalId} in task ${task.id}`);
+
+        let kickoffResult = null;
+        if (kickoff) {
+          try {
+            kickoffResult = await kickoff(goalId);
+          } catch (err) {
+            if (logger) logger.error(`clawcondos-goals: goals.resolveConflicts kickoff failed for ${goalId}: ${err.message}`);
+            kickoffResult = { error: err.message };
+          }
+        }
+
+        respond(true, { resolution: goal.conflictResolution, task, files, kickoff: kickoffResult });
+      } catch (err) {
+        respond(false, undefined, { message: String(err) });
+      }
+    },
+  };
+}
@@ -3,6 +3,8 @@
  * Extracts tasks from tables and lists with agent assignments
  */
 
+import { findDependencyCycle } from './task-graph.js';
+
 /**
  * Agent name patterns mapped to role identifiers
  * Supports emoji variants and common aliases
@@ -84,14 +86,58 @@ export function normalizeAgentToRole(agentName) {
   return agentName.trim() || null;
 }
 
+// Headings like "### Phase 2", "**Wave 1**" or "## Stage 3: Backend"
+const PHASE_HEADING_PATTERN = /^(?:#{1,6}\s+|\*\*)\s*(?:phase|wave|stage|fase)\s*(\d+)\b/i;
+
+/**
+ * Parse the phase number from a plan heading line
+ * @param {string} line - Trimmed markdown line
+ * @returns {number|null} Phase number or null if the line is not a phase heading
+ */
+function parsePhaseHeading(line) {
+  const match = line.match(PHASE_HEADING_PATTERN);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Whole words, so a "Hereafter notes" column is not read as dependencies
+const DEPENDS_ON_HEADER = /\bdepend|\bprereq|\bblocked by\b|\brequires\b|^(?:after|deps)$/;
+
+/**
+ * Split a "Depends on" cell into task references
+ * Accepts row numbers ("1, 2", "#3", "1-3") or task names; "-"/"none" mean no dependencies
+ * @param {string} cell - Raw cell text
+ * @returns {string[]} References
+ */
+function parseDependsOnCell(cell) {
+  const raw = (cell || '').replace(/\*\*/g, '').replace(/`/g, '').trim();
+  if (!raw || /^(?:[-–—]|none|n\/a|ninguna?)$/i.test(raw)) return [];
+
+  const refs = [];
+  for (const part of raw.split(/\s*(?:,|;|&|\/|\band\b|\by\b)\s*/i)) {
+    const ref = part.replace(/^(?:tasks?|#)\s*/i, '').replace(/^#/, '').trim();
+    if (!ref) continue;
+    const range = ref.match(/^(\d+)\s*[-–]\s*(\d+)$/);
+    if (range) {
+      for (let n = Number(range[1]); n <= Number(range[2]); n++) refs.push(String(n));
+    } else {
+      refs.push(ref);
+    }
+  }
+  return refs;
+}
+
 /**
  * Parse tasks from a markdown table
  * Expected formats:
  * | # | Task | Agent | Time |
  * | 1 | Do something | Félix 🎨 | 2h |
- * 
+ *
+ * Optional "Depends on" and "Phase" columns (and "### Phase N" headings above
+ * a table) carry dependency information; see applyPlanDependencies().
+ * dependsOnRefs is null when the table has no dependency column.
+ *
  * @param {string} content - Markdown content
- * @returns {Array<{text: string, agent: string|null, time: string|null, description: string}>}
+ * @returns {Array<{text: string, agent: string|null, time: string|null, description: string, ref: string|null, phase: number|null, dependsOnRefs: string[]|null}>}
  */
 export function parseTasksFromTable(content) {
   if (!content || typeof content !== 'string') {
@@ -102,9 +148,10 @@ export function parseTasksFromTable(content) {
   const lines = content.split('\n');
   
   // Find table headers to determine column mapping
-  let headerIndices = { task: -1, agent: -1, time: -1, description: -1 };
+  let headerIndices = { task: -1, agent: -1, time: -1, description: -1, ref: -1, phase: -1, dependsOn: -1 };
   let inTable = false;
   let headerProcessed = false;
+  let headingPhase = null;
   
   for (const line of lines) {
     const trimmed = line.trim();
@@ -118,13 +165,15 @@ export function parseTasksFromTable(content) {
     
     // Check if this is a table row (starts and ends with |)
     if (!trimmed.startsWith('|') || !trimmed.endsWith('|')) {
+      const phase = parsePhaseHeading(trimmed);
+      if (phase != null) headingPhase = phase;
       inTable = false;
       headerProcessed = false;
       continue;
     }
     
-    // Parse columns
-    const columns = trimmed.split('|').map(c => c.trim()).filter(c => c !== '');
+    // Parse columns (empty cells are kept so a blank "Depends on" cell doesn't shift later columns)
+    const columns = trimmed.slice(1, -1).split('|').map(c => c.trim());
     
     // Skip separator rows (----)
     if (columns.every(c => /^[-:]+$/.test(c))) {
@@ -133,9 +182,13 @@ export function parseTasksFromTable(content) {
     
     // Process header row
     if (!headerProcessed) {
+      headerIndices = { task: -1, agent: -1, time: -1, description: -1, ref: -1, phase: -1, dependsOn: -1 };
       columns.forEach((col, idx) => {
         const lc = col.toLowerCase();
-        if (lc.includes('task') || lc.includes('tarea') || lc.includes('action')) {
+        // Checked first: "Depends on task" must not be taken for the task column
+        if (DEPENDS_ON_HEADER.test(lc)) {
+          headerIndices.dependsOn = idx;
+        } else if (lc.includes('task') || lc.includes('tarea') || lc.includes('action')) {
           headerIndices.task = idx;
         } else if (lc.includes('agent') || lc.includes('agente') || lc.includes('assignee') || lc.includes('owner') || lc.includes('who') || lc.includes('role')) {
           headerIndices.agent = idx;
@@ -143,6 +196,10 @@ export function parseTasksFromTable(content) {
           headerIndices.time = idx;
         } else if (lc.includes('description') || lc.includes('descripción') || lc.includes('detail') || lc.includes('notes')) {
           headerIndices.description = idx;
+        } else if (lc.includes('phase') || lc.includes('wave') || lc.includes('stage') || lc.includes('fase')) {
+          headerIndices.phase = idx;
+        } else if (lc === '#' || lc === 'id' || lc === 'no' || lc === 'no.') {
+          headerIndices.ref = idx;
         }
       });
       headerProcessed = true;
@@ -152,28 +209,26 @@ export function parseTasksFromTable(content) {
     
     // Process data row
     if (inTable && headerIndices.task >= 0) {
-      const taskText = columns[headerIndices.task];
+      let taskText = columns[headerIndices.task];
       
       // Skip if task text is a number (just the row number column)
       if (!taskText || /^\d+$/.test(taskText)) {
         // Try to find task in other columns if first was just a number
-        const fallbackTask = columns.find(c => c && !/^\d+$/.test(c) && c.length > 3);
-        if (fallbackTask) {
-          tasks.push({
-            text: fallbackTask,
-            agent: headerIndices.agent >= 0 ? normalizeAgentToRole(columns[headerIndices.agent]) : null,
-            time: headerIndices.time >= 0 ? columns[headerIndices.time] || null : null,
-            description: headerIndices.description >= 0 ? columns[headerIndices.description] || '' : '',
-          });
-        }
-        continue;
+        taskText = columns.find(c => c && !/^\d+$/.test(c) && c.length > 3);
+        if (!taskText) continue;
       }
       
+      const rawPhase = headerIndices.phase >= 0 ? parseInt((columns[headerIndices.phase] || '').replace(/\D*/, ''), 10) : NaN;
+      const phase = !isNaN(rawPhase) && rawPhase > 0 ? rawPhase : headingPhase;
+      
       tasks.push({
         text: taskText,
         agent: headerIndices.agent >= 0 ? normalizeAgentToRole(columns[headerIndices.agent]) : null,
         time: headerIndices.time >= 0 ? columns[headerIndices.time] || null : null,
         description: headerIndices.description >= 0 ? columns[headerIndices.description] || '' : '',
+        ref: headerIndices.ref >= 0 ? (columns[headerIndices.ref] || '').replace(/^#/, '').trim() || null : null,
+        phase,
+        dependsOnRefs: headerIndices.dependsOn >= 0 ? parseDependsOnCell(columns[headerIndices.dependsOn]) : null,
       });
     }
   }
@@ -188,9 +243,11 @@ export function parseTasksFromTable(content) {
  * - Task name — agent
  * - [ ] Task name (agent)
  * - **Task name** (agent) — description
+ *
+ * Items under a "### Phase N" heading get that phase; numbered items keep their number as ref.
  * 
  * @param {string} content - Markdown content
- * @returns {Array<{text: string, agent: string|null, description: string}>}
+ * @returns {Array<{text: string, agent: string|null, description: string, ref: string|null, phase: number|null, dependsOnRefs: null}>}
  */
 export function parseTasksFromLists(content) {
   if (!content || typeof content !== 'string') {
@@ -199,6 +256,7 @@ export function parseTasksFromLists(content) {
   
   const tasks = [];
   const lines = content.split('\n');
+  let headingPhase = null;
   
   // Patterns for list items with agent assignment
   const patterns = [
@@ -219,6 +277,12 @@ export function parseTasksFromLists(content) {
   for (const line of lines) {
     const trimmed = line.trim();
     
+    const phase = parsePhaseHeading(trimmed);
+    if (phase != null) {
+      headingPhase = phase;
+      continue;
+    }
+    
     // Skip non-list items
     if (!trimmed.match(/^[-*\d]/)) {
       continue;
@@ -242,6 +306,9 @@ export function parseTasksFromLists(content) {
           text: cleanText,
           agent: normalizeAgentToRole(agent),
           description: description?.trim() || '',
+          ref: trimmed.match(/^(\d+)\./)?.[1] || null,
+          phase: headingPhase,
+          dependsOnRefs: null,
         });
         break;
       }
@@ -697,6 +764,70 @@ export function convertPhasesToDependsOn(goals) {
   return goals;
 }
 
+/**
+ * Resolve a plan reference ("2", "#2" or a task name) to an index into the parsed tasks.
+ * Numbers match a task's ref column first, then the 1-based row position.
+ * @returns {number} Index or -1
+ */
+function resolvePlanRef(parsedTasks, ref) {
+  const wanted = String(ref).replace(/^#/, '').trim().toLowerCase();
+  if (!wanted) return -1;
+  const byRef = parsedTasks.findIndex(t => t.ref != null && String(t.ref).toLowerCase() === wanted);
+  if (byRef >= 0) return byRef;
+  if (/^\d+$/.test(wanted)) {
+    const idx = Number(wanted) - 1;
+    return idx >= 0 && idx < parsedTasks.length ? idx : -1;
+  }
+  const byText = parsedTasks.findIndex(t => (t.text || '').replace(/\*\*/g, '').trim().toLowerCase() === wanted);
+  if (byText >= 0) return byText;
+  return parsedTasks.findIndex(t => (t.text || '').toLowerCase().startsWith(wanted));
+}
+
+/**
+ * Set dependsOn on tasks created from a plan, so independent work can run in parallel.
+ * - Explicit "Depends on" references win; an empty cell means no dependencies
+ * - Otherwise a task in phase N depends on ALL tasks in the closest earlier phase
+ * - A plan without any dependency information falls back to a sequential chain,
+ *   as does one whose references form a cycle
+ *
+ * @param {Array} parsedTasks - Tasks from parseTasksFromPlan(), same order as `tasks`
+ * @param {Array<{id: string}>} tasks - Created task objects (mutated)
+ * @returns {'explicit'|'sequential'} How dependencies were derived
+ */
+export function applyPlanDependencies(parsedTasks, tasks) {
+  if (!Array.isArray(tasks) || tasks.length === 0) return 'sequential';
+  const parsed = Array.isArray(parsedTasks) ? parsedTasks : [];
+
+  const hasInfo = parsed.some(t => Array.isArray(t?.dependsOnRefs) || t?.phase != null);
+  if (hasInfo) {
+    const phases = [...new Set(parsed.map(t => t?.phase).filter(p => p != null))].sort((a, b) => a - b);
+
+    tasks.forEach((task, i) => {
+      const info = parsed[i] || {};
+      let deps = [];
+      // An empty cell ("-", "none" or blank) means no dependencies, not "use the phase"
+      if (Array.isArray(info.dependsOnRefs)) {
+        deps = info.dependsOnRefs.map(ref => resolvePlanRef(parsed, ref));
+      } else if (info.phase != null) {
+        const prevPhase = phases[phases.indexOf(info.phase) - 1];
+        if (prevPhase != null) {
+          deps = parsed.map((t, j) => (t?.phase === prevPhase ? j : -1));
+        }
+      }
+      task.dependsOn = [...new Set(deps
+        .filter(j => j >= 0 && j !== i && j < tasks.length)
+        .map(j => tasks[j].id))];
+    });
+
+    if (!findDependencyCycle(tasks)) return 'explicit';
+  }
+
+  tasks.forEach((task, i) => {
+    task.dependsOn = i > 0 ? [tasks[i - 1].id] : [];
+  });
+  return 'sequential';
+}
+
 /**
  * Get all supported agent roles
  * @returns {string[]} List of role identifiers
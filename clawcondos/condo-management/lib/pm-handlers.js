@@ -5,24 +5,15 @@
 
 import { getPmSession, getAgentForRole, getDefaultRoles, getOrCreatePmSessionForGoal, getOrCreatePmSessionForCondo } from './agent-roles.js';
 import { getPmSkillContext, getCondoPmSkillContext } from './skill-injector.js';
-import { parseTasksFromPlan, detectPlan, parseGoalsFromPlan, detectCondoPlan, convertPhasesToDependsOn } from './plan-parser.js';
+import { parseTasksFromPlan, detectPlan, parseGoalsFromPlan, detectCondoPlan, convertPhasesToDependsOn, applyPlanDependencies } from './plan-parser.js';
 import { buildProjectSnapshot } from './project-snapshot.js';
 import { getProjectSummaryForGoal } from './context-builder.js';
+import { dependencyError } from './task-graph.js';
+import { budgetStatus } from './cost-tracking.js';
 
 /** Default max history entries per goal */
 const DEFAULT_HISTORY_LIMIT = 100;
 
-/**
- * Set sequential dependencies on an array of tasks.
- * Each task (after the first) depends on the previous task.
- * @param {Array} tasks - Array of task objects with `id` property
- */
-function setSequentialDependencies(tasks) {
-  for (let i = 1; i < tasks.length; i++) {
-    tasks[i].dependsOn = [tasks[i - 1].id];
-  }
-}
-
 /**
  * Get or initialize PM chat history for a goal
  * @param {object} goal - Goal object
@@ -511,8 +502,13 @@ export function createPmHandlers(store, options = {}) {
         createdTasks.push(task);
       }
 
-      // Set sequential dependencies so tasks run in order
-      setSequentialDependencies(createdTasks);
+      // Dependencies from the plan (depends-on column / phases), sequential otherwise
+      applyPlanDependencies(parsedTasks, createdTasks);
+
+      const depError = dependencyError(goal.tasks, createdTasks.map(t => t.id));
+      if (depError) {
+        return respond(false, null, depError.message);
+      }
 
       goal.updatedAtMs = now;
 
@@ -632,8 +628,8 @@ export function createPmHandlers(store, options = {}) {
         createdTasks.push(task);
       }
 
-      // Set sequential dependencies so tasks run in order
-      setSequentialDependencies(createdTasks);
+      // Dependencies from the plan (depends-on column / phases), sequential otherwise
+      applyPlanDependencies(parsedTasks, createdTasks);
 
       goal.updatedAtMs = now;
       goal.pmPlanContent = contentToParse;
@@ -1097,6 +1093,11 @@ export function createPmHandlers(store, options = {}) {
         return respond(false, null, `Condo ${condoId} not found`);
       }
 
+      const condoBudget = budgetStatus(condo);
+      if (condoBudget.exceeded) {
+        return respond(false, null, `Condo budget exceeded (${condoBudget.reason})`);
+      }
+
       // Find goals in this condo that need planning (no tasks yet)
       const goals = data.goals.filter(g => g.condoId === condoId && g.status !== 'done');
       const goalsNeedingPlanning = goals.filter(g => !g.tasks || g.tasks.length === 0);
@@ -0,0 +1,372 @@
+/**
+ * Retry Policy - what happens when a worker session ends without finishing its task.
+ *
+ * Policies are partial objects set on the plugin config, condo, goal or task
+ * (`retryPolicy`); the most specific value of each field wins. A task is tried
+ * at most `maxAttempts` times in total, waiting an exponential backoff with
+ * jitter between attempts. Retries can switch to the next agent/model from the
+ * fallback lists, and a task that runs out of attempts can be escalated to the
+ * goal's PM session. Every attempt is recorded on the task (`task.attempts`).
+ * The next attempt's time is persisted as `task.nextRetryAtMs`, so retries
+ * still run after a restart (see findDueRetries).
+ */
+
+import { createNotification } from './notification-manager.js';
+
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+  maxAttempts: 2,
+  backoffMs: 2000,
+  backoffFactor: 2,
+  maxBackoffMs: 5 * 60 * 1000,
+  jitter: 0.2,
+  fallbackAgents: [],
+  fallbackModels: [],
+  escalateToPm: false,
+});
+
+// Timers can fire a little early; a retry this close to its time counts as due
+export const RETRY_DUE_TOLERANCE_MS = 1000;
+
+// Attempts kept per task, oldest dropped first
+const MAX_ATTEMPT_HISTORY = 20;
+const MAX_ERROR_LENGTH = 2000;
+const DEFAULT_ERROR = 'Agent failed while working on task';
+
+const NUMBER_FIELDS = {
+  maxAttempts: { min: 1, integer: true },
+  backoffMs: { min: 0, integer: true },
+  backoffFactor: { min: 1 },
+  maxBackoffMs: { min: 0, integer: true },
+  jitter: { min: 0, max: 1 },
+};
+
+/**
+ * Validate a (partial) retry policy; null clears the policy.
+ * @param {*} policy
+ * @returns {string|null} Error message, or null when valid
+ */
+export function retryPolicyError(policy) {
+  if (policy === null) return null;
+  if (typeof policy !== 'object' || Array.isArray(policy)) return 'retryPolicy must be an object or null';
+
+  for (const key of Object.keys(policy)) {
+    if (!(key in DEFAULT_RETRY_POLICY)) return `Unknown retryPolicy field: ${key}`;
+  }
+  for (const [key, rule] of Object.entries(NUMBER_FIELDS)) {
+    if (!(key in policy)) continue;
+    const value = policy[key];
+    if (typeof value !== 'number' || !Number.isFinite(value)
+      || (rule.integer && !Number.isInteger(value))
+      || value < rule.min || (rule.max != null && value > rule.max)) {
+      const range = rule.max != null ? `between ${rule.min} and ${rule.max}` : `>= ${rule.min}`;
+      return `retryPolicy.${key} must be ${rule.integer ? 'an integer' : 'a number'} ${range}`;
+    }
+  }
+  for (const key of ['fallbackAgents', 'fallbackModels']) {
+    if (key in policy && (!Array.isArray(policy[key]) || policy[key].some(v => typeof v !== 'string' || !v.trim()))) {
+      return `retryPolicy.${key} must be an array of non-empty strings`;
+    }
+  }
+  if ('escalateToPm' in policy && typeof policy.escalateToPm !== 'boolean') {
+    return 'retryPolicy.escalateToPm must be a boolean';
+  }
+  return null;
+}
+
+/**
+ * Effective policy for a task: defaults <- plugin config <- condo <- goal <- task.
+ * A legacy `goal.maxRetries` still counts as maxAttempts = maxRetries + 1.
+ * @param {object} scopes
+ * @param {object} [scopes.defaults] - Plugin-level policy
+ * @param {object} [scopes.condo]
+ * @param {object} [scopes.goal]
+ * @param {object} [scopes.task]
+ * @returns {object} Complete policy
+ */
+export function resolveRetryPolicy({ defaults, condo, goal, task } = {}) {
+  const legacy = Number.isInteger(goal?.maxRetries) && goal.maxRetries >= 0
+    ? { maxAttempts: goal.maxRetries + 1 }
+    : null;
+  const policy = { ...DEFAULT_RETRY_POLICY };
+  for (const layer of [defaults, condo?.retryPolicy, legacy, goal?.retryPolicy, task?.retryPolicy]) {
+    if (!layer || typeof layer !== 'object' || retryPolicyError(layer)) continue;
+    Object.assign(policy, layer);
+  }
+  return policy;
+}
+
+/**
+ * Delay before retry number `retry` (1 = first retry): exponential backoff,
+ * capped at maxBackoffMs, then spread by ±jitter.
+ * @param {object} policy - Complete policy
+ * @param {number} retry
+ * @param {() => number} [random]
+ * @returns {number} Milliseconds
+ */
+export function computeRetryDelay(policy, retry, random = Math.random) {
+  const base = Math.min(policy.backoffMs * policy.backoffFactor ** Math.max(0, retry - 1), policy.maxBackoffMs);
+  const spread = base * policy.jitter * (random() * 2 - 1);
+  return Math.max(0, Math.round(base + spread));
+}
+
+/**
+ * Decide what to do after a failed attempt.
+ * @param {object} task - Task whose attempt just failed (retryCount = retries so far)
+ * @param {object} policy - Complete policy
+ * @param {() => number} [random]
+ * @returns {{ action: 'retry', retry: number, delayMs: number, agent: string|null, model: string|null } | { action: 'fail', escalate: boolean }}
+ */
+export function planRetry(task, policy, random = Math.random) {
+  const retries = task.retryCount || 0;
+  if (retries + 1 >= policy.maxAttempts) {
+    return { action: 'fail', escalate: !!policy.escalateToPm };
+  }
+  const retry = retries + 1;
+  return {
+    action: 'retry',
+    retry,
+    delayMs: computeRetryDelay(policy, retry, random),
+    agent: policy.fallbackAgents[retry - 1] || null,
+    model: policy.fallbackModels[retry - 1] || null,
+  };
+}
+
+/**
+ * Reset a task for its next attempt according to a 'retry' decision.
+ * The task is not spawned before nextRetryAtMs.
+ * @param {object} task
+ * @param {object} decision - From planRetry()
+ * @param {string} error - Error of the failed attempt
+ */
+export function applyRetry(task, decision, error, now = Date.now()) {
+  task.sessionKey = null;
+  task.status = 'pending';
+  task.done = false;
+  task.retryCount = decision.retry;
+  task.lastError = error;
+  if (decision.agent) task.assignedAgent = decision.agent;
+  if (decision.model) task.model = decision.model;
+  task.nextRetryAtMs = now + decision.delayMs;
+  task.updatedAtMs = now;
+}
+
+/**
+ * Whether a task is still waiting out its retry backoff.
+ * @param {object} task
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isWaitingForRetry(task, now = Date.now()) {
+  return !!task.nextRetryAtMs && task.nextRetryAtMs > now + RETRY_DUE_TOLERANCE_MS;
+}
+
+/**
+ * Retries whose backoff has passed but whose task has not been spawned again.
+ * @param {object} data - Goals store data
+ * @param {number} [now]
+ * @returns {Array<{ goalId: string, taskId: string, nextRetryAtMs: number }>}
+ */
+export function findDueRetries(data, now = Date.now()) {
+  const due = [];
+  for (const goal of data.goals || []) {
+    if (goal.status === 'done' || goal.completed) continue;
+    for (const task of goal.tasks || []) {
+      if (task.status !== 'pending' || task.sessionKey || !task.nextRetryAtMs) continue;
+      if (!isWaitingForRetry(task, now)) due.push({ goalId: goal.id, taskId: task.id, nextRetryAtMs: task.nextRetryAtMs });
+    }
+  }
+  return due;
+}
+
+/**
+ * Record the start of an attempt (called when a worker session is spawned).
+ * @param {object} task
+ * @param {{ sessionKey: string, agentId?: string, model?: string|null }} attempt
+ */
+export function startAttempt(task, { sessionKey, agentId = null, model = null }, now = Date.now()) {
+  if (!Array.isArray(task.attempts)) task.attempts = [];
+  const last = task.attempts[task.attempts.length - 1];
+  task.attempts.push({
+    attempt: (last?.attempt || 0) + 1,
+    sessionKey,
+    agentId,
+    model,
+    startedAtMs: now,
+    endedAtMs: null,
+    outcome: 'running',
+    error: null,
+  });
+  if (task.attempts.length > MAX_ATTEMPT_HISTORY) {
+    task.attempts = task.attempts.slice(-MAX_ATTEMPT_HISTORY);
+  }
+  task.nextRetryAtMs = null;
+}
+
+/**
+ * Record how an attempt ended. Attempts already finished are left alone;
+ * sessions spawned before attempts were tracked get an entry without start time.
+ * @param {object} task
+ * @param {string} sessionKey
+ * @param {{ outcome: 'done'|'failed'|'cancelled', error?: string|null }} result
+ */
+export function finishAttempt(task, sessionKey, { outcome, error = null }, now = Date.now()) {
+  if (!sessionKey) return;
+  if (!Array.isArray(task.attempts)) task.attempts = [];
+  let entry = [...task.attempts].reverse().find(a => a.sessionKey === sessionKey);
+  if (entry && entry.outcome !== 'running') return;
+  if (!entry) {
+    const last = task.attempts[task.attempts.length - 1];
+    entry = { attempt: (last?.attempt || 0) + 1, sessionKey, agentId: null, model: task.model || null, startedAtMs: null };
+    task.attempts.push(entry);
+  }
+  entry.endedAtMs = now;
+  entry.outcome = outcome;
+  entry.error = error ? String(error).slice(0, MAX_ERROR_LENGTH) : null;
+}
+
+/**
+ * Error text for a failed agent_end event.
+ * @param {object} event
+ * @returns {string}
+ */
+export function describeAgentError(event) {
+  const err = event?.error;
+  const text = typeof err === 'string' ? err : err?.message;
+  return (text && String(text).trim()) || DEFAULT_ERROR;
+}
+
+/**
+ * Message sent to the PM session when a task runs out of attempts.
+ * @param {object} goal
+ * @param {object} task
+ * @returns {string}
+ */
+export function buildEscalationMessage(goal, task) {
+  const lines = [
+    `⚠️ Task "${task.text}" in goal "${goal.title}" failed after ${(task.retryCount || 0) + 1} attempt(s).`,
+    `Task ID: ${task.id}`,
+    `Last error: ${task.lastError || DEFAULT_ERROR}`,
+  ];
+  const tried = (task.attempts || []).map(a => a.agentId || a.model).filter(Boolean);
+  if (tried.length > 0) lines.push(`Tried: ${[...new Set(tried)].join(', ')}`);
+  lines.push('', 'Decide how to proceed: adjust or split the task, reassign it, or retry it with goals.retryTask.');
+  return lines.join('\n');
+}
+
+/**
+ * Create the manual retry RPC handler.
+ * @param {object} store - Goals store instance
+ * @param {object} [options]
+ * @param {Function} [options.rpcCall] - Gateway RPC (aborts a still-running session)
+ * @param {Function} [options.onRetry] - async (goalId) => kickoff result; spawns the task again
+ * @param {object} [options.logger]
+ * @returns {object} Map of method names to handlers
+ */
+export function createRetryHandlers(store, options = {}) {
+  const { rpcCall, onRetry, logger } = options;
+
+  return {
+    'goals.retryTask': async ({ params, respond }) => {
+      const { goalId, taskId, agentId, model } = params || {};
+      if (!goalId || !taskId) {
+        respond(false, undefined, { message: 'goalId and taskId are required' });
+        return;
+      }
+      try {
+        const data = store.load();
+        const goal = data.goals.find(g => g.id === goalId);
+        if (!goal) {
+          respond(false, undefined, { message: 'Goal not found' });
+          return;
+        }
+        const task = (goal.tasks || []).find(t => t.id === taskId);
+        if (!task) {
+          respond(false, undefined, { message: 'Task not found' });
+          return;
+        }
+        if (task.status === 'done') {
+          respond(false, undefined, { message: 'Task is already done' });
+          return;
+        }
+        if (task.status === 'pending' && !task.sessionKey && !task.nextRetryAtMs) {
+          respond(false, undefined, { message: 'Task has not been started' });
+          return;
+        }
+
+        const previousSession = task.sessionKey;
+        if (previousSession) {
+          finishAttempt(task, previousSession, { outcome: 'cancelled', error: 'Retried manually' });
+        }
+
+        const now = Date.now();
+        task.sessionKey = null;
+        task.status = 'pending';
+        task.done = false;
+        task.retryCount = 0;
+        task.nextRetryAtMs = null;
+        if (typeof agentId === 'string' && agentId.trim()) task.assignedAgent = agentId.trim();
+        if (typeof model === 'string' && model.trim()) task.model = model.trim();
+        task.updatedAtMs = now;
+        goal.updatedAtMs = now;
+        store.save(data);
+
+        if (previousSession && rpcCall) {
+          try { await rpcCall('chat.abort', { sessionKey: previousSession }); } catch { /* best-effort */ }
+        }
+
+        let kickoff = null;
+        if (onRetry) {
+          try {
+            kickoff = await onRetry(goalId);
+          } catch (err) {
+            if (logger) logger.error(`clawcondos-goals: goals.retryTask kickoff failed for ${goalId}: ${err.message}`);
+            kickoff = { error: err.message };
+          }
+        }
+
+        respond(true, { task, kickoff });
+      } catch (err) {
+        respond(false, undefined, { message: String(err) });
+      }
+    },
+  };
+}
+
+/**
+ * Tell the goal's PM (or the condo PM) that a task ran out of attempts.
+ * Also records an in-app notification. Best-effort: never throws.
+ * @param {object} store - Goals store instance
+ * @param {object} goal
+ * @param {object} task
+ * @param {object} [options]
+ * @param {Function} [options.sendMessage] - async (sessionKey, message)
+ * @param {object} [options.logger]
+ * @returns {Promise<string|null>} PM session key that was notified
+ */
+export async function escalateToPm(store, goal, task, { sendMessage, logger } = {}) {
+  const data = store.load();
+  const condo = goal.condoId ? data.condos.find(c => c.id === goal.condoId) : null;
+  const pmSessionKey = goal.pmSessionKey || condo?.pmCondoSessionKey || null;
+
+  try {
+    createNotification(store, {
+      type: 'task_failed',
+      goalId: goal.id,
+      taskId: task.id,
+      sessionKey: pmSessionKey,
+      title: `Task failed: ${task.text}`,
+      detail: task.lastError || DEFAULT_ERROR,
+    });
+  } catch (err) {
+    if (logger) logger.warn(`clawcondos-goals: failed to record task_failed notification: ${err.message}`);
+  }
+
+  if (!pmSessionKey || !sendMessage) return null;
+  try {
+    await sendMessage(pmSessionKey, buildEscalationMessage(goal, task));
+    return pmSessionKey;
+  } catch (err) {
+    if (logger) logger.warn(`clawcondos-goals: escalation to ${pmSessionKey} failed: ${err.message}`);
+    return null;
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Revision numbers for goals and condos (optimistic concurrency).
+ *
+ * The store bumps `revision` on every goal/condo whose content changed since it
+ * was loaded. Mutating RPCs accept `expectedRevision`; when it does not match the
+ * stored revision the handler responds with a REVISION_CONFLICT error so the
+ * caller can refetch and retry instead of silently overwriting another writer.
+ */
+
+export const REVISION_CONFLICT = 'REVISION_CONFLICT';
+
+const REVISIONED_COLLECTIONS = ['goals', 'condos'];
+
+function contentKey(entity) {
+  const { revision, ...rest } = entity;
+  return JSON.stringify(rest);
+}
+
+/**
+ * Capture id -> { revision, content } for every goal and condo.
+ * @param {object} data - Store data
+ * @returns {object} Snapshot keyed by collection
+ */
+export function snapshotRevisions(data) {
+  const snapshot = {};
+  for (const key of REVISIONED_COLLECTIONS) {
+    const entries = new Map();
+    for (const entity of Array.isArray(data[key]) ? data[key] : []) {
+      if (!entity || typeof entity !== 'object' || !entity.id) continue;
+      entries.set(entity.id, { revision: entity.revision ?? 0, content: contentKey(entity) });
+    }
+    snapshot[key] = entries;
+  }
+  return snapshot;
+}
+
+/**
+ * Set `revision` on goals and condos before a save. New entities start at 1,
+ * changed ones get the loaded revision + 1, unchanged ones keep it. Without a
+ * snapshot (data not produced by load) only missing revisions are filled in.
+ * @param {object} data - Store data about to be saved (mutated in place)
+ * @param {object|null} snapshot - Result of snapshotRevisions() at load time
+ * @returns {Array<{collection: string, id: string, before: object|null, after: object|null}>}
+ *   Entities created, changed or removed since the snapshot (empty without a snapshot)
+ */
+export function applyRevisions(data, snapshot) {
+  const changes = [];
+  for (const key of REVISIONED_COLLECTIONS) {
+    const seen = new Set();
+    for (const entity of Array.isArray(data[key]) ? data[key] : []) {
+      if (!entity || typeof entity !== 'object' || !entity.id) continue;
+      seen.add(entity.id);
+      const before = snapshot?.[key].get(entity.id);
+      if (!snapshot) {
+        if (!Number.isInteger(entity.revision) || entity.revision < 1) entity.revision = 1;
+      } else if (!before) {
+        // New entities start at 1; restored ones (from the trash) continue their count
+        entity.revision = Number.isInteger(entity.revision) && entity.revision > 0 ? entity.revision + 1 : 1;
+        changes.push({ collection: key, id: entity.id, before: null, after: entity });
+      } else if (contentKey(entity) !== before.content) {
+        entity.revision = before.revision + 1;
+        changes.push({ collection: key, id: entity.id, before: JSON.parse(before.content), after: entity });
+      } else {
+        entity.revision = before.revision;
+      }
+    }
+    if (!snapshot) continue;
+    for (const [id, before] of snapshot[key]) {
+      if (!seen.has(id)) changes.push({ collection: key, id, before: JSON.parse(before.content), after: null });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Compare a caller's expectedRevision against the stored entity.
+ * @param {string} kind - 'Goal' or 'Condo' (used in the message)
+ * @param {object} entity - Loaded goal/condo
+ * @param {number} [expectedRevision] - Revision the caller last saw; skipped when null/undefined
+ * @returns {object|null} RPC error payload on mismatch, null otherwise
+ */
+export function revisionConflict(kind, entity, expectedRevision) {
+  if (expectedRevision === undefined || expectedRevision === null) return null;
+  const currentRevision = entity.revision ?? 0;
+  if (Number(expectedRevision) === currentRevision) return null;
+  return {
+    code: REVISION_CONFLICT,
+    message: `${kind} was modified by someone else (revision ${currentRevision}, expected ${expectedRevision}). Refetch and retry.`,
+    id: entity.id,
+    currentRevision,
+    expectedRevision,
+  };
+}
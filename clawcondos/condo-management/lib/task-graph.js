@@ -0,0 +1,292 @@
+/**
+ * Task Graph - dependency validation and critical-path analysis for a goal's tasks.
+ *
+ * Edges point from a dependency to the task that waits on it (dep -> task).
+ * Validation rejects self-dependencies, references to tasks that are not in the
+ * goal and cycles; the graph view reports blocked/ready tasks and the critical
+ * path (longest chain of remaining work, weighted by estimatedTime). Kickoff uses
+ * selectRunnableTasks() to spawn every ready task up to the concurrency cap.
+ */
+
+import { isWaitingForRetry } from './retry-policy.js';
+
+export const INVALID_DEPENDENCIES = 'INVALID_DEPENDENCIES';
+
+// Weight for tasks without a parseable estimate
+const DEFAULT_TASK_MINUTES = 60;
+const UNIT_MINUTES = { m: 1, min: 1, h: 60, hr: 60, hour: 60, d: 480, day: 480, w: 2400, week: 2400 };
+
+/**
+ * Parse a plan estimate ("2h", "30 min", "1-2 days") into minutes.
+ * Ranges use the upper bound.
+ * @param {string|null} estimate
+ * @returns {number|null} Minutes, or null when unparseable
+ */
+export function parseEstimateMinutes(estimate) {
+  if (typeof estimate !== 'string') return null;
+  const match = estimate.trim().toLowerCase()
+    .match(/(\d+(?:\.\d+)?)(?:\s*[-–]\s*(\d+(?:\.\d+)?))?\s*(m|min|mins|minutes?|h|hr|hrs|hours?|d|days?|w|weeks?)\b/);
+  if (!match) return null;
+  const value = Number(match[2] || match[1]);
+  const unit = match[3].replace(/s$/, '').replace(/^minute$/, 'min');
+  return UNIT_MINUTES[unit] ? value * UNIT_MINUTES[unit] : null;
+}
+
+function depsOf(task) {
+  return Array.isArray(task?.dependsOn) ? task.dependsOn : [];
+}
+
+function isDone(task) {
+  return task?.status === 'done' || task?.done === true;
+}
+
+/**
+ * Find one dependency cycle among tasks.
+ * @param {Array} tasks - Tasks with `id` and `dependsOn`
+ * @returns {string[]|null} Task ids forming the cycle (first id repeated at the end), or null
+ */
+export function findDependencyCycle(tasks) {
+  const byId = new Map(tasks.filter(t => t?.id).map(t => [t.id, t]));
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const stack = [];
+
+  function visit(id) {
+    state.set(id, 'visiting');
+    stack.push(id);
+    for (const dep of depsOf(byId.get(id))) {
+      if (!byId.has(dep)) continue;
+      if (state.get(dep) === 'visiting') {
+        return [...stack.slice(stack.indexOf(dep)), dep];
+      }
+      if (!state.has(dep)) {
+        const cycle = visit(dep);
+        if (cycle) return cycle;
+      }
+    }
+    stack.pop();
+    state.set(id, 'done');
+    return null;
+  }
+
+  for (const id of byId.keys()) {
+    if (state.has(id)) continue;
+    const cycle = visit(id);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Validate the dependsOn arrays of a goal's tasks.
+ * @param {Array} tasks - All tasks of the goal (with any pending changes applied)
+ * @returns {Array<{type: string, taskId: string, dependsOn?: string, cycle?: string[]}>} Problems; empty when valid
+ */
+export function validateTaskDependencies(tasks) {
+  const list = Array.isArray(tasks) ? tasks : [];
+  const ids = new Set(list.filter(t => t?.id).map(t => t.id));
+  const errors = [];
+
+  for (const task of list) {
+    if (!task?.id) continue;
+    if (task.dependsOn != null && !Array.isArray(task.dependsOn)) {
+      errors.push({ type: 'invalid', taskId: task.id });
+      continue;
+    }
+    for (const dep of depsOf(task)) {
+      if (dep === task.id) {
+        errors.push({ type: 'self', taskId: task.id, dependsOn: dep });
+      } else if (typeof dep !== 'string' || !ids.has(dep)) {
+        errors.push({ type: 'missing', taskId: task.id, dependsOn: dep });
+      }
+    }
+  }
+
+  if (!errors.some(e => e.type === 'self')) {
+    const cycle = findDependencyCycle(list);
+    if (cycle) errors.push({ type: 'cycle', taskId: cycle[0], cycle });
+  }
+  return errors;
+}
+
+/**
+ * Build an RPC error payload for dependency problems, or null when there are none.
+ * Pass taskIds to only report problems involving the tasks being changed, so
+ * pre-existing bad references elsewhere in the goal do not block unrelated edits.
+ * @param {Array} tasks - All tasks of the goal (with any pending changes applied)
+ * @param {string[]} [taskIds] - Tasks being added or changed
+ * @returns {object|null}
+ */
+export function dependencyError(tasks, taskIds = null) {
+  const only = taskIds ? new Set(taskIds) : null;
+  const errors = validateTaskDependencies(tasks).filter(e =>
+    !only || only.has(e.taskId) || (e.cycle || []).some(id => only.has(id)));
+  if (errors.length === 0) return null;
+  const first = errors[0];
+  const message = first.type === 'cycle'
+    ? `Dependency cycle: ${first.cycle.join(' -> ')}`
+    : first.type === 'self'
+      ? `Task ${first.taskId} cannot depend on itself`
+      : first.type === 'missing'
+        ? `Task ${first.taskId} depends on unknown task ${first.dependsOn}`
+        : `Task ${first.taskId} has an invalid dependsOn (expected an array of task ids)`;
+  return { code: INVALID_DEPENDENCIES, message, errors };
+}
+
+/**
+ * Dependency graph of a goal's tasks with blocked/ready state and critical path.
+ * Missing dependencies count as unsatisfied; with a cycle no critical path is computed.
+ * @param {object} goal
+ * @returns {{ nodes: object[], edges: object[], criticalPath: string[], criticalPathMinutes: number, cycle: string[]|null, errors: object[] }}
+ */
+export function buildDependencyGraph(goal) {
+  const tasks = (goal?.tasks || []).filter(t => t?.id);
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const errors = validateTaskDependencies(tasks);
+  const cycleError = errors.find(e => e.type === 'cycle');
+
+  const edges = [];
+  for (const task of tasks) {
+    for (const dep of depsOf(task)) {
+      if (byId.has(dep) && dep !== task.id) edges.push({ from: dep, to: task.id });
+    }
+  }
+
+  const nodes = tasks.map(task => {
+    const deps = depsOf(task);
+    const blockedBy = deps.filter(dep => !isDone(byId.get(dep)));
+    const done = isDone(task);
+    const estimateMinutes = parseEstimateMinutes(task.estimatedTime);
+    return {
+      id: task.id,
+      text: task.text || '',
+      status: task.status || (done ? 'done' : 'pending'),
+      assignedAgent: task.assignedAgent || null,
+      estimateMinutes,
+      dependsOn: deps,
+      blockedBy,
+      blocked: !done && blockedBy.length > 0,
+      ready: !done && blockedBy.length === 0 && (task.status || 'pending') === 'pending',
+      depth: 0,
+      critical: false,
+    };
+  });
+
+  if (cycleError) {
+    return { nodes, edges, criticalPath: [], criticalPathMinutes: 0, cycle: cycleError.cycle, errors };
+  }
+
+  // Longest remaining-work path (done tasks weigh nothing), memoized over the DAG
+  const nodeById = new Map(nodes.map(n => [n.id, n]));
+  const finish = new Map(); // id -> { minutes, prev }
+  function longest(id) {
+    if (finish.has(id)) return finish.get(id);
+    const node = nodeById.get(id);
+    let best = { minutes: 0, prev: null, depth: 0 };
+    for (const dep of node.dependsOn) {
+      if (!nodeById.has(dep) || dep === id) continue;
+      const r = longest(dep);
+      if (r.minutes > best.minutes || (r.minutes === best.minutes && best.prev === null)) {
+        best = { minutes: r.minutes, prev: dep, depth: best.depth };
+      }
+      best.depth = Math.max(best.depth, r.depth + 1);
+    }
+    const task = byId.get(id);
+    const own = isDone(task) ? 0 : (node.estimateMinutes ?? DEFAULT_TASK_MINUTES);
+    const result = { minutes: best.minutes + own, prev: best.prev, depth: best.depth };
+    finish.set(id, result);
+    node.depth = result.depth;
+    return result;
+  }
+
+  let endId = null;
+  for (const node of nodes) {
+    const r = longest(node.id);
+    if (endId === null || r.minutes > finish.get(endId).minutes) endId = node.id;
+  }
+
+  const criticalPath = [];
+  if (endId !== null && finish.get(endId).minutes > 0) {
+    for (let id = endId; id; id = finish.get(id).prev) criticalPath.unshift(id);
+  }
+  for (const id of criticalPath) nodeById.get(id).critical = true;
+
+  return {
+    nodes,
+    edges,
+    criticalPath,
+    criticalPathMinutes: endId !== null ? finish.get(endId).minutes : 0,
+    cycle: null,
+    errors,
+  };
+}
+
+/**
+ * Whether a maxConcurrentTasks value is acceptable (null clears the cap).
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isValidConcurrencyCap(value) {
+  return value === null || (Number.isInteger(value) && value > 0);
+}
+
+/**
+ * Concurrency cap for a goal and what it covers: the goal's own maxConcurrentTasks
+ * limits that goal's tasks, the condo's limits the tasks of all its goals together.
+ * @param {object} goal
+ * @param {object|null} condo
+ * @returns {{ max: number|null, scope: 'goal'|'condo'|null }} max is null for unlimited
+ */
+export function resolveConcurrencyCap(goal, condo) {
+  if (isValidConcurrencyCap(goal?.maxConcurrentTasks) && goal.maxConcurrentTasks !== null) {
+    return { max: goal.maxConcurrentTasks, scope: 'goal' };
+  }
+  if (isValidConcurrencyCap(condo?.maxConcurrentTasks) && condo.maxConcurrentTasks !== null) {
+    return { max: condo.maxConcurrentTasks, scope: 'condo' };
+  }
+  return { max: null, scope: null };
+}
+
+/**
+ * Effective concurrency cap for a goal: its own maxConcurrentTasks, else its condo's.
+ * @param {object} goal
+ * @param {object|null} condo
+ * @returns {number|null} Cap, or null for unlimited
+ */
+export function resolveMaxConcurrentTasks(goal, condo) {
+  return resolveConcurrencyCap(goal, condo).max;
+}
+
+/**
+ * Tasks of a goal holding a session slot: session assigned, neither done nor failed.
+ * @param {object} goal
+ * @returns {number}
+ */
+export function countRunningTasks(goal) {
+  return (goal?.tasks || []).filter(t => t.sessionKey && !isDone(t) && t.status !== 'failed').length;
+}
+
+/**
+ * Pick the tasks a kickoff should spawn now.
+ * Ready tasks have no session, are not done, are not waiting for a retry
+ * backoff and have every dependency done; running tasks (see countRunningTasks) count against the cap.
+ * @param {object} goal
+ * @param {number|null} [maxConcurrent] - Cap from resolveConcurrencyCap()
+ * @param {number} [runningElsewhere] - Running tasks of other goals sharing the cap (condo cap)
+ * @returns {{ runnable: object[], deferred: object[], running: number }} running includes runningElsewhere
+ */
+export function selectRunnableTasks(goal, maxConcurrent = null, runningElsewhere = 0) {
+  const tasks = goal?.tasks || [];
+  const doneIds = new Set(tasks.filter(isDone).map(t => t.id));
+  const running = countRunningTasks(goal) + runningElsewhere;
+
+  const now = Date.now();
+  const ready = tasks.filter(t => {
+    if (t.sessionKey || t.status === 'done') return false;
+    // Waiting out a retry backoff
+    if (isWaitingForRetry(t, now)) return false;
+    return depsOf(t).every(dep => doneIds.has(dep));
+  });
+
+  const slots = maxConcurrent == null ? ready.length : Math.max(0, maxConcurrent - running);
+  return { runnable: ready.slice(0, slots), deferred: ready.slice(slots), running };
+}
@@ -2,6 +2,7 @@ import { buildGoalContext, getProjectSummaryForGoal } from './context-builder.js
 import { createEmptyPlan } from './plan-manager.js';
 import { resolveAutonomyMode, buildAutonomyDirective } from './autonomy.js';
 import { getWorkerSkillContext } from './skill-injector.js';
+import { startAttempt } from './retry-policy.js';
 import { join } from 'path';
 import os from 'os';
 
@@ -189,6 +190,7 @@ export function createTaskSpawnHandler(store) {
       task.sessionKey = sessionKey;
       task.status = 'in-progress';
       task.autonomyMode = autonomyMode;
+      startAttempt(task, { sessionKey, agentId: agent, model: model || null });
       task.updatedAtMs = Date.now();
       goal.sessions.push(sessionKey);
       goal.updatedAtMs = Date.now();
@@ -0,0 +1,158 @@
+/**
+ * Time Tracking - due dates, estimates, active time and overdue detection.
+ *
+ * Goals and tasks carry optional `dueAtMs` and `estimateMinutes` (the free-text
+ * goal `deadline` is kept as a label). Active time comes from task status
+ * transitions: on save the store passes the goals changed since load to
+ * applyStatusTiming(), so RPCs, agent tools and hooks are all covered without
+ * each writer doing its own bookkeeping. Time spent `in-progress` accumulates
+ * in `activeMs`; `startedAtMs` / `completedAtMs` mark the first start and the
+ * completion. checkOverdue() raises one `overdue` notification per passed due date.
+ */
+
+import { createNotification } from './notification-manager.js';
+
+/**
+ * Normalize a due date: epoch ms, an ISO 8601 string, or null/'' to clear.
+ * @param {*} value
+ * @returns {{ value: number|null }|{ error: string }}
+ */
+export function normalizeDueAt(value) {
+  if (value === null || value === '') return { value: null };
+  if (typeof value === 'number' && Number.isInteger(value) && value > 0) return { value };
+  if (typeof value === 'string') {
+    const ms = /^\d+$/.test(value.trim()) ? Number(value.trim()) : Date.parse(value);
+    if (Number.isFinite(ms) && ms > 0) return { value: ms };
+  }
+  return { error: 'dueAtMs must be epoch milliseconds, an ISO 8601 date or null' };
+}
+
+/**
+ * Validate and normalize the schedule fields present in RPC/tool params.
+ * @param {object} params
+ * @returns {{ patch: object, error: string|null }} Fields to assign (only those present in params)
+ */
+export function scheduleFields(params) {
+  const patch = {};
+  if ('dueAtMs' in (params || {})) {
+    const due = normalizeDueAt(params.dueAtMs);
+    if (due.error) return { patch: {}, error: due.error };
+    patch.dueAtMs = due.value;
+  }
+  if ('estimateMinutes' in (params || {})) {
+    const est = params.estimateMinutes;
+    if (est !== null && !(typeof est === 'number' && Number.isFinite(est) && est > 0)) {
+      return { patch: {}, error: 'estimateMinutes must be a positive number or null' };
+    }
+    patch.estimateMinutes = est;
+  }
+  return { patch, error: null };
+}
+
+/**
+ * Update task timing for status transitions in changed goals. Called by the
+ * store before writing, with the changes reported by applyRevisions().
+ * @param {Array<{collection: string, before: object|null, after: object|null}>} changes
+ * @param {number} [now]
+ */
+export function applyStatusTiming(changes, now = Date.now()) {
+  for (const { collection, before, after } of changes || []) {
+    if (collection !== 'goals' || !Array.isArray(after?.tasks)) continue;
+    const previous = new Map((before?.tasks || []).filter(t => t?.id).map(t => [t.id, t.status || null]));
+    for (const task of after.tasks) {
+      if (!task || typeof task !== 'object') continue;
+      const prev = previous.has(task.id) ? previous.get(task.id) : null;
+      const status = task.status || null;
+      if (prev === status) continue;
+
+      if (task.activeSinceMs) {
+        task.activeMs = (task.activeMs || 0) + Math.max(0, now - task.activeSinceMs);
+        task.activeSinceMs = null;
+      }
+      if (status === 'in-progress') {
+        task.activeSinceMs = now;
+        if (!task.startedAtMs) task.startedAtMs = now;
+      }
+      if (status === 'done') {
+        task.completedAtMs = now;
+      } else if (prev === 'done') {
+        task.completedAtMs = null;
+      }
+    }
+  }
+}
+
+/**
+ * Time a task has spent in progress, including the current stretch.
+ * @param {object} task
+ * @param {number} [now]
+ * @returns {number} Milliseconds
+ */
+export function taskActiveMs(task, now = Date.now()) {
+  const open = task?.activeSinceMs ? Math.max(0, now - task.activeSinceMs) : 0;
+  return (task?.activeMs || 0) + open;
+}
+
+/**
+ * Whether a goal or task is past its due date and not done.
+ * @param {object} entity
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isOverdue(entity, now = Date.now()) {
+  if (!entity?.dueAtMs || entity.dueAtMs >= now) return false;
+  return entity.status !== 'done' && entity.done !== true && entity.completed !== true;
+}
+
+/**
+ * Due date, estimate and active time for a goal.
+ * The estimate is the goal's own, else the sum of its task estimates.
+ * @param {object} goal
+ * @param {number} [now]
+ * @returns {{ dueAtMs: number|null, estimateMinutes: number|null, activeMs: number, overdue: boolean, overdueTaskIds: string[] }}
+ */
+export function goalTimeSummary(goal, now = Date.now()) {
+  const tasks = goal?.tasks || [];
+  const taskEstimates = tasks.map(t => t.estimateMinutes).filter(m => typeof m === 'number');
+  return {
+    dueAtMs: goal?.dueAtMs || null,
+    estimateMinutes: goal?.estimateMinutes ?? (taskEstimates.length ? taskEstimates.reduce((a, b) => a + b, 0) : null),
+    activeMs: tasks.reduce((sum, t) => sum + taskActiveMs(t, now), 0),
+    overdue: isOverdue(goal, now),
+    overdueTaskIds: tasks.filter(t => isOverdue(t, now)).map(t => t.id),
+  };
+}
+
+/**
+ * Notify about goals and tasks whose due date has passed. Each due date is
+ * reported once (`overdueNotifiedDueAtMs`); moving it re-arms the notification.
+ * @param {object} store - Goals store instance
+ * @param {number} [now]
+ * @returns {Array<{ goalId: string, taskId: string|null }>} Newly reported items
+ */
+export function checkOverdue(store, now = Date.now()) {
+  const data = store.load();
+  const found = [];
+  for (const goal of data.goals) {
+    const candidates = [goal, ...(goal.status === 'done' ? [] : goal.tasks || [])];
+    for (const entity of candidates) {
+      if (!isOverdue(entity, now) || entity.overdueNotifiedDueAtMs === entity.dueAtMs) continue;
+      entity.overdueNotifiedDueAtMs = entity.dueAtMs;
+      found.push({ goal, task: entity === goal ? null : entity });
+    }
+  }
+  if (found.length === 0) return [];
+  store.save(data);
+
+  for (const { goal, task } of found) {
+    const dueAtMs = (task || goal).dueAtMs;
+    createNotification(store, {
+      type: 'overdue',
+      goalId: goal.id,
+      taskId: task?.id || null,
+      title: task ? `Task overdue: ${task.text}` : `Goal overdue: ${goal.title}`,
+      detail: `Was due ${new Date(dueAtMs).toISOString()}${task ? ` (goal: ${goal.title})` : ''}`,
+    });
+  }
+  return found.map(({ goal, task }) => ({ goalId: goal.id, taskId: task?.id || null }));
+}
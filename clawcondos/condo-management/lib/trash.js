@@ -0,0 +1,371 @@
+/**
+ * Trash - soft-delete, restore and purge for goals and condos.
+ *
+ * goals.delete / condos.delete move the record into data.trash together with the
+ * session bindings they drop, so goals.restore / condos.restore can put everything
+ * back. Irreversible cleanup (deleting session transcripts, removing goal worktrees
+ * and condo workspaces) is deferred until the entry is purged, either explicitly
+ * via trash.purge or by the retention job once the entry is older than the
+ * retention period. The plugin records its retention setting in the store config
+ * (recordTrashRetention) so serve.js purges with the same one.
+ *
+ * Trash entry shape:
+ *   { id, kind: 'goal'|'condo', deletedAtMs, goal|condo, sessionKeys,
+ *     sessionIndex, sessionCondoIndex, detachedGoals? }
+ */
+
+import { mutateAndRespond } from './goals-store.js';
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function retentionMs(retentionDays) {
+  const days = Number(retentionDays);
+  return (retentionDays != null && Number.isFinite(days) && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS) * DAY_MS;
+}
+
+// An explicit retention option wins; otherwise the setting recorded in the store
+function effectiveRetentionMs(data, retentionDays) {
+  return retentionMs(retentionDays ?? data.config?.trashRetentionDays);
+}
+
+/**
+ * Record the plugin's retention setting in the store config. Every process that
+ * purges the trash (the plugin and serve.js) reads it from there, so they agree.
+ * @param {object} store - Goals store
+ * @param {number} [retentionDays] - Unset or invalid clears it back to the default
+ */
+export function recordTrashRetention(store, retentionDays) {
+  const days = Number(retentionDays);
+  const value = retentionDays != null && Number.isFinite(days) && days >= 0 ? days : null;
+  if ((store.load().config?.trashRetentionDays ?? null) === value) return;
+  store.transaction(data => {
+    if (value === null) delete data.config.trashRetentionDays;
+    else data.config.trashRetentionDays = value;
+  });
+}
+
+/**
+ * Move a goal into the trash, dropping its sessionIndex entries.
+ * Mutates data in place; the caller saves.
+ * @param {object} data - Store data
+ * @param {object} goal - Goal being deleted (must be in data.goals)
+ * @param {string[]} sessionKeys - Sessions of the goal, deleted on purge
+ * @returns {object} The trash entry
+ */
+export function trashGoal(data, goal, sessionKeys = []) {
+  const sessionIndex = {};
+  for (const [key, val] of Object.entries(data.sessionIndex || {})) {
+    if (val.goalId === goal.id) {
+      sessionIndex[key] = val;
+      delete data.sessionIndex[key];
+    }
+  }
+  data.goals = data.goals.filter(g => g.id !== goal.id);
+  const entry = {
+    id: goal.id,
+    kind: 'goal',
+    deletedAtMs: Date.now(),
+    goal,
+    sessionKeys,
+    sessionIndex,
+    sessionCondoIndex: {},
+  };
+  data.trash = (data.trash || []).filter(e => e.id !== goal.id);
+  data.trash.unshift(entry);
+  return entry;
+}
+
+/**
+ * Move a condo into the trash. Linked goals stay live but are detached from the
+ * condo; what was detached is recorded so condos.restore can reattach it.
+ * Mutates data in place; the caller saves.
+ * @param {object} data - Store data
+ * @param {object} condo - Condo being deleted (must be in data.condos)
+ * @param {string[]} sessionKeys - Sessions of the condo and its goals, deleted on purge
+ * @returns {object} The trash entry
+ */
+export function trashCondo(data, condo, sessionKeys = []) {
+  const sessionIndex = {};
+  const sessionCondoIndex = {};
+  const detachedGoals = [];
+  const now = Date.now();
+
+  for (const goal of data.goals.filter(g => g.condoId === condo.id)) {
+    for (const [key, val] of Object.entries(data.sessionIndex || {})) {
+      if (val.goalId === goal.id) {
+        sessionIndex[key] = val;
+        delete data.sessionIndex[key];
+      }
+    }
+    const taskSessionKeys = {};
+    for (const task of goal.tasks || []) {
+      if (task.sessionKey) {
+        taskSessionKeys[task.id] = task.sessionKey;
+        task.sessionKey = null;
+      }
+      if (task.status === 'in-progress') task.status = 'pending';
+    }
+    detachedGoals.push({
+      id: goal.id,
+      sessions: goal.sessions || [],
+      pmSessionKey: goal.pmSessionKey || null,
+      worktree: goal.worktree || null,
+      taskSessionKeys,
+    });
+    goal.sessions = [];
+    goal.pmSessionKey = null;
+    goal.condoId = null;
+    goal.worktree = null;
+    goal.updatedAtMs = now;
+  }
+
+  for (const [key, val] of Object.entries(data.sessionCondoIndex || {})) {
+    if (val === condo.id) {
+      sessionCondoIndex[key] = val;
+      delete data.sessionCondoIndex[key];
+    }
+  }
+  if (condo.pmCondoSessionKey && data.sessionIndex?.[condo.pmCondoSessionKey]) {
+    sessionIndex[condo.pmCondoSessionKey] = data.sessionIndex[condo.pmCondoSessionKey];
+    delete data.sessionIndex[condo.pmCondoSessionKey];
+  }
+
+  data.condos = data.condos.filter(c => c.id !== condo.id);
+  const entry = {
+    id: condo.id,
+    kind: 'condo',
+    deletedAtMs: now,
+    condo,
+    sessionKeys,
+    sessionIndex,
+    sessionCondoIndex,
+    detachedGoals,
+  };
+  data.trash = (data.trash || []).filter(e => e.id !== condo.id);
+  data.trash.unshift(entry);
+  return entry;
+}
+
+// Put back index entries unless the session has been bound elsewhere since
+function restoreBindings(data, entry) {
+  for (const [key, val] of Object.entries(entry.sessionIndex || {})) {
+    if (data.sessionIndex[key]) continue;
+    if (!data.goals.some(g => g.id === val.goalId)) continue;
+    data.sessionIndex[key] = val;
+  }
+  for (const [key, val] of Object.entries(entry.sessionCondoIndex || {})) {
+    if (data.sessionCondoIndex[key]) continue;
+    data.sessionCondoIndex[key] = val;
+  }
+}
+
+/**
+ * Summary of a trash entry for listing (without the full goal/condo document).
+ */
+function summarize(entry, retention) {
+  const item = entry.kind === 'condo' ? entry.condo : entry.goal;
+  return {
+    id: entry.id,
+    kind: entry.kind,
+    title: (entry.kind === 'condo' ? item?.name : item?.title) || entry.id,
+    condoId: entry.kind === 'goal' ? item?.condoId ?? null : null,
+    taskCount: entry.kind === 'goal' ? (item?.tasks || []).length : undefined,
+    goalCount: entry.kind === 'condo' ? (entry.detachedGoals || []).length : undefined,
+    deletedAtMs: entry.deletedAtMs,
+    purgeAtMs: entry.deletedAtMs + retention,
+  };
+}
+
+/**
+ * Permanently remove trash entries and run the cleanup that delete deferred.
+ * Entries are removed from the store before any cleanup runs, so a concurrent
+ * restore cannot bring back a goal whose worktree is being removed.
+ * @param {object} store - Goals store
+ * @param {object} [options]
+ * @param {string} [options.id] - Purge this entry regardless of age
+ * @param {boolean} [options.all] - Purge every entry regardless of age
+ * @param {number} [options.retentionDays] - Age after which entries expire (default: the recorded setting)
+ * @param {object} [options.wsOps] - Workspace operations (worktree/workspace removal)
+ * @param {Function} [options.rpcCall] - Gateway RPC (sessions.delete)
+ * @param {object} [options.logger]
+ * @returns {Promise<string[]>} IDs of purged entries
+ */
+export async function purgeTrash(store, options = {}) {
+  const { id, all, wsOps, rpcCall, logger } = options;
+  const current = store.load();
+  const cutoff = Date.now() - effectiveRetentionMs(current, options.retentionDays);
+
+  const due = (current.trash || []).some(e => id ? e.id === id : (all || e.deletedAtMs <= cutoff));
+  if (!due) return [];
+  // Take the entries out in one transaction; cleanup below only reads what it returned
+  const { purged, condos } = store.transaction(data => {
+    const entries = (data.trash || []).filter(e => id ? e.id === id : (all || e.deletedAtMs <= cutoff));
+    data.trash = (data.trash || []).filter(e => !entries.includes(e));
+    return { purged: entries, condos: data.condos };
+  });
+  if (purged.length === 0) return [];
+  const purgedIds = new Set(purged.map(e => e.id));
+
+  for (const entry of purged) {
+    if (rpcCall) {
+      for (const sk of entry.sessionKeys || []) {
+        try { await rpcCall('sessions.delete', { sessionKey: sk }); } catch { /* may not exist */ }
+      }
+    }
+    if (!wsOps) continue;
+
+    if (entry.kind === 'condo' && entry.condo?.workspace?.path) {
+      const rmResult = wsOps.removeCondoWorkspace(entry.condo.workspace.path);
+      if (!rmResult.ok && logger) {
+        logger.error(`clawcondos-goals: workspace removal failed for condo ${entry.id}: ${rmResult.error}`);
+      }
+    } else if (entry.kind === 'goal' && entry.goal?.worktree?.path && entry.goal.condoId) {
+      // Only live condos still own the worktree; a trashed condo's workspace goes with it
+      const condo = condos.find(c => c.id === entry.goal.condoId);
+      if (condo?.workspace?.path) {
+        const rmResult = wsOps.removeGoalWorktree(condo.workspace.path, entry.id, entry.goal.worktree.branch);
+        if (!rmResult.ok && logger) {
+          logger.error(`clawcondos-goals: worktree removal failed for goal ${entry.id}: ${rmResult.error}`);
+        }
+      }
+    }
+  }
+  if (logger) logger.info(`clawcondos-goals: purged ${purged.length} trash entr${purged.length === 1 ? 'y' : 'ies'}`);
+  return [...purgedIds];
+}
+
+/**
+ * Create RPC handlers for the trash bin
+ * @param {object} store - Goals store instance
+ * @param {object} [options]
+ * @param {number} [options.retentionDays] - Days before trash entries are purged (default: the recorded setting)
+ * @param {object} [options.wsOps] - Workspace operations
+ * @param {Function} [options.rpcCall] - Gateway RPC
+ * @param {object} [options.logger]
+ * @returns {object} Map of method names to handlers
+ */
+export function createTrashHandlers(store, options = {}) {
+  const { retentionDays, wsOps, rpcCall, logger } = options;
+  const handlers = {};
+
+  /**
+   * trash.list - Deleted goals and condos, newest first
+   * Response: { items: object[], retentionDays: number }
+   */
+  handlers['trash.list'] = ({ respond }) => {
+    try {
+      const data = store.load();
+      const retention = effectiveRetentionMs(data, retentionDays);
+      respond(true, {
+        items: (data.trash || []).map(e => summarize(e, retention)),
+        retentionDays: retention / DAY_MS,
+      });
+    } catch (err) {
+      respond(false, undefined, { message: String(err) });
+    }
+  };
+
+  /**
+   * goals.restore - Restore a deleted goal and its session bindings
+   * Params: { id: string }
+   * Response: { goal }
+   */
+  handlers['goals.restore'] = ({ params, respond }) => {
+    const { id } = params || {};
+    if (!id) {
+      respond(false, undefined, { message: 'id is required' });
+      return;
+    }
+    mutateAndRespond(store, respond, (data, fail) => {
+      const entry = (data.trash || []).find(e => e.id === id && e.kind === 'goal');
+      if (!entry) {
+        return fail({ message: 'Goal not found in trash' });
+      }
+      if (data.goals.some(g => g.id === id)) {
+        return fail({ message: 'A goal with this id already exists' });
+      }
+      const goal = entry.goal;
+      // The condo may have been deleted meanwhile; its worktree went (or goes) with it
+      if (goal.condoId && !data.condos.some(c => c.id === goal.condoId)) {
+        goal.condoId = null;
+        goal.worktree = null;
+      }
+      goal.updatedAtMs = Date.now();
+      data.goals.unshift(goal);
+      data.trash = data.trash.filter(e => e !== entry);
+      restoreBindings(data, entry);
+      return { goal };
+    });
+  };
+
+  /**
+   * condos.restore - Restore a deleted condo, reattaching the goals and sessions
+   * it was detached from (unless they have been reassigned since)
+   * Params: { id: string }
+   * Response: { condo, reattachedGoalIds: string[] }
+   */
+  handlers['condos.restore'] = ({ params, respond }) => {
+    const { id } = params || {};
+    if (!id) {
+      respond(false, undefined, { message: 'id is required' });
+      return;
+    }
+    mutateAndRespond(store, respond, (data, fail) => {
+      const entry = (data.trash || []).find(e => e.id === id && e.kind === 'condo');
+      if (!entry) {
+        return fail({ message: 'Condo not found in trash' });
+      }
+      if (data.condos.some(c => c.id === id)) {
+        return fail({ message: 'A condo with this id already exists' });
+      }
+      const now = Date.now();
+      const condo = entry.condo;
+      condo.updatedAtMs = now;
+      data.condos.unshift(condo);
+
+      const reattachedGoalIds = [];
+      for (const detached of entry.detachedGoals || []) {
+        const goal = data.goals.find(g => g.id === detached.id);
+        if (!goal || goal.condoId) continue;
+        const claimed = new Set(data.goals.flatMap(g => g.sessions || []));
+        goal.condoId = condo.id;
+        goal.worktree = goal.worktree || detached.worktree;
+        goal.sessions = [...(goal.sessions || []), ...detached.sessions.filter(sk => !claimed.has(sk))];
+        goal.pmSessionKey = goal.pmSessionKey || detached.pmSessionKey;
+        for (const task of goal.tasks || []) {
+          if (!task.sessionKey && detached.taskSessionKeys?.[task.id]) {
+            task.sessionKey = detached.taskSessionKeys[task.id];
+          }
+        }
+        goal.updatedAtMs = now;
+        reattachedGoalIds.push(goal.id);
+      }
+
+      data.trash = data.trash.filter(e => e !== entry);
+      restoreBindings(data, entry);
+      return { condo, reattachedGoalIds };
+    });
+  };
+
+  /**
+   * trash.purge - Permanently delete trash entries
+   * Params: { id?: string, all?: boolean } — without either, purges expired entries only
+   * Response: { purged: string[] }
+   */
+  handlers['trash.purge'] = async ({ params, respond }) => {
+    try {
+      const { id, all } = params || {};
+      if (id && !(store.load().trash || []).some(e => e.id === id)) {
+        respond(false, undefined, { message: 'Not found in trash' });
+        return;
+      }
+      const purged = await purgeTrash(store, { id, all: all === true, retentionDays, wsOps, rpcCall, logger });
+      respond(true, { purged });
+    } catch (err) {
+      respond(false, undefined, { message: String(err) });
+    }
+  };
+
+  return handlers;
+}
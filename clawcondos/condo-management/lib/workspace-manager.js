@@ -5,8 +5,8 @@
  */
 
 import { execSync } from 'child_process';
-import { existsSync, mkdirSync, rmSync } from 'fs';
-import { join } from 'path';
+import { existsSync, mkdirSync, readFileSync, rmSync } from 'fs';
+import { isAbsolute, join } from 'path';
 
 /**
  * Sanitize a condo name for use as a directory name.
@@ -478,6 +478,253 @@ export function checkBranchStatus(condoWs, branch) {
   }
 }
 
+const MAX_CONFLICT_FILES = 50;
+const MAX_HUNK_LINES = 80;
+
+/**
+ * Parse conflict markers in a file's content into hunks.
+ * Sides longer than MAX_HUNK_LINES are cut and flagged `truncated`.
+ * @param {string} content - File content with <<<<<<< / ======= / >>>>>>> markers
+ * @returns {Array<{ line: number, ours: string[], base: string[]|null, theirs: string[], truncated?: boolean }>}
+ *   `line` is the 1-based line of the opening marker
+ */
+export function parseConflictHunks(content) {
+  const hunks = [];
+  let hunk = null;
+  let side = null;
+  const lines = String(content || '').split('\n');
+  lines.forEach((text, idx) => {
+    if (text.startsWith('<<<<<<<')) {
+      hunk = { line: idx + 1, ours: [], base: null, theirs: [] };
+      side = 'ours';
+    } else if (hunk && text.startsWith('|||||||') && side === 'ours') {
+      hunk.base = [];
+      side = 'base';
+    } else if (hunk && text.startsWith('=======') && side !== 'theirs') {
+      side = 'theirs';
+    } else if (hunk && text.startsWith('>>>>>>>') && side === 'theirs') {
+      hunks.push(hunk);
+      hunk = null;
+      side = null;
+    } else if (hunk) {
+      if (hunk[side].length < MAX_HUNK_LINES) hunk[side].push(text);
+      else hunk.truncated = true;
+    }
+  });
+  return hunks;
+}
+
+/**
+ * Preview the conflicts merging a goal branch into main would hit, without
+ * touching either working tree (uses `git merge-tree --write-tree`).
+ * Hunks are oriented as `goal` (the goal branch) and `main`.
+ * @param {string} condoWs - Condo workspace root path
+ * @param {string} branch - Goal branch name
+ * @returns {{ ok: boolean, mainBranch?: string, files?: Array<{ path: string, hunks: object[] }>, error?: string }}
+ */
+export function previewMergeConflicts(condoWs, branch) {
+  try {
+    const mainBranch = getMainBranch(condoWs);
+    let output;
+    try {
+      // Exits 0 (with just the tree id) when the merge is clean
+      execSync(
+        `git merge-tree --write-tree --name-only ${shellQuote(mainBranch)} ${shellQuote(branch)}`,
+        { cwd: condoWs, stdio: 'pipe' }
+      );
+      return { ok: true, mainBranch, files: [] };
+    } catch (mergeErr) {
+      if (mergeErr.status !== 1) throw mergeErr;
+      output = mergeErr.stdout?.toString() || '';
+    }
+
+    // Output: merged tree id, conflicted paths, blank line, messages
+    const [tree, ...rest] = output.split('\n');
+    const end = rest.indexOf('');
+    const paths = [...new Set(end === -1 ? rest : rest.slice(0, end))].slice(0, MAX_CONFLICT_FILES);
+    const files = paths.map(path => {
+      let content = '';
+      try {
+        content = execSync(`git cat-file -p ${shellQuote(`${tree.trim()}:${path}`)}`, {
+          cwd: condoWs,
+          encoding: 'utf-8',
+          stdio: ['pipe', 'pipe', 'pipe'],
+          maxBuffer: 10 * 1024 * 1024,
+        });
+      } catch { /* deleted on one side: no content to show */ }
+      // merge-tree merges the goal branch into main: ours is main
+      const hunks = parseConflictHunks(content).map(h => ({ line: h.line, goal: h.theirs, main: h.ours, truncated: h.truncated || undefined }));
+      return { path, hunks };
+    });
+    return { ok: true, mainBranch, files };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Merge main into a goal worktree so conflicts can be resolved on the goal branch.
+ * Unlike mergeGoalBranch, a conflicted merge is left in progress (with markers
+ * in the files) for a worker to resolve. A merge already in progress is not
+ * restarted; its unresolved files are reported instead.
+ * @param {string} worktreePath - Goal worktree path
+ * @param {string} mainBranch - Branch to merge in
+ * @returns {{ ok: boolean, merged?: boolean, conflict?: boolean, inProgress?: boolean, conflictFiles?: string[], error?: string }}
+ */
+export function mergeMainIntoWorktree(worktreePath, mainBranch) {
+  try {
+    if (!existsSync(worktreePath)) {
+      return { ok: false, error: 'Worktree path does not exist' };
+    }
+    if (hasMergeInProgress(worktreePath)) {
+      return { ok: false, conflict: true, inProgress: true, conflictFiles: unmergedFiles(worktreePath) };
+    }
+
+    try {
+      execSync(`git merge ${shellQuote(mainBranch)} --no-ff -m ${shellQuote(`Merge ${mainBranch} into goal branch`)}`, {
+        cwd: worktreePath,
+        stdio: 'pipe',
+        env: {
+          ...process.env,
+          GIT_AUTHOR_NAME: 'ClawCondos',
+          GIT_AUTHOR_EMAIL: 'clawcondos@localhost',
+          GIT_COMMITTER_NAME: 'ClawCondos',
+          GIT_COMMITTER_EMAIL: 'clawcondos@localhost',
+        },
+      });
+      return { ok: true, merged: true };
+    } catch (err) {
+      const conflictFiles = hasMergeInProgress(worktreePath) ? unmergedFiles(worktreePath) : [];
+      if (conflictFiles.length > 0) {
+        return { ok: false, conflict: true, conflictFiles };
+      }
+      return { ok: false, error: err.message };
+    }
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Conflicts still present in a goal worktree: files git reports as unmerged,
+ * plus any of `paths` that still contain conflict markers (e.g. staged with
+ * markers left in). Hunks are oriented as `goal` and `main`, matching a merge
+ * started by mergeMainIntoWorktree.
+ * @param {string} worktreePath - Goal worktree path
+ * @param {string[]} [paths] - Files that conflicted when the merge started
+ * @returns {{ ok: boolean, mergeInProgress?: boolean, files?: Array<{ path: string, unmerged: boolean, hunks: object[] }>, error?: string }}
+ */
+export function getWorktreeConflicts(worktreePath, paths = []) {
+  try {
+    if (!existsSync(worktreePath)) {
+      return { ok: false, error: 'Worktree path does not exist' };
+    }
+    const unmerged = new Set(unmergedFiles(worktreePath));
+    const candidates = [...new Set([...unmerged, ...paths])].slice(0, MAX_CONFLICT_FILES);
+    const files = [];
+    for (const path of candidates) {
+      const fullPath = join(worktreePath, path);
+      const content = existsSync(fullPath) ? readFileSync(fullPath, 'utf-8') : '';
+      const hunks = parseConflictHunks(content).map(h => ({ line: h.line, goal: h.ours, main: h.theirs, truncated: h.truncated || undefined }));
+      if (unmerged.has(path) || hunks.length > 0) {
+        files.push({ path, unmerged: unmerged.has(path), hunks });
+      }
+    }
+    return { ok: true, mergeInProgress: hasMergeInProgress(worktreePath), files };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Bring a goal worktree up to date with main by merging or rebasing.
+ * The worktree must be clean (commit pending work first). A sync that
+ * conflicts is aborted, leaving the branch as it was.
+ * @param {string} worktreePath - Goal worktree path
+ * @param {string} mainBranch - Branch to sync with
+ * @param {'merge'|'rebase'} [strategy='merge'] - Rebase rewrites the goal branch's commits
+ * @returns {{ ok: boolean, synced?: boolean, strategy?: string, behind?: number, mainHead?: string,
+ *   changedFiles?: string[], conflict?: boolean, conflictFiles?: string[], dirty?: boolean, busy?: boolean, error?: string }}
+ *   `changedFiles` are the files main changed since the goal branch forked from it
+ */
+export function syncWorktreeWithMain(worktreePath, mainBranch, strategy = 'merge') {
+  try {
+    if (!existsSync(worktreePath)) {
+      return { ok: false, error: 'Worktree path does not exist' };
+    }
+    if (hasMergeInProgress(worktreePath) || hasRebaseInProgress(worktreePath)) {
+      return { ok: false, busy: true, error: 'A merge or rebase is already in progress' };
+    }
+    const git = (cmd) => execSync(`git ${cmd}`, { cwd: worktreePath, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
+    if (git('status --porcelain')) {
+      return { ok: false, dirty: true, error: 'Worktree has uncommitted changes' };
+    }
+
+    const mainHead = git(`rev-parse ${shellQuote(mainBranch)}`);
+    const behind = Number(git(`rev-list --count HEAD..${shellQuote(mainBranch)}`)) || 0;
+    if (behind === 0) {
+      return { ok: true, synced: false, strategy, behind: 0, mainHead, changedFiles: [] };
+    }
+    const changedFiles = git(`diff --name-only HEAD...${shellQuote(mainBranch)}`).split('\n').filter(Boolean);
+
+    const env = {
+      ...process.env,
+      GIT_AUTHOR_NAME: 'ClawCondos',
+      GIT_AUTHOR_EMAIL: 'clawcondos@localhost',
+      GIT_COMMITTER_NAME: 'ClawCondos',
+      GIT_COMMITTER_EMAIL: 'clawcondos@localhost',
+    };
+    const command = strategy === 'rebase'
+      ? `git rebase ${shellQuote(mainBranch)}`
+      : `git merge ${shellQuote(mainBranch)} --no-ff -m ${shellQuote(`Sync with ${mainBranch}`)}`;
+    try {
+      execSync(command, { cwd: worktreePath, stdio: 'pipe', env });
+    } catch (err) {
+      const conflictFiles = unmergedFiles(worktreePath);
+      try {
+        execSync(strategy === 'rebase' ? 'git rebase --abort' : 'git merge --abort', { cwd: worktreePath, stdio: 'pipe' });
+      } catch { /* nothing to abort */ }
+      if (conflictFiles.length > 0) {
+        return { ok: false, conflict: true, strategy, behind, mainHead, changedFiles, conflictFiles };
+      }
+      return { ok: false, strategy, error: err.message };
+    }
+
+    return { ok: true, synced: true, strategy, behind, mainHead, changedFiles };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+function hasRebaseInProgress(repoPath) {
+  try {
+    return ['rebase-merge', 'rebase-apply'].some(dir => {
+      const gitPath = execSync(`git rev-parse --git-path ${dir}`, { cwd: repoPath, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
+      return existsSync(isAbsolute(gitPath) ? gitPath : join(repoPath, gitPath));
+    });
+  } catch {
+    return false;
+  }
+}
+
+function hasMergeInProgress(repoPath) {
+  try {
+    execSync('git rev-parse -q --verify MERGE_HEAD', { cwd: repoPath, stdio: 'pipe' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function unmergedFiles(repoPath) {
+  const output = execSync('git diff --name-only --diff-filter=U', {
+    cwd: repoPath,
+    encoding: 'utf-8',
+    stdio: ['pipe', 'pipe', 'pipe'],
+  });
+  return [...new Set(output.split('\n').map(l => l.trim()).filter(Boolean))];
+}
+
 /**
  * Check if a branch exists in a repository.
  * @param {string} repoPath - Repository root path
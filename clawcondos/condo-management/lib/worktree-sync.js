@@ -0,0 +1,210 @@
+/**
+ * Keeps goal worktrees up to date with main.
+ *
+ * goals.syncWithMain (and the optional periodic job, runWorktreeSync) merge or
+ * rebase main into a goal's worktree. A sync that conflicts is aborted and
+ * reported with a notification; the goal can then go through the merge
+ * conflict workflow (goals.resolveConflicts). Goals with running tasks are
+ * skipped so main never moves under a live worker. After a sync, each worker
+ * session of the goal gets a one-time "main has moved" note in its next
+ * before_agent_start context (takeSyncNotice).
+ *
+ * The last sync is recorded on the goal as `mainSync`:
+ *
+ *   { status: 'synced'|'up-to-date'|'conflict'|'error', strategy, mainBranch,
+ *     mainHead, behind, changedFiles, conflictFiles, error, syncedAtMs,
+ *     checkedAtMs, notifiedSessions }
+ *
+ * `status`, `conflictFiles` and `error` describe the latest check; `strategy`,
+ * `behind` and `changedFiles` the last sync that brought main in.
+ */
+
+import { createNotification } from './notification-manager.js';
+import { isResolvingConflicts } from './merge-conflicts.js';
+
+export const SYNC_STRATEGIES = ['merge', 'rebase'];
+export const DEFAULT_SYNC_STRATEGY = 'merge';
+
+const NOTICE_MAX_FILES = 30;
+const STORED_MAX_FILES = 200;
+
+// Tasks whose worker session is still working in the goal's worktree
+function runningTasks(goal) {
+  return (goal.tasks || []).filter(t => t.sessionKey && t.status === 'in-progress');
+}
+
+/**
+ * Sync one goal's worktree with main.
+ * @param {object} store - Goals store instance
+ * @param {string} goalId
+ * @param {object} options
+ * @param {object} options.wsOps - Workspace operations
+ * @param {'merge'|'rebase'} [options.strategy]
+ * @param {Function} [options.onSync] - (goal, result) => void; called after every sync attempt
+ * @param {object} [options.logger]
+ * @returns {{ goalId: string, status: string, skipped?: string, behind?: number, changedFiles?: string[], conflictFiles?: string[], error?: string }}
+ */
+export function syncGoalWithMain(store, goalId, options = {}) {
+  const { wsOps, onSync, logger } = options;
+  const strategy = options.strategy || DEFAULT_SYNC_STRATEGY;
+  const data = store.load();
+  const goal = data.goals.find(g => g.id === goalId);
+  if (!goal) return { goalId, status: 'skipped', skipped: 'Goal not found' };
+  if (!goal.worktree?.path || !goal.worktree?.branch) return { goalId, status: 'skipped', skipped: 'Goal has no worktree' };
+  const condo = data.condos.find(c => c.id === goal.condoId);
+  if (!condo?.workspace?.path) return { goalId, status: 'skipped', skipped: 'Condo has no workspace' };
+  if (isResolvingConflicts(goal)) return { goalId, status: 'skipped', skipped: 'Merge conflicts are being resolved' };
+  const running = runningTasks(goal);
+  if (running.length > 0) {
+    return { goalId, status: 'skipped', skipped: `Wait for ${running.length} running task(s) to finish before syncing` };
+  }
+
+  const mainBranch = wsOps.getMainBranch(condo.workspace.path);
+  const commitResult = wsOps.commitWorktreeChanges(goal.worktree.path, `Goal work before syncing with ${mainBranch}`);
+  const result = commitResult.ok
+    ? wsOps.syncWorktreeWithMain(goal.worktree.path, mainBranch, strategy)
+    : { ok: false, error: `Could not commit worktree changes: ${commitResult.error}` };
+  if (result.busy) return { goalId, status: 'skipped', skipped: result.error };
+
+  const now = Date.now();
+  const previous = goal.mainSync || {};
+  let status;
+  if (result.ok) status = result.synced ? 'synced' : 'up-to-date';
+  else status = result.conflict ? 'conflict' : 'error';
+
+  // behind/changedFiles/strategy describe the last sync that moved the branch;
+  // status/error/conflictFiles describe the latest check
+  const moved = status === 'synced';
+  goal.mainSync = {
+    status,
+    strategy: moved ? strategy : (previous.strategy || strategy),
+    mainBranch,
+    mainHead: result.mainHead || previous.mainHead || null,
+    behind: moved ? result.behind : (previous.behind || 0),
+    changedFiles: moved ? result.changedFiles.slice(0, STORED_MAX_FILES) : (previous.changedFiles || []),
+    conflictFiles: (result.conflictFiles || []).slice(0, STORED_MAX_FILES),
+    error: result.ok ? null : (result.error || 'Sync failed'),
+    syncedAtMs: moved ? now : (previous.syncedAtMs || null),
+    checkedAtMs: now,
+    // A new sync is announced to every worker again
+    notifiedSessions: moved ? [] : (previous.notifiedSessions || []),
+  };
+  goal.updatedAtMs = now;
+  store.save(data);
+
+  // Notify once per conflicting main commit, not on every periodic check
+  if (status === 'conflict' && !(previous.status === 'conflict' && previous.mainHead === result.mainHead)) {
+    createNotification(store, {
+      type: 'sync_conflict',
+      goalId,
+      title: `Goal "${goal.title}" conflicts with ${mainBranch}`,
+      detail: `Syncing with ${mainBranch} (${result.behind} new commit${result.behind === 1 ? '' : 's'}) conflicts in ${result.conflictFiles.join(', ')}. The sync was aborted; resolve the conflicts to bring the goal up to date.`,
+    });
+  }
+  if (logger && status !== 'up-to-date') {
+    const log = status === 'synced' ? logger.info : logger.warn;
+    log?.call(logger, `clawcondos-goals: sync of goal ${goalId} with ${mainBranch} (${strategy}): ${status}${goal.mainSync.error ? ` — ${goal.mainSync.error}` : ''}`);
+  }
+  if (onSync) onSync(goal, goal.mainSync);
+
+  return {
+    goalId,
+    status,
+    behind: result.behind || 0,
+    changedFiles: result.changedFiles || [],
+    conflictFiles: result.conflictFiles || [],
+    error: goal.mainSync.error || undefined,
+  };
+}
+
+/**
+ * Sync every active goal that has a worktree (the periodic job).
+ * @param {object} store - Goals store instance
+ * @param {object} options - Same as syncGoalWithMain
+ * @returns {object[]} Results of the goals that were checked
+ */
+export function runWorktreeSync(store, options = {}) {
+  const goalIds = store.load().goals
+    .filter(g => g.status !== 'done' && !g.completed && g.worktree?.path && !isResolvingConflicts(g) && runningTasks(g).length === 0)
+    .map(g => g.id);
+  const results = [];
+  for (const goalId of goalIds) {
+    try {
+      results.push(syncGoalWithMain(store, goalId, options));
+    } catch (err) {
+      options.logger?.error(`clawcondos-goals: worktree sync failed for goal ${goalId}: ${err.message}`);
+    }
+  }
+  return results;
+}
+
+// When a session's worker started, from the attempt history of its task
+function sessionStartedAtMs(goal, sessionKey) {
+  for (const task of goal.tasks || []) {
+    const attempt = (task.attempts || []).find(a => a.sessionKey === sessionKey);
+    if (attempt) return attempt.startedAtMs || null;
+  }
+  return null;
+}
+
+/**
+ * The "main has moved" note for a worker session, returned once per sync.
+ * Workers started after the sync already began from the synced branch and
+ * get no note. Marks the session as notified; the caller saves the store.
+ * @param {object} goal
+ * @param {string} sessionKey
+ * @returns {string|null}
+ */
+export function takeSyncNotice(goal, sessionKey) {
+  const sync = goal?.mainSync;
+  if (!sync?.syncedAtMs || !sessionKey) return null;
+  const notified = sync.notifiedSessions || [];
+  if (notified.includes(sessionKey)) return null;
+  const startedAtMs = sessionStartedAtMs(goal, sessionKey);
+  if (startedAtMs && startedAtMs >= sync.syncedAtMs) return null;
+  sync.notifiedSessions = [...notified, sessionKey];
+
+  const files = sync.changedFiles || [];
+  const lines = [
+    '## Main has moved',
+    `\`${sync.mainBranch}\` was ${sync.strategy === 'rebase' ? 'rebased onto' : 'merged into'} this goal's branch ` +
+      `(${sync.behind} new commit${sync.behind === 1 ? '' : 's'}). Re-read these files before editing them:`,
+    ...files.slice(0, NOTICE_MAX_FILES).map(f => `- ${f}`),
+  ];
+  if (files.length > NOTICE_MAX_FILES) lines.push(`- … and ${files.length - NOTICE_MAX_FILES} more`);
+  return lines.join('\n');
+}
+
+/**
+ * Create worktree sync handlers.
+ * @param {object} store - Goals store instance
+ * @param {object} options
+ * @param {object|null} options.wsOps - Workspace operations (null when workspaces are disabled)
+ * @param {'merge'|'rebase'} [options.strategy] - Default strategy
+ * @param {Function} [options.onSync]
+ * @param {object} [options.logger]
+ * @returns {object} Map of method names to handlers
+ */
+export function createSyncHandlers(store, options = {}) {
+  const { wsOps } = options;
+
+  return {
+    // goals.syncWithMain — merge or rebase main into a goal's worktree now
+    'goals.syncWithMain': ({ params, respond }) => {
+      const { goalId, strategy } = params || {};
+      if (!goalId) return respond(false, undefined, { message: 'goalId is required' });
+      if (strategy != null && !SYNC_STRATEGIES.includes(strategy)) {
+        return respond(false, undefined, { message: `strategy must be one of: ${SYNC_STRATEGIES.join(', ')}` });
+      }
+      if (!wsOps) return respond(false, undefined, { message: 'Workspaces not enabled' });
+      try {
+        const result = syncGoalWithMain(store, goalId, { ...options, strategy: strategy || options.strategy });
+        if (result.skipped) return respond(false, undefined, { message: result.skipped });
+        const goal = store.load().goals.find(g => g.id === goalId);
+        respond(true, { ...result, mainSync: goal?.mainSync || null });
+      } catch (err) {
+        respond(false, undefined, { message: String(err) });
+      }
+    },
+  };
+}
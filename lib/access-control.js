@@ -0,0 +1,278 @@
+/**
+ * Role and condo-membership checks for dashboard users (see lib/accounts.js).
+ *
+ * Roles are ordered viewer < operator < admin. Every WS proxy RPC method and
+ * HTTP route needs a minimum role: viewers read, operators change goals, chat
+ * and run agents, admins manage configuration, secrets and users.
+ *
+ * Users without `allCondos` (contractors) only see the condos in their
+ * `condoIds`: requests that name a condo, goal or session outside them are
+ * refused, list results and events are filtered, and server-wide routes
+ * (search, agent workspaces) are closed to them.
+ */
+
+import { roleAtLeast } from './accounts.js';
+
+// Stands for "everything" when accounts are off; the pre-accounts behaviour
+export const LOCAL_ADMIN = Object.freeze({
+  id: null,
+  username: 'local',
+  displayName: 'Local admin',
+  role: 'admin',
+  allCondos: true,
+  condoIds: [],
+  local: true,
+});
+
+const ADMIN_METHODS = new Set([
+  'trash.purge',
+  'pm.setConfig',
+  'roles.assign',
+  'roles.unassign',
+  'roles.setLabel',
+  'roles.applyAutoDetect',
+  'classification.applyLearning',
+  'sessions.cleanupStale',
+  'agents.create',
+  'agents.update',
+  'agents.delete',
+]);
+
+const VIEWER_METHODS = new Set([
+  'connect',
+  'events.resume',
+  'events.ack',
+  'status',
+  'health',
+  'chat.history',
+  'chat.activeRuns',
+  'goals.dependencyGraph',
+  'goals.conflicts',
+  'goals.checkConflicts',
+  'goals.branchStatus',
+  'goals.sessionLookup',
+  'team.status',
+  'classification.stats',
+  'classification.learningReport',
+  'schedules.preview',
+]);
+
+// list / get / history / usage style reads: goals.list, plans.getLogs, goals.listSessionCondos, ...
+const READ_METHOD = /\.(list|get|history|usage|unreadCount)$|\.(get|list)[A-Z]\w*$/;
+
+/**
+ * Minimum role for an RPC method. config.* is admin-only (it holds service
+ * tokens), reads are open to viewers, everything else needs an operator.
+ * @param {string} method
+ * @returns {'viewer'|'operator'|'admin'}
+ */
+export function methodRole(method) {
+  const name = String(method || '');
+  if (name.startsWith('config.') || ADMIN_METHODS.has(name)) return 'admin';
+  if (VIEWER_METHODS.has(name) || READ_METHOD.test(name)) return 'viewer';
+  return 'operator';
+}
+
+// Methods condo-restricted users may call without naming a condo; their
+// results are filtered by filterRpcResult
+const UNSCOPED_METHODS = new Set([
+  'connect',
+  'events.resume',
+  'events.ack',
+  'status',
+  'health',
+  'goals.list',
+  'condos.list',
+  'sessions.list',
+  'chat.activeRuns',
+  'agents.list',
+  'notifications.list',
+]);
+
+// [http method or '*', path pattern, rule]. First match wins; a null rule is public.
+const ROUTE_RULES = [
+  ['POST', /^\/api\/auth\/(login|logout)$/, null],
+  ['GET', /^\/api\/auth\/session$/, null],
+  ['*', /^\/api\/auth\//, { role: 'viewer' }],
+  ['*', /^\/healthz$/, null],
+  // External systems; each condo's secret authenticates (lib/inbound-hooks.js)
+  ['POST', /^\/api\/hooks\/inbound\/[\w-]+$/, null],
+  ['*', /^\/api\/hooks\//, { role: 'admin' }],
+  ['*', /^\/api\/users(\/|$)/, { role: 'admin' }],
+  // Own tokens for any account; /api/v1 authenticates with the tokens themselves (lib/rest-api.js)
+  ['*', /^\/api\/tokens(\/|$)/, { role: 'viewer' }],
+  // Webhooks hold signing secrets and send to arbitrary URLs
+  ['*', /^\/api\/webhooks(\/|$)/, { role: 'admin' }],
+  ['*', /^\/api\/gateway\//, { role: 'admin' }],
+  ['POST', /^\/api\/search\/reindex$/, { role: 'admin' }],
+  ['GET', /^\/api\/search(\/|$)/, { role: 'viewer', allCondos: true }],
+  ['*', /^\/api\/search\//, { role: 'operator', allCondos: true }],
+  ['GET', /^\/api\/agents\/(files|file)$/, { role: 'operator', allCondos: true }],
+  ['*', /^\/api\/agents\//, { role: 'viewer', allCondos: true }],
+  ['*', /^\/api\/local-sessions$/, { role: 'viewer', allCondos: true }],
+  ['*', /^\/api\/cron-recurring\/?$/, { role: 'viewer', allCondos: true }],
+  // App processes are server-wide; their logs may hold secrets
+  ['POST', /^\/api\/apps\/[\w-]+\/(start|stop|restart)$/, { role: 'operator', allCondos: true }],
+  ['GET', /^\/api\/apps\/[\w-]+\/logs$/, { role: 'operator', allCondos: true }],
+  ['*', /^\/api\/apps(\/|$)/, { role: 'viewer' }],
+  ['*', /^\/api\/whisper\//, { role: 'operator' }],
+  ['POST', /^\/media-upload\/upload$/, { role: 'operator' }],
+  ['*', /^\/media-upload(\/|$)/, { role: 'viewer' }],
+  ['*', /^\/media\//, { role: 'viewer' }],
+  ['POST', /^\/api\/export$/, { role: 'viewer' }],
+  // Unknown API routes fail closed
+  ['*', /^\/api\//, { role: 'admin' }],
+];
+
+/**
+ * Access rule for an HTTP route: { role, allCondos? }, or null when public
+ * (login endpoints and the static dashboard, which must load before login).
+ * @param {string} httpMethod
+ * @param {string} pathname
+ * @returns {{ role: string, allCondos?: boolean }|null}
+ */
+export function routeRule(httpMethod, pathname) {
+  for (const [verb, pattern, rule] of ROUTE_RULES) {
+    if ((verb === '*' || verb === httpMethod) && pattern.test(pathname)) return rule;
+  }
+  return null;
+}
+
+/**
+ * Whether the user sees every condo.
+ * @param {object} user
+ * @returns {boolean}
+ */
+export function hasAllCondos(user) {
+  return !!user && (user.role === 'admin' || user.allCondos === true);
+}
+
+/**
+ * Whether the user may see a condo.
+ * @param {object} user
+ * @param {string|null} condoId
+ * @returns {boolean}
+ */
+export function canAccessCondo(user, condoId) {
+  if (hasAllCondos(user)) return true;
+  return !!condoId && (user?.condoIds || []).includes(condoId);
+}
+
+const UNKNOWN = Symbol('unknown');
+
+/**
+ * The condo a session belongs to, through its goal or a direct condo binding.
+ * @param {object} data - Goals store data
+ * @param {string} sessionKey
+ * @returns {string|null|symbol} Condo id, null when unbound
+ */
+function sessionCondo(data, sessionKey) {
+  const goalId = data.sessionIndex?.[sessionKey]?.goalId;
+  if (goalId) return data.goals.find(g => g.id === goalId)?.condoId || UNKNOWN;
+  return data.sessionCondoIndex?.[sessionKey] || null;
+}
+
+function goalCondo(data, goalId) {
+  const goal = data.goals.find(g => g.id === goalId);
+  return goal ? (goal.condoId || null) : UNKNOWN;
+}
+
+/**
+ * Condos an RPC request or event payload refers to: condoId, goalId,
+ * sessionKey, and `id` for goals.* / condos.* methods. Ids that resolve to
+ * nothing count as an inaccessible condo.
+ * @param {object} data - Goals store data
+ * @param {string} method - RPC method or event name
+ * @param {object} params
+ * @returns {Array<string|null|symbol>|null} null when nothing identifies a condo
+ */
+export function referencedCondos(data, method, params) {
+  if (!params || typeof params !== 'object') return null;
+  const refs = [];
+  if (typeof params.condoId === 'string' && params.condoId) {
+    refs.push(data.condos.some(c => c.id === params.condoId) ? params.condoId : UNKNOWN);
+  }
+  if (typeof params.goalId === 'string' && params.goalId) refs.push(goalCondo(data, params.goalId));
+  if (typeof params.id === 'string' && params.id) {
+    if (method.startsWith('goals.')) refs.push(goalCondo(data, params.id));
+    else if (method.startsWith('condos.')) refs.push(data.condos.some(c => c.id === params.id) ? params.id : UNKNOWN);
+  }
+  if (typeof params.sessionKey === 'string' && params.sessionKey) refs.push(sessionCondo(data, params.sessionKey));
+  return refs.length > 0 ? refs : null;
+}
+
+const refAllowed = (user, ref) => typeof ref === 'string' && canAccessCondo(user, ref);
+
+/**
+ * Decide whether a user may call an RPC method with these params.
+ * @param {object} user
+ * @param {string} method
+ * @param {object} params
+ * @param {() => object} loadData - Goals store data; only read for condo-restricted users
+ * @returns {{ ok: true } | { ok: false, code: 'FORBIDDEN', message: string }}
+ */
+export function authorizeRpc(user, method, params, loadData) {
+  const required = methodRole(method);
+  if (!roleAtLeast(user?.role, required)) {
+    return { ok: false, code: 'FORBIDDEN', message: `${method} requires the ${required} role` };
+  }
+  if (hasAllCondos(user)) return { ok: true };
+
+  const refs = referencedCondos(loadData(), method, params);
+  if (!refs) {
+    if (UNSCOPED_METHODS.has(method)) return { ok: true };
+    return { ok: false, code: 'FORBIDDEN', message: `${method} is not available to accounts limited to shared condos` };
+  }
+  if (!refs.every(ref => refAllowed(user, ref))) {
+    return { ok: false, code: 'FORBIDDEN', message: 'This condo is not shared with your account' };
+  }
+  return { ok: true };
+}
+
+/**
+ * Drop what a condo-restricted user may not see from a list result.
+ * @param {object} user
+ * @param {string} method
+ * @param {object} result
+ * @param {() => object} loadData
+ * @returns {object}
+ */
+export function filterRpcResult(user, method, result, loadData) {
+  if (hasAllCondos(user) || !result || typeof result !== 'object') return result;
+  const data = loadData();
+  const sessionVisible = (key) => refAllowed(user, sessionCondo(data, key));
+  switch (method) {
+    case 'goals.list':
+      return Array.isArray(result.goals) ? { ...result, goals: result.goals.filter(g => canAccessCondo(user, g.condoId)) } : result;
+    case 'condos.list':
+      return Array.isArray(result.condos) ? { ...result, condos: result.condos.filter(c => canAccessCondo(user, c.id)) } : result;
+    case 'sessions.list':
+      return Array.isArray(result.sessions) ? { ...result, sessions: result.sessions.filter(s => sessionVisible(s.key)) } : result;
+    case 'chat.activeRuns':
+      return Array.isArray(result.activeRuns) ? { ...result, activeRuns: result.activeRuns.filter(r => sessionVisible(r.sessionKey)) } : result;
+    case 'notifications.list':
+      return Array.isArray(result.notifications)
+        ? { ...result, notifications: result.notifications.filter(n => eventVisible(user, 'notification', n, () => data)) }
+        : result;
+    default:
+      return result;
+  }
+}
+
+// Events that only make sense with a session; hidden when they carry none
+const SESSION_EVENTS = new Set(['chat', 'agent', 'search.alert']);
+
+/**
+ * Whether a condo-restricted user may receive an event.
+ * @param {object} user
+ * @param {string} event
+ * @param {object} payload
+ * @param {() => object} loadData
+ * @returns {boolean}
+ */
+export function eventVisible(user, event, payload, loadData) {
+  if (hasAllCondos(user)) return true;
+  const refs = referencedCondos(loadData(), String(event || ''), payload);
+  if (!refs) return !SESSION_EVENTS.has(event);
+  return refs.every(ref => refAllowed(user, ref));
+}
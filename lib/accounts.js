@@ -0,0 +1,386 @@
+/**
+ * Local user accounts and login sessions for the dashboard.
+ *
+ * Users and sessions are kept in one JSON file. Passwords are stored as scrypt
+ * hashes; a login returns a random session token that serve.js puts in an
+ * HttpOnly cookie, and only its SHA-256 is stored. Accounts are off until the
+ * first user exists: until then serve.js treats every request as the local
+ * admin, as before, and the first account created must be an admin.
+ *
+ * User records (passwordHash never leaves this module):
+ *
+ *   { id, username, displayName, role: 'viewer'|'operator'|'admin',
+ *     allCondos, condoIds, disabled, createdAtMs, updatedAtMs, lastLoginAtMs }
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, statSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import crypto from 'crypto';
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+export const SESSION_COOKIE = 'clawcondos_session';
+
+const DEFAULT_SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_SESSIONS_PER_USER = 20;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 5 * 60 * 1000;
+const SCRYPT_N = 16384;
+const SCRYPT_KEYLEN = 64;
+
+/**
+ * Hash a password for storage: `scrypt$<N>$<salt hex>$<hash hex>`.
+ * @param {string} password
+ * @returns {string}
+ */
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN, { N: SCRYPT_N });
+  return `scrypt$${SCRYPT_N}$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a hash from hashPassword (constant-time compare).
+ * @param {string} password
+ * @param {string} stored
+ * @returns {boolean}
+ */
+export function verifyPassword(password, stored) {
+  const [scheme, n, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  try {
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length, { N: Number(n) });
+    return crypto.timingSafeEqual(actual, expected);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether `role` grants at least `required`.
+ * @param {string} role
+ * @param {string} required
+ * @returns {boolean}
+ */
+export function roleAtLeast(role, required) {
+  const have = ROLES.indexOf(role);
+  return have !== -1 && have >= ROLES.indexOf(required);
+}
+
+/**
+ * Parse a Cookie header into a name -> value map.
+ * @param {string} [header]
+ * @returns {Record<string, string>}
+ */
+export function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq === -1) continue;
+    const name = part.slice(0, eq).trim();
+    if (!name || name in cookies) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch {
+      cookies[name] = part.slice(eq + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function publicUser(user) {
+  if (!user) return null;
+  const { passwordHash, ...rest } = user;
+  return { ...rest, condoIds: [...(user.condoIds || [])] };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.filePath - JSON file holding users and sessions
+ * @param {number} [options.sessionTtlMs] - Login lifetime (default 7 days)
+ * @param {object} [options.logger]
+ */
+export function createAccounts({ filePath, sessionTtlMs = DEFAULT_SESSION_TTL_MS, logger }) {
+  const log = logger || console;
+  // Failed logins per username, in memory: { count, lockedUntilMs }
+  const failures = new Map();
+  // Parsed file, reused while its mtime is unchanged (authenticate runs per request)
+  let cache = null;
+
+  function load() {
+    if (!existsSync(filePath)) return { users: [], sessions: [] };
+    try {
+      const mtimeMs = statSync(filePath).mtimeMs;
+      if (cache?.mtimeMs === mtimeMs) return structuredClone(cache.data);
+      const parsed = JSON.parse(readFileSync(filePath, 'utf-8'));
+      const data = {
+        users: Array.isArray(parsed?.users) ? parsed.users : [],
+        sessions: Array.isArray(parsed?.sessions) ? parsed.sessions : [],
+      };
+      cache = { mtimeMs, data };
+      return structuredClone(data);
+    } catch (err) {
+      log.error('[accounts] Failed to read', filePath, err.message);
+      return { users: [], sessions: [] };
+    }
+  }
+
+  function save(data) {
+    const dir = dirname(filePath);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    writeFileSync(tmp, JSON.stringify(data, null, 2), { encoding: 'utf-8', mode: 0o600 });
+    renameSync(tmp, filePath);
+    cache = null;
+  }
+
+  const normalizeUsername = (name) => String(name || '').trim().toLowerCase();
+
+  function passwordError(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  // Validate role/condo fields of a create or update; returns { fields } or { error }
+  function accessFields(params, current = {}) {
+    const fields = {};
+    if ('role' in params) {
+      if (!ROLES.includes(params.role)) return { error: `role must be one of: ${ROLES.join(', ')}` };
+      fields.role = params.role;
+    }
+    if ('allCondos' in params) fields.allCondos = params.allCondos === true;
+    if ('condoIds' in params) {
+      if (!Array.isArray(params.condoIds) || params.condoIds.some(id => typeof id !== 'string' || !id)) {
+        return { error: 'condoIds must be an array of condo ids' };
+      }
+      fields.condoIds = [...new Set(params.condoIds)];
+    }
+    if ('displayName' in params) fields.displayName = String(params.displayName || '').trim().slice(0, 100) || null;
+    if ('disabled' in params) fields.disabled = params.disabled === true;
+    return { fields: { ...current, ...fields } };
+  }
+
+  const activeAdmins = (users) => users.filter(u => u.role === 'admin' && !u.disabled);
+
+  /** True once at least one account exists. */
+  function isEnabled() {
+    return load().users.length > 0;
+  }
+
+  function listUsers() {
+    return load().users.map(publicUser);
+  }
+
+  function getUser(id) {
+    return publicUser(load().users.find(u => u.id === id));
+  }
+
+  /**
+   * @param {{ username: string, password: string, role?: string, displayName?: string, allCondos?: boolean, condoIds?: string[] }} params
+   * @returns {{ user?: object, error?: string }}
+   */
+  function createUser(params = {}) {
+    const username = normalizeUsername(params.username);
+    if (!/^[a-z0-9._@-]{2,64}$/.test(username)) {
+      return { error: 'username must be 2-64 characters: letters, digits, . _ @ -' };
+    }
+    const pwError = passwordError(params.password);
+    if (pwError) return { error: pwError };
+
+    const data = load();
+    if (data.users.some(u => u.username === username)) return { error: 'Username already exists' };
+    const role = params.role || 'viewer';
+    // Creating the first account turns accounts on; it must be able to manage the rest
+    if (data.users.length === 0 && role !== 'admin') return { error: 'The first account must be an admin' };
+    const { fields, error } = accessFields({ allCondos: false, condoIds: [], ...params, role });
+    if (error) return { error };
+
+    const now = Date.now();
+    const user = {
+      id: `user_${crypto.randomBytes(8).toString('hex')}`,
+      username,
+      displayName: fields.displayName || null,
+      role: fields.role,
+      allCondos: fields.allCondos,
+      condoIds: fields.condoIds,
+      disabled: fields.disabled === true,
+      passwordHash: hashPassword(params.password),
+      createdAtMs: now,
+      updatedAtMs: now,
+      lastLoginAtMs: null,
+    };
+    data.users.push(user);
+    save(data);
+    return { user: publicUser(user) };
+  }
+
+  /**
+   * Change role, condo membership, display name, disabled flag or password.
+   * A password change or disabling the user ends their sessions.
+   * @param {string} id
+   * @param {object} patch
+   * @returns {{ user?: object, error?: string }}
+   */
+  function updateUser(id, patch = {}) {
+    const data = load();
+    const user = data.users.find(u => u.id === id);
+    if (!user) return { error: 'User not found' };
+    const { fields, error } = accessFields(patch, {
+      role: user.role, allCondos: user.allCondos, condoIds: user.condoIds,
+      displayName: user.displayName, disabled: user.disabled,
+    });
+    if (error) return { error };
+    if ('password' in patch) {
+      const pwError = passwordError(patch.password);
+      if (pwError) return { error: pwError };
+    }
+
+    const next = { ...user, ...fields };
+    const remaining = activeAdmins(data.users.map(u => (u.id === id ? next : u)));
+    if (remaining.length === 0) return { error: 'At least one active admin is required' };
+
+    Object.assign(user, fields, { updatedAtMs: Date.now() });
+    if ('password' in patch) user.passwordHash = hashPassword(patch.password);
+    if ('password' in patch || user.disabled) {
+      data.sessions = data.sessions.filter(s => s.userId !== id);
+    }
+    save(data);
+    return { user: publicUser(user) };
+  }
+
+  /**
+   * @param {string} id
+   * @returns {{ ok?: true, error?: string }}
+   */
+  function removeUser(id) {
+    const data = load();
+    const user = data.users.find(u => u.id === id);
+    if (!user) return { error: 'User not found' };
+    const others = data.users.filter(u => u.id !== id);
+    // Removing the last account would switch accounts off and make everyone the local admin
+    if (others.length === 0) return { error: 'Cannot remove the last account' };
+    if (activeAdmins(others).length === 0) return { error: 'At least one active admin is required' };
+    data.users = others;
+    data.sessions = data.sessions.filter(s => s.userId !== id);
+    save(data);
+    return { ok: true };
+  }
+
+  /**
+   * Check credentials and open a session. Repeated failures lock the username
+   * for a few minutes.
+   * @param {string} username
+   * @param {string} password
+   * @returns {{ user?: object, token?: string, expiresAtMs?: number, error?: string, locked?: boolean }}
+   */
+  function login(username, password) {
+    const name = normalizeUsername(username);
+    const now = Date.now();
+    const failed = failures.get(name);
+    if (failed?.lockedUntilMs > now) {
+      return { error: 'Too many failed logins; try again later', locked: true };
+    }
+
+    const data = load();
+    const user = data.users.find(u => u.username === name);
+    // Hash even for unknown users so timing does not reveal which names exist
+    const ok = verifyPassword(password, user?.passwordHash || hashPassword(''));
+    if (!user || !ok || user.disabled) {
+      const count = (failed?.count || 0) + 1;
+      failures.set(name, count >= MAX_FAILED_LOGINS ? { count: 0, lockedUntilMs: now + LOCKOUT_MS } : { count, lockedUntilMs: 0 });
+      return { error: 'Invalid username or password' };
+    }
+    failures.delete(name);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAtMs = now + sessionTtlMs;
+    const own = data.sessions.filter(s => s.userId === user.id && s.expiresAtMs > now);
+    data.sessions = [
+      ...data.sessions.filter(s => s.userId !== user.id && s.expiresAtMs > now),
+      // Oldest sessions beyond the cap are dropped
+      ...own.slice(-(MAX_SESSIONS_PER_USER - 1)),
+      { tokenHash: hashToken(token), userId: user.id, createdAtMs: now, expiresAtMs },
+    ];
+    user.lastLoginAtMs = now;
+    save(data);
+    return { user: publicUser(user), token, expiresAtMs };
+  }
+
+  /**
+   * The user a session token belongs to, or null when unknown, expired or disabled.
+   * @param {string} [token]
+   * @returns {object|null}
+   */
+  function authenticate(token) {
+    if (!token) return null;
+    const data = load();
+    const tokenHash = hashToken(token);
+    const session = data.sessions.find(s => s.tokenHash === tokenHash);
+    if (!session || session.expiresAtMs <= Date.now()) return null;
+    const user = data.users.find(u => u.id === session.userId);
+    return user && !user.disabled ? publicUser(user) : null;
+  }
+
+  /** End the session of a token. */
+  function logout(token) {
+    if (!token) return;
+    const data = load();
+    const tokenHash = hashToken(token);
+    const before = data.sessions.length;
+    data.sessions = data.sessions.filter(s => s.tokenHash !== tokenHash);
+    if (data.sessions.length !== before) save(data);
+  }
+
+  /**
+   * Self-service password change; ends the user's other sessions.
+   * @returns {{ ok?: true, error?: string }}
+   */
+  function changePassword(id, currentPassword, newPassword, keepToken) {
+    const data = load();
+    const user = data.users.find(u => u.id === id);
+    if (!user) return { error: 'User not found' };
+    if (!verifyPassword(currentPassword, user.passwordHash)) return { error: 'Current password is incorrect' };
+    const pwError = passwordError(newPassword);
+    if (pwError) return { error: pwError };
+    user.passwordHash = hashPassword(newPassword);
+    user.updatedAtMs = Date.now();
+    const keep = keepToken ? hashToken(keepToken) : null;
+    data.sessions = data.sessions.filter(s => s.userId !== id || s.tokenHash === keep);
+    save(data);
+    return { ok: true };
+  }
+
+  /**
+   * Create an admin from configuration when no accounts exist yet.
+   * @returns {object|null} The created user
+   */
+  function ensureAdmin({ username, password }) {
+    if (!username || !password || isEnabled()) return null;
+    const { user, error } = createUser({ username, password, role: 'admin', allCondos: true });
+    if (error) log.error('[accounts] Could not create the initial admin:', error);
+    return user || null;
+  }
+
+  return {
+    filePath,
+    sessionTtlMs,
+    isEnabled,
+    listUsers,
+    getUser,
+    createUser,
+    updateUser,
+    removeUser,
+    login,
+    authenticate,
+    logout,
+    changePassword,
+    ensureAdmin,
+  };
+}
@@ -0,0 +1,193 @@
+/**
+ * Scoped API tokens for scripts and CI (the /api/v1 REST API, lib/rest-api.js).
+ *
+ * A token is shown once when created; only its SHA-256 is stored, with a short
+ * prefix to recognise it in lists. Each token has scopes, an optional expiry
+ * and the account that created it: a token never reaches further than its
+ * creator (role and shared condos), and stops working when that account is
+ * removed or disabled. While accounts are off tokens act for the local admin.
+ *
+ * Token records:
+ *
+ *   { id, name, prefix, tokenHash, scopes, userId, createdAtMs, expiresAtMs,
+ *     lastUsedAtMs, revokedAtMs }
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import crypto from 'crypto';
+import { roleAtLeast } from './accounts.js';
+
+export const TOKEN_SCOPES = ['goals:read', 'goals:write', 'condos:read', 'condos:write', 'search:read'];
+export const TOKEN_PREFIX = 'ccp_';
+
+const MAX_TOKENS = 200;
+const MAX_NAME_LENGTH = 100;
+const MAX_EXPIRY_DAYS = 3650;
+// Last use is persisted at most this often per token
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Minimum account role that may hold a scope: reads need a viewer, writes an operator.
+ * @param {string} scope
+ * @returns {'viewer'|'operator'}
+ */
+export function scopeRole(scope) {
+  return scope.endsWith(':write') ? 'operator' : 'viewer';
+}
+
+/**
+ * Validation error for a scope list, or null when usable by an account of `role`.
+ * @param {string[]} scopes
+ * @param {string} role
+ * @returns {string|null}
+ */
+export function scopesError(scopes, role) {
+  if (!Array.isArray(scopes) || scopes.length === 0) return 'scopes must be a non-empty array';
+  const unknown = scopes.find(s => !TOKEN_SCOPES.includes(s));
+  if (unknown) return `Unknown scope "${unknown}"; scopes are: ${TOKEN_SCOPES.join(', ')}`;
+  const tooHigh = scopes.find(s => !roleAtLeast(role, scopeRole(s)));
+  if (tooHigh) return `The ${role} role cannot create tokens with the ${tooHigh} scope`;
+  return null;
+}
+
+/**
+ * The role a token acts with: its creator's, capped by what its scopes need.
+ * @param {string} creatorRole
+ * @param {string[]} scopes
+ * @returns {'viewer'|'operator'}
+ */
+export function tokenRole(creatorRole, scopes) {
+  const wanted = scopes.some(s => scopeRole(s) === 'operator') ? 'operator' : 'viewer';
+  return roleAtLeast(creatorRole, wanted) ? wanted : 'viewer';
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function publicToken(record) {
+  if (!record) return null;
+  const { tokenHash, ...rest } = record;
+  return { ...rest, scopes: [...record.scopes] };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.filePath - JSON file holding the tokens
+ * @param {object} [options.logger]
+ */
+export function createApiTokens({ filePath, logger }) {
+  const log = logger || console;
+
+  function load() {
+    if (!existsSync(filePath)) return [];
+    try {
+      const data = JSON.parse(readFileSync(filePath, 'utf-8'));
+      return Array.isArray(data?.tokens) ? data.tokens : [];
+    } catch (err) {
+      log.error('[api-tokens] Failed to read', filePath, err.message);
+      return [];
+    }
+  }
+
+  function save(tokens) {
+    const dir = dirname(filePath);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    writeFileSync(tmp, JSON.stringify({ tokens }, null, 2), { encoding: 'utf-8', mode: 0o600 });
+    renameSync(tmp, filePath);
+  }
+
+  /**
+   * Tokens, newest first; only those of one account when `userId` is given.
+   * @param {{ userId?: string|null }} [filter]
+   */
+  function list(filter = {}) {
+    const tokens = load();
+    const own = 'userId' in filter ? tokens.filter(t => t.userId === filter.userId) : tokens;
+    return own.map(publicToken).sort((a, b) => b.createdAtMs - a.createdAtMs);
+  }
+
+  /**
+   * @param {{ name: string, scopes: string[], expiresInDays?: number }} params
+   * @param {{ id: string|null, role: string }} creator - The account creating the token
+   * @returns {{ token?: string, record?: object, error?: string }} `token` is only ever returned here
+   */
+  function create(params = {}, creator) {
+    const name = typeof params.name === 'string' ? params.name.trim() : '';
+    if (!name) return { error: 'name is required' };
+    if (name.length > MAX_NAME_LENGTH) return { error: `name must be at most ${MAX_NAME_LENGTH} characters` };
+    const scopes = Array.isArray(params.scopes) ? [...new Set(params.scopes)] : params.scopes;
+    const error = scopesError(scopes, creator.role);
+    if (error) return { error };
+    let expiresAtMs = null;
+    if (params.expiresInDays != null) {
+      const days = Number(params.expiresInDays);
+      if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS) {
+        return { error: `expiresInDays must be between 0 and ${MAX_EXPIRY_DAYS}` };
+      }
+      expiresAtMs = Date.now() + Math.round(days * 24 * 60 * 60 * 1000);
+    }
+
+    const tokens = load();
+    if (tokens.filter(t => !t.revokedAtMs).length >= MAX_TOKENS) return { error: `At most ${MAX_TOKENS} active tokens` };
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: `token_${crypto.randomBytes(8).toString('hex')}`,
+      name,
+      prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+      tokenHash: hashToken(token),
+      scopes,
+      userId: creator.id ?? null,
+      createdAtMs: Date.now(),
+      expiresAtMs,
+      lastUsedAtMs: null,
+      revokedAtMs: null,
+    };
+    tokens.push(record);
+    save(tokens);
+    return { token, record: publicToken(record) };
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object|null} The revoked token, or null when not found
+   */
+  function revoke(id) {
+    const tokens = load();
+    const record = tokens.find(t => t.id === id);
+    if (!record) return null;
+    if (!record.revokedAtMs) {
+      record.revokedAtMs = Date.now();
+      save(tokens);
+    }
+    return publicToken(record);
+  }
+
+  function get(id) {
+    return publicToken(load().find(t => t.id === id));
+  }
+
+  /**
+   * The token record for a raw token, or null when unknown, revoked or
+   * expired. Records the use (persisted to the minute).
+   * @param {string} [token]
+   * @returns {object|null}
+   */
+  function authenticate(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+    const tokens = load();
+    const tokenHash = hashToken(token);
+    const record = tokens.find(t => t.tokenHash === tokenHash);
+    const now = Date.now();
+    if (!record || record.revokedAtMs || (record.expiresAtMs && record.expiresAtMs <= now)) return null;
+    if (!record.lastUsedAtMs || now - record.lastUsedAtMs >= LAST_USED_RESOLUTION_MS) {
+      record.lastUsedAtMs = now;
+      save(tokens);
+    }
+    return publicToken(record);
+  }
+
+  return { filePath, list, get, create, revoke, authenticate };
+}
@@ -0,0 +1,413 @@
+/**
+ * Supervisor for the apps registered in .registry/apps.json.
+ *
+ * Apps with a `startCommand` can be started, stopped and restarted from the
+ * dashboard. Each runs in its own process group (so `npm start` and whatever
+ * it spawns stop together), with stdout/stderr written through a stream to a
+ * size-rotated log file. A periodic TCP check on each app's port drives its status; an app
+ * that exits without being asked to is restarted after a growing delay, and
+ * left `failed` after too many crashes in a row. Apps without a
+ * `startCommand` (started some other way) are only health-checked.
+ */
+
+import { spawn } from 'child_process';
+import { connect } from 'net';
+import { createWriteStream, existsSync, mkdirSync, openSync, readSync, closeSync, renameSync, rmSync, statSync } from 'fs';
+import { join } from 'path';
+
+export const APP_STATUSES = ['stopped', 'starting', 'running', 'unhealthy', 'stopping', 'crashed', 'failed'];
+
+const DEFAULT_RESTART_DELAYS_MS = [1000, 5000, 15000, 30000, 60000];
+const MAX_CONSECUTIVE_CRASHES = 10;
+// A run this long resets the crash count
+const STABLE_RUN_MS = 60 * 1000;
+const MAX_LOG_LINES = 2000;
+
+/**
+ * Whether something accepts TCP connections on localhost:port.
+ * @param {number} port
+ * @param {number} [timeoutMs]
+ * @returns {Promise<boolean>}
+ */
+export function checkPort(port, timeoutMs = 2000) {
+  return new Promise((resolve) => {
+    const socket = connect({ host: 'localhost', port });
+    const done = (ok) => {
+      socket.destroy();
+      resolve(ok);
+    };
+    socket.setTimeout(timeoutMs, () => done(false));
+    socket.once('connect', () => done(true));
+    socket.once('error', () => done(false));
+  });
+}
+
+/**
+ * @param {object} options
+ * @param {() => object[]} options.loadApps - Current registry entries
+ * @param {string} options.logDir - Directory for <appId>.log files
+ * @param {number} [options.healthIntervalMs]
+ * @param {number} [options.startGraceMs] - How long a new process may take to open its port
+ * @param {number} [options.stopTimeoutMs] - SIGTERM grace before SIGKILL
+ * @param {number[]} [options.restartDelaysMs] - Crash restart delays, the last one repeating
+ * @param {number} [options.maxLogBytes] - Log size before rotation
+ * @param {number} [options.logFiles] - Rotated files kept besides the current one
+ * @param {object} [options.logger]
+ */
+export function createAppSupervisor({
+  loadApps,
+  logDir,
+  healthIntervalMs = 10000,
+  startGraceMs = 30000,
+  stopTimeoutMs = 5000,
+  restartDelaysMs = DEFAULT_RESTART_DELAYS_MS,
+  maxLogBytes = 1024 * 1024,
+  logFiles = 3,
+  logger,
+}) {
+  const log = logger || console;
+  const states = new Map(); // appId -> runtime state
+  let healthTimer = null;
+
+  function findApp(id) {
+    const app = loadApps().find(a => a.id === id);
+    return app && !app.static && app.port ? app : null;
+  }
+
+  function stateFor(id) {
+    if (!states.has(id)) {
+      states.set(id, {
+        status: 'stopped',
+        child: null,
+        wanted: false,
+        healthy: false,
+        startedAtMs: null,
+        lastHealthAtMs: null,
+        crashes: 0,
+        restarts: 0,
+        restartTimer: null,
+        nextRestartAtMs: null,
+        lastExit: null,
+        lastError: null,
+        logBytes: null,
+        logStream: null,
+      });
+    }
+    return states.get(id);
+  }
+
+  // ── Logs ──
+
+  function logPath(id, n = 0) {
+    return join(logDir, n ? `${id}.log.${n}` : `${id}.log`);
+  }
+
+  function closeLog(st) {
+    st.logStream?.end();
+    st.logStream = null;
+  }
+
+  // Writes are queued on the stream, so app output never blocks the server's event loop
+  function openLog(id, st) {
+    if (!st.logStream) {
+      if (!existsSync(logDir)) mkdirSync(logDir, { recursive: true });
+      if (st.logBytes == null) st.logBytes = existsSync(logPath(id)) ? statSync(logPath(id)).size : 0;
+      st.logStream = createWriteStream(logPath(id), { flags: 'a' });
+      st.logStream.on('error', err => log.error(`[apps] Failed to write log for ${id}:`, err.message));
+    }
+    return st.logStream;
+  }
+
+  function writeLog(id, chunk) {
+    const st = stateFor(id);
+    try {
+      const stream = openLog(id, st);
+      if (st.logBytes > 0 && st.logBytes + chunk.length > maxLogBytes) {
+        // Queued writes follow the open file to its rotated name
+        closeLog(st);
+        rmSync(logPath(id, logFiles), { force: true });
+        for (let n = logFiles - 1; n >= 0; n--) {
+          if (existsSync(logPath(id, n))) renameSync(logPath(id, n), logPath(id, n + 1));
+        }
+        st.logBytes = 0;
+        openLog(id, st).write(chunk);
+      } else {
+        stream.write(chunk);
+      }
+      st.logBytes += Buffer.byteLength(chunk);
+    } catch (err) {
+      log.error(`[apps] Failed to write log for ${id}:`, err.message);
+    }
+  }
+
+  function note(id, message) {
+    writeLog(id, `[supervisor ${new Date().toISOString()}] ${message}\n`);
+  }
+
+  function readTail(file, maxBytes) {
+    if (!existsSync(file)) return '';
+    const size = statSync(file).size;
+    const length = Math.min(size, maxBytes);
+    const buf = Buffer.alloc(length);
+    const fd = openSync(file, 'r');
+    try {
+      readSync(fd, buf, 0, length, size - length);
+    } finally {
+      closeSync(fd);
+    }
+    return buf.toString('utf-8');
+  }
+
+  /**
+   * Last lines of an app's log, reaching into the previous file after a rotation.
+   * @param {string} id
+   * @param {{ lines?: number }} [opts]
+   * @returns {{ error?: string, lines?: string[] }}
+   */
+  function logs(id, { lines = 200 } = {}) {
+    if (!findApp(id)) return { error: 'App not found' };
+    const want = Math.max(1, Math.min(lines, MAX_LOG_LINES));
+    let text = readTail(logPath(id), maxLogBytes);
+    if (text.split('\n').length <= want) text = readTail(logPath(id, 1), maxLogBytes) + text;
+    const all = text.split('\n');
+    if (all[all.length - 1] === '') all.pop();
+    return { lines: all.slice(-want) };
+  }
+
+  // ── Processes ──
+
+  function launch(app) {
+    const st = stateFor(app.id);
+    st.restartTimer = null;
+    st.nextRestartAtMs = null;
+    st.healthy = false;
+    st.lastError = null;
+    note(app.id, `starting: ${app.startCommand}`);
+    let child;
+    try {
+      child = spawn(app.startCommand, {
+        shell: true,
+        cwd: app.path && existsSync(app.path) ? app.path : undefined,
+        env: { ...process.env, PORT: String(app.port) },
+        detached: true,
+        stdio: ['ignore', 'pipe', 'pipe'],
+      });
+    } catch (err) {
+      st.status = 'failed';
+      st.lastError = err.message;
+      note(app.id, `failed to start: ${err.message}`);
+      return;
+    }
+    st.child = child;
+    st.status = 'starting';
+    st.startedAtMs = Date.now();
+    child.stdout.on('data', chunk => writeLog(app.id, chunk));
+    child.stderr.on('data', chunk => writeLog(app.id, chunk));
+    child.on('error', (err) => {
+      st.lastError = err.message;
+      note(app.id, `process error: ${err.message}`);
+    });
+    child.on('exit', (code, signal) => onExit(app.id, child, code, signal));
+  }
+
+  function onExit(id, child, code, signal) {
+    const st = stateFor(id);
+    if (st.child !== child) return;
+    st.child = null;
+    st.healthy = false;
+    st.lastExit = { code, signal, atMs: Date.now() };
+    note(id, `exited (${signal ? `signal ${signal}` : `code ${code}`})`);
+    if (!st.wanted) {
+      st.status = 'stopped';
+      return;
+    }
+
+    st.crashes = Date.now() - st.startedAtMs >= STABLE_RUN_MS ? 1 : st.crashes + 1;
+    const app = findApp(id);
+    if (!app || !app.startCommand || st.crashes >= MAX_CONSECUTIVE_CRASHES) {
+      st.status = 'failed';
+      st.wanted = false;
+      st.lastError = app ? `Crashed ${st.crashes} times in a row` : 'App was removed from the registry';
+      note(id, `giving up: ${st.lastError}`);
+      log.error(`[apps] ${id}: ${st.lastError}`);
+      return;
+    }
+    const delay = restartDelaysMs[Math.min(st.crashes - 1, restartDelaysMs.length - 1)];
+    st.status = 'crashed';
+    st.nextRestartAtMs = Date.now() + delay;
+    note(id, `restarting in ${Math.round(delay / 1000)}s`);
+    st.restartTimer = setTimeout(() => {
+      const current = findApp(id);
+      if (!st.wanted || !current) return;
+      st.restarts++;
+      launch(current);
+    }, delay);
+    st.restartTimer.unref?.();
+  }
+
+  function killGroup(child, signal) {
+    try {
+      process.kill(-child.pid, signal);
+    } catch {
+      try { child.kill(signal); } catch { /* already gone */ }
+    }
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<{ error?: string, app?: object }>}
+   */
+  async function start(id) {
+    const app = findApp(id);
+    if (!app) return { error: 'App not found' };
+    if (!app.startCommand) return { error: 'App has no startCommand' };
+    const st = stateFor(id);
+    if (st.child) return { app: status(id) };
+    clearTimeout(st.restartTimer);
+    if (await checkPort(app.port)) return { error: `Port ${app.port} is already in use` };
+    st.wanted = true;
+    st.crashes = 0;
+    launch(app);
+    return { app: status(id) };
+  }
+
+  /**
+   * Stops the app's process group: SIGTERM, then SIGKILL after stopTimeoutMs.
+   * @param {string} id
+   * @returns {Promise<{ error?: string, app?: object }>}
+   */
+  async function stop(id) {
+    if (!findApp(id) && !states.has(id)) return { error: 'App not found' };
+    const st = stateFor(id);
+    st.wanted = false;
+    clearTimeout(st.restartTimer);
+    st.restartTimer = null;
+    st.nextRestartAtMs = null;
+    const child = st.child;
+    if (!child) {
+      st.status = 'stopped';
+      return { app: status(id) };
+    }
+    st.status = 'stopping';
+    note(id, 'stopping');
+    await new Promise((resolve) => {
+      const killTimer = setTimeout(() => killGroup(child, 'SIGKILL'), stopTimeoutMs);
+      child.once('exit', () => {
+        clearTimeout(killTimer);
+        resolve();
+      });
+      killGroup(child, 'SIGTERM');
+    });
+    return { app: status(id) };
+  }
+
+  async function restart(id) {
+    const stopped = await stop(id);
+    if (stopped.error) return stopped;
+    const st = stateFor(id);
+    const result = await start(id);
+    if (!result.error) st.restarts++;
+    return result;
+  }
+
+  // ── Health ──
+
+  async function checkHealth(app) {
+    const st = stateFor(app.id);
+    const healthy = await checkPort(app.port);
+    st.healthy = healthy;
+    st.lastHealthAtMs = Date.now();
+    if (st.child) {
+      if (st.status === 'stopping') return;
+      if (healthy) st.status = 'running';
+      else if (st.status === 'running' || Date.now() - st.startedAtMs > startGraceMs) st.status = 'unhealthy';
+    } else if (!st.wanted) {
+      // Started outside the supervisor, or not at all
+      st.status = healthy ? 'running' : 'stopped';
+    }
+  }
+
+  /**
+   * Health-checks one app now.
+   * @param {string} id
+   * @returns {Promise<object|null>} Its status, or null when not a registry app
+   */
+  async function check(id) {
+    const app = findApp(id);
+    if (!app) return null;
+    await checkHealth(app);
+    return describe(id, app);
+  }
+
+  async function checkAll() {
+    const apps = loadApps().filter(a => !a.static && a.port);
+    await Promise.all(apps.map(app => checkHealth(app).catch(() => {})));
+  }
+
+  /**
+   * Starts the health loop and every app registered with `autoStart: true`.
+   */
+  async function init() {
+    await checkAll();
+    for (const app of loadApps()) {
+      if (app.autoStart && app.startCommand && !app.static && app.port && !stateFor(app.id).healthy) {
+        const result = await start(app.id);
+        if (result.error) log.error(`[apps] Auto-start of ${app.id} failed:`, result.error);
+      }
+    }
+    healthTimer = setInterval(checkAll, healthIntervalMs);
+    healthTimer.unref?.();
+  }
+
+  /**
+   * Stops the health loop and every app this supervisor started. Resolves once
+   * their process groups are gone: members that outlive the group leader's exit
+   * (e.g. ignoring SIGTERM under a shell) are killed too.
+   */
+  async function shutdown() {
+    clearInterval(healthTimer);
+    healthTimer = null;
+    const running = [...states.entries()].filter(([, st]) => st.child || st.restartTimer);
+    const children = running.map(([, st]) => st.child).filter(Boolean);
+    await Promise.all(running.map(([id]) => stop(id)));
+    for (const child of children) {
+      try { process.kill(-child.pid, 'SIGKILL'); } catch { /* group already gone */ }
+    }
+    for (const st of states.values()) closeLog(st);
+  }
+
+  // ── Status ──
+
+  function describe(id, app) {
+    const st = stateFor(id);
+    return {
+      id,
+      status: st.status,
+      managed: !!st.child,
+      canStart: !!app?.startCommand,
+      pid: st.child?.pid ?? null,
+      healthy: st.healthy,
+      startedAtMs: st.child ? st.startedAtMs : null,
+      lastHealthAtMs: st.lastHealthAtMs,
+      restarts: st.restarts,
+      nextRestartAtMs: st.nextRestartAtMs,
+      lastExit: st.lastExit,
+      lastError: st.lastError,
+    };
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object|null}
+   */
+  function status(id) {
+    const app = findApp(id);
+    return app ? describe(id, app) : null;
+  }
+
+  function list() {
+    return loadApps().filter(a => !a.static && a.port).map(app => describe(app.id, app));
+  }
+
+  return { init, shutdown, start, stop, restart, status, list, logs, check, checkAll };
+}
@@ -2,6 +2,17 @@
  * Chat transcript indexing and search.
  * Indexes conversation messages fetched via gateway RPCs into a local SQLite DB.
  * Supports FTS5 (BM25) + sqlite-vec (vector similarity) hybrid search.
+ *
+ * sync() walks every session (sessions.list, paged) and indexes its full
+ * chat.history incrementally: each session keeps a cursor and only messages
+ * past it are chunked and appended. The cursor is the newest message timestamp
+ * plus the hashes of the messages at that timestamp (several can share a
+ * millisecond), or, when messages carry no timestamps, the hashes of the last
+ * few messages, located again in the next history. Neither depends on how many
+ * messages chat.history returns, so sessions longer than HISTORY_LIMIT keep
+ * indexing. indexLiveMessage() indexes final
+ * chat events from the WS proxy right away as provisional "live" chunks, which
+ * the next history sync of that session replaces.
  */
 
 import { existsSync, mkdirSync } from 'fs';
@@ -9,12 +20,20 @@ import { dirname } from 'path';
 import crypto from 'crypto';
 import Database from 'better-sqlite3';
 import * as sqliteVec from 'sqlite-vec';
+import { getSignature } from './embedding-provider.js';
 
 const CHUNK_TARGET_CHARS = 1600;  // ~400 tokens
 const CHUNK_OVERLAP_CHARS = 320;  // ~80 tokens
 const DEFAULT_LIMIT = 20;
 const CANDIDATE_MULTIPLIER = 4;
-const PREVIEW_BATCH_SIZE = 64;
+const SESSION_PAGE_SIZE = 500;
+const MAX_SESSION_PAGES = 100;    // 50k sessions; also stops gateways that ignore offset
+const HISTORY_LIMIT = 1000;
+const CURSOR_TAIL_MESSAGES = 5;   // Anchor for histories without timestamps
+const REEMBED_BATCH_SIZE = 64;
+const SKIPPED_ROLES = new Set(['tool', 'toolResult']);
+// Whole-session indexing (previews, tests) carries no history cursor
+const NO_CURSOR = { cursor_ts: null, cursor_tail: null, message_count: null, source_updated_at: null };
 
 const SCHEMA_SQL = `
 CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
@@ -25,7 +44,11 @@ CREATE TABLE IF NOT EXISTS sessions (
   display_name TEXT,
   content_hash TEXT,
   indexed_at INTEGER NOT NULL,
-  metadata TEXT
+  metadata TEXT,
+  cursor_ts INTEGER,
+  cursor_tail TEXT,
+  message_count INTEGER,
+  source_updated_at INTEGER
 );
 
 CREATE TABLE IF NOT EXISTS chunks (
@@ -34,7 +57,9 @@ CREATE TABLE IF NOT EXISTS chunks (
   chunk_index INTEGER NOT NULL,
   content TEXT NOT NULL,
   role TEXT,
-  token_count INTEGER
+  token_count INTEGER,
+  live INTEGER NOT NULL DEFAULT 0,
+  ts INTEGER
 );
 
 CREATE TABLE IF NOT EXISTS embedding_cache (
@@ -45,16 +70,32 @@ CREATE TABLE IF NOT EXISTS embedding_cache (
 );
 `;
 
+// Columns added after the first release, for databases created before them
+const MIGRATED_COLUMNS = {
+  sessions: { cursor_ts: 'INTEGER', cursor_tail: 'TEXT', message_count: 'INTEGER', source_updated_at: 'INTEGER' },
+  chunks: { live: 'INTEGER NOT NULL DEFAULT 0', ts: 'INTEGER' },
+};
+
 const FTS_SQL = `
 CREATE VIRTUAL TABLE IF NOT EXISTS chunks_fts USING fts5(content);
 `;
 
-export function createChatIndex({ dbPath, embeddingProvider, logger }) {
+/**
+ * @param {object} options
+ * @param {string} options.dbPath
+ * @param {object} [options.embeddingProvider]
+ * @param {object} [options.logger]
+ * @param {() => Promise<void>|void} [options.onSync] - Runs after each completed sync (e.g. saved-search alerts)
+ */
+export function createChatIndex({ dbPath, embeddingProvider, logger, onSync }) {
   const log = logger || console;
   let db = null;
   let hasVec = false;
   let syncTimer = null;
   let syncing = false;
+  let reembedding = false;
+  let vectorResets = 0;
+  const liveInFlight = new Set();
 
   function init() {
     const dir = dirname(dbPath);
@@ -67,6 +108,12 @@ export function createChatIndex({ dbPath, embeddingProvider, logger }) {
     // Create FTS table first (before triggers reference it)
     db.exec(FTS_SQL);
     db.exec(SCHEMA_SQL);
+    for (const [table, columns] of Object.entries(MIGRATED_COLUMNS)) {
+      const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+      for (const [name, type] of Object.entries(columns)) {
+        if (!existing.has(name)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+      }
+    }
 
     // Create vec table if possible
     try {
@@ -79,6 +126,7 @@ export function createChatIndex({ dbPath, embeddingProvider, logger }) {
         );
       `);
       hasVec = true;
+      checkEmbeddingSignature();
     } catch (err) {
       log.error('[chat-index] sqlite-vec not available:', err.message);
     }
@@ -86,47 +134,228 @@ export function createChatIndex({ dbPath, embeddingProvider, logger }) {
     log.log(`[chat-index] Initialized at ${dbPath} (vec=${hasVec})`);
   }
 
-  function indexSession(key, messages, metadata = {}) {
-    if (!db) throw new Error('Chat index not initialized');
-    if (!messages || messages.length === 0) return;
+  function getSessionRow(key) {
+    return db.prepare('SELECT * FROM sessions WHERE session_key = ?').get(key);
+  }
 
-    const contentHash = hashContent(messages);
+  // Insert or update a session row; metadata null keeps the stored metadata
+  function upsertSession(existing, key, metadata, fields = {}) {
+    const cols = { indexed_at: Date.now(), ...fields };
+    if (metadata) {
+      cols.display_name = metadata.displayName || null;
+      cols.metadata = JSON.stringify(metadata);
+    }
+    if (existing) {
+      const names = Object.keys(cols);
+      db.prepare(`UPDATE sessions SET ${names.map(n => `${n} = ?`).join(', ')} WHERE id = ?`)
+        .run(...names.map(n => cols[n]), existing.id);
+      return existing.id;
+    }
+    const row = { session_key: key, display_name: null, metadata: '{}', ...cols };
+    const names = Object.keys(row);
+    return db.prepare(`INSERT INTO sessions (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`)
+      .run(...names.map(n => row[n])).lastInsertRowid;
+  }
 
-    // Check if already indexed with same content
-    const existing = db.prepare('SELECT id, content_hash FROM sessions WHERE session_key = ?').get(key);
-    if (existing && existing.content_hash === contentHash) return;
+  // Delete a session's chunks (or only its live ones) with their FTS + vec entries
+  function deleteChunks(sessionId, { liveOnly = false } = {}) {
+    const rows = db.prepare(`SELECT id FROM chunks WHERE session_id = ?${liveOnly ? ' AND live = 1' : ''}`).all(sessionId);
+    const delFts = db.prepare('DELETE FROM chunks_fts WHERE rowid = ?');
+    const delChunk = db.prepare('DELETE FROM chunks WHERE id = ?');
+    for (const r of rows) {
+      delFts.run(r.id);
+      if (hasVec) { try { db.prepare('DELETE FROM chunks_vec WHERE id = ?').run(r.id); } catch {} }
+      delChunk.run(r.id);
+    }
+  }
 
-    const insertOrUpdate = db.transaction(() => {
-      let sessionId;
-      if (existing) {
-        // Delete old FTS entries, then old chunks
-        const oldChunks = db.prepare('SELECT id, content FROM chunks WHERE session_id = ?').all(existing.id);
-        const delFts = db.prepare('DELETE FROM chunks_fts WHERE rowid = ?');
-        for (const oc of oldChunks) delFts.run(oc.id);
-        db.prepare('DELETE FROM chunks WHERE session_id = ?').run(existing.id);
-        db.prepare('UPDATE sessions SET content_hash = ?, indexed_at = ?, display_name = ?, metadata = ? WHERE id = ?')
-          .run(contentHash, Date.now(), metadata.displayName || null, JSON.stringify(metadata), existing.id);
-        sessionId = existing.id;
-      } else {
-        const result = db.prepare('INSERT INTO sessions (session_key, display_name, content_hash, indexed_at, metadata) VALUES (?, ?, ?, ?, ?)')
-          .run(key, metadata.displayName || null, contentHash, Date.now(), JSON.stringify(metadata));
-        sessionId = result.lastInsertRowid;
+  // Append chunks after the session's existing ones (call inside a transaction)
+  function insertChunks(sessionId, chunks, { live = false } = {}) {
+    const start = (db.prepare('SELECT MAX(chunk_index) AS m FROM chunks WHERE session_id = ?').get(sessionId)?.m ?? -1) + 1;
+    const insertChunk = db.prepare('INSERT INTO chunks (session_id, chunk_index, content, role, token_count, live, ts) VALUES (?, ?, ?, ?, ?, ?, ?)');
+    const insertFts = db.prepare('INSERT INTO chunks_fts (rowid, content) VALUES (?, ?)');
+
+    for (let i = 0; i < chunks.length; i++) {
+      const chunk = chunks[i];
+      const result = insertChunk.run(sessionId, start + i, chunk.content, chunk.role, chunk.tokenCount, live ? 1 : 0, chunk.ts ?? null);
+      insertFts.run(result.lastInsertRowid, chunk.content);
+      if (hasVec) writeVector(result.lastInsertRowid, chunk);
+    }
+  }
+
+  function getMeta(key) {
+    return db.prepare('SELECT value FROM meta WHERE key = ?').get(key)?.value ?? null;
+  }
+
+  function setMeta(key, value) {
+    if (value === null) db.prepare('DELETE FROM meta WHERE key = ?').run(key);
+    else db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run(key, String(value));
+  }
+
+  function vecDimensions() {
+    const sql = db.prepare("SELECT sql FROM sqlite_master WHERE name = 'chunks_vec'").get()?.sql || '';
+    const m = sql.match(/FLOAT\[(\d+)\]/i);
+    return m ? Number(m[1]) : null;
+  }
+
+  /**
+   * Drop all stored vectors (and the embedding cache) and recreate the vec
+   * table for `dims`; reembed() then re-embeds every chunk.
+   */
+  function resetVectors(dims, reason) {
+    log.warn(`[chat-index] ${reason}; dropping vectors and re-embedding with ${dims} dims`);
+    db.transaction(() => {
+      db.exec('DROP TABLE IF EXISTS chunks_vec');
+      db.exec(`CREATE VIRTUAL TABLE chunks_vec USING vec0(id INTEGER PRIMARY KEY, embedding FLOAT[${dims}]);`);
+      db.prepare('DELETE FROM embedding_cache').run();
+      setMeta('embedding_signature', getSignature(embeddingProvider));
+      setMeta('reembed_after_id', 0);
+    })();
+    vectorResets++;
+  }
+
+  // Vectors from a different provider, model or dimension cannot be compared with new ones
+  function checkEmbeddingSignature() {
+    if (!embeddingProvider?.isAvailable()) return;
+    const signature = getSignature(embeddingProvider);
+    const stored = getMeta('embedding_signature');
+    // Null until a provider that detects its dimensions has embedded something
+    const dims = embeddingProvider.getDimensions();
+    if (stored && stored !== signature) {
+      resetVectors(dims || vecDimensions(), `Embedding model changed (${stored} -> ${signature})`);
+    } else if (dims && vecDimensions() !== dims) {
+      resetVectors(dims, `Vector table has ${vecDimensions()} dims, provider has ${dims}`);
+    } else if (!stored) {
+      setMeta('embedding_signature', signature);
+    }
+  }
+
+  function isVector(vector) {
+    return Array.isArray(vector) || ArrayBuffer.isView(vector);
+  }
+
+  // Providers that detect their dimensions on first use can disagree with the table.
+  // Only indexing resets vectors; queries never drop what is stored.
+  function ensureVectorDims(vector) {
+    if (!isVector(vector)) return false;
+    if (vector.length === vecDimensions()) return true;
+    resetVectors(vector.length, `Provider returned ${vector.length}-dim vectors, table has ${vecDimensions()}`);
+    return true;
+  }
+
+  /**
+   * Embed chunks that have no vector yet after a reset, in id order. Progress
+   * is kept in meta so an interrupted run resumes after a restart.
+   * @returns {Promise<number>} Chunks embedded
+   */
+  async function reembed() {
+    if (!db || !hasVec || reembedding || !embeddingProvider?.isAvailable()) return 0;
+    if (getMeta('reembed_after_id') === null) return 0;
+    reembedding = true;
+    let done = 0;
+    try {
+      for (;;) {
+        const afterId = Number(getMeta('reembed_after_id'));
+        const batch = db.prepare('SELECT id, content, role, token_count FROM chunks WHERE id > ? ORDER BY id LIMIT ?').all(afterId, REEMBED_BATCH_SIZE);
+        if (batch.length === 0) {
+          setMeta('reembed_after_id', null);
+          log.log(`[chat-index] Re-embedding complete (${done} chunks)`);
+          break;
+        }
+        const chunks = batch.map(r => ({ content: r.content, role: r.role, tokenCount: r.token_count }));
+        const resetsBefore = vectorResets;
+        await embedChunks(chunks);
+        // A dimension reset during this batch restarted the run from the first chunk
+        if (vectorResets !== resetsBefore) continue;
+        if (!chunks.some(c => c._newEmbedding || c._cachedEmbedding)) {
+          log.warn('[chat-index] Re-embedding paused: provider returned no embeddings');
+          break;
+        }
+        db.transaction(() => {
+          batch.forEach((row, i) => writeVector(row.id, chunks[i], { replace: true }));
+          setMeta('reembed_after_id', batch[batch.length - 1].id);
+        })();
+        done += batch.length;
       }
+    } finally {
+      reembedding = false;
+    }
+    return done;
+  }
 
-      // Chunk messages
-      const chunks = chunkMessages(messages);
+  // Store a chunk's embedding in the vec table (and new ones in the cache)
+  function writeVector(chunkId, chunk, { replace = false } = {}) {
+    let embeddingBuf = chunk._cachedEmbedding || null;
+    if (!embeddingBuf && chunk._newEmbedding) {
+      embeddingBuf = float32ArrayToBuffer(chunk._newEmbedding);
+      const hash = crypto.createHash('sha256').update(chunk.content).digest('hex');
+      db.prepare('INSERT OR REPLACE INTO embedding_cache (text_hash, embedding, provider, created_at) VALUES (?, ?, ?, ?)')
+        .run(hash, embeddingBuf, embeddingProvider.getProviderName(), Date.now());
+    }
+    if (embeddingBuf) {
+      if (replace) { try { db.prepare('DELETE FROM chunks_vec WHERE id = ?').run(chunkId); } catch {} }
+      try { db.prepare('INSERT INTO chunks_vec (id, embedding) VALUES (?, ?)').run(chunkId, embeddingBuf); } catch {}
+    }
+  }
 
-      const insertChunk = db.prepare('INSERT INTO chunks (session_id, chunk_index, content, role, token_count) VALUES (?, ?, ?, ?, ?)');
-      const insertFts = db.prepare('INSERT INTO chunks_fts (rowid, content) VALUES (?, ?)');
+  // Attach cached or freshly computed embeddings to chunks (no-op without a provider)
+  async function embedChunks(chunks) {
+    if (!hasVec || !embeddingProvider?.isAvailable() || chunks.length === 0) return;
+    const textsToEmbed = [];
+    const textsToEmbedIndices = [];
+
+    for (let i = 0; i < chunks.length; i++) {
+      const hash = crypto.createHash('sha256').update(chunks[i].content).digest('hex');
+      const cached = db.prepare('SELECT embedding FROM embedding_cache WHERE text_hash = ?').get(hash);
+      if (cached) {
+        chunks[i]._cachedEmbedding = cached.embedding;
+      } else {
+        textsToEmbed.push(chunks[i].content);
+        textsToEmbedIndices.push(i);
+      }
+    }
 
-      for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
-        const result = insertChunk.run(sessionId, i, chunk.content, chunk.role, chunk.tokenCount);
-        insertFts.run(result.lastInsertRowid, chunk.content);
+    if (textsToEmbed.length > 0) {
+      try {
+        const newEmbeddings = await embeddingProvider.embed(textsToEmbed);
+        if (newEmbeddings && newEmbeddings.length === textsToEmbedIndices.length) {
+          if (!ensureVectorDims(newEmbeddings[0])) return;
+          // After a reset the cached embeddings are gone along with the old vectors
+          for (const chunk of chunks) {
+            if (chunk._cachedEmbedding && chunk._cachedEmbedding.length !== vecDimensions() * 4) delete chunk._cachedEmbedding;
+          }
+          for (let j = 0; j < textsToEmbedIndices.length; j++) {
+            chunks[textsToEmbedIndices[j]]._newEmbedding = newEmbeddings[j];
+          }
+        } else if (newEmbeddings) {
+          log.warn('[chat-index] Embedding count mismatch:', newEmbeddings.length, 'vs', textsToEmbedIndices.length);
+        }
+      } catch (err) {
+        log.error('[chat-index] Embedding failed:', err.message);
       }
-    });
+    }
+  }
+
+  // Replace all of a session's chunks
+  function replaceChunks(existing, key, chunks, metadata, fields) {
+    db.transaction(() => {
+      if (existing) deleteChunks(existing.id);
+      const sessionId = upsertSession(existing, key, metadata, fields);
+      insertChunks(sessionId, chunks);
+    })();
+  }
+
+  function indexSession(key, messages, metadata = {}) {
+    if (!db) throw new Error('Chat index not initialized');
+    if (!messages || messages.length === 0) return;
+
+    const contentHash = hashContent(messages);
+
+    // Check if already indexed with same content
+    const existing = getSessionRow(key);
+    if (existing && existing.content_hash === contentHash) return;
 
-    insertOrUpdate();
+    replaceChunks(existing, key, chunkMessages(messages), metadata, { content_hash: contentHash, ...NO_CURSOR });
   }
 
   async function indexSessionWithEmbeddings(key, messages, metadata = {}) {
@@ -135,91 +364,130 @@ export function createChatIndex({ dbPath, embeddingProvider, logger }) {
 
     const contentHash = hashContent(messages);
 
-    const existing = db.prepare('SELECT id, content_hash FROM sessions WHERE session_key = ?').get(key);
+    const existing = getSessionRow(key);
     if (existing && existing.content_hash === contentHash) return;
 
     const chunks = chunkMessages(messages);
+    await embedChunks(chunks);
+    replaceChunks(existing, key, chunks, metadata, { content_hash: contentHash, ...NO_CURSOR });
+  }
 
-    // Embed chunks if provider available
-    if (hasVec && embeddingProvider?.isAvailable() && chunks.length > 0) {
-      const textsToEmbed = [];
-      const textsToEmbedIndices = [];
-
-      for (let i = 0; i < chunks.length; i++) {
-        const hash = crypto.createHash('sha256').update(chunks[i].content).digest('hex');
-        const cached = db.prepare('SELECT embedding FROM embedding_cache WHERE text_hash = ?').get(hash);
-        if (cached) {
-          chunks[i]._cachedEmbedding = cached.embedding;
-        } else {
-          textsToEmbed.push(chunks[i].content);
-          textsToEmbedIndices.push(i);
-        }
-      }
+  /**
+   * Index a session's chat.history, appending only messages past its cursor.
+   * Falls back to a full reindex for new sessions, sessions indexed before
+   * cursors existed, and histories that no longer contain the cursor (e.g.
+   * after a reset).
+   * @param {string} key
+   * @param {Array} messages - Full (or most recent) history, oldest first
+   * @param {object} [metadata]
+   * @param {*} [sourceUpdatedAt] - updatedAt from sessions.list, to skip unchanged sessions next sync
+   * @returns {Promise<{ mode: 'full'|'append', messages: number }>}
+   */
+  async function indexHistory(key, messages, metadata = {}, sourceUpdatedAt = null) {
+    if (!db) throw new Error('Chat index not initialized');
+    const history = Array.isArray(messages) ? messages : [];
+    const timestamps = history.map(messageTs);
+    const hashes = history.map(messageHash);
+    const stamped = history.length > 0 && timestamps.every(ts => ts !== null);
+    const cursorTs = stamped ? timestamps.reduce((max, ts) => Math.max(max, ts), 0) : null;
+    const tail = stamped
+      ? hashes.filter((h, i) => timestamps[i] === cursorTs)
+      : hashes.slice(-CURSOR_TAIL_MESSAGES);
+    const fields = {
+      cursor_ts: cursorTs,
+      cursor_tail: JSON.stringify(tail),
+      message_count: history.length,
+      source_updated_at: sourceUpdatedAt,
+    };
 
-      if (textsToEmbed.length > 0) {
-        try {
-          const newEmbeddings = await embeddingProvider.embed(textsToEmbed);
-          if (newEmbeddings && newEmbeddings.length === textsToEmbedIndices.length) {
-            for (let j = 0; j < textsToEmbedIndices.length; j++) {
-              const idx = textsToEmbedIndices[j];
-              chunks[idx]._newEmbedding = newEmbeddings[j];
-            }
-          } else if (newEmbeddings) {
-            log.warn('[chat-index] Embedding count mismatch:', newEmbeddings.length, 'vs', textsToEmbedIndices.length);
-          }
-        } catch (err) {
-          log.error('[chat-index] Embedding failed:', err.message);
+    const existing = getSessionRow(key);
+    const seenTail = existing?.cursor_tail ? JSON.parse(existing.cursor_tail) : null;
+    let fresh = null;
+    if (existing?.message_count != null) {
+      if (stamped && existing.cursor_ts != null) {
+        // Messages sharing the cursor's millisecond may not all have been indexed yet
+        const seen = new Set(seenTail || []);
+        fresh = history.filter((m, i) => timestamps[i] > existing.cursor_ts
+          || (timestamps[i] === existing.cursor_ts && !seen.has(hashes[i])));
+      } else if (!stamped && existing.cursor_ts == null) {
+        if (seenTail) {
+          const end = findTail(hashes, seenTail);
+          if (end !== -1) fresh = history.slice(end + 1);
+        } else if (history.length >= existing.message_count) {
+          // Indexed before tail cursors: the count is right once, then the tail takes over
+          fresh = history.slice(existing.message_count);
         }
       }
     }
 
-    // Write to DB
-    const insertOrUpdate = db.transaction(() => {
-      let sessionId;
-      if (existing) {
-        // Delete old FTS + vec entries, then old chunks
-        const oldChunks = db.prepare('SELECT id FROM chunks WHERE session_id = ?').all(existing.id);
-        const delFts = db.prepare('DELETE FROM chunks_fts WHERE rowid = ?');
-        for (const oc of oldChunks) {
-          delFts.run(oc.id);
-          if (hasVec) { try { db.prepare('DELETE FROM chunks_vec WHERE id = ?').run(oc.id); } catch {} }
-        }
-        db.prepare('DELETE FROM chunks WHERE session_id = ?').run(existing.id);
-        db.prepare('UPDATE sessions SET content_hash = ?, indexed_at = ?, display_name = ?, metadata = ? WHERE id = ?')
-          .run(contentHash, Date.now(), metadata.displayName || null, JSON.stringify(metadata), existing.id);
-        sessionId = existing.id;
-      } else {
-        const result = db.prepare('INSERT INTO sessions (session_key, display_name, content_hash, indexed_at, metadata) VALUES (?, ?, ?, ?, ?)')
-          .run(key, metadata.displayName || null, contentHash, Date.now(), JSON.stringify(metadata));
-        sessionId = result.lastInsertRowid;
-      }
+    if (fresh === null) {
+      const said = history.filter(m => !SKIPPED_ROLES.has(m?.role));
+      const chunks = chunkMessages(said);
+      await embedChunks(chunks);
+      replaceChunks(getSessionRow(key), key, chunks, metadata, { content_hash: hashContent(said), ...fields });
+      return { mode: 'full', messages: history.length };
+    }
 
-      const insertChunk = db.prepare('INSERT INTO chunks (session_id, chunk_index, content, role, token_count) VALUES (?, ?, ?, ?, ?)');
-      const insertFts = db.prepare('INSERT INTO chunks_fts (rowid, content) VALUES (?, ?)');
-      const insertVec = hasVec ? db.prepare('INSERT INTO chunks_vec (id, embedding) VALUES (?, ?)') : null;
-      const insertCache = db.prepare('INSERT OR REPLACE INTO embedding_cache (text_hash, embedding, provider, created_at) VALUES (?, ?, ?, ?)');
-
-      for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
-        const result = insertChunk.run(sessionId, i, chunk.content, chunk.role, chunk.tokenCount);
-        const chunkId = result.lastInsertRowid;
-        insertFts.run(chunkId, chunk.content);
-
-        if (insertVec) {
-          let embeddingBuf = chunk._cachedEmbedding || null;
-          if (!embeddingBuf && chunk._newEmbedding) {
-            embeddingBuf = float32ArrayToBuffer(chunk._newEmbedding);
-            const hash = crypto.createHash('sha256').update(chunk.content).digest('hex');
-            insertCache.run(hash, embeddingBuf, embeddingProvider.getProviderName(), Date.now());
-          }
-          if (embeddingBuf) {
-            try { insertVec.run(chunkId, embeddingBuf); } catch {}
-          }
-        }
-      }
-    });
+    const chunks = chunkMessages(fresh.filter(m => !SKIPPED_ROLES.has(m?.role)));
+    await embedChunks(chunks);
+    db.transaction(() => {
+      // History is authoritative: drop provisional live chunks before appending
+      deleteChunks(existing.id, { liveOnly: true });
+      const sessionId = upsertSession(existing, key, metadata, { content_hash: null, ...fields });
+      insertChunks(sessionId, chunks);
+    })();
+    return { mode: 'append', messages: fresh.length };
+  }
+
+  /**
+   * Index one message from a live chat event (state "final") right away.
+   * Stored as live chunks until the next history sync of the session.
+   * @param {string} key
+   * @param {object} message
+   * @returns {Promise<boolean>} Whether anything was indexed
+   */
+  async function indexLiveMessage(key, message) {
+    if (!db || !key || !message) return false;
+    const text = messageText(message);
+    if (!text.trim()) return false;
+
+    // Every proxied dashboard connection relays the same event
+    const dedupeKey = key + '\0' + text;
+    if (liveInFlight.has(dedupeKey)) return false;
+    liveInFlight.add(dedupeKey);
+    try {
+      const chunks = chunkMessages([{ role: message.role || 'assistant', content: text, timestamp: messageTs(message) ?? Date.now() }]);
+      const existing = getSessionRow(key);
+      const seen = existing ? db.prepare('SELECT 1 FROM chunks WHERE session_id = ? AND content = ?') : null;
+      if (seen && chunks.every(c => seen.get(existing.id, c.content))) return false;
+
+      await embedChunks(chunks);
+      db.transaction(() => {
+        const sessionId = upsertSession(getSessionRow(key), key, null);
+        insertChunks(sessionId, chunks, { live: true });
+      })();
+      return true;
+    } finally {
+      liveInFlight.delete(dedupeKey);
+    }
+  }
 
-    insertOrUpdate();
+  // All sessions, following offset pages until a short page or a page with no new keys
+  async function listAllSessions(gatewayClient) {
+    const sessions = [];
+    const seen = new Set();
+    for (let page = 0; page < MAX_SESSION_PAGES; page++) {
+      const result = await gatewayClient.rpcCall('sessions.list', { limit: SESSION_PAGE_SIZE, offset: page * SESSION_PAGE_SIZE });
+      const batch = result?.sessions;
+      if (!Array.isArray(batch)) return page === 0 ? null : sessions;
+      const fresh = batch.filter(s => s?.key && !seen.has(s.key));
+      for (const s of fresh) {
+        seen.add(s.key);
+        sessions.push(s);
+      }
+      if (batch.length < SESSION_PAGE_SIZE || fresh.length === 0) break;
+    }
+    return sessions;
   }
 
   async function sync(gatewayClient) {
@@ -229,66 +497,59 @@ export function createChatIndex({ dbPath, embeddingProvider, logger }) {
     try {
       log.log('[chat-index] Starting sync...');
 
-      // Fetch session list from gateway
       let sessions;
       try {
-        const result = await gatewayClient.rpcCall('sessions.list', { limit: 500 });
-        sessions = result?.sessions;
-        if (!Array.isArray(sessions)) {
+        sessions = await listAllSessions(gatewayClient);
+        if (!sessions) {
           log.warn('[chat-index] sessions.list returned unexpected shape');
           return;
         }
-        if (sessions.length >= 500) {
-          log.warn('[chat-index] Fetched 500 sessions (limit reached), some sessions may not be indexed');
-        }
       } catch (err) {
         log.error('[chat-index] Failed to fetch sessions:', err.message);
         return;
       }
 
-      // Fetch previews in batches
       let indexed = 0;
-      for (let i = 0; i < sessions.length; i += PREVIEW_BATCH_SIZE) {
-        const batch = sessions.slice(i, i + PREVIEW_BATCH_SIZE);
-        const keys = batch.map(s => s.key);
+      let unchanged = 0;
+      for (const s of sessions) {
+        const row = getSessionRow(s.key);
+        if (row && row.message_count != null && s.updatedAt != null && row.source_updated_at === s.updatedAt) {
+          unchanged++;
+          continue;
+        }
+
+        const metadata = {
+          displayName: s.displayName || s.label || '',
+          goalTitle: s.goalTitle || '',
+          condoName: s.condoName || '',
+          isSubagent: s.key.includes(':subagent:') || s.key.includes(':webchat:task-'),
+        };
 
         try {
-          const previewResult = await gatewayClient.rpcCall('sessions.preview', {
-            keys,
-            limit: 5,
-            maxChars: 2000,
-          }, 30000);
-
-          const previews = previewResult?.previews;
-          if (!previews || typeof previews !== 'object') continue;
-
-          for (const s of batch) {
-            const messages = previews[s.key];
-            if (!Array.isArray(messages) || messages.length === 0) continue;
-
-            const metadata = {
-              displayName: s.displayName || s.label || '',
-              goalTitle: s.goalTitle || '',
-              condoName: s.condoName || '',
-              isSubagent: s.key.includes(':subagent:') || s.key.includes(':webchat:task-'),
-            };
-
-            try {
-              await indexSessionWithEmbeddings(s.key, messages, metadata);
-              indexed++;
-            } catch (err) {
-              log.error(`[chat-index] Failed to index ${s.key}:`, err.message);
-            }
-          }
+          const history = await gatewayClient.rpcCall('chat.history', { sessionKey: s.key, limit: HISTORY_LIMIT }, 30000);
+          if (!Array.isArray(history?.messages)) continue;
+          await indexHistory(s.key, history.messages, metadata, s.updatedAt ?? null);
+          indexed++;
         } catch (err) {
-          log.error('[chat-index] Preview batch failed:', err.message);
+          log.error(`[chat-index] Failed to index ${s.key}:`, err.message);
         }
       }
 
       // Update last sync time
-      db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run('last_sync', String(Date.now()));
+      setMeta('last_sync', Date.now());
+
+      // Vectors dropped after a provider/dimension change are rebuilt after indexing
+      await reembed();
 
-      log.log(`[chat-index] Sync complete: ${indexed} sessions indexed/updated`);
+      log.log(`[chat-index] Sync complete: ${indexed} sessions indexed/updated, ${unchanged} unchanged`);
+
+      if (onSync) {
+        try {
+          await onSync();
+        } catch (err) {
+          log.error('[chat-index] onSync failed:', err.message);
+        }
+      }
     } finally {
       syncing = false;
     }
@@ -307,46 +568,62 @@ export function createChatIndex({ dbPath, embeddingProvider, logger }) {
     log.log(`[chat-index] Background sync scheduled every ${interval / 1000}s`);
   }
 
+  /**
+   * Hybrid search over indexed chunks.
+   * @param {string} query - Free text; every word must match (FTS)
+   * @param {object} [opts]
+   * @param {number} [opts.limit]
+   * @param {string[]} [opts.phrases] - Exact phrases that must appear
+   * @param {object} [opts.filters] - { roles, agents, after, before, exclude }
+   * @returns {Promise<Array>} Best chunk per session, with the session's best
+   *   ftsRank/vecRank (1-based chunk positions, null when that source missed)
+   */
   async function search(query, opts = {}) {
     if (!db) return [];
 
     const limit = opts.limit || DEFAULT_LIMIT;
     const candidateLimit = limit * CANDIDATE_MULTIPLIER;
+    const phrases = (opts.phrases || []).filter(p => p.trim());
+    const filter = filterClause(phrases, opts.filters);
     const scored = new Map(); // chunk.id -> { score, chunk, sessionKey }
 
     // FTS5 search
     try {
-      const terms = query.trim().split(/\s+/).filter(Boolean).map(t => `"${t.replace(/"/g, '""')}"`);
+      const terms = [...query.trim().split(/\s+/).filter(Boolean), ...phrases].map(t => `"${t.replace(/"/g, '""')}"`);
       const ftsQuery = terms.join(' ');
       if (ftsQuery) {
         const ftsResults = db.prepare(`
           SELECT c.id, c.content, c.role, c.session_id, c.chunk_index,
+                 COALESCE(c.ts, s.indexed_at) AS ts,
                  s.session_key, s.display_name, s.metadata,
                  chunks_fts.rank AS fts_rank
           FROM chunks_fts
           JOIN chunks c ON c.id = chunks_fts.rowid
           JOIN sessions s ON s.id = c.session_id
-          WHERE chunks_fts MATCH ?
+          WHERE chunks_fts MATCH ?${filter.sql}
           ORDER BY chunks_fts.rank
           LIMIT ?
-        `).all(ftsQuery, candidateLimit);
+        `).all(ftsQuery, ...filter.params, candidateLimit);
 
         if (ftsResults.length > 0) {
           const minRank = Math.min(...ftsResults.map(r => r.fts_rank));
           const maxRank = Math.max(...ftsResults.map(r => r.fts_rank));
           const range = maxRank - minRank || 1;
 
-          for (const r of ftsResults) {
+          ftsResults.forEach((r, i) => {
             scored.set(r.id, {
               ftsScore: 1 - (r.fts_rank - minRank) / range,
               vecScore: 0,
+              ftsRank: i + 1,
+              vecRank: null,
               sessionKey: r.session_key,
               displayName: r.display_name,
               content: r.content,
               role: r.role,
+              ts: r.ts,
               metadata: r.metadata,
             });
-          }
+          });
         }
       }
     } catch (err) {
@@ -354,10 +631,11 @@ export function createChatIndex({ dbPath, embeddingProvider, logger }) {
     }
 
     // Vector search
-    if (hasVec && embeddingProvider?.isAvailable()) {
+    const vectorText = [query, ...phrases].join(' ').trim();
+    if (hasVec && embeddingProvider?.isAvailable() && vectorText) {
       try {
-        const embeddings = await embeddingProvider.embed([query]);
-        if (embeddings && embeddings.length > 0) {
+        const embeddings = await embeddingProvider.embed([vectorText]);
+        if (embeddings && embeddings.length > 0 && isVector(embeddings[0]) && embeddings[0].length === vecDimensions()) {
           const buf = float32ArrayToBuffer(embeddings[0]);
           const vecResults = db.prepare(`
             SELECT id, distance FROM chunks_vec
@@ -368,26 +646,32 @@ export function createChatIndex({ dbPath, embeddingProvider, logger }) {
 
           if (vecResults.length > 0) {
             const maxDist = Math.max(...vecResults.map(r => r.distance)) || 1;
+            let vecRank = 0; // among hits that pass the filters
 
             for (const r of vecResults) {
               const normalizedScore = 1 - r.distance / maxDist;
               const existing = scored.get(r.id);
               if (existing) {
                 existing.vecScore = normalizedScore;
+                existing.vecRank = ++vecRank;
               } else {
                 const chunk = db.prepare(`
-                  SELECT c.id, c.content, c.role, s.session_key, s.display_name, s.metadata
+                  SELECT c.id, c.content, c.role, COALESCE(c.ts, s.indexed_at) AS ts,
+                         s.session_key, s.display_name, s.metadata
                   FROM chunks c JOIN sessions s ON s.id = c.session_id
-                  WHERE c.id = ?
-                `).get(r.id);
+                  WHERE c.id = ?${filter.sql}
+                `).get(r.id, ...filter.params);
                 if (chunk) {
                   scored.set(r.id, {
                     ftsScore: 0,
                     vecScore: normalizedScore,
+                    ftsRank: null,
+                    vecRank: ++vecRank,
                     sessionKey: chunk.session_key,
                     displayName: chunk.display_name,
                     content: chunk.content,
                     role: chunk.role,
+                    ts: chunk.ts,
                     metadata: chunk.metadata,
                   });
                 }
@@ -414,20 +698,29 @@ export function createChatIndex({ dbPath, embeddingProvider, logger }) {
       results.push({
         sessionKey: entry.sessionKey,
         displayName: entry.displayName || meta.displayName || '',
-        snippet: truncateSnippet(entry.content, query, 300),
+        snippet: truncateSnippet(entry.content, vectorText, 300),
         role: entry.role,
+        ts: entry.ts,
         score,
+        ftsRank: entry.ftsRank,
+        vecRank: entry.vecRank,
         source: 'chat',
         metadata: meta,
       });
     }
 
-    // Deduplicate by sessionKey (keep highest score per session)
+    // Deduplicate by sessionKey (keep highest score per session, best rank per source)
+    const bestRank = (a, b) => (a == null ? b : b == null ? a : Math.min(a, b));
     const bySession = new Map();
     for (const r of results) {
       const existing = bySession.get(r.sessionKey);
       if (!existing || r.score > existing.score) {
-        bySession.set(r.sessionKey, r);
+        bySession.set(r.sessionKey, existing
+          ? { ...r, ftsRank: bestRank(r.ftsRank, existing.ftsRank), vecRank: bestRank(r.vecRank, existing.vecRank) }
+          : r);
+      } else {
+        existing.ftsRank = bestRank(r.ftsRank, existing.ftsRank);
+        existing.vecRank = bestRank(r.vecRank, existing.vecRank);
       }
     }
 
@@ -436,6 +729,49 @@ export function createChatIndex({ dbPath, embeddingProvider, logger }) {
     return deduplicated.slice(0, limit);
   }
 
+  /** Highest chunk id, or 0 for an empty index. */
+  function latestChunkId() {
+    if (!db) return 0;
+    return db.prepare('SELECT MAX(id) AS m FROM chunks').get()?.m || 0;
+  }
+
+  /**
+   * Synced (non-live) chunks added in (afterId, upToId] that match the query,
+   * oldest first. FTS only: vector similarity has no notion of "matching".
+   * @param {string} query - Free text; every word must match
+   * @param {object} opts - { afterId, upToId, phrases, filters, limit }
+   * @returns {Array<{ chunkId: number, sessionKey: string, displayName: string, role: string, ts: number, snippet: string }>}
+   */
+  function findNewChunks(query, opts = {}) {
+    if (!db) return [];
+    const phrases = (opts.phrases || []).filter(p => p.trim());
+    const terms = [...query.trim().split(/\s+/).filter(Boolean), ...phrases].map(t => `"${t.replace(/"/g, '""')}"`);
+    if (terms.length === 0) return [];
+    const filter = filterClause(phrases, opts.filters);
+    try {
+      return db.prepare(`
+        SELECT c.id, c.content, c.role, COALESCE(c.ts, s.indexed_at) AS ts, s.session_key, s.display_name
+        FROM chunks_fts
+        JOIN chunks c ON c.id = chunks_fts.rowid
+        JOIN sessions s ON s.id = c.session_id
+        WHERE chunks_fts MATCH ? AND c.id > ? AND c.id <= ? AND c.live = 0${filter.sql}
+        ORDER BY c.id
+        LIMIT ?
+      `).all(terms.join(' '), opts.afterId || 0, opts.upToId ?? latestChunkId(), ...filter.params, opts.limit || DEFAULT_LIMIT)
+        .map(r => ({
+          chunkId: r.id,
+          sessionKey: r.session_key,
+          displayName: r.display_name || '',
+          role: r.role,
+          ts: r.ts,
+          snippet: truncateSnippet(r.content, [query, ...phrases].join(' '), 300),
+        }));
+    } catch (err) {
+      log.error('[chat-index] New-chunk search failed:', err.message);
+      return [];
+    }
+  }
+
   function getStats() {
     if (!db) return { initialized: false };
     const sessionCount = db.prepare('SELECT COUNT(*) as cnt FROM sessions').get()?.cnt || 0;
@@ -448,6 +784,8 @@ export function createChatIndex({ dbPath, embeddingProvider, logger }) {
       hasVec,
       lastSync: lastSync ? parseInt(lastSync) : null,
       syncing,
+      embeddingSignature: getMeta('embedding_signature'),
+      reembedPending: getMeta('reembed_after_id') !== null,
     };
   }
 
@@ -462,16 +800,51 @@ export function createChatIndex({ dbPath, embeddingProvider, logger }) {
     }
   }
 
-  return { init, indexSession, indexSessionWithEmbeddings, sync, startBackgroundSync, search, getStats, close };
+  return { init, indexSession, indexSessionWithEmbeddings, indexHistory, indexLiveMessage, sync, reembed, startBackgroundSync, search, findNewChunks, latestChunkId, getStats, close };
 }
 
 // --- Helpers ---
 
+/**
+ * Extra WHERE conditions (on chunks c, sessions s) for search filters.
+ * Roles match any message in the chunk by its "[role] " prefix; dates use the
+ * chunk's newest message, or when it was indexed for chunks without timestamps.
+ */
+function filterClause(phrases, filters = {}) {
+  const conds = [];
+  const params = [];
+  const anyOf = (values, cond, param) => {
+    if (!values?.length) return;
+    conds.push(`(${values.map(() => cond).join(' OR ')})`);
+    params.push(...values.map(param));
+  };
+  anyOf(filters.roles, "instr(c.content, ?) > 0", r => `[${r}] `);
+  anyOf(filters.agents, 'instr(lower(s.session_key), ?) = 1', a => `agent:${String(a).toLowerCase()}:`);
+  for (const p of phrases) {
+    conds.push('instr(lower(c.content), ?) > 0');
+    params.push(p.toLowerCase());
+  }
+  for (const x of filters.exclude || []) {
+    conds.push('instr(lower(c.content), ?) = 0');
+    params.push(x.toLowerCase());
+  }
+  if (filters.after != null) {
+    conds.push('COALESCE(c.ts, s.indexed_at) >= ?');
+    params.push(filters.after);
+  }
+  if (filters.before != null) {
+    conds.push('COALESCE(c.ts, s.indexed_at) < ?');
+    params.push(filters.before);
+  }
+  return { sql: conds.map(c => ` AND ${c}`).join(''), params };
+}
+
 function chunkMessages(messages) {
   const chunks = [];
   let currentContent = '';
   let currentRole = null;
   let currentTokens = 0;
+  let currentTs = null;
 
   function pushChunk() {
     if (currentContent.trim()) {
@@ -479,15 +852,17 @@ function chunkMessages(messages) {
         content: currentContent.trim(),
         role: currentRole,
         tokenCount: currentTokens,
+        ts: currentTs,
       });
     }
     currentContent = '';
     currentTokens = 0;
+    currentTs = null;
   }
 
   for (const msg of messages) {
     const role = msg.role || 'unknown';
-    const text = typeof msg.content === 'string' ? msg.content : (msg.text || '');
+    const text = messageText(msg);
     if (!text.trim()) continue;
 
     const prefixed = `[${role}] ${text}`;
@@ -509,16 +884,54 @@ function chunkMessages(messages) {
     currentContent += (currentContent ? '\n' : '') + prefixed;
     currentRole = role;
     currentTokens += approxTokens;
+    // Newest message in the chunk, for after:/before: filters
+    const ts = messageTs(msg);
+    if (ts !== null) currentTs = Math.max(currentTs ?? ts, ts);
   }
 
   pushChunk();
   return chunks;
 }
 
+// Text of a message: string content, the text blocks of block content, or `text`
+function messageText(msg) {
+  if (typeof msg?.content === 'string') return msg.content;
+  if (Array.isArray(msg?.content)) {
+    return msg.content.filter(b => b?.type === 'text' && typeof b.text === 'string').map(b => b.text).join('\n');
+  }
+  return typeof msg?.text === 'string' ? msg.text : '';
+}
+
+// Message timestamp in ms, or null when it has none
+function messageTs(msg) {
+  const raw = msg?.timestamp ?? msg?.createdAt;
+  if (typeof raw === 'number' && Number.isFinite(raw)) return raw;
+  if (typeof raw === 'string') {
+    const ms = Date.parse(raw);
+    return Number.isFinite(ms) ? ms : null;
+  }
+  return null;
+}
+
+// Identifies a message for cursors; chat.history messages carry no stable id
+function messageHash(msg) {
+  return crypto.createHash('sha256').update(`${msg?.role || ''}\0${messageText(msg)}`).digest('hex').slice(0, 16);
+}
+
+// Index of the last message of the newest run of `tail` in `hashes`, or -1
+function findTail(hashes, tail) {
+  if (tail.length === 0) return -1;
+  for (let end = hashes.length - 1; end >= tail.length - 1; end--) {
+    const start = end - tail.length + 1;
+    if (tail.every((h, i) => hashes[start + i] === h)) return end;
+  }
+  return -1;
+}
+
 function hashContent(messages) {
   const h = crypto.createHash('sha256');
   for (const msg of messages) {
-    const text = typeof msg.content === 'string' ? msg.content : (msg.text || '');
+    const text = messageText(msg);
     h.update(msg.role || '');
     h.update(text);
   }
@@ -1,66 +1,216 @@
 /**
  * Embedding provider abstraction.
- * Supports OpenAI text-embedding-3-small (default) and a null fallback for FTS5-only mode.
+ *
+ * Providers come from a registry keyed by name:
+ * - `openai`: OpenAI text-embedding-3-small (default)
+ * - `openai-compatible`: any /v1/embeddings endpoint (self-hosted TEI, vLLM, Ollama, LocalAI...)
+ * - `local`: in-process sentence embedder (transformers.js / ONNX) loaded from disk
+ * - `none`: null fallback for FTS5-only mode
+ *
+ * Every provider exposes embed(texts), getDimensions(), getProviderName(),
+ * getModel() and isAvailable(). Self-hosted and local providers without a
+ * configured `dims` report null until the first embed() reveals the vector
+ * length. Indexes compare getSignature() and the dimensions with what they
+ * stored to detect vectors that must be re-embedded.
  */
 
 const OPENAI_EMBEDDING_URL = 'https://api.openai.com/v1/embeddings';
 const DEFAULT_MODEL = 'text-embedding-3-small';
 const DEFAULT_DIMS = 1536;
 const MAX_BATCH = 2048;
+const LOCAL_BATCH = 32;
 
-export function createEmbeddingProvider(config = {}) {
-  const provider = config.provider || 'openai';
-  const apiKey = config.apiKey || '';
-  const model = config.model || DEFAULT_MODEL;
-  const dims = config.dims || DEFAULT_DIMS;
+const registry = new Map();
 
-  if (provider === 'none' || !apiKey) {
-    return {
-      async embed() { return null; },
-      getDimensions() { return dims; },
-      getProviderName() { return 'none'; },
-      isAvailable() { return false; },
-    };
-  }
+/**
+ * Register (or replace) a provider factory.
+ * @param {string} name
+ * @param {(config: object) => object|null} factory - Returns a provider, or null when unusable with this config
+ */
+export function registerEmbeddingProvider(name, factory) {
+  registry.set(name, factory);
+}
 
-  async function embed(texts) {
+/**
+ * Names of registered providers.
+ * @returns {string[]}
+ */
+export function listEmbeddingProviders() {
+  return [...registry.keys()];
+}
+
+/**
+ * Identifies the embedding model behind a provider. Vectors from different
+ * signatures must not be mixed in one index, even when their dimensions match.
+ * @param {object} provider
+ * @returns {string}
+ */
+export function getSignature(provider) {
+  if (!provider?.isAvailable()) return 'none';
+  return `${provider.getProviderName()}:${provider.getModel?.() || ''}`;
+}
+
+function nullProvider(dims) {
+  return {
+    async embed() { return null; },
+    getDimensions() { return dims; },
+    getProviderName() { return 'none'; },
+    getModel() { return null; },
+    isAvailable() { return false; },
+  };
+}
+
+// POST batches to an OpenAI-style /embeddings endpoint
+function createHttpEmbedder({ url, apiKey, model, dims, sendDimensions, label }) {
+  return async function embed(texts) {
     if (!texts || texts.length === 0) return [];
 
     const results = [];
     for (let i = 0; i < texts.length; i += MAX_BATCH) {
       const batch = texts.slice(i, i + MAX_BATCH);
-      const body = { input: batch, model, dimensions: dims };
+      const body = { input: batch, model };
+      if (sendDimensions) body.dimensions = dims;
 
-      const resp = await fetch(OPENAI_EMBEDDING_URL, {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+      const resp = await fetch(url, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`,
-        },
+        headers,
         body: JSON.stringify(body),
       });
 
       if (!resp.ok) {
         const errText = await resp.text().catch(() => '');
-        throw new Error(`OpenAI embedding API error ${resp.status}: ${errText.slice(0, 200)}`);
+        throw new Error(`${label} embedding API error ${resp.status}: ${errText.slice(0, 200)}`);
       }
 
       const data = await resp.json();
       if (!data.data || !Array.isArray(data.data)) {
-        throw new Error(`Invalid OpenAI response: ${JSON.stringify(data).slice(0, 200)}`);
+        throw new Error(`Invalid ${label} response: ${JSON.stringify(data).slice(0, 200)}`);
       }
-      for (const item of data.data) {
+      // Some servers do not keep input order; `index` is authoritative when present
+      const items = data.data.every(d => Number.isInteger(d.index))
+        ? [...data.data].sort((a, b) => a.index - b.index)
+        : data.data;
+      for (const item of items) {
         results.push(item.embedding);
       }
     }
 
     return results;
-  }
+  };
+}
+
+registerEmbeddingProvider('none', (config) => nullProvider(config.dims || DEFAULT_DIMS));
 
+registerEmbeddingProvider('openai', (config) => {
+  if (!config.apiKey) return null;
+  const model = config.model || DEFAULT_MODEL;
+  const dims = config.dims || DEFAULT_DIMS;
   return {
-    embed,
+    embed: createHttpEmbedder({
+      url: OPENAI_EMBEDDING_URL, apiKey: config.apiKey, model, dims, sendDimensions: true, label: 'OpenAI',
+    }),
     getDimensions() { return dims; },
     getProviderName() { return 'openai'; },
+    getModel() { return model; },
     isAvailable() { return true; },
   };
+});
+
+registerEmbeddingProvider('openai-compatible', (config) => {
+  if (!config.baseUrl || !config.model) return null;
+  const url = config.baseUrl.replace(/\/+$/, '').replace(/\/embeddings$/, '') + '/embeddings';
+  let dims = config.dims || null;
+  const post = createHttpEmbedder({
+    url,
+    apiKey: config.apiKey || '',
+    model: config.model,
+    dims,
+    // Many self-hosted servers reject `dimensions`; only send it when configured
+    sendDimensions: !!config.dims,
+    label: 'Embedding endpoint',
+  });
+  return {
+    async embed(texts) {
+      const vectors = await post(texts);
+      if (vectors.length > 0 && Array.isArray(vectors[0])) dims = vectors[0].length;
+      return vectors;
+    },
+    getDimensions() { return dims; },
+    getProviderName() { return 'openai-compatible'; },
+    getModel() { return config.model; },
+    isAvailable() { return true; },
+  };
+});
+
+// transformers.js is optional; loaded only when the local provider is used
+async function loadTransformersPipeline(modelPath) {
+  let transformers;
+  try {
+    transformers = await import('@huggingface/transformers');
+  } catch {
+    transformers = await import('@xenova/transformers');
+  }
+  // Air-gapped: never download, resolve the model from disk
+  transformers.env.allowRemoteModels = false;
+  transformers.env.allowLocalModels = true;
+  return transformers.pipeline('feature-extraction', modelPath);
+}
+
+registerEmbeddingProvider('local', (config) => {
+  if (!config.modelPath) return null;
+  const loadPipeline = config.loadPipeline || loadTransformersPipeline;
+  const log = config.logger || console;
+  let dims = config.dims || null;
+  let pipelinePromise = null;
+  let failed = false;
+
+  async function getPipeline() {
+    if (!pipelinePromise) {
+      pipelinePromise = loadPipeline(config.modelPath).catch(err => {
+        failed = true;
+        log.error(`[embedding] Failed to load local model from ${config.modelPath}:`, err.message);
+        return null;
+      });
+    }
+    return pipelinePromise;
+  }
+
+  return {
+    async embed(texts) {
+      if (!texts || texts.length === 0) return [];
+      const extractor = await getPipeline();
+      if (!extractor) return null;
+
+      const results = [];
+      for (let i = 0; i < texts.length; i += LOCAL_BATCH) {
+        const output = await extractor(texts.slice(i, i + LOCAL_BATCH), { pooling: 'mean', normalize: true });
+        const rows = typeof output?.tolist === 'function' ? output.tolist() : output;
+        for (const row of rows) results.push(Array.from(row));
+      }
+      if (results.length > 0) dims = results[0].length;
+      return results;
+    },
+    getDimensions() { return dims; },
+    getProviderName() { return 'local'; },
+    getModel() { return config.model || config.modelPath; },
+    isAvailable() { return !failed; },
+  };
+});
+
+/**
+ * Create the configured embedding provider.
+ * Falls back to the null provider when the provider is unknown or lacks
+ * required settings (API key, base URL + model, model path).
+ * @param {object} [config] - { provider, apiKey, model, dims, baseUrl, modelPath, logger }
+ * @returns {object}
+ */
+export function createEmbeddingProvider(config = {}) {
+  const name = config.provider || 'openai';
+  const factory = registry.get(name);
+  if (!factory) {
+    (config.logger || console).warn(`[embedding] Unknown provider "${name}", using FTS-only search`);
+  }
+  return (factory && factory(config)) || nullProvider(config.dims || DEFAULT_DIMS);
 }
@@ -5,6 +5,13 @@
  * Usage:
  *   const client = createGatewayClient({ getWsUrl, getAuth });
  *   const payload = await client.rpcCall('sessions.list', { limit: 500 });
+ *   const unsubscribe = client.on('chat', (payload) => { ... });
+ *
+ * Once connect() (or the first rpcCall) has run, the client stays connected:
+ * dropped or failed connections are retried with exponential backoff until
+ * close(). Calls issued while (re)connecting wait in a bounded queue. Calls in
+ * flight when the socket drops are re-sent after reconnecting if their retry
+ * policy allows it (read-only methods by default); others are rejected.
  */
 
 import { readFileSync, existsSync } from 'fs';
@@ -65,13 +72,64 @@ function buildDeviceConnectParams(scopes = ['operator.admin', 'operator.read'],
   } catch { return null; }
 }
 
-export function createGatewayClient({ getWsUrl, getAuth, getPassword, logger, WebSocketImpl }) {
+// Read-only gateway methods: safe to re-send when the connection drops mid-call
+const IDEMPOTENT_METHOD_RE = /(^|\.)(list|get|history|status|activeRuns)$/;
+
+const DEFAULT_RECONNECT = { initialDelayMs: 1000, maxDelayMs: 30000, factor: 2, jitter: 0.2 };
+const DEFAULT_IDEMPOTENT_RETRIES = 2;
+const DEFAULT_QUEUE_LIMIT = 200;
+const DEFAULT_QUEUE_TIMEOUT_MS = 10000;
+
+/**
+ * True for gateway methods that only read state.
+ * @param {string} method
+ * @returns {boolean}
+ */
+export function isIdempotentMethod(method) {
+  return IDEMPOTENT_METHOD_RE.test(method || '');
+}
+
+/**
+ * Delay before reconnect attempt `attempt` (1-based).
+ * @param {number} attempt
+ * @param {{ initialDelayMs: number, maxDelayMs: number, factor: number, jitter: number }} opts
+ * @param {() => number} [random]
+ * @returns {number}
+ */
+export function reconnectDelay(attempt, opts, random = Math.random) {
+  const base = Math.min(opts.maxDelayMs, opts.initialDelayMs * Math.pow(opts.factor, Math.max(0, attempt - 1)));
+  // Spread reconnects so restarted gateways are not hit by every client at once
+  return Math.round(base * (1 - opts.jitter * random()));
+}
+
+/**
+ * @param {object} options
+ * @param {() => string} options.getWsUrl
+ * @param {() => string} [options.getAuth]
+ * @param {() => string} [options.getPassword]
+ * @param {object} [options.logger]
+ * @param {Function} [options.WebSocketImpl] - WebSocket constructor (tests)
+ * @param {false|{ initialDelayMs?: number, maxDelayMs?: number, factor?: number, jitter?: number }} [options.reconnect]
+ *   Backoff settings, or false to reconnect only on the next call
+ * @param {Record<string, { retries: number }>} [options.retryPolicies] - Per-method overrides of the default policy
+ * @param {number} [options.queueLimit] - Max calls waiting for a connection
+ * @param {number} [options.queueTimeoutMs] - How long a call waits for a connection
+ */
+export function createGatewayClient({ getWsUrl, getAuth, getPassword, logger, WebSocketImpl, reconnect, retryPolicies, queueLimit, queueTimeoutMs }) {
   let ws = null;
-  let state = 'disconnected'; // disconnected | connecting | authenticating | connected
+  let state = 'disconnected'; // disconnected | connecting | authenticating | connected (getState adds reconnecting)
   let _connectPromise = null;
   let _closed = false;
   let _reqCounter = 0;
-  const _pending = new Map(); // id -> { resolve, reject, timer }
+  const _pending = new Map(); // id -> { method, params, timeoutMs, retriesLeft, resolve, reject, timer }
+  const _waiting = []; // calls queued until connected: { resolve, reject, timer }
+  const _subscribers = new Map(); // event name (or '*') -> Set<handler>
+  const reconnectOpts = reconnect === false ? null : { ...DEFAULT_RECONNECT, ...(reconnect || {}) };
+  const maxQueue = queueLimit ?? DEFAULT_QUEUE_LIMIT;
+  const queueWaitMs = queueTimeoutMs ?? DEFAULT_QUEUE_TIMEOUT_MS;
+  let _wantConnection = false; // set by the first connect(); keeps the client reconnecting
+  let _reconnectTimer = null;
+  let _reconnectAttempt = 0;
   const log = logger || console;
 
   function _getWs() {
@@ -84,6 +142,11 @@ export function createGatewayClient({ getWsUrl, getAuth, getPassword, logger, We
     return 's' + (++_reqCounter);
   }
 
+  function _retriesFor(method) {
+    if (retryPolicies?.[method]) return retryPolicies[method].retries;
+    return isIdempotentMethod(method) ? DEFAULT_IDEMPOTENT_RETRIES : 0;
+  }
+
   function _cleanup(connectTimeout) {
     if (connectTimeout) clearTimeout(connectTimeout);
     if (ws) {
@@ -107,6 +170,65 @@ export function createGatewayClient({ getWsUrl, getAuth, getPassword, logger, We
     _pending.clear();
   }
 
+  function _rejectAllWaiting(err) {
+    for (const w of _waiting.splice(0)) {
+      clearTimeout(w.timer);
+      w.reject(err);
+    }
+  }
+
+  function _scheduleReconnect() {
+    if (_closed || !_wantConnection || !reconnectOpts || _reconnectTimer) return;
+    _reconnectAttempt++;
+    const delay = reconnectDelay(_reconnectAttempt, reconnectOpts);
+    if (_reconnectAttempt === 1) log.log(`[gateway-client] Reconnecting in ${delay}ms`);
+    _reconnectTimer = setTimeout(() => {
+      _reconnectTimer = null;
+      // A failed attempt schedules the next one via _connectionLost
+      connect().catch(() => {});
+    }, delay);
+  }
+
+  // Socket dropped or a connect attempt failed: settle calls and plan the reconnect
+  function _connectionLost(err) {
+    const retry = [];
+    for (const [id, p] of _pending) {
+      clearTimeout(p.timer);
+      _pending.delete(id);
+      if (p.retriesLeft > 0) retry.push(p);
+      else p.reject(err);
+    }
+    _scheduleReconnect();
+    // Without a reconnect coming, queued calls would only wait out their timeout
+    if (!_reconnectTimer) _rejectAllWaiting(err);
+    for (const p of retry) {
+      log.log(`[gateway-client] Retrying ${p.method} after reconnect (${p.retriesLeft} left)`);
+      _call(p.method, p.params, p.timeoutMs, p.retriesLeft - 1).then(p.resolve, p.reject);
+    }
+  }
+
+  function _connected() {
+    if (_reconnectAttempt > 0) log.log(`[gateway-client] Reconnected after ${_reconnectAttempt} attempt(s)`);
+    _reconnectAttempt = 0;
+    clearTimeout(_reconnectTimer);
+    _reconnectTimer = null;
+    for (const w of _waiting.splice(0)) {
+      clearTimeout(w.timer);
+      w.resolve();
+    }
+  }
+
+  function _dispatchEvent(msg) {
+    const handlers = [...(_subscribers.get(msg.event) || []), ...(_subscribers.get('*') || [])];
+    for (const handler of handlers) {
+      try {
+        handler(msg.payload, msg);
+      } catch (err) {
+        log.error(`[gateway-client] ${msg.event} handler failed:`, err.message);
+      }
+    }
+  }
+
   function _parseOrigin(url) {
     try {
       const parsed = new URL(url);
@@ -122,6 +244,7 @@ export function createGatewayClient({ getWsUrl, getAuth, getPassword, logger, We
 
   function connect() {
     if (_closed) return Promise.reject(new Error('Client is closed'));
+    _wantConnection = true;
     if (state === 'connected') return Promise.resolve();
     if (_connectPromise) return _connectPromise;
 
@@ -140,8 +263,10 @@ export function createGatewayClient({ getWsUrl, getAuth, getPassword, logger, We
 
         const connectTimeout = setTimeout(() => {
           if (state !== 'connected') {
+            const err = new Error('Connection timeout');
             _cleanup();
-            reject(new Error('Connection timeout'));
+            reject(err);
+            _connectionLost(err);
           }
         }, 10000);
 
@@ -206,16 +331,25 @@ export function createGatewayClient({ getWsUrl, getAuth, getPassword, logger, We
               state = 'connected';
               log.log('[gateway-client] Connected to gateway');
               resolve();
+              _connected();
               return;
             }
             if (msg.type === 'res' && msg.ok === false) {
+              const err = new Error('Gateway auth failed: ' + JSON.stringify(msg.error));
               _cleanup(connectTimeout);
-              reject(new Error('Gateway auth failed: ' + JSON.stringify(msg.error)));
+              reject(err);
+              _connectionLost(err);
               return;
             }
             log.error('[gateway-client] Unexpected message during auth:', JSON.stringify(msg).slice(0, 200));
           }
 
+          // Push events (chat, agent, ...) for on() subscribers
+          if (msg.type === 'event' && state === 'connected') {
+            _dispatchEvent(msg);
+            return;
+          }
+
           // RPC responses
           if (msg.type === 'res' && msg.id && _pending.has(msg.id)) {
             const p = _pending.get(msg.id);
@@ -231,34 +365,54 @@ export function createGatewayClient({ getWsUrl, getAuth, getPassword, logger, We
 
         ws.on('close', () => {
           const wasConnected = state === 'connected';
+          const err = new Error('WebSocket closed');
           _cleanup(connectTimeout);
-          _rejectAllPending(new Error('WebSocket closed'));
           if (wasConnected) {
-            log.log('[gateway-client] Disconnected, will reconnect on next call');
+            log.log('[gateway-client] Disconnected');
           }
+          reject(err); // no-op once connected
+          _connectionLost(err);
         });
 
-        ws.on('error', (err) => {
-          log.error('[gateway-client] WebSocket error:', err.message);
+        ws.on('error', (e) => {
+          log.error('[gateway-client] WebSocket error:', e.message);
+          const err = new Error('WebSocket error: ' + e.message);
           _cleanup(connectTimeout);
-          _rejectAllPending(new Error('WebSocket error: ' + err.message));
-          reject(new Error('WebSocket error: ' + err.message));
+          reject(err);
+          _connectionLost(err);
         });
       };
 
       setup().catch(err => {
         _cleanup();
         reject(err);
+        _connectionLost(err);
       });
     });
 
     return _connectPromise;
   }
 
-  async function rpcCall(method, params, timeoutMs = 15000) {
+  // Resolves once connected, starting a connection unless a reconnect is already scheduled
+  function _whenConnected() {
+    if (state === 'connected') return Promise.resolve();
+    if (_waiting.length >= maxQueue) return Promise.reject(new Error('Gateway request queue is full'));
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+      waiter.timer = setTimeout(() => {
+        const idx = _waiting.indexOf(waiter);
+        if (idx !== -1) _waiting.splice(idx, 1);
+        reject(new Error(`Gateway unavailable: not connected within ${queueWaitMs}ms`));
+      }, queueWaitMs);
+      _waiting.push(waiter);
+      if (!_reconnectTimer) connect().catch(() => {});
+    });
+  }
+
+  async function _call(method, params, timeoutMs, retriesLeft) {
     if (_closed) throw new Error('Client is closed');
     if (state !== 'connected') {
-      await connect();
+      await _whenConnected();
     }
 
     return new Promise((resolve, reject) => {
@@ -268,30 +422,66 @@ export function createGatewayClient({ getWsUrl, getAuth, getPassword, logger, We
         reject(new Error(`RPC timeout: ${method}`));
       }, timeoutMs);
 
-      _pending.set(id, { resolve, reject, timer });
+      _pending.set(id, { method, params, timeoutMs, retriesLeft, resolve, reject, timer });
 
       const frame = { type: 'req', id, method, params: params || {} };
       try {
         if (!ws) throw new Error('WebSocket disconnected before send');
         ws.send(JSON.stringify(frame));
       } catch (err) {
-        _pending.delete(id);
-        clearTimeout(timer);
+        // Retried or rejected along with everything else in flight
         _cleanup();
-        reject(err);
+        _connectionLost(err);
       }
     });
   }
 
+  /**
+   * Call a gateway method, waiting for a connection if needed.
+   * @param {string} method
+   * @param {object} [params]
+   * @param {number|{ timeoutMs?: number, retries?: number }} [opts] - Timeout in ms, or options.
+   *   `retries` is how often the call is re-sent when the connection drops before
+   *   it is answered (default: 2 for read-only methods, 0 otherwise)
+   * @returns {Promise<any>} Response payload
+   */
+  async function rpcCall(method, params, opts = {}) {
+    const { timeoutMs = 15000, retries = _retriesFor(method) } = typeof opts === 'number' ? { timeoutMs: opts } : opts;
+    return _call(method, params, timeoutMs, retries);
+  }
+
+  /**
+   * Subscribe to a gateway push event ('chat', 'agent', ... or '*' for all).
+   * Handlers receive (payload, frame).
+   * @param {string} event
+   * @param {(payload: any, frame: object) => void} handler
+   * @returns {() => void} Unsubscribe
+   */
+  function on(event, handler) {
+    if (!_subscribers.has(event)) _subscribers.set(event, new Set());
+    _subscribers.get(event).add(handler);
+    return () => off(event, handler);
+  }
+
+  function off(event, handler) {
+    const handlers = _subscribers.get(event);
+    if (!handlers) return;
+    handlers.delete(handler);
+    if (handlers.size === 0) _subscribers.delete(event);
+  }
+
   function close() {
     _closed = true;
+    clearTimeout(_reconnectTimer);
+    _reconnectTimer = null;
     _rejectAllPending(new Error('Client closed'));
+    _rejectAllWaiting(new Error('Client closed'));
     _cleanup();
   }
 
   function getState() {
-    return state;
+    return state === 'disconnected' && _reconnectTimer ? 'reconnecting' : state;
   }
 
-  return { connect, rpcCall, close, getState };
+  return { connect, rpcCall, on, off, close, getState };
 }
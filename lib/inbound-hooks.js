@@ -0,0 +1,373 @@
+/**
+ * Inbound webhooks: external systems create goals and tasks in a condo.
+ *
+ * Each condo can enable one endpoint, `POST /api/hooks/inbound/:condoId`, with
+ * its own secret. Callers prove they know it with an HMAC-SHA256 of the raw
+ * body (`X-Hub-Signature-256` as GitHub sends it, or `X-ClawCondos-Signature`,
+ * both `sha256=<hex>`) or with `Authorization: Bearer <secret>`.
+ *
+ * Payloads are GitHub `issues` / `pull_request` events (opened or reopened) or
+ * generic JSON ({ title, body|description|text, url, labels, ... }). Both are
+ * normalized into an item ({ source, kind, action, title, body, url, number,
+ * repo, author, labels, payload }) that the condo's templates render with
+ * `{{field}}` / `{{payload.path}}` placeholders. In `goal` mode an item becomes
+ * a goal with one task; in `task` mode a task in a chosen goal. With
+ * `autoKickoff` the goal is kicked off right away.
+ *
+ * Configs (one per condo, in a JSON file):
+ *
+ *   { condoId, enabled, secret, mode, goalId, titleTemplate, descriptionTemplate,
+ *     autoKickoff, recentDeliveries, lastReceivedAtMs, lastResult, createdAtMs, updatedAtMs }
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import crypto from 'crypto';
+
+export const INBOUND_MODES = ['goal', 'task'];
+export const DEFAULT_TITLE_TEMPLATE = '{{title}}';
+export const DEFAULT_DESCRIPTION_TEMPLATE = '{{body}}\n\n{{url}}';
+
+const GITHUB_ITEM_EVENTS = new Set(['issues', 'pull_request']);
+const GITHUB_ACTIONS = new Set(['opened', 'reopened']);
+const MAX_TEMPLATE_LENGTH = 2000;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 20000;
+// Delivery ids remembered per condo so redelivered events are not created twice
+const RECENT_DELIVERIES = 50;
+
+/**
+ * Render `{{path}}` placeholders from a context; missing values render empty,
+ * arrays as comma-separated lists.
+ * @param {string} template
+ * @param {object} context
+ * @returns {string}
+ */
+export function renderTemplate(template, context) {
+  return String(template || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+    const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), context);
+    if (value == null) return '';
+    if (Array.isArray(value)) return value.map(v => (v && typeof v === 'object' ? v.name ?? JSON.stringify(v) : v)).join(', ');
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }).trim();
+}
+
+/**
+ * Turn a request payload into an item.
+ * @param {string|undefined} githubEvent - X-GitHub-Event header
+ * @param {object} payload
+ * @returns {{ item?: object, ping?: true, ignored?: string, error?: string }}
+ */
+export function normalizeInbound(githubEvent, payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return { error: 'Body must be a JSON object' };
+
+  if (githubEvent) {
+    if (githubEvent === 'ping') return { ping: true };
+    if (!GITHUB_ITEM_EVENTS.has(githubEvent)) return { ignored: `GitHub ${githubEvent} events are not handled` };
+    if (!GITHUB_ACTIONS.has(payload.action)) return { ignored: `GitHub ${githubEvent} action "${payload.action}" is not handled` };
+    const source = githubEvent === 'issues' ? payload.issue : payload.pull_request;
+    if (!source?.title) return { error: `GitHub ${githubEvent} payload has no ${githubEvent === 'issues' ? 'issue' : 'pull_request'}` };
+    return {
+      item: {
+        source: 'github',
+        kind: githubEvent === 'issues' ? 'issue' : 'pull_request',
+        action: payload.action,
+        title: source.title,
+        body: source.body || '',
+        url: source.html_url || '',
+        number: source.number ?? null,
+        repo: payload.repository?.full_name || '',
+        author: source.user?.login || payload.sender?.login || '',
+        labels: (source.labels || []).map(l => l?.name || l).filter(Boolean),
+        payload,
+      },
+    };
+  }
+
+  const title = payload.title || payload.summary || payload.subject;
+  if (typeof title !== 'string' || !title.trim()) return { error: 'title is required' };
+  return {
+    item: {
+      source: 'generic',
+      kind: payload.kind || 'item',
+      action: payload.action || 'created',
+      title: title.trim(),
+      body: String(payload.body ?? payload.description ?? payload.text ?? ''),
+      url: payload.url || payload.link || '',
+      number: payload.number ?? payload.id ?? null,
+      repo: payload.repo || '',
+      author: payload.author || payload.reporter || '',
+      labels: Array.isArray(payload.labels) ? payload.labels : [],
+      payload,
+    },
+  };
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Whether a request proves knowledge of the secret.
+ * @param {string} secret
+ * @param {object} headers - Lower-cased request headers
+ * @param {Buffer|string} rawBody
+ * @returns {boolean}
+ */
+export function verifyInbound(secret, headers, rawBody) {
+  if (!secret) return false;
+  const signature = headers['x-hub-signature-256'] || headers['x-clawcondos-signature'];
+  if (signature) {
+    const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    return safeEqual(signature, expected);
+  }
+  const bearer = String(headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  return !!bearer && safeEqual(bearer[1], secret);
+}
+
+function newSecret() {
+  return `whin_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function publicConfig(config) {
+  const { secret, recentDeliveries, ...rest } = config;
+  return { ...rest, hasSecret: !!secret };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.filePath - JSON file holding the per-condo configs
+ * @param {(method: string, params: object, actor: string) => Promise<{ ok: boolean, result?: object, error?: object }>} options.callRpc
+ * @param {() => object} options.loadData - Goals store data (condo and goal checks)
+ * @param {object} [options.logger]
+ */
+export function createInboundHooks({ filePath, callRpc, loadData, logger }) {
+  const log = logger || console;
+
+  function load() {
+    if (!existsSync(filePath)) return [];
+    try {
+      const data = JSON.parse(readFileSync(filePath, 'utf-8'));
+      return Array.isArray(data?.hooks) ? data.hooks : [];
+    } catch (err) {
+      log.error('[inbound-hooks] Failed to read', filePath, err.message);
+      return [];
+    }
+  }
+
+  function save(hooks) {
+    const dir = dirname(filePath);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    writeFileSync(tmp, JSON.stringify({ hooks }, null, 2), { encoding: 'utf-8', mode: 0o600 });
+    renameSync(tmp, filePath);
+  }
+
+  function list() {
+    return load().map(publicConfig);
+  }
+
+  function get(condoId) {
+    const config = load().find(h => h.condoId === condoId);
+    return config ? publicConfig(config) : null;
+  }
+
+  /**
+   * Create or change a condo's endpoint.
+   * @param {string} condoId
+   * @param {{ enabled?: boolean, mode?: string, goalId?: string|null, titleTemplate?: string,
+   *   descriptionTemplate?: string, autoKickoff?: boolean }} patch
+   * @returns {{ hook?: object, secret?: string, error?: string }} `secret` only when the endpoint is new
+   */
+  function configure(condoId, patch = {}) {
+    const data = loadData();
+    if (!data.condos.some(c => c.id === condoId)) return { error: 'Condo not found' };
+    const hooks = load();
+    let config = hooks.find(h => h.condoId === condoId);
+    const created = !config;
+    const now = Date.now();
+    const next = {
+      condoId,
+      enabled: true,
+      secret: null,
+      mode: 'goal',
+      goalId: null,
+      titleTemplate: DEFAULT_TITLE_TEMPLATE,
+      descriptionTemplate: DEFAULT_DESCRIPTION_TEMPLATE,
+      autoKickoff: false,
+      recentDeliveries: [],
+      lastReceivedAtMs: null,
+      lastResult: null,
+      createdAtMs: now,
+      ...config,
+    };
+
+    if (patch.mode !== undefined) {
+      if (!INBOUND_MODES.includes(patch.mode)) return { error: `mode must be one of: ${INBOUND_MODES.join(', ')}` };
+      next.mode = patch.mode;
+    }
+    if (patch.goalId !== undefined) next.goalId = patch.goalId || null;
+    if (next.mode === 'task') {
+      const goal = data.goals.find(g => g.id === next.goalId);
+      if (!goal || goal.condoId !== condoId) return { error: 'Task mode needs a goalId in this condo' };
+    }
+    for (const key of ['titleTemplate', 'descriptionTemplate']) {
+      if (patch[key] === undefined) continue;
+      if (typeof patch[key] !== 'string' || patch[key].length > MAX_TEMPLATE_LENGTH) {
+        return { error: `${key} must be a string of at most ${MAX_TEMPLATE_LENGTH} characters` };
+      }
+      next[key] = patch[key] || (key === 'titleTemplate' ? DEFAULT_TITLE_TEMPLATE : '');
+    }
+    if (patch.enabled !== undefined) next.enabled = !!patch.enabled;
+    if (patch.autoKickoff !== undefined) next.autoKickoff = !!patch.autoKickoff;
+    if (!next.secret) next.secret = newSecret();
+    next.updatedAtMs = now;
+
+    if (created) hooks.push(next);
+    else hooks[hooks.indexOf(config)] = next;
+    config = next;
+    save(hooks);
+    return created ? { hook: publicConfig(config), secret: config.secret } : { hook: publicConfig(config) };
+  }
+
+  /**
+   * @param {string} condoId
+   * @returns {{ hook?: object, secret?: string, error?: string }}
+   */
+  function rotateSecret(condoId) {
+    const hooks = load();
+    const config = hooks.find(h => h.condoId === condoId);
+    if (!config) return { error: 'Inbound webhook not found' };
+    config.secret = newSecret();
+    config.updatedAtMs = Date.now();
+    save(hooks);
+    return { hook: publicConfig(config), secret: config.secret };
+  }
+
+  function remove(condoId) {
+    const hooks = load();
+    const next = hooks.filter(h => h.condoId !== condoId);
+    if (next.length === hooks.length) return false;
+    save(next);
+    return true;
+  }
+
+  function record(condoId, result) {
+    const hooks = load();
+    const config = hooks.find(h => h.condoId === condoId);
+    if (!config) return;
+    config.lastReceivedAtMs = Date.now();
+    config.lastResult = result;
+    save(hooks);
+  }
+
+  // Claim a delivery id before any work so a concurrent redelivery sees it.
+  // Load, check and save run without an await in between.
+  function reserveDelivery(condoId, deliveryId) {
+    const hooks = load();
+    const config = hooks.find(h => h.condoId === condoId);
+    if (!config) return false;
+    if ((config.recentDeliveries || []).includes(deliveryId)) return false;
+    config.recentDeliveries = [...(config.recentDeliveries || []), deliveryId].slice(-RECENT_DELIVERIES);
+    save(hooks);
+    return true;
+  }
+
+  // Let the sender's retry through after a delivery failed
+  function releaseDelivery(condoId, deliveryId) {
+    const hooks = load();
+    const config = hooks.find(h => h.condoId === condoId);
+    if (!config?.recentDeliveries?.includes(deliveryId)) return;
+    config.recentDeliveries = config.recentDeliveries.filter(id => id !== deliveryId);
+    save(hooks);
+  }
+
+  async function call(method, params, actor) {
+    const res = await callRpc(method, params, actor);
+    if (!res.ok) throw Object.assign(new Error(res.error?.message || `${method} failed`), { rpc: true });
+    return res.result || {};
+  }
+
+  /**
+   * Handle a request to a condo's endpoint.
+   * @param {{ condoId: string, headers: object, rawBody: Buffer|string }} req - Lower-cased headers
+   * @returns {Promise<{ status: number, body: object }>}
+   */
+  async function receive({ condoId, headers, rawBody }) {
+    const config = load().find(h => h.condoId === condoId);
+    if (!config || !config.enabled) return { status: 404, body: { ok: false, error: 'No inbound webhook for this condo' } };
+    if (!verifyInbound(config.secret, headers, rawBody)) {
+      return { status: 401, body: { ok: false, error: 'Invalid signature or secret' } };
+    }
+
+    let payload;
+    try {
+      const text = Buffer.isBuffer(rawBody) ? rawBody.toString('utf-8') : String(rawBody || '');
+      // GitHub's "application/x-www-form-urlencoded" content type wraps the JSON in `payload`
+      payload = String(headers['content-type'] || '').includes('application/x-www-form-urlencoded')
+        ? JSON.parse(new URLSearchParams(text).get('payload') || '')
+        : JSON.parse(text);
+    } catch {
+      return { status: 400, body: { ok: false, error: 'Body must be JSON' } };
+    }
+
+    const normalized = normalizeInbound(headers['x-github-event'], payload);
+    if (normalized.ping) return { status: 200, body: { ok: true, pong: true } };
+    if (normalized.error) {
+      record(condoId, { status: 400, message: normalized.error, atMs: Date.now() });
+      return { status: 400, body: { ok: false, error: normalized.error } };
+    }
+    if (normalized.ignored) return { status: 202, body: { ok: true, ignored: normalized.ignored } };
+
+    const deliveryId = headers['x-github-delivery'] || headers['idempotency-key'] || null;
+    if (deliveryId && !reserveDelivery(condoId, deliveryId)) {
+      return { status: 200, body: { ok: true, duplicate: true } };
+    }
+
+    const { item } = normalized;
+    const title = (renderTemplate(config.titleTemplate, item) || item.title).slice(0, MAX_TITLE_LENGTH);
+    const description = renderTemplate(config.descriptionTemplate, item).slice(0, MAX_DESCRIPTION_LENGTH);
+    const actor = `webhook:${item.source}`;
+
+    let goalId = config.goalId;
+    let createdGoalId = null;
+    let taskId;
+    try {
+      if (config.mode === 'goal') {
+        const { goal } = await call('goals.create', { condoId, title, description }, actor);
+        goalId = createdGoalId = goal.id;
+      }
+      const { task } = await call('goals.addTask', { goalId, text: title, description }, actor);
+      taskId = task?.id || null;
+    } catch (err) {
+      // A goal without its task would be left behind for every retry
+      if (createdGoalId) {
+        await call('goals.delete', { id: createdGoalId }, actor).catch(deleteErr => {
+          log.warn?.(`[inbound-hooks] Could not delete goal ${createdGoalId} after a failed delivery: ${deleteErr.message}`);
+        });
+      }
+      if (deliveryId) releaseDelivery(condoId, deliveryId);
+      const status = /not found/i.test(err.message) ? 404 : 400;
+      record(condoId, { status, message: err.message, atMs: Date.now() });
+      return { status, body: { ok: false, error: err.message } };
+    }
+
+    let kickoff = null;
+    if (config.autoKickoff) {
+      try {
+        const result = await call('goals.kickoff', { goalId }, actor);
+        kickoff = { ok: true, spawnedCount: (result.spawnedSessions || []).length };
+      } catch (err) {
+        log.warn?.(`[inbound-hooks] Kickoff of ${goalId} failed: ${err.message}`);
+        kickoff = { ok: false, error: err.message };
+      }
+    }
+
+    record(condoId, { status: 201, message: `${config.mode === 'goal' ? 'Goal' : 'Task'} "${title}" created`, goalId, taskId, atMs: Date.now() });
+    return { status: 201, body: { ok: true, goalId, taskId, kickoff } };
+  }
+
+  return { filePath, list, get, configure, rotateSecret, remove, receive };
+}
@@ -67,7 +67,15 @@ export function createMemorySearch({ stateDir, embeddingProvider, logger }) {
           continue;
         }
 
-        dbs.set(agentId, { db, hasFts, hasVec, path: dbPath, sizeBytes: st.size });
+        // Vector dimensions of this DB; queries from a provider with other dims are skipped
+        let vecDims = null;
+        try {
+          const vecSql = db.prepare("SELECT sql FROM sqlite_master WHERE name='chunks_vec'").get()?.sql || '';
+          const m = vecSql.match(/FLOAT\[(\d+)\]/i);
+          vecDims = m ? Number(m[1]) : null;
+        } catch {}
+
+        dbs.set(agentId, { db, hasFts, hasVec, vecDims, path: dbPath, sizeBytes: st.size });
         log.log(`[memory-search] Opened ${file} (${(st.size / 1024 / 1024).toFixed(1)}MB, fts=${hasFts}, vec=${hasVec})`);
       } catch (err) {
         log.error(`[memory-search] Failed to open ${file}:`, err.message);
@@ -128,6 +136,12 @@ export function createMemorySearch({ stateDir, embeddingProvider, logger }) {
     }
   }
 
+  /**
+   * Search every agent's memory DB.
+   * @param {string} query
+   * @param {object} [opts] - { limit, agents, phrases, exclude }; agents limits
+   *   the DBs searched, phrases/exclude are checked against the chunk text
+   */
   async function search(query, opts = {}) {
     if (!initialized) init();
 
@@ -149,7 +163,12 @@ export function createMemorySearch({ stateDir, embeddingProvider, logger }) {
 
     const allResults = [];
 
+    const agents = opts.agents?.length ? new Set(opts.agents.map(a => a.toLowerCase())) : null;
+    const phrases = (opts.phrases || []).map(p => p.toLowerCase());
+    const exclude = (opts.exclude || []).map(x => x.toLowerCase());
+
     for (const [agentId, info] of dbs) {
+      if (agents && !agents.has(agentId.toLowerCase())) continue;
       const { db, hasFts, hasVec } = info;
       const scored = new Map(); // id -> { score, chunk }
 
@@ -173,8 +192,13 @@ export function createMemorySearch({ stateDir, embeddingProvider, logger }) {
         }
       }
 
-      // Vector search
-      if (hasVec && queryEmbedding) {
+      // Vector search (memory DBs are read-only, so a dimension mismatch cannot be fixed by re-embedding)
+      const dimsMatch = !info.vecDims || !queryEmbedding || queryEmbedding.length === info.vecDims;
+      if (!dimsMatch && !info.dimsWarned) {
+        info.dimsWarned = true;
+        log.warn(`[memory-search] ${agentId}: vectors have ${info.vecDims} dims, provider has ${queryEmbedding.length}; using FTS only`);
+      }
+      if (hasVec && queryEmbedding && dimsMatch) {
         const vecResults = vecSearch(db, queryEmbedding, candidateLimit);
         if (vecResults.length > 0) {
           // Normalize distances (lower = better)
@@ -201,6 +225,8 @@ export function createMemorySearch({ stateDir, embeddingProvider, logger }) {
 
       // Merge scores: 0.7 vector + 0.3 BM25
       for (const [id, entry] of scored) {
+        const text = (entry.chunk.text || '').toLowerCase();
+        if (!phrases.every(p => text.includes(p)) || exclude.some(x => text.includes(x))) continue;
         const finalScore = queryEmbedding
           ? 0.7 * entry.vecScore + 0.3 * entry.ftsScore
           : entry.ftsScore;
@@ -0,0 +1,131 @@
+/**
+ * REST facade over the goals.* / condos.* handlers for scripts and CI.
+ *
+ * Requests authenticate with a scoped API token (`Authorization: Bearer
+ * ccp_...`, see lib/api-tokens.js). Each route needs one scope and maps to
+ * one RPC method; the call then goes through the same role and condo checks
+ * as the dashboard (lib/access-control.js), acting as the token's creator
+ * with the role its scopes allow.
+ *
+ *   GET    /api/v1/condos                      condos:read   condos.list
+ *   POST   /api/v1/condos                      condos:write  condos.create
+ *   GET    /api/v1/condos/:id                  condos:read   condos.get
+ *   PATCH  /api/v1/condos/:id                  condos:write  condos.update
+ *   GET    /api/v1/goals?condoId=&status=      goals:read    goals.list
+ *   POST   /api/v1/goals                       goals:write   goals.create
+ *   GET    /api/v1/goals/:id                   goals:read    goals.get
+ *   PATCH  /api/v1/goals/:id                   goals:write   goals.update
+ *   POST   /api/v1/goals/:id/tasks             goals:write   goals.addTask
+ *   PATCH  /api/v1/goals/:id/tasks/:taskId     goals:write   goals.updateTask
+ *   POST   /api/v1/goals/:id/kickoff           goals:write   goals.kickoff
+ *   GET    /api/v1/search?q=                   search:read   (served by /api/search)
+ */
+
+import { tokenRole } from './api-tokens.js';
+import { authorizeRpc, filterRpcResult, hasAllCondos } from './access-control.js';
+
+const ID = '([\\w-]+)';
+
+// [http method, path pattern, scope, rpc method, (match, body) => params]
+const ROUTES = [
+  ['GET', '/api/v1/condos', 'condos:read', 'condos.list', () => ({})],
+  ['POST', '/api/v1/condos', 'condos:write', 'condos.create', (m, body) => body],
+  ['GET', `/api/v1/condos/${ID}`, 'condos:read', 'condos.get', (m) => ({ id: m[1] })],
+  ['PATCH', `/api/v1/condos/${ID}`, 'condos:write', 'condos.update', (m, body) => ({ ...body, id: m[1] })],
+  ['GET', '/api/v1/goals', 'goals:read', 'goals.list', () => ({})],
+  ['POST', '/api/v1/goals', 'goals:write', 'goals.create', (m, body) => body],
+  ['GET', `/api/v1/goals/${ID}`, 'goals:read', 'goals.get', (m) => ({ id: m[1] })],
+  ['PATCH', `/api/v1/goals/${ID}`, 'goals:write', 'goals.update', (m, body) => ({ ...body, id: m[1] })],
+  ['POST', `/api/v1/goals/${ID}/tasks`, 'goals:write', 'goals.addTask', (m, body) => ({ ...body, goalId: m[1] })],
+  ['PATCH', `/api/v1/goals/${ID}/tasks/${ID}`, 'goals:write', 'goals.updateTask', (m, body) => ({ ...body, goalId: m[1], taskId: m[2] })],
+  ['POST', `/api/v1/goals/${ID}/kickoff`, 'goals:write', 'goals.kickoff', (m) => ({ goalId: m[1] })],
+  ['GET', '/api/v1/search', 'search:read', null, () => ({})],
+].map(([verb, path, scope, method, toParams]) => ({ verb, pattern: new RegExp(`^${path}/?$`), scope, method, toParams }));
+
+/**
+ * Find the route for a request.
+ * @param {string} httpMethod
+ * @param {string} pathname
+ * @returns {{ route?: object, match?: string[], allowed?: string[] }|null}
+ *   null for unknown paths; `allowed` lists the methods of a known path
+ */
+export function matchRestRoute(httpMethod, pathname) {
+  const allowed = [];
+  for (const route of ROUTES) {
+    const match = pathname.match(route.pattern);
+    if (!match) continue;
+    if (route.verb === httpMethod) return { route, match };
+    allowed.push(route.verb);
+  }
+  return allowed.length > 0 ? { allowed } : null;
+}
+
+/**
+ * Bearer token from an Authorization header.
+ * @param {string} [header]
+ * @returns {string|null}
+ */
+export function bearerToken(header) {
+  const m = String(header || '').match(/^Bearer\s+(\S+)$/i);
+  return m ? m[1] : null;
+}
+
+function errorStatus(message) {
+  return /not found/i.test(String(message || '')) ? 404 : 400;
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.apiTokens - From createApiTokens()
+ * @param {(userId: string|null) => object|null} options.resolveUser - The token creator's current account, or null
+ * @param {(method: string, params: object, actor: string) => Promise<{ ok: boolean, result?: object, error?: object }>} options.callRpc
+ * @param {() => object} options.loadData - Goals store data for condo checks
+ */
+export function createRestApi({ apiTokens, resolveUser, callRpc, loadData }) {
+  /**
+   * Handle a /api/v1 request.
+   * @param {{ method: string, pathname: string, searchParams: URLSearchParams, authorization?: string, body?: object }} req
+   * @returns {Promise<{ status: number, body: object } | { forward: string, user: object }>}
+   *   `forward` names the existing route that serves the request as `user`
+   */
+  async function handle({ method, pathname, searchParams, authorization, body }) {
+    const found = matchRestRoute(method, pathname);
+    if (!found) return { status: 404, body: { ok: false, error: 'Not found' } };
+    if (!found.route) return { status: 405, body: { ok: false, error: `Use ${found.allowed.join(' or ')}` } };
+    const { route, match } = found;
+
+    const token = apiTokens.authenticate(bearerToken(authorization));
+    if (!token) return { status: 401, body: { ok: false, error: 'A valid API token is required (Authorization: Bearer ...)' } };
+    if (!token.scopes.includes(route.scope)) {
+      return { status: 403, body: { ok: false, error: `This token lacks the ${route.scope} scope` } };
+    }
+    const owner = resolveUser(token.userId);
+    if (!owner) return { status: 401, body: { ok: false, error: 'The account that created this token no longer has access' } };
+    // Capped role; the creator's condo reach is kept (an admin's token still sees every condo)
+    const user = { ...owner, role: tokenRole(owner.role, token.scopes), allCondos: hasAllCondos(owner), tokenId: token.id };
+
+    if (!route.method) return { forward: '/api/search', user };
+
+    const params = route.toParams(match, body && typeof body === 'object' && !Array.isArray(body) ? body : {});
+    const decision = authorizeRpc(user, route.method, params, loadData);
+    if (!decision.ok) return { status: 403, body: { ok: false, error: decision.message } };
+
+    const res = await callRpc(route.method, params, `api:${token.name}`);
+    if (!res.ok) {
+      const message = res.error?.message || 'Request failed';
+      return { status: errorStatus(message), body: { ok: false, error: message } };
+    }
+    let result = filterRpcResult(user, route.method, res.result || {}, loadData);
+    if (route.method === 'goals.list') {
+      const condoId = searchParams?.get('condoId');
+      const status = searchParams?.get('status');
+      result = {
+        ...result,
+        goals: (result.goals || []).filter(g => (!condoId || g.condoId === condoId) && (!status || g.status === status)),
+      };
+    }
+    return { status: route.method.endsWith('.create') || route.method === 'goals.addTask' ? 201 : 200, body: { ok: true, ...result } };
+  }
+
+  return { handle };
+}
@@ -0,0 +1,214 @@
+/**
+ * Saved searches with alerts on new chat matches.
+ *
+ * Searches (in the lib/search-query.js language) are kept in a JSON file.
+ * After every chat-index sync, evaluate() looks for synced chunks added since
+ * each search's cursor (the highest chunk id it has seen) and reports new
+ * matches through `onMatches` (notification + WS event in serve.js). Live
+ * chunks are skipped so a message is reported once, after its history sync.
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import crypto from 'crypto';
+import { parseSearchQuery } from './search-query.js';
+import { matchesQuery, agentFromSessionKey } from './search.js';
+
+const MAX_SAVED_SEARCHES = 100;
+const MAX_NAME_LENGTH = 100;
+const MAX_QUERY_LENGTH = 500;
+const MATCHES_PER_RUN = 50;
+const RECENT_MATCHES = 5;
+
+/**
+ * Validation error for a saved-search query, or null when usable.
+ * Alerts come from full-text matches, so the query needs words or phrases.
+ * @param {string} query
+ * @returns {string|null}
+ */
+export function savedQueryError(query) {
+  if (typeof query !== 'string' || !query.trim()) return 'query is required';
+  if (query.length > MAX_QUERY_LENGTH) return `query must be at most ${MAX_QUERY_LENGTH} characters`;
+  const parsed = parseSearchQuery(query);
+  if (parsed.errors.length > 0) return parsed.errors[0];
+  if (!parsed.text) return 'query needs words or "phrases" to match';
+  return null;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.filePath - JSON file holding the saved searches
+ * @param {object} options.chatIndex - From createChatIndex()
+ * @param {(keys: string[]) => Map<string, { condoId?: string, condoName?: string, status?: string }>} [options.sessionContext]
+ *   Goal info per session key, for condo:/status: filters
+ * @param {(search: object, matches: object[]) => void} [options.onMatches]
+ * @param {object} [options.logger]
+ */
+export function createSavedSearches({ filePath, chatIndex, sessionContext, onMatches, logger }) {
+  const log = logger || console;
+
+  function load() {
+    if (!existsSync(filePath)) return [];
+    try {
+      const data = JSON.parse(readFileSync(filePath, 'utf-8'));
+      return Array.isArray(data?.searches) ? data.searches : [];
+    } catch (err) {
+      log.error('[saved-searches] Failed to read', filePath, err.message);
+      return [];
+    }
+  }
+
+  function save(searches) {
+    const dir = dirname(filePath);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    writeFileSync(tmp, JSON.stringify({ searches }, null, 2), 'utf-8');
+    renameSync(tmp, filePath);
+  }
+
+  function nameError(name) {
+    if (typeof name !== 'string' || !name.trim()) return 'name is required';
+    if (name.length > MAX_NAME_LENGTH) return `name must be at most ${MAX_NAME_LENGTH} characters`;
+    return null;
+  }
+
+  function list() {
+    return load();
+  }
+
+  /**
+   * @param {{ name?: string, query: string, notify?: boolean }} params
+   * @returns {{ search?: object, error?: string }}
+   */
+  function create(params = {}) {
+    const queryError = savedQueryError(params.query);
+    if (queryError) return { error: queryError };
+    const name = params.name ?? params.query.trim().slice(0, MAX_NAME_LENGTH);
+    const error = nameError(name);
+    if (error) return { error };
+
+    const searches = load();
+    if (searches.length >= MAX_SAVED_SEARCHES) return { error: `At most ${MAX_SAVED_SEARCHES} saved searches` };
+    const now = Date.now();
+    const search = {
+      id: `search_${crypto.randomBytes(8).toString('hex')}`,
+      name: name.trim(),
+      query: params.query.trim(),
+      notify: params.notify !== false,
+      // Only chunks indexed from now on count as new
+      cursorChunkId: chatIndex.latestChunkId(),
+      newMatches: 0,
+      recentMatches: [],
+      lastMatchAtMs: null,
+      createdAtMs: now,
+      updatedAtMs: now,
+    };
+    searches.push(search);
+    save(searches);
+    return { search };
+  }
+
+  /**
+   * @param {string} id
+   * @param {{ name?: string, query?: string, notify?: boolean }} patch
+   * @returns {{ search?: object, error?: string }}
+   */
+  function update(id, patch = {}) {
+    const searches = load();
+    const search = searches.find(s => s.id === id);
+    if (!search) return { error: 'Saved search not found' };
+    if ('name' in patch) {
+      const error = nameError(patch.name);
+      if (error) return { error };
+      search.name = patch.name.trim();
+    }
+    if ('query' in patch && patch.query?.trim() !== search.query) {
+      const error = savedQueryError(patch.query);
+      if (error) return { error };
+      search.query = patch.query.trim();
+      // A different query starts over: earlier matches belonged to the old one
+      search.cursorChunkId = chatIndex.latestChunkId();
+      search.newMatches = 0;
+      search.recentMatches = [];
+    }
+    if ('notify' in patch) search.notify = patch.notify !== false;
+    search.updatedAtMs = Date.now();
+    save(searches);
+    return { search };
+  }
+
+  function remove(id) {
+    const searches = load();
+    const next = searches.filter(s => s.id !== id);
+    if (next.length === searches.length) return false;
+    save(next);
+    return true;
+  }
+
+  /** Clear a search's new-match count once the user has looked at it. */
+  function markSeen(id) {
+    const searches = load();
+    const search = searches.find(s => s.id === id);
+    if (!search) return null;
+    search.newMatches = 0;
+    save(searches);
+    return search;
+  }
+
+  /**
+   * Check every saved search for matches in chunks indexed since its cursor.
+   * @returns {Array<{ id: string, matches: object[] }>} Searches with new matches
+   */
+  function evaluate() {
+    const searches = load();
+    if (searches.length === 0) return [];
+    const latest = chatIndex.latestChunkId();
+    const found = [];
+
+    for (const search of searches) {
+      // A rebuilt index restarts chunk ids below the cursor
+      if (search.cursorChunkId > latest) search.cursorChunkId = latest;
+      if (search.cursorChunkId === latest) continue;
+
+      const parsed = parseSearchQuery(search.query);
+      const f = parsed.filters;
+      const hits = chatIndex.findNewChunks(parsed.terms.join(' '), {
+        afterId: search.cursorChunkId,
+        upToId: latest,
+        phrases: parsed.phrases,
+        filters: { roles: f.role, agents: f.agent, after: f.after, before: f.before, exclude: parsed.excluded },
+        limit: MATCHES_PER_RUN,
+      });
+      const context = hits.length > 0 && sessionContext ? sessionContext([...new Set(hits.map(h => h.sessionKey))]) : new Map();
+      const matches = hits.filter(h => {
+        const goal = context.get(h.sessionKey) || {};
+        return matchesQuery({
+          condoId: goal.condoId, condoName: goal.condoName, status: goal.status,
+          agents: [agentFromSessionKey(h.sessionKey)], time: h.ts, message: true,
+        }, parsed);
+      });
+
+      // A full page may have more behind it; the next run continues after it
+      search.cursorChunkId = hits.length >= MATCHES_PER_RUN ? hits[hits.length - 1].chunkId : latest;
+      if (matches.length === 0) continue;
+      search.newMatches = (search.newMatches || 0) + matches.length;
+      search.lastMatchAtMs = Date.now();
+      search.recentMatches = [...matches.slice(-RECENT_MATCHES).reverse(), ...(search.recentMatches || [])].slice(0, RECENT_MATCHES);
+      found.push({ search, matches });
+    }
+
+    save(searches);
+    for (const { search, matches } of found) {
+      if (!onMatches) continue;
+      try {
+        onMatches(search, matches);
+      } catch (err) {
+        log.error(`[saved-searches] Alert for "${search.name}" failed:`, err.message);
+      }
+    }
+    if (found.length > 0) log.log(`[saved-searches] New matches for ${found.length} saved search(es)`);
+    return found.map(({ search, matches }) => ({ id: search.id, matches }));
+  }
+
+  return { list, create, update, remove, markSeen, evaluate };
+}
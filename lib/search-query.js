@@ -0,0 +1,172 @@
+/**
+ * Search query language shared by /api/search (serve.js) and the search view.
+ *
+ *   condo:investor-crm status:active agent:blake after:2026-09-01
+ *   role:assistant "exact phrase" -excluded free text
+ *
+ * Bare words must all match (AND), quoted text must match verbatim, and
+ * words prefixed with `-` must not match. `key:value` tokens with a known
+ * key become filters; values may be quoted (condo:"Investor CRM"). Unknown
+ * keys (e.g. URLs) stay plain words. Repeating a list filter ORs its values.
+ *
+ * Loaded as an ES module by the server and as <script type="module"> by the
+ * dashboard, which reads it from window.searchQuery.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const FILTER_KEYS = {
+  condo: { kind: 'list', hint: 'Condo name or id' },
+  status: { kind: 'list', hint: 'Goal status', values: ['active', 'done'] },
+  agent: { kind: 'list', hint: 'Agent id' },
+  role: { kind: 'list', hint: 'Chat message author', values: ['user', 'assistant', 'system'] },
+  after: { kind: 'date', hint: 'On or after a date (YYYY-MM-DD, 7d, 2w)' },
+  before: { kind: 'date', hint: 'Before a date (YYYY-MM-DD, 7d, 2w)' },
+};
+
+// [-][key:]("quoted"|word)
+const TOKEN_RE = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S*))/gi;
+
+/**
+ * Parse a date filter value: ISO date/time, or a relative age (30m, 12h, 7d, 2w).
+ * Dates without a time are the start of that day in UTC.
+ * @param {string} value
+ * @param {number} [now]
+ * @returns {number|null} Epoch ms, or null when unparseable
+ */
+export function parseDateValue(value, now = Date.now()) {
+  const rel = /^(\d+)([mhdw])$/i.exec(value || '');
+  if (rel) {
+    const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_MS, w: 7 * DAY_MS }[rel[2].toLowerCase()];
+    return now - Number(rel[1]) * unit;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/i.test(value || '')) return null;
+  const ms = Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * Parse a search query.
+ * @param {string} input
+ * @param {{ now?: number }} [opts]
+ * @returns {{
+ *   text: string, terms: string[], phrases: string[], excluded: string[],
+ *   filters: { condo: string[], status: string[], agent: string[], role: string[], after: number|null, before: number|null },
+ *   tokens: Array<{ type: 'term'|'phrase'|'excluded'|'filter', value: string, key?: string, raw: string, error?: string }>,
+ *   errors: string[],
+ * }}
+ */
+export function parseSearchQuery(input, opts = {}) {
+  const now = opts.now ?? Date.now();
+  const parsed = {
+    text: '',
+    terms: [],
+    phrases: [],
+    excluded: [],
+    filters: { condo: [], status: [], agent: [], role: [], after: null, before: null },
+    tokens: [],
+    errors: [],
+  };
+
+  const source = String(input || '');
+  for (const m of source.matchAll(TOKEN_RE)) {
+    const [raw, neg, rawKey, quoted, word] = m;
+    const key = rawKey?.toLowerCase();
+    const spec = key && FILTER_KEYS[key];
+    const value = quoted ?? word ?? '';
+
+    if (spec && !neg) {
+      if (!value) continue; // "condo:" while typing
+      const token = { type: 'filter', key, value, raw };
+      if (spec.kind === 'date') {
+        const ms = parseDateValue(value, now);
+        if (ms === null) {
+          token.error = `Invalid date for ${key}: ${value}`;
+          parsed.errors.push(token.error);
+        } else {
+          parsed.filters[key] = ms;
+        }
+      } else if (!parsed.filters[key].includes(value.toLowerCase())) {
+        parsed.filters[key].push(value.toLowerCase());
+      }
+      parsed.tokens.push(token);
+      continue;
+    }
+
+    // Unknown keys are ordinary text ("http://..." or "foo:bar")
+    const text = rawKey ? `${rawKey}:${value}` : value;
+    if (!text) continue;
+    if (neg) {
+      parsed.excluded.push(text.toLowerCase());
+      parsed.tokens.push({ type: 'excluded', value: text, raw });
+    } else if (quoted !== undefined) {
+      parsed.phrases.push(text.toLowerCase());
+      parsed.tokens.push({ type: 'phrase', value: text, raw });
+    } else {
+      parsed.terms.push(text.toLowerCase());
+      parsed.tokens.push({ type: 'term', value: text, raw });
+    }
+  }
+
+  parsed.text = [...parsed.terms, ...parsed.phrases].join(' ');
+  return parsed;
+}
+
+/**
+ * True when the query has any free text or filter to search with.
+ * @param {ReturnType<typeof parseSearchQuery>} parsed
+ */
+export function hasCriteria(parsed) {
+  const f = parsed.filters;
+  return parsed.terms.length > 0 || parsed.phrases.length > 0 || parsed.excluded.length > 0
+    || f.condo.length > 0 || f.status.length > 0 || f.agent.length > 0 || f.role.length > 0
+    || f.after !== null || f.before !== null;
+}
+
+/**
+ * Autocomplete for the token under the cursor (the last one when the cursor is
+ * at the end). `values` supplies dynamic values per key, e.g. condo names.
+ * @param {string} input
+ * @param {number} [cursor]
+ * @param {Record<string, string[]>} [values]
+ * @returns {{ start: number, end: number, suggestions: Array<{ label: string, insert: string, hint?: string }> }}
+ */
+export function suggestSearchCompletions(input, cursor, values = {}) {
+  const source = String(input || '');
+  const at = cursor ?? source.length;
+  let start = at;
+  while (start > 0 && !/\s/.test(source[start - 1])) start--;
+  const word = source.slice(start, at);
+  const result = { start, end: at, suggestions: [] };
+
+  const colon = word.indexOf(':');
+  if (colon === -1) {
+    const prefix = word.toLowerCase();
+    if (!prefix || prefix.startsWith('-') || prefix.startsWith('"')) return result;
+    for (const [key, spec] of Object.entries(FILTER_KEYS)) {
+      if (key.startsWith(prefix)) result.suggestions.push({ label: `${key}:`, insert: `${key}:`, hint: spec.hint });
+    }
+    return result;
+  }
+
+  const key = word.slice(0, colon).toLowerCase();
+  const spec = FILTER_KEYS[key];
+  if (!spec) return result;
+  const typed = word.slice(colon + 1).replace(/^"/, '').toLowerCase();
+  const candidates = spec.kind === 'date'
+    ? ['1d', '7d', '30d', new Date().toISOString().slice(0, 10)]
+    : [...(spec.values || []), ...(values[key] || [])];
+  const seen = new Set();
+  for (const candidate of candidates) {
+    const lower = String(candidate).toLowerCase();
+    if (seen.has(lower) || !lower.startsWith(typed) || lower === typed) continue;
+    seen.add(lower);
+    const quoted = /\s/.test(candidate) ? `"${candidate}"` : candidate;
+    result.suggestions.push({ label: `${key}:${candidate}`, insert: `${key}:${quoted} ` });
+  }
+  return result;
+}
+
+if (typeof window !== 'undefined') {
+  window.searchQuery = { FILTER_KEYS, parseSearchQuery, parseDateValue, hasCriteria, suggestSearchCompletions };
+}
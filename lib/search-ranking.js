@@ -0,0 +1,133 @@
+/**
+ * Ranking and paging for /api/search.
+ *
+ * Each source (goal/session metadata, chat FTS, chat vectors, agent memory)
+ * ranks its own hits; their scores are on unrelated scales, so results are
+ * fused by reciprocal rank: score = sum over sources of 1 / (k + rank).
+ * Pages are addressed by an opaque cursor tied to the query that produced it.
+ */
+
+import crypto from 'crypto';
+
+export const RRF_K = 60;
+
+/**
+ * Fuse ranked lists into one list ordered by reciprocal-rank score.
+ * Items sharing an id are merged: fields from earlier lists win, later lists
+ * fill in fields that are missing (e.g. a chat snippet on a metadata hit).
+ * Several lists may share a source name when they rank disjoint items (goal
+ * and session metadata).
+ * @param {Array<{ source: string, items: Array<{ id: string, type: string, data: object }> }>} lists - Hits, best first
+ * @param {{ k?: number }} [opts]
+ * @returns {Array<{ id: string, type: string, score: number, ranks: Record<string, number>, data: object }>}
+ */
+export function fuseRankings(lists, opts = {}) {
+  const k = opts.k ?? RRF_K;
+  const fused = new Map();
+  for (const { source, items } of lists) {
+    let rank = 0;
+    for (const item of items || []) {
+      const existing = fused.get(item.id);
+      if (existing?.ranks[source]) continue; // keep a source's best rank only
+      rank++;
+      if (existing) {
+        existing.score += 1 / (k + rank);
+        existing.ranks[source] = rank;
+        existing.data = { ...item.data, ...existing.data };
+      } else {
+        fused.set(item.id, { id: item.id, type: item.type, score: 1 / (k + rank), ranks: { [source]: rank }, data: item.data });
+      }
+    }
+  }
+  return [...fused.values()].sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
+
+/**
+ * Character spans of the query's words and phrases in `text`, merged and sorted.
+ * @param {string} text
+ * @param {{ terms: string[], phrases: string[] }} parsed
+ * @returns {Array<[number, number]>} [start, end) pairs
+ */
+export function matchOffsets(text, parsed) {
+  if (!text) return [];
+  const lower = String(text).toLowerCase();
+  const spans = [];
+  for (const needle of [...parsed.terms, ...parsed.phrases]) {
+    if (!needle) continue;
+    for (let i = lower.indexOf(needle); i !== -1; i = lower.indexOf(needle, i + needle.length)) {
+      spans.push([i, i + needle.length]);
+    }
+  }
+  spans.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const merged = [];
+  for (const span of spans) {
+    const last = merged[merged.length - 1];
+    if (last && span[0] <= last[1]) last[1] = Math.max(last[1], span[1]);
+    else merged.push(span);
+  }
+  return merged;
+}
+
+/**
+ * Match spans for the listed fields of a result, skipping fields without hits.
+ * @param {object} data
+ * @param {string[]} fields
+ * @param {object} parsed
+ * @returns {Record<string, Array<[number, number]>>}
+ */
+export function fieldMatches(data, fields, parsed) {
+  const matches = {};
+  for (const field of fields) {
+    const spans = matchOffsets(data[field], parsed);
+    if (spans.length > 0) matches[field] = spans;
+  }
+  return matches;
+}
+
+/**
+ * Counts of results per type and per contributing source.
+ * @param {ReturnType<typeof fuseRankings>} fused
+ * @returns {{ type: Record<string, number>, source: Record<string, number> }}
+ */
+export function facetCounts(fused) {
+  const facets = { type: {}, source: {} };
+  for (const r of fused) {
+    facets.type[r.type] = (facets.type[r.type] || 0) + 1;
+    for (const source of Object.keys(r.ranks)) {
+      facets.source[source] = (facets.source[source] || 0) + 1;
+    }
+  }
+  return facets;
+}
+
+/**
+ * Identifies a query (and mode) so a cursor cannot page a different search.
+ * @param {...string} parts
+ * @returns {string}
+ */
+export function queryFingerprint(...parts) {
+  return crypto.createHash('sha256').update(parts.join('\0')).digest('base64url').slice(0, 12);
+}
+
+/**
+ * @param {number} offset
+ * @param {string} fingerprint
+ * @returns {string}
+ */
+export function encodeCursor(offset, fingerprint) {
+  return Buffer.from(JSON.stringify({ o: offset, f: fingerprint })).toString('base64url');
+}
+
+/**
+ * @param {string} cursor
+ * @param {string} fingerprint
+ * @returns {number|null} Offset, or null when the cursor is malformed or from another query
+ */
+export function decodeCursor(cursor, fingerprint) {
+  try {
+    const { o, f } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+    return f === fingerprint && Number.isInteger(o) && o >= 0 ? o : null;
+  } catch {
+    return null;
+  }
+}
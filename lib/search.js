@@ -1,32 +1,134 @@
 /**
  * Search filter helpers for goals and sessions.
- * Used by /api/search endpoint in serve.js.
+ * Used by /api/search endpoint in serve.js. Queries are either a string in
+ * the search query language (lib/search-query.js) or its parsed form.
  */
 
-function matches(field, q) {
-  return (field || '').toLowerCase().includes(q);
+import { parseSearchQuery, hasCriteria } from './search-query.js';
+
+function toParsed(query) {
+  return typeof query === 'string' ? parseSearchQuery(query) : query;
+}
+
+function slug(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function toMs(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  const ms = typeof value === 'string' ? Date.parse(value) : NaN;
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * Agent id of an `agent:<id>:...` session key.
+ * @param {string} key
+ * @returns {string|null}
+ */
+export function agentFromSessionKey(key) {
+  const m = /^agent:([^:]+):/.exec(key || '');
+  return m ? m[1] : null;
+}
+
+/**
+ * Check an item against a parsed query. Filters the item has no data for
+ * exclude it; omit `text` when an index already matched the free text.
+ * @param {object} fields
+ * @param {string[]} [fields.text] - Searchable text fields
+ * @param {string} [fields.condoId]
+ * @param {string} [fields.condoName]
+ * @param {string} [fields.status] - Goal status
+ * @param {string[]} [fields.agents] - Agent ids involved
+ * @param {number|string} [fields.time] - Last activity (ms or ISO)
+ * @param {boolean} [fields.message] - Item is a chat message (role filter handled by the index)
+ * @param {object} parsed - From parseSearchQuery()
+ * @returns {boolean}
+ */
+export function matchesQuery(fields, parsed) {
+  const f = parsed.filters;
+
+  if (fields.text) {
+    const haystack = fields.text.filter(Boolean).join('\n').toLowerCase();
+    if (!parsed.terms.every(t => haystack.includes(t))) return false;
+    if (!parsed.phrases.every(p => haystack.includes(p))) return false;
+    if (parsed.excluded.some(x => haystack.includes(x))) return false;
+  }
+  if (f.role.length > 0 && !fields.message) return false;
+  if (f.condo.length > 0) {
+    const id = String(fields.condoId || '').toLowerCase();
+    const name = slug(fields.condoName);
+    if (!f.condo.some(v => (id && v === id) || (name && slug(v) === name))) return false;
+  }
+  if (f.status.length > 0 && !f.status.includes(String(fields.status || '').toLowerCase())) return false;
+  if (f.agent.length > 0) {
+    const agents = (fields.agents || []).filter(Boolean).map(a => String(a).toLowerCase());
+    if (!f.agent.some(a => agents.includes(a))) return false;
+  }
+  if (f.after !== null || f.before !== null) {
+    const ms = toMs(fields.time);
+    if (ms === null) return false;
+    if (f.after !== null && ms < f.after) return false;
+    if (f.before !== null && ms >= f.before) return false;
+  }
+  return true;
+}
+
+function goalFields(g) {
+  const tasks = Array.isArray(g.tasks) ? g.tasks : [];
+  const agents = [
+    ...tasks.map(t => t.assignedAgent),
+    ...(Array.isArray(g.sessions) ? g.sessions.map(agentFromSessionKey) : []),
+  ];
+  return {
+    text: [g.title, g.description, g.notes, ...tasks.flatMap(t => [t.text, t.description])],
+    condoId: g.condoId,
+    condoName: g.condoName,
+    status: g.status || (g.completed ? 'done' : 'active'),
+    agents,
+    time: g.updatedAtMs || g.createdAtMs,
+  };
+}
+
+/**
+ * Session match fields. Condo and status come from the session's goal, which
+ * serve.js copies onto it (condoId, condoName, goalStatus) before filtering.
+ */
+function sessionFields(s) {
+  return {
+    text: [s.displayName, s.key, s.label],
+    condoId: s.condoId,
+    condoName: s.condoName,
+    status: s.goalStatus,
+    agents: [agentFromSessionKey(s.key)],
+    time: s.updatedAt,
+  };
+}
+
+// Best first: query words found in the title (or session name), then most recent
+function rankMatches(items, fieldsOf, parsed) {
+  const needles = [...parsed.terms, ...parsed.phrases];
+  return items
+    .map(item => {
+      const fields = fieldsOf(item);
+      if (!matchesQuery(fields, parsed)) return null;
+      const title = String(fields.text[0] || '').toLowerCase();
+      return { item, hits: needles.filter(n => title.includes(n)).length, time: toMs(fields.time) || 0 };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.hits - a.hits || b.time - a.time)
+    .map(r => r.item);
 }
 
 export function filterGoals(goals, query) {
-  if (!query || !Array.isArray(goals)) return [];
-  const q = query.toLowerCase();
-  return goals.filter(g => {
-    if (matches(g.title, q) || matches(g.description, q) || matches(g.notes, q)) return true;
-    if (Array.isArray(g.tasks)) {
-      for (const t of g.tasks) {
-        if (matches(t.text, q) || matches(t.description, q)) return true;
-      }
-    }
-    return false;
-  });
+  const parsed = toParsed(query);
+  if (!parsed || !hasCriteria(parsed) || !Array.isArray(goals)) return [];
+  return rankMatches(goals, goalFields, parsed);
 }
 
 export function filterSessions(sessions, query) {
-  if (!query || !Array.isArray(sessions)) return [];
-  const q = query.toLowerCase();
-  return sessions.filter(s =>
-    matches(s.displayName, q) || matches(s.key, q) || matches(s.label, q)
-  );
+  const parsed = toParsed(query);
+  if (!parsed || !hasCriteria(parsed) || !Array.isArray(sessions)) return [];
+  return rankMatches(sessions, sessionFields, parsed);
 }
 
 /**
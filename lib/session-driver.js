@@ -0,0 +1,147 @@
+/**
+ * Headless session driver: starts spawned task sessions from serve.js.
+ *
+ * The goals plugin spawns task sessions but cannot call core gateway methods
+ * (no api.callMethod), so it reports them through goal.kickoff events in the
+ * event log (event-log.js) and RPC responses. The driver sends each session its
+ * taskContext with the server's trusted gateway client, so cascades and
+ * auto-kickoffs progress without a dashboard open. Delivery is recorded on the
+ * task as `task.kickoffDelivery`:
+ *
+ *   { sessionKey, status: 'sending'|'sent'|'failed', via, attempts,
+ *     lastAttemptAtMs, deliveredAtMs, error }
+ *
+ * A session is started at most once: sessions already marked sent (by the
+ * driver or the plugin) are skipped, and the chat.send idempotency key is
+ * stable per session so the gateway drops duplicates from other paths.
+ */
+
+export const DEFAULT_DRIVER_OPTIONS = Object.freeze({
+  maxAttempts: 3,
+  retryDelayMs: 5000,
+  backoffFactor: 2,
+});
+
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * @param {object} options
+ * @param {object} options.store - Goals store (load/save)
+ * @param {(method: string, params: object) => Promise<any>} options.rpcCall - Gateway RPC
+ * @param {object} [options.logger]
+ * @param {number} [options.maxAttempts]
+ * @param {number} [options.retryDelayMs] - Delay before the first retry
+ * @param {number} [options.backoffFactor]
+ */
+export function createSessionDriver({ store, rpcCall, logger, ...opts }) {
+  const log = logger || console;
+  const config = { ...DEFAULT_DRIVER_OPTIONS, ...opts };
+  const inFlight = new Set(); // session keys being sent right now
+  const retryTimers = new Map(); // sessionKey -> timeout
+
+  // Task owning a spawned session, located via the session index
+  function findTask(data, spawned) {
+    const goalId = data.sessionIndex?.[spawned.sessionKey]?.goalId;
+    const goal = data.goals.find(g => g.id === goalId);
+    const task = goal?.tasks?.find(t => (spawned.taskId ? t.id === spawned.taskId : t.sessionKey === spawned.sessionKey));
+    return task && task.sessionKey === spawned.sessionKey ? task : null;
+  }
+
+  // Apply `patch` to the task's delivery record; returns the record (or null when the task is gone).
+  // The plugin writes the same store from another process, so this must be a transaction.
+  function recordDelivery(spawned, patch) {
+    return store.transaction(data => {
+      const task = findTask(data, spawned);
+      if (!task) return null;
+      const previous = task.kickoffDelivery?.sessionKey === spawned.sessionKey ? task.kickoffDelivery : null;
+      task.kickoffDelivery = { ...(previous || { sessionKey: spawned.sessionKey, attempts: 0 }), ...patch };
+      task.updatedAtMs = Date.now();
+      return task.kickoffDelivery;
+    });
+  }
+
+  function currentDelivery(spawned) {
+    const task = findTask(store.load(), spawned);
+    if (!task) return { missing: true };
+    return task.kickoffDelivery?.sessionKey === spawned.sessionKey ? task.kickoffDelivery : null;
+  }
+
+  async function deliver(spawned, via) {
+    const { sessionKey } = spawned;
+    if (inFlight.has(sessionKey)) return 'in-flight';
+    const delivery = currentDelivery(spawned);
+    // Sessions whose task was deleted or respawned under another key are stale
+    if (delivery?.missing) return 'stale';
+    if (delivery?.status === 'sent') return 'sent';
+
+    inFlight.add(sessionKey);
+    clearTimeout(retryTimers.get(sessionKey));
+    retryTimers.delete(sessionKey);
+    const attempts = (delivery?.attempts || 0) + 1;
+    const startedAt = Date.now();
+    recordDelivery(spawned, { status: 'sending', via, attempts, lastAttemptAtMs: startedAt, error: null });
+    try {
+      await rpcCall('chat.send', {
+        sessionKey,
+        message: spawned.taskContext,
+        idempotencyKey: `kickoff-${sessionKey}`,
+      });
+      recordDelivery(spawned, { status: 'sent', deliveredAtMs: Date.now() });
+      log.log(JSON.stringify({ event: 'kickoff.chat_send', sessionKey, via, attempt: attempts, ok: true, ms: Date.now() - startedAt }));
+      return 'sent';
+    } catch (err) {
+      const error = String(err?.message || err).slice(0, MAX_ERROR_LENGTH);
+      recordDelivery(spawned, { status: 'failed', error });
+      log.log(JSON.stringify({ event: 'kickoff.chat_send', sessionKey, via, attempt: attempts, ok: false, error, ms: Date.now() - startedAt }));
+      if (attempts < config.maxAttempts) {
+        const delay = config.retryDelayMs * Math.pow(config.backoffFactor, attempts - 1);
+        const timer = setTimeout(() => {
+          retryTimers.delete(sessionKey);
+          deliver(spawned, 'retry').catch(e => log.error('[session-driver] Retry failed:', e.message));
+        }, delay);
+        timer.unref?.();
+        retryTimers.set(sessionKey, timer);
+      }
+      return 'failed';
+    } finally {
+      inFlight.delete(sessionKey);
+    }
+  }
+
+  /**
+   * Send each spawned session its taskContext unless it was already started.
+   * @param {Array<{ sessionKey: string, taskContext: string, taskId?: string, headlessStarted?: boolean }>} spawnedSessions
+   * @param {{ via?: string }} [opts] - What reported the sessions (for logs and the task record)
+   * @returns {Promise<Array<{ sessionKey: string, result: 'sent'|'failed'|'in-flight'|'stale' }>>}
+   */
+  async function start(spawnedSessions, opts = {}) {
+    const via = opts.via || 'server';
+    const results = [];
+    for (const s of spawnedSessions || []) {
+      if (!s?.sessionKey || !s.taskContext) continue;
+      if (s.headlessStarted) {
+        // The plugin delivered it itself; record that so no other path resends it
+        if (!currentDelivery(s)) recordDelivery(s, { status: 'sent', via: 'plugin', deliveredAtMs: Date.now() });
+        continue;
+      }
+      results.push({ sessionKey: s.sessionKey, result: await deliver(s, via) });
+    }
+    return results;
+  }
+
+  /**
+   * Start the sessions reported by a plugin kickoff event (goal.kickoff).
+   * @param {object} evt - Event payload from the event log
+   */
+  function handleKickoffEvent(evt) {
+    if (evt?.event !== 'goal.kickoff' || !Array.isArray(evt.spawnedSessions)) return Promise.resolve([]);
+    return start(evt.spawnedSessions, { via: 'kickoff-event' });
+  }
+
+  function stop() {
+    for (const timer of retryTimers.values()) clearTimeout(timer);
+    retryTimers.clear();
+  }
+
+  return { start, handleKickoffEvent, stop };
+}
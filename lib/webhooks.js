@@ -0,0 +1,437 @@
+/**
+ * Outbound webhooks for goal, task and plan lifecycle events.
+ *
+ * serve.js feeds every event from the event log (see
+ * clawcondos/condo-management/lib/event-log.js) to enqueue(). Each enabled
+ * webhook whose event filter and condo match gets a queued delivery: a JSON
+ * POST signed with the webhook's secret (HMAC-SHA256 of the raw body, in
+ * `X-ClawCondos-Signature: sha256=<hex>`). processQueue() sends due
+ * deliveries and retries failures with backoff; the newest deliveries stay in
+ * the file as a delivery log.
+ *
+ * File layout:
+ *
+ *   { hooks: [{ id, name, url, secret, condoId, events, enabled, createdAtMs, updatedAtMs }],
+ *     deliveries: [{ id, hookId, event, seq, status, attempts, nextAttemptAtMs,
+ *                    responseStatus, error, body, createdAtMs, updatedAtMs, deliveredAtMs }] }
+ *
+ * `condoId: null` means every condo; `events: []` means every event in WEBHOOK_EVENTS.
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+
+export const WEBHOOK_EVENTS = [
+  'goal.cascade_tasks_created',
+  'goal.task_completed',
+  'goal.task_failed',
+  'goal.completed',
+  'goal.merged',
+  'goal.conflicts_unresolved',
+  'goal.push_failed',
+  'plan.approved',
+  'plan.rejected',
+];
+
+// Sent by sendTest() to one webhook, whatever its filter
+export const TEST_EVENT = 'webhook.test';
+
+const MAX_HOOKS = 50;
+const MAX_NAME_LENGTH = 100;
+const MAX_URL_LENGTH = 2000;
+const MAX_DELIVERIES = 500;
+// Wait before each retry; a delivery fails for good after RETRY_DELAYS_MS.length + 1 attempts
+const RETRY_DELAYS_MS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 60 * 60 * 1000, 6 * 60 * 60 * 1000];
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+// Webhooks whose deliveries are sent at the same time by one processQueue() run
+const MAX_PARALLEL_HOOKS = 4;
+
+/**
+ * Signature header value for a body.
+ * @param {string} secret
+ * @param {string} body
+ * @returns {string} `sha256=<hex>`
+ */
+export function signPayload(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', String(secret)).update(body).digest('hex');
+}
+
+/**
+ * Whether a failed response is worth retrying: network errors, timeouts,
+ * rate limits and server errors. Other 4xx answers mean the receiver rejected it.
+ * @param {number|null} status
+ * @returns {boolean}
+ */
+export function isRetryable(status) {
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * POST a body; resolves with the response status, rejects on network errors and timeouts.
+ * @param {string} url
+ * @param {object} headers
+ * @param {string} body
+ * @param {number} timeoutMs
+ * @returns {Promise<number>}
+ */
+function postJson(url, headers, body, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const req = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      timeout: timeoutMs,
+    }, (res) => {
+      // Drain the response so the socket is released
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error(`Timed out after ${timeoutMs}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function urlError(url) {
+  if (typeof url !== 'string' || !url.trim()) return 'url is required';
+  if (url.length > MAX_URL_LENGTH) return `url must be at most ${MAX_URL_LENGTH} characters`;
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return 'url must be http or https';
+  } catch {
+    return 'url is not a valid URL';
+  }
+  return null;
+}
+
+function eventsError(events) {
+  if (!Array.isArray(events)) return 'events must be an array';
+  const unknown = events.find(e => !WEBHOOK_EVENTS.includes(e));
+  return unknown ? `Unknown event "${unknown}"; events are: ${WEBHOOK_EVENTS.join(', ')}` : null;
+}
+
+function publicHook(hook) {
+  const { secret, ...rest } = hook;
+  return { ...rest, events: [...hook.events], hasSecret: !!secret };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.filePath - JSON file holding webhooks and deliveries
+ * @param {(payload: object) => string|null} [options.resolveCondoId] - Condo of an event payload (e.g. via its goal)
+ * @param {number} [options.timeoutMs] - Per-attempt request timeout
+ * @param {object} [options.logger]
+ */
+export function createWebhooks({ filePath, resolveCondoId, timeoutMs = DEFAULT_TIMEOUT_MS, logger }) {
+  const log = logger || console;
+  let processing = false;
+
+  function load() {
+    if (!existsSync(filePath)) return { hooks: [], deliveries: [] };
+    try {
+      const data = JSON.parse(readFileSync(filePath, 'utf-8'));
+      return {
+        hooks: Array.isArray(data?.hooks) ? data.hooks : [],
+        deliveries: Array.isArray(data?.deliveries) ? data.deliveries : [],
+      };
+    } catch (err) {
+      log.error('[webhooks] Failed to read', filePath, err.message);
+      return { hooks: [], deliveries: [] };
+    }
+  }
+
+  // Keeps every pending delivery and the newest finished ones
+  function save(data) {
+    const finished = data.deliveries.filter(d => d.status !== 'pending');
+    if (finished.length > MAX_DELIVERIES) {
+      const keep = new Set(finished.sort((a, b) => b.createdAtMs - a.createdAtMs).slice(0, MAX_DELIVERIES));
+      data.deliveries = data.deliveries.filter(d => d.status === 'pending' || keep.has(d));
+    }
+    const dir = dirname(filePath);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    writeFileSync(tmp, JSON.stringify(data, null, 2), { encoding: 'utf-8', mode: 0o600 });
+    renameSync(tmp, filePath);
+  }
+
+  function list() {
+    return load().hooks.map(publicHook);
+  }
+
+  function get(id) {
+    const hook = load().hooks.find(h => h.id === id);
+    return hook ? publicHook(hook) : null;
+  }
+
+  /**
+   * @param {{ name?: string, url: string, secret?: string, condoId?: string|null, events?: string[], enabled?: boolean }} params
+   * @returns {{ hook?: object, secret?: string, error?: string }} `secret` is generated when none is given
+   */
+  function create(params = {}) {
+    const error = urlError(params.url) || eventsError(params.events ?? []);
+    if (error) return { error };
+    const name = typeof params.name === 'string' ? params.name.trim() : '';
+    if (name.length > MAX_NAME_LENGTH) return { error: `name must be at most ${MAX_NAME_LENGTH} characters` };
+    if (params.secret != null && (typeof params.secret !== 'string' || params.secret.length < 8)) {
+      return { error: 'secret must be at least 8 characters' };
+    }
+    const data = load();
+    if (data.hooks.length >= MAX_HOOKS) return { error: `At most ${MAX_HOOKS} webhooks` };
+
+    const now = Date.now();
+    const hook = {
+      id: `hook_${crypto.randomBytes(8).toString('hex')}`,
+      name: name || new URL(params.url).host,
+      url: params.url.trim(),
+      secret: params.secret || `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+      condoId: typeof params.condoId === 'string' && params.condoId ? params.condoId : null,
+      events: [...new Set(params.events ?? [])],
+      enabled: params.enabled !== false,
+      createdAtMs: now,
+      updatedAtMs: now,
+    };
+    data.hooks.push(hook);
+    save(data);
+    return { hook: publicHook(hook), secret: hook.secret };
+  }
+
+  /**
+   * @param {string} id
+   * @param {{ name?: string, url?: string, secret?: string, condoId?: string|null, events?: string[], enabled?: boolean }} patch
+   * @returns {{ hook?: object, error?: string }}
+   */
+  function update(id, patch = {}) {
+    const data = load();
+    const hook = data.hooks.find(h => h.id === id);
+    if (!hook) return { error: 'Webhook not found' };
+    if (patch.url !== undefined) {
+      const error = urlError(patch.url);
+      if (error) return { error };
+      hook.url = patch.url.trim();
+    }
+    if (patch.events !== undefined) {
+      const error = eventsError(patch.events);
+      if (error) return { error };
+      hook.events = [...new Set(patch.events)];
+    }
+    if (patch.name !== undefined) {
+      const name = String(patch.name).trim();
+      if (!name || name.length > MAX_NAME_LENGTH) return { error: `name must be 1-${MAX_NAME_LENGTH} characters` };
+      hook.name = name;
+    }
+    if (patch.secret !== undefined) {
+      if (typeof patch.secret !== 'string' || patch.secret.length < 8) return { error: 'secret must be at least 8 characters' };
+      hook.secret = patch.secret;
+    }
+    if (patch.condoId !== undefined) hook.condoId = patch.condoId || null;
+    if (patch.enabled !== undefined) hook.enabled = !!patch.enabled;
+    hook.updatedAtMs = Date.now();
+    save(data);
+    return { hook: publicHook(hook) };
+  }
+
+  /**
+   * Remove a webhook and its delivery log.
+   * @param {string} id
+   * @returns {boolean}
+   */
+  function remove(id) {
+    const data = load();
+    const before = data.hooks.length;
+    data.hooks = data.hooks.filter(h => h.id !== id);
+    if (data.hooks.length === before) return false;
+    data.deliveries = data.deliveries.filter(d => d.hookId !== id);
+    save(data);
+    return true;
+  }
+
+  function queueDelivery(data, hook, evt, condoId) {
+    const now = Date.now();
+    const id = `dlv_${crypto.randomBytes(8).toString('hex')}`;
+    const delivery = {
+      id,
+      hookId: hook.id,
+      event: evt.event,
+      seq: evt.seq ?? null,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAtMs: now,
+      responseStatus: null,
+      error: null,
+      body: JSON.stringify({
+        id,
+        event: evt.event,
+        seq: evt.seq ?? null,
+        timestamp: evt.ts ?? now,
+        condoId,
+        data: evt.payload || {},
+      }),
+      createdAtMs: now,
+      updatedAtMs: now,
+      deliveredAtMs: null,
+    };
+    data.deliveries.push(delivery);
+    return delivery;
+  }
+
+  /**
+   * Queue deliveries of an event-log event to the matching webhooks.
+   * @param {{ seq?: number, ts?: number, event: string, payload?: object }} evt
+   * @returns {number} Deliveries queued
+   */
+  function enqueue(evt) {
+    if (!evt || !WEBHOOK_EVENTS.includes(evt.event)) return 0;
+    const data = load();
+    const candidates = data.hooks.filter(h => h.enabled && (h.events.length === 0 || h.events.includes(evt.event)));
+    if (candidates.length === 0) return 0;
+    const payload = evt.payload || {};
+    let condoId = payload.condoId || null;
+    if (!condoId && resolveCondoId) {
+      try { condoId = resolveCondoId(payload) || null; } catch { condoId = null; }
+    }
+    const targets = candidates.filter(h => !h.condoId || h.condoId === condoId);
+    for (const hook of targets) queueDelivery(data, hook, evt, condoId);
+    if (targets.length > 0) save(data);
+    return targets.length;
+  }
+
+  /**
+   * Queue a test delivery to one webhook.
+   * @param {string} id
+   * @returns {{ delivery?: object, error?: string }}
+   */
+  function sendTest(id) {
+    const data = load();
+    const hook = data.hooks.find(h => h.id === id);
+    if (!hook) return { error: 'Webhook not found' };
+    const delivery = queueDelivery(data, hook, {
+      event: TEST_EVENT,
+      payload: { hookId: hook.id, message: 'Test delivery from ClawCondos' },
+    }, hook.condoId);
+    save(data);
+    return { delivery };
+  }
+
+  /**
+   * Send a finished delivery again, as a new attempt series.
+   * @param {string} deliveryId
+   * @returns {{ delivery?: object, error?: string }}
+   */
+  function redeliver(deliveryId) {
+    const data = load();
+    const delivery = data.deliveries.find(d => d.id === deliveryId);
+    if (!delivery) return { error: 'Delivery not found' };
+    if (delivery.status === 'pending') return { delivery };
+    Object.assign(delivery, { status: 'pending', attempts: 0, nextAttemptAtMs: Date.now(), updatedAtMs: Date.now() });
+    save(data);
+    return { delivery };
+  }
+
+  /**
+   * Delivery log, newest first.
+   * @param {{ hookId?: string, limit?: number }} [filter]
+   */
+  function listDeliveries({ hookId, limit = 50 } = {}) {
+    return load().deliveries
+      .filter(d => !hookId || d.hookId === hookId)
+      .sort((a, b) => b.createdAtMs - a.createdAtMs)
+      .slice(0, limit);
+  }
+
+  async function send(hook, delivery) {
+    try {
+      const status = await postJson(hook.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ClawCondos-Webhooks',
+        'X-ClawCondos-Event': delivery.event,
+        'X-ClawCondos-Delivery': delivery.id,
+        'X-ClawCondos-Signature': signPayload(hook.secret, delivery.body),
+      }, delivery.body, timeoutMs);
+      const ok = status >= 200 && status < 300;
+      return { ok, status, error: ok ? null : `HTTP ${status}` };
+    } catch (err) {
+      return { ok: false, status: null, error: err.message || String(err) };
+    }
+  }
+
+  // Record one attempt. Re-reads: the file may have changed while the request was in flight
+  function recordAttempt(id, hook, result) {
+    const data = load();
+    const current = data.deliveries.find(d => d.id === id);
+    if (!current) return;
+    const now = Date.now();
+    current.attempts += 1;
+    current.responseStatus = result.status;
+    current.error = result.error;
+    current.updatedAtMs = now;
+    if (result.ok) {
+      current.status = 'delivered';
+      current.deliveredAtMs = now;
+    } else if (result.final || !isRetryable(result.status) || current.attempts > RETRY_DELAYS_MS.length) {
+      current.status = 'failed';
+      log.warn?.(`[webhooks] Delivery ${id} (${current.event}) to ${hook?.url || current.hookId} failed: ${result.error}`);
+    } else {
+      current.nextAttemptAtMs = now + RETRY_DELAYS_MS[current.attempts - 1];
+    }
+    save(data);
+  }
+
+  // Send one webhook's due deliveries in order
+  async function runLane(ids) {
+    let attempts = 0;
+    for (const id of ids) {
+      const snapshot = load();
+      const delivery = snapshot.deliveries.find(d => d.id === id);
+      if (!delivery || delivery.status !== 'pending') continue;
+      const hook = snapshot.hooks.find(h => h.id === delivery.hookId);
+      const result = hook?.enabled
+        ? await send(hook, delivery)
+        : { ok: false, status: null, error: 'Webhook disabled', final: true };
+      attempts++;
+      recordAttempt(id, hook, result);
+    }
+    return attempts;
+  }
+
+  /**
+   * Send the deliveries that are due. Each webhook gets one lane that sends its
+   * deliveries in order, and up to MAX_PARALLEL_HOOKS lanes run at once, so a
+   * slow receiver only holds up its own deliveries. Concurrent calls are skipped.
+   * @returns {Promise<number>} Attempts made
+   */
+  async function processQueue() {
+    if (processing) return 0;
+    processing = true;
+    let attempts = 0;
+    try {
+      const lanes = new Map();
+      for (const d of load().deliveries) {
+        if (d.status !== 'pending' || d.nextAttemptAtMs > Date.now()) continue;
+        if (!lanes.has(d.hookId)) lanes.set(d.hookId, []);
+        lanes.get(d.hookId).push(d.id);
+      }
+      const queue = [...lanes.values()];
+      const worker = async () => {
+        while (queue.length > 0) {
+          const made = await runLane(queue.shift());
+          attempts += made;
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(MAX_PARALLEL_HOOKS, queue.length) }, worker));
+    } finally {
+      processing = false;
+    }
+    return attempts;
+  }
+
+  /** @returns {boolean} Whether a processQueue() run is in progress */
+  function isProcessing() {
+    return processing;
+  }
+
+  return { filePath, list, get, create, update, remove, enqueue, sendTest, redeliver, listDeliveries, processQueue, isProcessing };
+}
@@ -17,14 +17,30 @@ import crypto from 'crypto';
 import os from 'os';
 import { rewriteConnectFrame, validateStaticPath, isDotfilePath, filterProxyHeaders, stripSensitiveHeaders } from './lib/serve-helpers.js';
 import { createGatewayClient } from './lib/gateway-client.js';
-import { filterGoals, filterSessions, crossRefFileWithGoals } from './lib/search.js';
+import { filterGoals, filterSessions, matchesQuery, agentFromSessionKey, crossRefFileWithGoals } from './lib/search.js';
+import { parseSearchQuery, hasCriteria } from './lib/search-query.js';
+import { fuseRankings, fieldMatches, facetCounts, queryFingerprint, encodeCursor, decodeCursor } from './lib/search-ranking.js';
 import { createEmbeddingProvider } from './lib/embedding-provider.js';
 import { createMemorySearch } from './lib/memory-search.js';
 import { createChatIndex } from './lib/chat-index.js';
+import { createSavedSearches } from './lib/saved-searches.js';
+import { createSessionDriver } from './lib/session-driver.js';
+import { createAccounts, parseCookies, roleAtLeast, SESSION_COOKIE } from './lib/accounts.js';
+import { LOCAL_ADMIN, routeRule, hasAllCondos, authorizeRpc, filterRpcResult, eventVisible } from './lib/access-control.js';
+import { createApiTokens } from './lib/api-tokens.js';
+import { createRestApi } from './lib/rest-api.js';
+import { createWebhooks, WEBHOOK_EVENTS } from './lib/webhooks.js';
+import { createInboundHooks } from './lib/inbound-hooks.js';
+import { createAppSupervisor } from './lib/app-supervisor.js';
 import { createGoalsStore } from './clawcondos/condo-management/lib/goals-store.js';
 import { createGoalHandlers } from './clawcondos/condo-management/lib/goals-handlers.js';
 import { createCondoHandlers } from './clawcondos/condo-management/lib/condos-handlers.js';
-import { createAppLauncher } from './clawcondos/app-launcher/index.js';
+import { createHistoryHandlers, runWithActor } from './clawcondos/condo-management/lib/audit-log.js';
+import { createTrashHandlers } from './clawcondos/condo-management/lib/trash.js';
+import * as workspaceManager from './clawcondos/condo-management/lib/workspace-manager.js';
+import { createCostHandlers } from './clawcondos/condo-management/lib/cost-tracking.js';
+import { createNotification } from './clawcondos/condo-management/lib/notification-manager.js';
+import { createEventLog } from './clawcondos/condo-management/lib/event-log.js';
 
 const __dirname = fileURLToPath(new URL('.', import.meta.url));
 
@@ -39,9 +55,6 @@ if (existsSync(ENV_FILE)) {
 
 const PORT = parseInt(process.argv[2]) || 9000;
 
-// ── App Launcher (on-demand app starter) ──
-const appLauncher = createAppLauncher();
-
 const MIME_TYPES = {
   '.html': 'text/html',
   '.css': 'text/css',
@@ -76,6 +89,13 @@ function loadApps() {
   return [];
 }
 
+// ── App supervisor: runs registry apps from their startCommand, logs to .data/app-logs ──
+const appSupervisor = createAppSupervisor({
+  loadApps,
+  logDir: join(__dirname, '.data', 'app-logs'),
+  logger: console,
+});
+
 function json(res, status, body) {
   res.writeHead(status, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify(body));
@@ -363,8 +383,11 @@ function proxyToApp(req, res, app, path) {
 
   proxyReq.on('error', (err) => {
     console.error(`Proxy error for ${app.id}:`, err.message);
-    res.writeHead(503);
-    res.end(`App "${app.name}" is unavailable`);
+    const st = appSupervisor.status(app.id);
+    const state = st && st.status !== 'running' ? ` (${st.status}${st.lastError ? `: ${st.lastError}` : ''})` : '';
+    const hint = app.startCommand ? `\nStart it from the dashboard or run: ${app.startCommand}` : '';
+    res.writeHead(503, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(`App "${app.name}" is unavailable${state}${hint}`);
   });
 
   req.pipe(proxyReq, { end: true });
@@ -459,18 +482,403 @@ function buildLocalSessionsFallback(limit = 500) {
     .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))
     .slice(0, Math.max(1, limit));
 }
-const GOALS_FILE = join(__dirname, 'clawcondos/condo-management/.data/goals.json');
 const GOALS_DATA_DIR = join(__dirname, 'clawcondos/condo-management/.data');
+// No backend given: the store follows the one the plugin recorded in the data dir
 const goalsStore = createGoalsStore(GOALS_DATA_DIR);
 const goalHandlers = createGoalHandlers(goalsStore);
 const condoHandlers = createCondoHandlers(goalsStore);
+const historyHandlers = createHistoryHandlers(goalsStore);
+// Purging deletes the entries' gateway sessions and worktrees too, as in the plugin;
+// retention is the plugin's trashRetentionDays, recorded in the store
+const trashHandlers = createTrashHandlers(goalsStore, {
+  wsOps: workspaceManager,
+  rpcCall: (method, params) => gatewayClient.rpcCall(method, params),
+  logger: console,
+});
+const costHandlers = createCostHandlers(goalsStore);
+
+// ── Accounts and access control ──
+// Accounts are off until the first one exists; every request is then the local
+// admin. CLAWCONDOS_ADMIN_USER / CLAWCONDOS_ADMIN_PASSWORD create that first
+// account at startup.
+const accounts = createAccounts({
+  filePath: join(__dirname, '.data', 'accounts.json'),
+  sessionTtlMs: parseFloat(process.env.CLAWCONDOS_SESSION_TTL_HOURS) * 3600000 || undefined,
+  logger: console,
+});
+if (accounts.ensureAdmin({ username: process.env.CLAWCONDOS_ADMIN_USER, password: process.env.CLAWCONDOS_ADMIN_PASSWORD })) {
+  console.log(`[accounts] Created admin account "${process.env.CLAWCONDOS_ADMIN_USER}"`);
+}
+const apiTokens = createApiTokens({ filePath: join(__dirname, '.data', 'api-tokens.json'), logger: console });
+const restApi = createRestApi({
+  apiTokens,
+  // Tokens act for their creator's current account; the local admin only while accounts are off
+  resolveUser(userId) {
+    if (!userId) return accounts.isEnabled() ? null : LOCAL_ADMIN;
+    const owner = accounts.getUser(userId);
+    return owner && !owner.disabled ? owner : null;
+  },
+  callRpc: (method, params, actor) => serverRpc(method, params, actor, 'api'),
+  loadData: () => loadAccessData(),
+});
+// POST /api/hooks/inbound/:condoId: issues and bug reports into condos, authenticated per condo
+const inboundHooks = createInboundHooks({
+  filePath: join(__dirname, '.data', 'inbound-hooks.json'),
+  callRpc: (method, params, actor) => serverRpc(method, params, actor, 'inbound'),
+  loadData: () => goalsStore.load(),
+  logger: console,
+});
+
+// goals.* / condos.* calls the server makes for API and webhook callers:
+// spawning methods go to the gateway, the rest to the local handlers
+async function serverRpc(method, params, actor, via) {
+  if (GATEWAY_SPAWN_METHODS.has(method)) {
+    try {
+      return { ok: true, result: await callGatewayAndStart(method, params, via) };
+    } catch (err) {
+      return { ok: false, error: { message: err?.message || String(err) } };
+    }
+  }
+  const local = await tryLocalGoalsRpc(method, params, actor);
+  return local.handled ? local : { ok: false, error: { message: `${method} is not available` } };
+}
+const WS_USER_RECHECK_MS = 2000;
+const wsAuth = new WeakMap(); // clientWs -> { token, user, checkedAtMs }
+
+function sessionToken(req) {
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+// The user behind a request: LOCAL_ADMIN while accounts are off, null when not logged in
+function requestUser(req) {
+  if (!accounts.isEnabled()) return LOCAL_ADMIN;
+  return accounts.authenticate(sessionToken(req));
+}
+
+// The user behind a browser socket, re-read every few seconds so role changes,
+// logouts and removed accounts apply to open sockets too
+function wsUser(clientWs) {
+  const auth = wsAuth.get(clientWs);
+  if (!auth) return null;
+  if (Date.now() - auth.checkedAtMs > WS_USER_RECHECK_MS) {
+    auth.user = accounts.isEnabled() ? accounts.authenticate(auth.token) : LOCAL_ADMIN;
+    auth.checkedAtMs = Date.now();
+  }
+  return auth.user;
+}
+
+// Audit-log actor for a browser socket: the logged-in user, or 'dashboard' while accounts are off
+function wsActor(clientWs) {
+  const user = wsUser(clientWs);
+  return user && !user.local ? user.username : 'dashboard';
+}
+
+// Goals data for condo membership checks, reused briefly (chat events come in bursts)
+let accessData = null;
+let accessDataAtMs = 0;
+function loadAccessData() {
+  if (!accessData || Date.now() - accessDataAtMs > 1000) {
+    accessData = goalsStore.load();
+    accessDataAtMs = Date.now();
+  }
+  return accessData;
+}
+
+function sessionCookie(req, token, maxAgeMs) {
+  const secure = req.socket.encrypted || req.headers['x-forwarded-proto'] === 'https' ? '; Secure' : '';
+  return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(maxAgeMs / 1000)}${secure}`;
+}
+
+// 401 when not logged in, 403 when the role or condo scope does not allow the route
+function denyRoute(res, rule, user) {
+  if (!user) {
+    json(res, 401, { ok: false, error: 'Login required' });
+    return true;
+  }
+  if (!roleAtLeast(user.role, rule.role)) {
+    json(res, 403, { ok: false, error: `Requires the ${rule.role} role` });
+    return true;
+  }
+  if (rule.allCondos && !hasAllCondos(user)) {
+    json(res, 403, { ok: false, error: 'Not available to accounts limited to shared condos' });
+    return true;
+  }
+  return false;
+}
+
+// /api/auth/* (login, logout, session, password) and /api/users* (admin)
+async function handleAccountRoutes(req, res, pathname, user) {
+  if (pathname === '/api/auth/session' && req.method === 'GET') {
+    json(res, 200, { ok: true, enabled: accounts.isEnabled(), user });
+    return true;
+  }
+
+  if (pathname === '/api/auth/login' && req.method === 'POST') {
+    let body;
+    try { body = await readJsonBody(req, 16 * 1024); } catch (err) {
+      json(res, 400, { ok: false, error: err.message });
+      return true;
+    }
+    const result = accounts.login(body?.username, body?.password);
+    if (result.error) {
+      json(res, result.locked ? 429 : 401, { ok: false, error: result.error });
+      return true;
+    }
+    res.setHeader('Set-Cookie', sessionCookie(req, result.token, accounts.sessionTtlMs));
+    json(res, 200, { ok: true, user: result.user, expiresAtMs: result.expiresAtMs });
+    return true;
+  }
+
+  if (pathname === '/api/auth/logout' && req.method === 'POST') {
+    accounts.logout(sessionToken(req));
+    res.setHeader('Set-Cookie', sessionCookie(req, '', 0));
+    json(res, 200, { ok: true });
+    return true;
+  }
+
+  if (pathname === '/api/auth/password' && req.method === 'POST') {
+    if (!user?.id) {
+      json(res, 400, { ok: false, error: 'No account to change the password of' });
+      return true;
+    }
+    let body;
+    try { body = await readJsonBody(req, 16 * 1024); } catch (err) {
+      json(res, 400, { ok: false, error: err.message });
+      return true;
+    }
+    const result = accounts.changePassword(user.id, body?.currentPassword, body?.newPassword, sessionToken(req));
+    json(res, result.error ? 400 : 200, result.error ? { ok: false, error: result.error } : { ok: true });
+    return true;
+  }
+
+  // GET /api/users, POST /api/users { username, password, role?, displayName?, allCondos?, condoIds? }
+  if (pathname === '/api/users') {
+    if (req.method === 'GET') {
+      json(res, 200, { ok: true, enabled: accounts.isEnabled(), users: accounts.listUsers() });
+      return true;
+    }
+    if (req.method === 'POST') {
+      let body;
+      try { body = await readJsonBody(req, 16 * 1024); } catch (err) {
+        json(res, 400, { ok: false, error: err.message });
+        return true;
+      }
+      const { user: created, error } = accounts.createUser(body || {});
+      json(res, error ? 400 : 200, error ? { ok: false, error } : { ok: true, user: created });
+      return true;
+    }
+  }
+
+  // PATCH /api/users/:id { role?, displayName?, allCondos?, condoIds?, disabled?, password? }, DELETE /api/users/:id
+  const userMatch = pathname.match(/^\/api\/users\/([\w-]+)$/);
+  if (userMatch) {
+    const id = userMatch[1];
+    if (req.method === 'PATCH') {
+      let body;
+      try { body = await readJsonBody(req, 16 * 1024); } catch (err) {
+        json(res, 400, { ok: false, error: err.message });
+        return true;
+      }
+      const { user: updated, error } = accounts.updateUser(id, body || {});
+      json(res, error ? (error === 'User not found' ? 404 : 400) : 200, error ? { ok: false, error } : { ok: true, user: updated });
+      return true;
+    }
+    if (req.method === 'DELETE') {
+      const { error } = accounts.removeUser(id);
+      json(res, error ? (error === 'User not found' ? 404 : 400) : 200, error ? { ok: false, error } : { ok: true });
+      return true;
+    }
+  }
+
+  return false;
+}
+
+// /api/tokens: API tokens of the signed-in account (admins see and revoke all)
+async function handleTokenRoutes(req, res, pathname, user) {
+  const isAdmin = user.role === 'admin';
+  // GET /api/tokens, POST /api/tokens { name, scopes, expiresInDays? } -> { token, record } (token shown once)
+  if (pathname === '/api/tokens') {
+    if (req.method === 'GET') {
+      const usernames = new Map(accounts.listUsers().map(u => [u.id, u.username]));
+      const tokens = (isAdmin ? apiTokens.list() : apiTokens.list({ userId: user.id }))
+        .map(t => ({ ...t, username: t.userId ? (usernames.get(t.userId) || null) : null }));
+      json(res, 200, { ok: true, tokens });
+      return true;
+    }
+    if (req.method === 'POST') {
+      let body;
+      try { body = await readJsonBody(req, 16 * 1024); } catch (err) {
+        json(res, 400, { ok: false, error: err.message });
+        return true;
+      }
+      const { token, record, error } = apiTokens.create(body || {}, user);
+      json(res, error ? 400 : 200, error ? { ok: false, error } : { ok: true, token, record });
+      return true;
+    }
+  }
+
+  // DELETE /api/tokens/:id -> revoke
+  const tokenMatch = pathname.match(/^\/api\/tokens\/([\w-]+)$/);
+  if (tokenMatch && req.method === 'DELETE') {
+    const existing = apiTokens.get(tokenMatch[1]);
+    if (!existing || (!isAdmin && existing.userId !== user.id)) {
+      json(res, 404, { ok: false, error: 'Token not found' });
+      return true;
+    }
+    json(res, 200, { ok: true, record: apiTokens.revoke(existing.id) });
+    return true;
+  }
+
+  return false;
+}
+
+// Outbound webhook endpoints (admins only, see ROUTE_RULES):
+//   GET    /api/webhooks                              -> { hooks, events }
+//   POST   /api/webhooks                              -> { hook, secret } (secret shown once)
+//   PATCH  /api/webhooks/:id, DELETE /api/webhooks/:id
+//   POST   /api/webhooks/:id/test                     -> queues a webhook.test delivery
+//   GET    /api/webhooks/deliveries?hookId=&limit=    -> delivery log, newest first
+//   POST   /api/webhooks/deliveries/:id/redeliver
+async function handleWebhookRoutes(req, res, pathname, url) {
+  const readBody = async () => {
+    try {
+      return await readJsonBody(req, 16 * 1024) || {};
+    } catch (err) {
+      json(res, err.statusCode || 400, { ok: false, error: err.message });
+      return null;
+    }
+  };
+  const reply = ({ error, ...result }, created = false) => {
+    if (error) json(res, /not found/i.test(error) ? 404 : 400, { ok: false, error });
+    else json(res, created ? 201 : 200, { ok: true, ...result });
+    return true;
+  };
+
+  if (pathname === '/api/webhooks') {
+    if (req.method === 'GET') return reply({ hooks: webhooks.list(), events: WEBHOOK_EVENTS });
+    if (req.method === 'POST') {
+      const body = await readBody();
+      return body ? reply(webhooks.create(body), true) : true;
+    }
+    return false;
+  }
+
+  if (pathname === '/api/webhooks/deliveries' && req.method === 'GET') {
+    const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || 50, 200);
+    return reply({ deliveries: webhooks.listDeliveries({ hookId: url.searchParams.get('hookId') || undefined, limit }) });
+  }
+
+  const redeliverMatch = pathname.match(/^\/api\/webhooks\/deliveries\/([\w-]+)\/redeliver$/);
+  if (redeliverMatch && req.method === 'POST') {
+    const result = webhooks.redeliver(redeliverMatch[1]);
+    if (!result.error) processWebhookQueue();
+    return reply(result);
+  }
+
+  const testMatch = pathname.match(/^\/api\/webhooks\/([\w-]+)\/test$/);
+  if (testMatch && req.method === 'POST') {
+    const result = webhooks.sendTest(testMatch[1]);
+    if (!result.error) processWebhookQueue();
+    return reply(result);
+  }
+
+  const hookMatch = pathname.match(/^\/api\/webhooks\/([\w-]+)$/);
+  if (hookMatch && req.method === 'PATCH') {
+    const body = await readBody();
+    return body ? reply(webhooks.update(hookMatch[1], body)) : true;
+  }
+  if (hookMatch && req.method === 'DELETE') {
+    return reply(webhooks.remove(hookMatch[1]) ? {} : { error: 'Webhook not found' });
+  }
+  return false;
+}
+
+// Inbound webhooks:
+//   POST   /api/hooks/inbound/:condoId          public; the condo's secret authenticates (lib/inbound-hooks.js)
+//   GET    /api/hooks/inbound                   -> { hooks } (admins)
+//   PUT    /api/hooks/inbound/:condoId/config   -> { hook, secret? } (secret shown once, when created)
+//   DELETE /api/hooks/inbound/:condoId/config
+//   POST   /api/hooks/inbound/:condoId/rotate-secret -> { hook, secret }
+async function handleInboundHookRoutes(req, res, pathname) {
+  const receiveMatch = pathname.match(/^\/api\/hooks\/inbound\/([\w-]+)$/);
+  if (receiveMatch && req.method === 'POST') {
+    let rawBody;
+    try {
+      rawBody = await readRawBody(req, 5 * 1024 * 1024);
+    } catch (err) {
+      json(res, 413, { ok: false, error: err.message });
+      return true;
+    }
+    const result = await inboundHooks.receive({ condoId: receiveMatch[1], headers: req.headers, rawBody });
+    if (result.status === 201) console.log(`[inbound-hooks] ${receiveMatch[1]}: goal ${result.body.goalId}, task ${result.body.taskId}`);
+    json(res, result.status, result.body);
+    return true;
+  }
+
+  if (pathname === '/api/hooks/inbound' && req.method === 'GET') {
+    json(res, 200, { ok: true, hooks: inboundHooks.list() });
+    return true;
+  }
+
+  const configMatch = pathname.match(/^\/api\/hooks\/inbound\/([\w-]+)\/(config|rotate-secret)$/);
+  if (!configMatch) return false;
+  const [, condoId, action] = configMatch;
+  const reply = ({ error, ...result }) => {
+    if (error) json(res, /not found/i.test(error) ? 404 : 400, { ok: false, error });
+    else json(res, 200, { ok: true, ...result });
+    return true;
+  };
+  if (action === 'config' && req.method === 'PUT') {
+    let body;
+    try { body = await readJsonBody(req, 16 * 1024); } catch (err) {
+      json(res, err.statusCode || 400, { ok: false, error: err.message });
+      return true;
+    }
+    return reply(inboundHooks.configure(condoId, body || {}));
+  }
+  if (action === 'config' && req.method === 'DELETE') {
+    return reply(inboundHooks.remove(condoId) ? {} : { error: 'Inbound webhook not found' });
+  }
+  if (action === 'rotate-secret' && req.method === 'POST') return reply(inboundHooks.rotateSecret(condoId));
+  return false;
+}
+
+// /api/apps/:id/{status,start,stop,restart,logs}
+async function handleAppRoutes(req, res, pathname, url) {
+  const match = pathname.match(/^\/api\/apps\/([\w-]+)\/(status|start|stop|restart|logs)$/);
+  if (!match) return false;
+  const [, id, action] = match;
+  const reply = ({ error, ...result }) => {
+    if (error) json(res, /not found/i.test(error) ? 404 : /in use/.test(error) ? 409 : 400, { ok: false, error });
+    else json(res, 200, { ok: true, ...result });
+    return true;
+  };
+
+  if (req.method === 'GET' && action === 'status') {
+    const app = await appSupervisor.check(id);
+    return reply(app ? { app } : { error: 'App not found' });
+  }
+  if (req.method === 'GET' && action === 'logs') {
+    return reply(appSupervisor.logs(id, { lines: parseInt(url.searchParams.get('lines'), 10) || 200 }));
+  }
+  if (req.method === 'POST' && ['start', 'stop', 'restart'].includes(action)) {
+    console.log(`[apps] ${action} ${id}`);
+    return reply(await appSupervisor[action](id));
+  }
+  return false;
+}
 
 // Auto-generate localRpcMethods from handler keys + extra non-handler methods
 const localRpcMethods = new Set([
   ...Object.keys(goalHandlers || {}),
   ...Object.keys(condoHandlers || {}),
+  ...Object.keys(historyHandlers),
+  ...Object.keys(trashHandlers),
+  ...Object.keys(costHandlers),
   'goals.kickoff',
   'goals.spawnTaskSession',
+  'goals.retryTask',
+  'goals.resolveConflicts',
   // Non-handler methods routed locally
   'sessions.list',
   'agents.list',
@@ -494,12 +902,13 @@ function broadcastGoalsChanged() {
   console.log(`[goals-sync] Broadcast goals.changed to ${count} clients`);
 }
 
-async function tryLocalGoalsRpc(method, params = {}) {
-  const handler = goalHandlers?.[method] || condoHandlers?.[method];
+async function tryLocalGoalsRpc(method, params = {}, actor = 'dashboard') {
+  const handler = goalHandlers?.[method] || condoHandlers?.[method] || historyHandlers[method] || trashHandlers[method] || costHandlers[method];
   if (!handler) return { handled: false };
   return await new Promise((resolve) => {
     try {
-      handler({
+      // Dashboard-originated: attribute store mutations in the audit log
+      runWithActor({ actor, method }, () => handler({
         params,
         respond: (ok, payload, error) => {
           if (ok) {
@@ -508,80 +917,57 @@ async function tryLocalGoalsRpc(method, params = {}) {
             resolve({ handled: true, ok: false, error: error || { message: 'Local goals RPC failed' } });
           }
         }
-      });
+      }));
     } catch (err) {
       resolve({ handled: true, ok: false, error: { message: err?.message || String(err) } });
     }
   });
 }
 
-function initGoalsWatcher() {
-  if (!existsSync(GOALS_FILE)) {
-    console.log(`[goals-sync] Goals file not found, skipping watcher`);
-    return;
+// Run in the gateway plugin; the sessions they spawn are started from here
+const GATEWAY_SPAWN_METHODS = new Set(['goals.kickoff', 'goals.spawnTaskSession', 'goals.retryTask', 'goals.resolveConflicts']);
+
+async function callGatewayAndStart(method, params, via) {
+  const result = await gatewayClient.rpcCall(method, params || {});
+  // Collect spawned sessions from any response shape; retryTask and resolveConflicts
+  // only report the sessions the plugin could not start itself
+  let spawned = [];
+  if (Array.isArray(result?.spawnedSessions)) {
+    spawned = result.spawnedSessions;
+  } else if (method === 'goals.retryTask' || method === 'goals.resolveConflicts') {
+    spawned = (result?.kickoff?.spawnedSessions || []).filter(s => !s.headlessStarted);
+  } else if (result?.sessionKey && result?.taskContext) {
+    spawned = [result];
   }
-  try {
-    lastGoalsMtime = statSync(GOALS_FILE).mtimeMs;
-    // Use watchFile with polling (more reliable for atomic writes)
-    watchFile(GOALS_FILE, { interval: 500 }, (curr, prev) => {
-      if (curr.mtimeMs !== lastGoalsMtime) {
-        lastGoalsMtime = curr.mtimeMs;
-        broadcastGoalsChanged();
-      }
-    });
-    console.log(`[goals-sync] Watching ${GOALS_FILE} for changes (polling mode)`);
-  } catch (err) {
-    console.error(`[goals-sync] Failed to watch goals file: ${err.message}`);
-  }
-}
-initGoalsWatcher();
-
-// ── Kickoff event relay: plugin writes events to a file, serve.js broadcasts to clients ──
-const KICKOFF_FILE = join(__dirname, 'clawcondos/condo-management/.data/kickoff-events.json');
-let lastKickoffMtime = 0;
 
-function broadcastKickoffEvents() {
-  try {
-    const raw = readFileSync(KICKOFF_FILE, 'utf-8').trim();
-    if (!raw) return;
-    const events = JSON.parse(raw);
-    if (!Array.isArray(events) || events.length === 0) return;
-    for (const evt of events) {
-      const msg = JSON.stringify({ type: 'event', event: evt.event || 'goal.kickoff', payload: evt });
-      let count = 0;
-      for (const ws of connectedClients) {
-        try {
-          if (ws.readyState === WebSocket.OPEN) { ws.send(msg); count++; }
-        } catch {}
-      }
-      console.log(`[kickoff-relay] Broadcast ${evt.event || 'goal.kickoff'} to ${count} clients (goal=${evt.goalId})`);
-    }
-    // Clear the file after broadcasting
-    writeFileSync(KICKOFF_FILE, '[]', 'utf-8');
-  } catch (err) {
-    if (err.code !== 'ENOENT') console.error(`[kickoff-relay] Error: ${err.message}`);
-  }
+  // Bridge: start each spawned session via chat.send (skipped if the kickoff event got there first)
+  await sessionDriver.start(spawned, { via });
+  return result;
 }
 
-function initKickoffWatcher() {
-  // Create file if missing
-  const dir = dirname(KICKOFF_FILE);
-  if (!existsSync(dir)) return;
-  if (!existsSync(KICKOFF_FILE)) writeFileSync(KICKOFF_FILE, '[]', 'utf-8');
-  try {
-    lastKickoffMtime = statSync(KICKOFF_FILE).mtimeMs;
-    watchFile(KICKOFF_FILE, { interval: 300 }, (curr) => {
-      if (curr.mtimeMs !== lastKickoffMtime) {
-        lastKickoffMtime = curr.mtimeMs;
-        broadcastKickoffEvents();
-      }
-    });
-    console.log(`[kickoff-relay] Watching ${KICKOFF_FILE} for events`);
-  } catch (err) {
-    console.error(`[kickoff-relay] Failed to watch: ${err.message}`);
-  }
+// Polled rather than fs.watch: writes replace the file atomically, and the
+// path moves when the plugin switches storage backends
+let goalsWatchPath = null;
+let goalsWatchTimer = null;
+function initGoalsWatcher() {
+  const mtimeOf = (path) => {
+    try { return statSync(path).mtimeMs; } catch { return 0; }
+  };
+  goalsWatchPath = goalsStore.watchPath;
+  lastGoalsMtime = mtimeOf(goalsWatchPath);
+  goalsWatchTimer = setInterval(() => {
+    const path = goalsStore.watchPath;
+    const mtimeMs = mtimeOf(path);
+    if (path === goalsWatchPath && mtimeMs === lastGoalsMtime) return;
+    goalsWatchPath = path;
+    lastGoalsMtime = mtimeMs;
+    broadcastGoalsChanged();
+  }, 500);
+  goalsWatchTimer.unref();
+  console.log(`[goals-sync] Watching ${goalsWatchPath} for changes (polling mode)`);
 }
-initKickoffWatcher();
+initGoalsWatcher();
+
 
 function getGatewayWsUrl() {
   const host = process.env.GATEWAY_HTTP_HOST || '127.0.0.1';
@@ -634,10 +1020,221 @@ const gatewayClient = createGatewayClient({
   getPassword: getGatewayPassword
 });
 
+// Sends spawned task sessions their taskContext (kickoff events + dashboard kickoffs)
+const sessionDriver = createSessionDriver({
+  store: goalsStore,
+  rpcCall: (method, params) => gatewayClient.rpcCall(method, params),
+  logger: console,
+});
+
+// Outbound webhooks: lifecycle events from the relay below are queued per
+// matching webhook and sent (with retries) by a background loop
+const WEBHOOK_QUEUE_INTERVAL_MS = 5000;
+const webhooks = createWebhooks({
+  filePath: join(__dirname, '.data', 'webhooks.json'),
+  resolveCondoId: (payload) => (payload.goalId ? loadAccessData().goals.find(g => g.id === payload.goalId)?.condoId : null),
+  logger: console,
+});
+
+// ── Event bus relay: the plugin appends goal.* events to the event log ──
+// Server-side consumers (the session driver, webhooks) see each event once, tracked by
+// durable cursors. The session driver has its own cursor and runs beside the relay,
+// so a slow gateway does not hold up webhooks and browsers. Browsers get at-least-once delivery: they resume from their
+// last seen seq (events.resume) and acknowledge what they handled (events.ack);
+// events left unacknowledged are sent again.
+const eventLog = createEventLog(GOALS_DATA_DIR, { logger: console });
+const EVENT_RESEND_MS = 10000;
+const EVENT_RELAY_BATCH = 200;
+const eventSubscriptions = new WeakMap(); // clientWs -> { ackedSeq, sentSeq, sentAtMs }
+let relayedSeq = eventLog.getCursor('serve') ?? eventLog.lastSeq();
+let relaying = false;
+let relayAgain = false;
+let drivenSeq = eventLog.getCursor('session-driver') ?? relayedSeq;
+let driving = false;
+let driveAgain = false;
+
+// Start the sessions of kickoff events, in order
+async function driveSessions() {
+  if (driving) {
+    driveAgain = true;
+    return;
+  }
+  driving = true;
+  try {
+    do {
+      driveAgain = false;
+      const { events } = eventLog.readSince(drivenSeq, { limit: EVENT_RELAY_BATCH });
+      for (const evt of events) {
+        try {
+          await sessionDriver.handleKickoffEvent({ ...evt.payload, event: evt.event });
+        } catch (err) {
+          console.error(`[session-driver] Event ${evt.seq} failed: ${err.message}`);
+        }
+        drivenSeq = evt.seq;
+        eventLog.setCursor('session-driver', drivenSeq);
+      }
+      if (events.length === EVENT_RELAY_BATCH) driveAgain = true;
+    } while (driveAgain);
+  } catch (err) {
+    console.error(`[session-driver] Event relay failed: ${err.message}`);
+  } finally {
+    driving = false;
+  }
+}
+
+async function relayEvents() {
+  if (relaying) {
+    relayAgain = true;
+    return;
+  }
+  relaying = true;
+  driveSessions();
+  try {
+    do {
+      relayAgain = false;
+      const { events } = eventLog.readSince(relayedSeq, { limit: EVENT_RELAY_BATCH });
+      for (const evt of events) {
+        try {
+          if (webhooks.enqueue(evt) > 0) webhookQueueDue = true;
+        } catch (err) {
+          console.error(`[webhooks] Event ${evt.seq} not queued: ${err.message}`);
+        }
+        relayedSeq = evt.seq;
+      }
+      if (events.length > 0) eventLog.setCursor('serve', relayedSeq);
+      if (events.length === EVENT_RELAY_BATCH) relayAgain = true;
+    } while (relayAgain);
+  } catch (err) {
+    console.error(`[event-bus] Relay failed: ${err.message}`);
+  } finally {
+    relaying = false;
+  }
+  deliverEvents(connectedClients);
+  if (webhookQueueDue) processWebhookQueue();
+}
+
+let webhookQueueDue = false;
+function processWebhookQueue() {
+  // The running pass may have listed its deliveries before the new ones were
+  // queued; it starts another when it ends
+  if (webhooks.isProcessing()) {
+    webhookQueueDue = true;
+    return;
+  }
+  webhookQueueDue = false;
+  webhooks.processQueue()
+    .catch(err => console.error(`[webhooks] Queue failed: ${err.message}`))
+    .finally(() => {
+      if (webhookQueueDue) processWebhookQueue();
+    });
+}
+
+// Send each subscribed browser the events after the last one it was sent
+function deliverEvents(clients) {
+  const targets = [...clients].filter(ws => eventSubscriptions.has(ws) && ws.readyState === WebSocket.OPEN);
+  if (targets.length === 0) return;
+  const { events } = eventLog.readSince(Math.min(...targets.map(ws => eventSubscriptions.get(ws).sentSeq)));
+  for (const ws of targets) {
+    const sub = eventSubscriptions.get(ws);
+    const user = wsUser(ws);
+    let count = 0;
+    for (const evt of events) {
+      if (evt.seq <= sub.sentSeq) continue;
+      // Events of condos the user cannot see are skipped and count as acknowledged
+      if (!user || !eventVisible(user, evt.event, evt.payload, loadAccessData)) {
+        if (sub.ackedSeq === sub.sentSeq) sub.ackedSeq = evt.seq;
+        sub.sentSeq = evt.seq;
+        continue;
+      }
+      try {
+        ws.send(JSON.stringify({ type: 'event', event: evt.event, payload: evt.payload, seq: evt.seq }));
+      } catch {
+        break;
+      }
+      sub.sentSeq = evt.seq;
+      sub.sentAtMs = Date.now();
+      count++;
+    }
+    if (count > 0) console.log(`[event-bus] Sent ${count} event(s) to client (up to seq ${sub.sentSeq})`);
+  }
+}
+
+// events.resume { sinceSeq? } -> { lastSeq, gap } and events.ack { seq } -> { ackedSeq }
+// Handled here for every browser; never forwarded to the gateway.
+function tryHandleEventBusRpc(raw, clientWs) {
+  let frame;
+  try { frame = JSON.parse(raw); } catch { return false; }
+  if (frame?.type !== 'req' || (frame.method !== 'events.resume' && frame.method !== 'events.ack')) return false;
+
+  const reply = (ok, result, error) => {
+    try {
+      if (clientWs.readyState === WebSocket.OPEN) {
+        clientWs.send(JSON.stringify({ type: 'res', id: String(frame.id), method: frame.method, ok, result, error }));
+      }
+    } catch {}
+  };
+  const params = frame.params || {};
+
+  if (frame.method === 'events.resume') {
+    const lastSeq = eventLog.lastSeq();
+    // No cursor yet: start at the head; a cursor past the head means the log was reset
+    let since = Number.isInteger(params.sinceSeq) && params.sinceSeq >= 0 ? params.sinceSeq : lastSeq;
+    const { gap } = eventLog.readSince(since, { limit: 1 });
+    if (since > lastSeq) since = 0;
+    eventSubscriptions.set(clientWs, { ackedSeq: since, sentSeq: since, sentAtMs: 0 });
+    reply(true, { lastSeq, gap });
+    deliverEvents([clientWs]);
+    return true;
+  }
+
+  const sub = eventSubscriptions.get(clientWs);
+  if (!sub) {
+    reply(false, undefined, { message: 'Call events.resume before events.ack' });
+  } else if (!Number.isInteger(params.seq)) {
+    reply(false, undefined, { message: 'seq must be an integer' });
+  } else {
+    sub.ackedSeq = Math.max(sub.ackedSeq, Math.min(params.seq, sub.sentSeq));
+    reply(true, { ackedSeq: sub.ackedSeq });
+  }
+  return true;
+}
+
+function initEventRelay() {
+  watchFile(eventLog.filePath, { interval: 300 }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) relayEvents();
+  });
+  // Rewind browsers that did not acknowledge in time so they get the events again
+  setInterval(() => {
+    const stale = [];
+    for (const ws of connectedClients) {
+      const sub = eventSubscriptions.get(ws);
+      if (sub && sub.ackedSeq < sub.sentSeq && Date.now() - sub.sentAtMs > EVENT_RESEND_MS) {
+        sub.sentSeq = sub.ackedSeq;
+        stale.push(ws);
+      }
+    }
+    if (stale.length > 0) deliverEvents(stale);
+  }, EVENT_RESEND_MS).unref();
+  // Retries and deliveries queued before a restart
+  setInterval(processWebhookQueue, WEBHOOK_QUEUE_INTERVAL_MS).unref();
+  // Catch up on events logged while the server was down
+  relayEvents();
+  console.log(`[event-bus] Relaying ${eventLog.filePath} from seq ${relayedSeq}`);
+}
+initEventRelay();
+
 // ── Deep search backends ──
+const embeddingProviderName = process.env.CLAWCONDOS_EMBEDDING_PROVIDER || 'openai';
 const embeddingProvider = createEmbeddingProvider({
-  provider: process.env.CLAWCONDOS_EMBEDDING_PROVIDER || 'openai',
-  apiKey: process.env.OPENAI_API_KEY,
+  provider: embeddingProviderName,
+  // OPENAI_API_KEY only goes to OpenAI; other endpoints get an explicitly configured key
+  apiKey: process.env.CLAWCONDOS_EMBEDDING_API_KEY
+    || (embeddingProviderName === 'openai' ? process.env.OPENAI_API_KEY : undefined),
+  model: process.env.CLAWCONDOS_EMBEDDING_MODEL || undefined,
+  dims: parseInt(process.env.CLAWCONDOS_EMBEDDING_DIMS) || undefined,
+  baseUrl: process.env.CLAWCONDOS_EMBEDDING_URL || undefined,
+  modelPath: process.env.CLAWCONDOS_EMBEDDING_MODEL_PATH || undefined,
+  logger: console,
 });
 
 const memorySearch = createMemorySearch({
@@ -654,6 +1251,42 @@ const chatIndex = createChatIndex({
   dbPath: join(__dirname, '.data', 'chat-index.db'),
   embeddingProvider,
   logger: console,
+  // Saved searches look for new matches in every freshly synced batch
+  onSync: () => { savedSearches.evaluate(); },
+});
+
+const savedSearches = createSavedSearches({
+  filePath: join(__dirname, '.data', 'saved-searches.json'),
+  chatIndex,
+  sessionContext(keys) {
+    const data = goalsStore.load();
+    const goals = new Map(data.goals.map(g => [g.id, g]));
+    const condoNames = new Map(data.condos.map(c => [c.id, c.name]));
+    const context = new Map();
+    for (const key of keys) {
+      const goal = goals.get(data.sessionIndex?.[key]?.goalId);
+      if (goal) context.set(key, { condoId: goal.condoId, condoName: condoNames.get(goal.condoId), status: goal.status });
+    }
+    return context;
+  },
+  onMatches(search, matches) {
+    if (search.notify) {
+      const first = matches[0];
+      createNotification(goalsStore, {
+        type: 'saved_search',
+        sessionKey: first.sessionKey,
+        title: `${matches.length} new match${matches.length === 1 ? '' : 'es'} for "${search.name}"`,
+        detail: first.snippet,
+      });
+    }
+    const msg = JSON.stringify({ type: 'event', event: 'search.alert', payload: { search, matches: matches.slice(0, 5) } });
+    for (const ws of connectedClients) {
+      try {
+        if (ws.readyState === WebSocket.OPEN) ws.send(msg);
+      } catch {}
+    }
+  },
+  logger: console,
 });
 
 const chatIndexDisabled = String(process.env.CLAWCONDOS_DISABLE_CHAT_INDEX || '') === '1';
@@ -672,6 +1305,54 @@ try {
   console.error('[chat-index] Init failed:', err.message);
 }
 
+// Track sessions and active runs from gateway push events, and make finished
+// replies searchable before the next history sync. Fed by the server's own
+// gateway subscription and by browser proxy traffic; both paths are idempotent.
+function observeGatewayEvent(event, p) {
+  const sessionKey = p?.sessionKey;
+  if (sessionKey && typeof sessionKey === 'string') {
+    observedSessions.set(sessionKey, {
+      key: sessionKey,
+      updatedAt: Date.now(),
+      displayName: p?.displayName || p?.label || sessionKey,
+      channel: sessionKey.includes(':telegram:') ? 'telegram' : undefined,
+      kind: 'other'
+    });
+  }
+  if (event === 'agent' && sessionKey) {
+    const phase = p?.data?.phase;
+    const runId = p?.runId;
+    if (phase === 'start' && runId) {
+      observedActiveRuns.set(sessionKey, { runId, startedAt: Date.now() });
+    } else if (phase === 'end') {
+      observedActiveRuns.delete(sessionKey);
+    }
+  }
+  if (event === 'chat' && p?.state === 'final' && sessionKey && p?.message && !chatIndexDisabled) {
+    chatIndex.indexLiveMessage(sessionKey, p.message)
+      .catch(err => console.error('[chat-index] Live indexing failed:', err.message));
+  }
+}
+
+// React to chat and agent events even when no browser is connected; the
+// client keeps reconnecting in the background once connected
+gatewayClient.on('chat', (payload) => observeGatewayEvent('chat', payload));
+gatewayClient.on('agent', (payload) => observeGatewayEvent('agent', payload));
+gatewayClient.connect().catch(err => console.error('[gateway-client] Initial connect failed:', err.message));
+
+// How deep each search source ranks; /api/search pages through the fused list
+const SEARCH_MAX_DEPTH = 1000;
+// Fused rankings kept per query so "Load more" pages through a fixed order
+const SEARCH_FUSION_TTL = 5 * 60 * 1000;
+const SEARCH_FUSION_CACHE_MAX = 20;
+const searchFusionCache = new Map();
+// Result fields that get match offsets, per result type
+const SEARCH_MATCH_FIELDS = {
+  goal: ['title', 'description'],
+  session: ['displayName', 'snippet'],
+  file: ['path', 'snippet'],
+};
+
 // Session cache for search (3s TTL to avoid hammering gateway on rapid keystrokes)
 let _sessionCache = null;
 let _sessionCacheTs = 0;
@@ -694,6 +1375,137 @@ async function getCachedSessions(limit = 500) {
   return _sessionCache;
 }
 
+/**
+ * Run every search source for a query and fuse their hits. Each source ranks
+ * to SEARCH_MAX_DEPTH so the fused order does not depend on which page asked.
+ * @returns {Promise<{ mode: string, fused: object[], sessionsByKey: Map }>}
+ */
+async function fuseSearch(parsed, requestedMode) {
+  // Determine effective mode; the indexes need free text to search
+  let mode = parsed.text ? requestedMode : 'fast';
+  if (mode === 'auto') {
+    const chatStats = chatIndex.getStats();
+    mode = (chatStats.initialized && chatStats.sessionCount > 0 && parsed.text.split(/\s+/).length > 1) ? 'deep' : 'fast';
+  }
+
+  // Always run fast search (metadata-based)
+  const [goalsRes, sessionsRes, condosRes] = await Promise.allSettled([
+    gatewayClient.rpcCall('goals.list', {}),
+    getCachedSessions(500),
+    gatewayClient.rpcCall('condos.list', {}),
+  ]);
+  const allGoals = goalsRes.status === 'fulfilled' ? (goalsRes.value?.goals || []) : [];
+  const condoNames = new Map((condosRes.status === 'fulfilled' ? (condosRes.value?.condos || []) : []).map(c => [c.id, c.name]));
+  for (const g of allGoals) {
+    if (!g.condoName && condoNames.has(g.condoId)) g.condoName = condoNames.get(g.condoId);
+  }
+  const goalBySession = new Map();
+  for (const g of allGoals) {
+    for (const key of Array.isArray(g.sessions) ? g.sessions : []) {
+      if (!goalBySession.has(key)) goalBySession.set(key, g);
+    }
+  }
+  const allSessionsList = sessionsRes.status === 'fulfilled' ? (sessionsRes.value || []) : [];
+  if (goalsRes.status === 'rejected') console.error('[search] goals.list failed:', goalsRes.reason?.message);
+  if (sessionsRes.status === 'rejected') console.error('[search] sessions.list failed:', sessionsRes.reason?.message);
+
+  // Enrich sessions with goal/condo info and worker/subagent detection
+  function enrichSession(s) {
+    // Match both legacy subagent format and new webchat:task- format
+    s.isSubagent = s.key.includes(':subagent:') || s.key.includes(':webchat:task-');
+    if (s.isSubagent) {
+      const parts = s.key.split(':');
+      if (parts.length >= 4 && (parts[2] === 'subagent' || (parts[2] === 'webchat' && parts[3]?.startsWith('task-')))) {
+        s.parentKey = parts[0] + ':' + parts[1] + ':main';
+      }
+    }
+    // Cached session objects are reused across searches, so clear stale goal info too
+    const g = goalBySession.get(s.key);
+    s.goalTitle = g?.title;
+    s.goalId = g?.id;
+    s.goalStatus = g?.status;
+    s.condoId = g?.condoId;
+    s.condoName = g?.condoName;
+  }
+  // Condo and status filters match sessions through their goal
+  for (const s of allSessionsList) enrichSession(s);
+  const sessionsByKey = new Map(allSessionsList.map(s => [s.key, s]));
+
+  const lists = [
+    { source: 'metadata', items: filterGoals(allGoals, parsed).slice(0, SEARCH_MAX_DEPTH).map(g => ({ id: 'goal:' + g.id, type: 'goal', data: g })) },
+    { source: 'metadata', items: filterSessions(allSessionsList, parsed).slice(0, SEARCH_MAX_DEPTH).map(s => ({ id: 'session:' + s.key, type: 'session', data: s })) },
+  ];
+
+  // Deep search: query both memory DBs and chat index
+  if (mode === 'deep') {
+    const f = parsed.filters;
+    const [memoryRes, chatRes] = await Promise.allSettled([
+      memorySearch.search(parsed.text, { limit: SEARCH_MAX_DEPTH, agents: f.agent, phrases: parsed.phrases, exclude: parsed.excluded }),
+      chatIndex.search(parsed.terms.join(' '), {
+        limit: SEARCH_MAX_DEPTH,
+        phrases: parsed.phrases,
+        filters: { roles: f.role, agents: f.agent, after: f.after, before: f.before, exclude: parsed.excluded },
+      }),
+    ]);
+
+    if (chatRes.status === 'fulfilled') {
+      // The index applied role/agent/date filters; condo and status come from the goal
+      const chatHits = chatRes.value.filter(ds => {
+        const g = goalBySession.get(ds.sessionKey);
+        return matchesQuery({
+          condoId: g?.condoId, condoName: g?.condoName, status: g?.status,
+          agents: [agentFromSessionKey(ds.sessionKey)], time: ds.ts, message: true,
+        }, parsed);
+      }).map(ds => {
+        const sessionData = sessionsByKey.get(ds.sessionKey);
+        const data = {
+          key: ds.sessionKey,
+          displayName: ds.displayName || sessionData?.displayName || '',
+          label: sessionData?.label || '',
+          snippet: ds.snippet,
+          source: 'chat',
+        };
+        enrichSession(data);
+        return { id: 'session:' + ds.sessionKey, type: 'session', data, ftsRank: ds.ftsRank, vecRank: ds.vecRank };
+      });
+      const byRank = (field) => chatHits.filter(h => h[field] != null).sort((a, b) => a[field] - b[field]);
+      lists.push({ source: 'fts', items: byRank('ftsRank') }, { source: 'vector', items: byRank('vecRank') });
+    } else {
+      console.error('[search] chat index search failed:', chatRes.reason?.message);
+    }
+
+    if (memoryRes.status === 'fulfilled') {
+      const goalsById = new Map(allGoals.map(g => [g.id, g]));
+      const files = memoryRes.value.map(r => {
+        const ref = crossRefFileWithGoals(r.path, allGoals);
+        return {
+          path: r.path,
+          agentId: r.agentId,
+          score: r.score,
+          snippet: r.snippet,
+          startLine: r.startLine,
+          endLine: r.endLine,
+          sessionKey: ref?.sessionKey || null,
+          goalId: ref?.goalId || null,
+          goalTitle: ref?.goalTitle || null,
+        };
+      }).filter(file => {
+        // Files have no timestamps or roles, so after:/before:/role: exclude them
+        const goal = goalsById.get(file.goalId);
+        return matchesQuery({ condoId: goal?.condoId, condoName: goal?.condoName, status: goal?.status, agents: [file.agentId] }, parsed);
+      });
+      lists.push({
+        source: 'memory',
+        items: files.map(file => ({ id: `file:${file.agentId}:${file.path}:${file.startLine ?? ''}`, type: 'file', data: file })),
+      });
+    } else {
+      console.error('[search] memory search failed:', memoryRes.reason?.message);
+    }
+  }
+
+  return { mode, fused: fuseRankings(lists), sessionsByKey };
+}
+
 // rewriteConnectFrame imported from lib/serve-helpers.js
 
 const server = createServer(async (req, res) => {
@@ -719,6 +1531,36 @@ const server = createServer(async (req, res) => {
     }
   }
 
+  // REST API for scripts and CI: scoped API tokens instead of the sign-in cookie
+  let user = requestUser(req);
+  if (pathname.startsWith('/api/v1/')) {
+    let body;
+    if (req.method === 'POST' || req.method === 'PATCH') {
+      try { body = await readJsonBody(req); } catch (err) {
+        json(res, err.statusCode || 400, { ok: false, error: err.message });
+        return;
+      }
+    }
+    const rest = await restApi.handle({
+      method: req.method, pathname, searchParams: url.searchParams, authorization: req.headers.authorization, body,
+    });
+    if (!rest.forward) {
+      json(res, rest.status, rest.body);
+      return;
+    }
+    // Served by an existing route, as the token's user
+    user = rest.user;
+    pathname = rest.forward;
+  }
+
+  // Accounts: the role (and condo scope) each route needs, then the auth/user endpoints
+  const rule = routeRule(req.method, pathname);
+  if (rule && denyRoute(res, rule, user)) return;
+  if (await handleAccountRoutes(req, res, pathname, user)) return;
+  if (pathname.startsWith('/api/tokens') && await handleTokenRoutes(req, res, pathname, user)) return;
+  if (pathname.startsWith('/api/webhooks') && await handleWebhookRoutes(req, res, pathname, url)) return;
+  if (pathname.startsWith('/api/hooks/inbound') && await handleInboundHookRoutes(req, res, pathname)) return;
+
   // Export bounce endpoint: client POSTs markdown content + filename via
   // hidden form, server returns it with Content-Disposition so the browser
   // downloads with the correct filename.  Accepts both JSON and form-encoded.
@@ -840,8 +1682,59 @@ const server = createServer(async (req, res) => {
     return;
   }
 
-  // API: Search goals and sessions (ClawCondos)
-  // GET /api/search?q=<query>&limit=<max>&mode=fast|deep|auto
+  // API: Saved searches (alerts on new chat matches after each index sync)
+  // GET /api/search/saved, POST /api/search/saved { name?, query, notify? }
+  if (pathname === '/api/search/saved') {
+    if (req.method === 'GET') {
+      json(res, 200, { ok: true, searches: savedSearches.list() });
+      return;
+    }
+    if (req.method === 'POST') {
+      let body;
+      try { body = await readJsonBody(req); } catch (err) {
+        json(res, 400, { ok: false, error: err.message });
+        return;
+      }
+      const { search, error } = savedSearches.create(body || {});
+      if (error) json(res, 400, { ok: false, error });
+      else json(res, 201, { ok: true, search });
+      return;
+    }
+  }
+
+  // PATCH/DELETE /api/search/saved/:id, POST /api/search/saved/:id/seen
+  const savedSearchMatch = pathname.match(/^\/api\/search\/saved\/([\w-]+)(\/seen)?$/);
+  if (savedSearchMatch) {
+    const [, id, seen] = savedSearchMatch;
+    if (seen && req.method === 'POST') {
+      const search = savedSearches.markSeen(id);
+      if (search) json(res, 200, { ok: true, search });
+      else json(res, 404, { ok: false, error: 'Saved search not found' });
+      return;
+    }
+    if (!seen && req.method === 'PATCH') {
+      let body;
+      try { body = await readJsonBody(req); } catch (err) {
+        json(res, 400, { ok: false, error: err.message });
+        return;
+      }
+      const { search, error } = savedSearches.update(id, body || {});
+      if (error) json(res, error === 'Saved search not found' ? 404 : 400, { ok: false, error });
+      else json(res, 200, { ok: true, search });
+      return;
+    }
+    if (!seen && req.method === 'DELETE') {
+      if (savedSearches.remove(id)) json(res, 200, { ok: true });
+      else json(res, 404, { ok: false, error: 'Saved search not found' });
+      return;
+    }
+  }
+
+  // API: Search goals, sessions, chat history and agent memory (ClawCondos)
+  // GET /api/search?q=<query>&limit=<page size>&mode=fast|deep|auto&cursor=<nextCursor>
+  // q uses the search query language in lib/search-query.js (condo:, status:,
+  // agent:, role:, after:, before:, "phrases", -excluded). Hits from each
+  // source are fused by reciprocal rank (lib/search-ranking.js) into one list.
   if (pathname === '/api/search' && req.method === 'GET') {
     const q = (url.searchParams.get('q') || '').trim();
     const limit = Math.min(parseInt(url.searchParams.get('limit')) || 100, 200);
@@ -854,124 +1747,64 @@ const server = createServer(async (req, res) => {
       json(res, 400, { ok: false, error: 'Query too long (max 500 chars)' });
       return;
     }
-
-    // Determine effective mode
-    let mode = requestedMode;
-    if (mode === 'auto') {
-      const chatStats = chatIndex.getStats();
-      mode = (chatStats.initialized && chatStats.sessionCount > 0 && q.split(/\s+/).length > 1) ? 'deep' : 'fast';
+    const parsed = parseSearchQuery(q);
+    if (parsed.errors.length > 0) {
+      json(res, 400, { ok: false, error: parsed.errors[0], parsed });
+      return;
     }
-
-    try {
-      // Always run fast search (metadata-based)
-      const [goalsRes, sessionsRes] = await Promise.allSettled([
-        gatewayClient.rpcCall('goals.list', {}),
-        getCachedSessions(500)
-      ]);
-      const allGoals = goalsRes.status === 'fulfilled' ? (goalsRes.value?.goals || []) : [];
-      const goals = filterGoals(allGoals, q).slice(0, limit);
-      const allSessionsList = sessionsRes.status === 'fulfilled' ? (sessionsRes.value || []) : [];
-      const filteredSessions = sessionsRes.status === 'fulfilled'
-        ? filterSessions(allSessionsList, q).slice(0, limit) : [];
-      if (goalsRes.status === 'rejected') console.error('[search] goals.list failed:', goalsRes.reason?.message);
-      if (sessionsRes.status === 'rejected') console.error('[search] sessions.list failed:', sessionsRes.reason?.message);
-
-      // Enrich sessions with goal/condo info and worker/subagent detection
-      function enrichSession(s) {
-        // Match both legacy subagent format and new webchat:task- format
-        s.isSubagent = s.key.includes(':subagent:') || s.key.includes(':webchat:task-');
-        if (s.isSubagent) {
-          const parts = s.key.split(':');
-          if (parts.length >= 4 && (parts[2] === 'subagent' || (parts[2] === 'webchat' && parts[3]?.startsWith('task-')))) {
-            s.parentKey = parts[0] + ':' + parts[1] + ':main';
-          }
-        }
-        for (const g of allGoals) {
-          if (Array.isArray(g.sessions) && g.sessions.includes(s.key)) {
-            s.goalTitle = g.title;
-            s.goalId = g.id;
-            s.condoId = g.condoId;
-            s.condoName = g.condoName;
-            break;
-          }
-        }
+    if (!hasCriteria(parsed)) {
+      json(res, 400, { ok: false, error: 'Query has no search terms or filters', parsed });
+      return;
+    }
+    const fingerprint = queryFingerprint(q, requestedMode);
+    let offset = 0;
+    if (url.searchParams.get('cursor')) {
+      offset = decodeCursor(url.searchParams.get('cursor'), fingerprint);
+      if (offset === null) {
+        json(res, 400, { ok: false, error: 'Invalid cursor' });
+        return;
       }
-      for (const s of filteredSessions) enrichSession(s);
-
-      // Include parent sessions when subagents match but parent doesn't
-      const filteredKeys = new Set(filteredSessions.map(s => s.key));
-      const sessionsByKey = new Map(allSessionsList.map(s => [s.key, s]));
-      for (const s of [...filteredSessions]) {
-        if (s.isSubagent && s.parentKey && !filteredKeys.has(s.parentKey)) {
-          const parent = sessionsByKey.get(s.parentKey);
-          if (parent) {
-            const p = { ...parent, includedAsParent: true };
-            enrichSession(p);
-            filteredSessions.push(p);
-            filteredKeys.add(p.key);
-          }
+    }
+    try {
+      // Later pages slice the ranking the first page was cut from, so pages
+      // neither repeat nor skip hits when sources change in between
+      let search = offset > 0 ? searchFusionCache.get(fingerprint) : null;
+      if (!search || Date.now() - search.ts > SEARCH_FUSION_TTL) {
+        search = { ts: Date.now(), ...await fuseSearch(parsed, requestedMode) };
+        searchFusionCache.delete(fingerprint);
+        searchFusionCache.set(fingerprint, search);
+        while (searchFusionCache.size > SEARCH_FUSION_CACHE_MAX) {
+          searchFusionCache.delete(searchFusionCache.keys().next().value);
         }
       }
-
-      // Deep search: query both memory DBs and chat index
-      let files = [];
-      let deepSessions = [];
-      if (mode === 'deep') {
-        const [memoryRes, chatRes] = await Promise.allSettled([
-          memorySearch.search(q, { limit }),
-          chatIndex.search(q, { limit }),
-        ]);
-
-        if (memoryRes.status === 'fulfilled' && memoryRes.value.length > 0) {
-          files = memoryRes.value.map(r => {
-            const ref = crossRefFileWithGoals(r.path, allGoals);
-            return {
-              path: r.path,
-              agentId: r.agentId,
-              score: r.score,
-              snippet: r.snippet,
-              startLine: r.startLine,
-              endLine: r.endLine,
-              sessionKey: ref?.sessionKey || null,
-              goalId: ref?.goalId || null,
-              goalTitle: ref?.goalTitle || null,
-            };
-          });
-        }
-        if (memoryRes.status === 'rejected') console.error('[search] memory search failed:', memoryRes.reason?.message);
-
-        if (chatRes.status === 'fulfilled' && chatRes.value.length > 0) {
-          deepSessions = chatRes.value;
-          // Merge deep session results with fast results (avoid duplicates)
-          for (const ds of deepSessions) {
-            if (!filteredKeys.has(ds.sessionKey)) {
-              const sessionData = sessionsByKey.get(ds.sessionKey);
-              const merged = {
-                key: ds.sessionKey,
-                displayName: ds.displayName || sessionData?.displayName || '',
-                label: sessionData?.label || '',
-                score: ds.score,
-                snippet: ds.snippet,
-                source: 'chat',
-              };
-              enrichSession(merged);
-              filteredSessions.push(merged);
-              filteredKeys.add(ds.sessionKey);
-            } else {
-              // Add snippet/score to existing result
-              const existing = filteredSessions.find(s => s.key === ds.sessionKey);
-              if (existing && !existing.snippet) {
-                existing.snippet = ds.snippet;
-                existing.score = ds.score;
-                existing.source = 'chat';
-              }
-            }
-          }
-        }
-        if (chatRes.status === 'rejected') console.error('[search] chat index search failed:', chatRes.reason?.message);
+      const { mode, fused, sessionsByKey } = search;
+      const results = fused.slice(offset, offset + limit).map(r => ({
+        ...r,
+        matches: fieldMatches(r.data, SEARCH_MATCH_FIELDS[r.type], parsed),
+      }));
+
+      // Parents of subagents on this page that are not results themselves
+      const pageKeys = new Set(results.filter(r => r.type === 'session').map(r => r.data.key));
+      const parents = [];
+      for (const r of results) {
+        const parentKey = r.type === 'session' && r.data.isSubagent ? r.data.parentKey : null;
+        if (!parentKey || pageKeys.has(parentKey) || !sessionsByKey.has(parentKey)) continue;
+        parents.push({ ...sessionsByKey.get(parentKey), includedAsParent: true });
+        pageKeys.add(parentKey);
       }
 
-      json(res, 200, { ok: true, query: q, mode, goals, sessions: filteredSessions, files });
+      const hasMore = fused.length > offset + limit;
+      json(res, 200, {
+        ok: true,
+        query: q,
+        parsed,
+        mode,
+        results,
+        parents,
+        facets: facetCounts(fused),
+        total: fused.length,
+        nextCursor: hasMore ? encodeCursor(offset + limit, fingerprint) : null,
+      });
     } catch (err) {
       console.error('[search] Error:', err.message, err.stack);
       json(res, 500, { ok: false, error: 'Internal search error' });
@@ -1223,15 +2056,12 @@ const server = createServer(async (req, res) => {
     return;
   }
 
-  // API: /api/apps -> serve apps.json
+  // API: /api/apps -> serve apps.json, with each app's supervisor status
   if (pathname === '/api/apps') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ apps }));
+    json(res, 200, { apps: apps.map(app => ({ ...app, supervisor: appSupervisor.status(app.id) })) });
     return;
   }
-
-  // ── App Launcher: handles /launcher, /launcher/status, /launcher/api/*, and app basePath proxying ──
-  if (await appLauncher.handle(req, res, pathname, url)) return;
+  if (pathname.startsWith('/api/apps/') && await handleAppRoutes(req, res, pathname, url)) return;
 
   // API: /api/cron-recurring -> list enabled recurring cron jobs (server-side)
   if (pathname === '/api/cron-recurring' || pathname === '/api/cron-recurring/') {
@@ -1270,6 +2100,7 @@ const server = createServer(async (req, res) => {
   // Check if path matches an app (/{appId}/...)
   for (const app of apps) {
     if (pathname === `/${app.id}` || pathname.startsWith(`/${app.id}/`)) {
+      if (denyRoute(res, { role: 'viewer' }, user)) return;
       const appPath = pathname.slice(app.id.length + 1) || '/';
       proxyToApp(req, res, app, appPath + url.search);
       return;
@@ -1364,16 +2195,8 @@ function tryHandleLocalServiceRpc(raw, clientWs) {
   };
 
   try {
-    const goalsPath = GOALS_FILE;
-    const loadData = () => {
-      if (!existsSync(goalsPath)) return { config: {}, condos: [] };
-      return JSON.parse(readFileSync(goalsPath, 'utf-8'));
-    };
-    const persistData = (d) => {
-      const dir = join(__dirname, 'clawcondos/condo-management/.data');
-      if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
-      writeFileSync(goalsPath, JSON.stringify(d, null, 2));
-    };
+    const loadData = () => goalsStore.load();
+    const persistData = (d) => runWithActor({ actor: wsActor(clientWs), method: frame.method }, () => goalsStore.save(d));
 
     const params = frame.params || {};
 
@@ -1558,6 +2381,76 @@ function tryHandleLocalServiceRpc(raw, clientWs) {
   return false;
 }
 
+// Every frame to a browser passes through here: list results and events are
+// cut down to the condos of a condo-restricted user. Gateway responses carry no
+// method, so the methods of pending requests are remembered per socket.
+const MAX_PENDING_METHODS = 500;
+function scopeClientSends(clientWs) {
+  const send = clientWs.send.bind(clientWs);
+  const pendingMethods = new Map(); // request id -> method
+  clientWs.trackRequest = (id, method) => {
+    if (pendingMethods.size >= MAX_PENDING_METHODS) pendingMethods.delete(pendingMethods.keys().next().value);
+    pendingMethods.set(String(id), method);
+  };
+  clientWs.send = (payload, ...rest) => {
+    const user = wsUser(clientWs);
+    if (user && hasAllCondos(user)) return send(payload, ...rest);
+    let frame;
+    try { frame = JSON.parse(typeof payload === 'string' ? payload : payload.toString('utf-8')); } catch { return send(payload, ...rest); }
+    if (!user) {
+      try { clientWs.close(4401, 'Login required'); } catch {}
+      return;
+    }
+    if (frame?.type === 'res') {
+      const method = frame.method || pendingMethods.get(String(frame.id));
+      pendingMethods.delete(String(frame.id));
+      for (const key of ['result', 'payload']) {
+        if (frame[key]) frame[key] = filterRpcResult(user, method, frame[key], loadAccessData);
+      }
+      return send(JSON.stringify(frame), ...rest);
+    }
+    // Event bus events are filtered in deliverEvents
+    if (frame?.type === 'event' && typeof frame.seq !== 'number' && !eventVisible(user, frame.event, frame.payload, loadAccessData)) return;
+    return send(payload, ...rest);
+  };
+}
+
+// Refuse RPCs the socket's user may not make; returns true when refused.
+// Fails closed: with accounts on, a frame that is not a well-formed request is
+// dropped rather than forwarded unchecked to the gateway.
+function refuseRpc(clientWs, raw) {
+  let frame = null;
+  try { frame = JSON.parse(raw); } catch { /* not JSON */ }
+  const wellFormed = frame?.type === 'req' && typeof frame.method === 'string'
+    && (frame.params === undefined || (frame.params !== null && typeof frame.params === 'object'));
+  const user = wsUser(clientWs);
+  if (!wellFormed) {
+    if (!accounts.isEnabled()) return false;
+    if (!user) {
+      try { clientWs.close(4401, 'Login required'); } catch {}
+    } else if (frame && frame.id !== undefined) {
+      try {
+        clientWs.send(JSON.stringify({ type: 'res', id: String(frame.id), ok: false, error: { code: 'INVALID_REQUEST', message: 'Malformed request' } }));
+      } catch {}
+    }
+    return true;
+  }
+  const decision = user
+    ? authorizeRpc(user, frame.method, frame.params || {}, loadAccessData)
+    : { ok: false, code: 'UNAUTHORIZED', message: 'Login required' };
+  if (decision.ok) {
+    if (!hasAllCondos(user)) clientWs.trackRequest?.(frame.id, frame.method);
+    return false;
+  }
+  try {
+    clientWs.send(JSON.stringify({ type: 'res', id: String(frame.id), method: frame.method, ok: false, error: { code: decision.code, message: decision.message } }));
+  } catch {}
+  if (!user) {
+    try { clientWs.close(4401, 'Login required'); } catch {}
+  }
+  return true;
+}
+
 server.on('upgrade', (req, socket, head) => {
   try {
     const url = new URL(req.url, `http://localhost:${PORT}`);
@@ -1571,10 +2464,19 @@ server.on('upgrade', (req, socket, head) => {
       return;
     }
 
+    const user = requestUser(req);
+    if (!user) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
     const gatewayToken = process.env.GATEWAY_AUTH || null;
     const gatewayPassword = process.env.GATEWAY_PASSWORD || getGatewayPassword() || null;
 
     wss.handleUpgrade(req, socket, head, (clientWs) => {
+      wsAuth.set(clientWs, { token: sessionToken(req), user, checkedAtMs: Date.now() });
+      scopeClientSends(clientWs);
       wsConnectionCount++;
       connectedClients.add(clientWs);
       console.log(`[ws] Client connected, total: ${connectedClients.size}`);
@@ -1630,29 +2532,7 @@ server.on('upgrade', (req, socket, head) => {
           // Opportunistic local cache for sessions/active-runs fallback when scopes are restricted.
           try {
             const msg = JSON.parse(payload);
-            if (msg?.type === 'event') {
-              const p = msg?.payload || {};
-              const sessionKey = p?.sessionKey;
-              if (sessionKey && typeof sessionKey === 'string') {
-                const now = Date.now();
-                observedSessions.set(sessionKey, {
-                  key: sessionKey,
-                  updatedAt: now,
-                  displayName: p?.displayName || p?.label || sessionKey,
-                  channel: sessionKey.includes(':telegram:') ? 'telegram' : undefined,
-                  kind: 'other'
-                });
-              }
-              if (msg.event === 'agent' && sessionKey) {
-                const phase = p?.data?.phase;
-                const runId = p?.runId;
-                if (phase === 'start' && runId) {
-                  observedActiveRuns.set(sessionKey, { runId, startedAt: Date.now() });
-                } else if (phase === 'end') {
-                  observedActiveRuns.delete(sessionKey);
-                }
-              }
-            }
+            if (msg?.type === 'event') observeGatewayEvent(msg.event, msg.payload);
           } catch {}
 
           if (clientWs.readyState === WebSocket.OPEN) clientWs.send(payload);
@@ -1676,11 +2556,15 @@ server.on('upgrade', (req, socket, head) => {
           ? (Buffer.isBuffer(data) ? data.toString('utf-8') : String(data))
           : (typeof data === 'string' ? data : (Buffer.isBuffer(data) ? data.toString('utf-8') : String(data)));
 
+        // Role and condo checks for the socket's user, before anything handles the RPC
+        if (refuseRpc(clientWs, raw)) return;
+
         // ── Local intercept for service config RPC ──
         // These methods may not yet be registered on the gateway (requires restart),
         // so handle them locally against the same goals.json store.
         const localResult = tryHandleLocalServiceRpc(raw, clientWs);
         if (localResult) return; // Handled locally, don't forward
+        if (tryHandleEventBusRpc(raw, clientWs)) return;
 
         // Handle privileged reads server-side to avoid browser scope/device limitations.
         // Browser still uses /ws, but these methods execute via trusted gatewayClient auth.
@@ -1735,30 +2619,11 @@ server.on('upgrade', (req, socket, head) => {
             }
 
             // Write-capable goals.*/condos.* methods are served locally to avoid scope/auth edge-cases.
-            // goals.kickoff / goals.spawnTaskSession: forward to gateway + bridge chat.send for spawned sessions
-            if (method === 'goals.kickoff' || method === 'goals.spawnTaskSession') {
+            // goals.kickoff / goals.spawnTaskSession / goals.retryTask / goals.resolveConflicts:
+            // forward to gateway + bridge chat.send for spawned sessions
+            if (GATEWAY_SPAWN_METHODS.has(method)) {
               try {
-                const result = await gatewayClient.rpcCall(method, frame.params || {});
-                // Collect spawned sessions from either response shape
-                const spawned = result?.spawnedSessions
-                  || (result?.sessionKey && result?.taskContext ? [result] : []);
-
-                // Bridge: start each spawned session via chat.send
-                for (const s of spawned) {
-                  if (!s.sessionKey || !s.taskContext) continue;
-                  const _kickoffStart = Date.now();
-                  try {
-                    await gatewayClient.rpcCall('chat.send', {
-                      sessionKey: s.sessionKey,
-                      message: s.taskContext,
-                      idempotencyKey: `kickoff-${s.sessionKey}-${Date.now()}`,
-                    });
-                    console.log(JSON.stringify({ event: 'kickoff.chat_send', sessionKey: s.sessionKey, ok: true, ms: Date.now() - _kickoffStart }));
-                  } catch (err) {
-                    console.log(JSON.stringify({ event: 'kickoff.chat_send', sessionKey: s.sessionKey, ok: false, error: err?.message || String(err), ms: Date.now() - _kickoffStart }));
-                  }
-                }
-
+                const result = await callGatewayAndStart(method, frame.params, 'dashboard');
                 if (clientWs.readyState === WebSocket.OPEN) {
                   clientWs.send(JSON.stringify({ type: 'res', id: String(frame.id), method, ok: true, result }));
                 }
@@ -1771,7 +2636,7 @@ server.on('upgrade', (req, socket, head) => {
             }
 
             if (method.startsWith('goals.') || method.startsWith('condos.')) {
-              const local = await tryLocalGoalsRpc(method, frame.params || {});
+              const local = await tryLocalGoalsRpc(method, frame.params || {}, wsActor(clientWs));
               if (local.handled && clientWs.readyState === WebSocket.OPEN) {
                 clientWs.send(JSON.stringify({
                   type: 'res',
@@ -1791,19 +2656,7 @@ server.on('upgrade', (req, socket, head) => {
                   } else if (method === 'goals.spawnTaskSession' && local.result?.sessionKey && local.result?.taskContext) {
                     sessionsToStart.push(local.result);
                   }
-                  for (const s of sessionsToStart) {
-                    if (!s.sessionKey || !s.taskContext) continue;
-                    const _kickoffStart = Date.now();
-                    try {
-                      await gatewayClient.rpcCall('chat.send', {
-                        sessionKey: s.sessionKey,
-                        message: s.taskContext,
-                      });
-                      console.log(JSON.stringify({ event: 'kickoff.chat_send', sessionKey: s.sessionKey, ok: true, ms: Date.now() - _kickoffStart }));
-                    } catch (err) {
-                      console.log(JSON.stringify({ event: 'kickoff.chat_send', sessionKey: s.sessionKey, ok: false, error: err?.message || String(err), ms: Date.now() - _kickoffStart }));
-                    }
-                  }
+                  await sessionDriver.start(sessionsToStart, { via: 'dashboard' });
                 }
 
                 return;
@@ -1889,7 +2742,7 @@ server.on('upgrade', (req, socket, head) => {
                   } else if (method === 'chat.activeRuns') {
                     fallback = { activeRuns: [] };
                   } else if (method === 'goals.list' || method === 'condos.list') {
-                    const goalsDb = JSON.parse(readFileSync(GOALS_FILE, 'utf8'));
+                    const goalsDb = goalsStore.load();
                     const goals = Array.isArray(goalsDb?.goals) ? goalsDb.goals : [];
                     if (method === 'goals.list') {
                       fallback = { goals };
@@ -2071,25 +2924,22 @@ server.listen(PORT, () => {
     console.log('   (none - add to .registry/apps.json)');
   } else {
     apps.forEach(app => {
-      console.log(`   • ${app.name} (${app.id}) → localhost:${app.port}`);
-      console.log(`     Start: ${app.startCommand}`);
+      console.log(`   • ${app.name} (${app.id}) → localhost:${app.port}${app.autoStart ? ' [auto-start]' : ''}`);
     });
   }
   
   console.log(`
 💡 To use an app:
-   1. Start the app (see commands above)
+   1. Start it from the Apps section of the dashboard (or set "autoStart": true)
    2. Open http://localhost:${PORT}/app.html?id=<app-id>
-   
-   Example for Knowledge Base:
-   $ cd next-app && pnpm dev --port 3001
-   $ open http://localhost:${PORT}/app.html?id=kb
 `);
+  appSupervisor.init().catch(err => console.error('[apps] Supervisor init failed:', err.message));
 });
 
 // Graceful shutdown
-function shutdown() {
+async function shutdown() {
   console.log('\n[shutdown] Closing gateway client...');
+  sessionDriver.stop();
   try { gatewayClient.close(); } catch (e) {
     console.error('[shutdown] Error closing gateway client:', e.message);
   }
@@ -2099,8 +2949,17 @@ function shutdown() {
   try { chatIndex.close(); } catch (e) {
     console.error('[shutdown] Error closing chat index:', e.message);
   }
-  try { unwatchFile(GOALS_FILE); } catch (e) {
-    console.error('[shutdown] Error unwatching goals file:', e.message);
+  clearInterval(goalsWatchTimer);
+  try { unwatchFile(eventLog.filePath); } catch (e) {
+    console.error('[shutdown] Error unwatching event log:', e.message);
+  }
+  try { goalsStore.close(); } catch (e) {
+    console.error('[shutdown] Error closing goals store:', e.message);
+  }
+  // Supervised apps run in their own process groups and would outlive the server;
+  // stopping them can take the supervisor's SIGTERM grace, so exit only afterwards
+  try { await appSupervisor.shutdown(); } catch (e) {
+    console.error('[shutdown] Error stopping apps:', e.message);
   }
   server.close(() => process.exit(0));
   setTimeout(() => process.exit(0), 3000);
@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import {
+  LOCAL_ADMIN,
+  methodRole,
+  routeRule,
+  canAccessCondo,
+  authorizeRpc,
+  filterRpcResult,
+  eventVisible,
+} from '../lib/access-control.js';
+
+const data = {
+  condos: [{ id: 'condo_a', name: 'A' }, { id: 'condo_b', name: 'B' }],
+  goals: [
+    { id: 'goal_a', title: 'In A', condoId: 'condo_a' },
+    { id: 'goal_b', title: 'In B', condoId: 'condo_b' },
+    { id: 'goal_loose', title: 'No condo', condoId: null },
+  ],
+  sessionIndex: {
+    'agent:main:webchat:task-a': { goalId: 'goal_a' },
+    'agent:main:webchat:task-b': { goalId: 'goal_b' },
+  },
+  sessionCondoIndex: { 'agent:main:pm-a': 'condo_a' },
+};
+const loadData = () => data;
+
+const viewer = { id: 'u1', role: 'viewer', allCondos: true, condoIds: [] };
+const operator = { id: 'u2', role: 'operator', allCondos: true, condoIds: [] };
+const contractor = { id: 'u3', role: 'operator', allCondos: false, condoIds: ['condo_a'] };
+
+describe('methodRole', () => {
+  it('maps reads to viewer, changes to operator and configuration to admin', () => {
+    expect(methodRole('goals.list')).toBe('viewer');
+    expect(methodRole('goals.get')).toBe('viewer');
+    expect(methodRole('goals.listSessionCondos')).toBe('viewer');
+    expect(methodRole('plans.getLogs')).toBe('viewer');
+    expect(methodRole('chat.history')).toBe('viewer');
+    expect(methodRole('connect')).toBe('viewer');
+    expect(methodRole('goals.create')).toBe('operator');
+    expect(methodRole('goals.kickoff')).toBe('operator');
+    expect(methodRole('chat.send')).toBe('operator');
+    expect(methodRole('some.unknownThing')).toBe('operator');
+    expect(methodRole('config.getServices')).toBe('admin');
+    expect(methodRole('config.setService')).toBe('admin');
+    expect(methodRole('trash.purge')).toBe('admin');
+  });
+});
+
+describe('routeRule', () => {
+  it('leaves login and static files public and fails closed on unknown API routes', () => {
+    expect(routeRule('POST', '/api/auth/login')).toBeNull();
+    expect(routeRule('GET', '/api/auth/session')).toBeNull();
+    expect(routeRule('GET', '/')).toBeNull();
+    expect(routeRule('GET', '/styles/main.css')).toBeNull();
+    expect(routeRule('POST', '/api/auth/password')).toEqual({ role: 'viewer' });
+    expect(routeRule('GET', '/api/users')).toEqual({ role: 'admin' });
+    expect(routeRule('PATCH', '/api/users/user_1')).toEqual({ role: 'admin' });
+    expect(routeRule('DELETE', '/api/tokens/token_1')).toEqual({ role: 'viewer' });
+    expect(routeRule('POST', '/api/hooks/inbound/condo_a')).toBeNull();
+    expect(routeRule('PUT', '/api/hooks/inbound/condo_a/config')).toEqual({ role: 'admin' });
+    expect(routeRule('GET', '/api/agents/file')).toEqual({ role: 'operator', allCondos: true });
+    expect(routeRule('GET', '/api/apps/web/status')).toEqual({ role: 'viewer' });
+    expect(routeRule('GET', '/api/apps/web/logs')).toEqual({ role: 'operator', allCondos: true });
+    expect(routeRule('POST', '/api/apps/web/restart')).toEqual({ role: 'operator', allCondos: true });
+    expect(routeRule('GET', '/api/search')).toEqual({ role: 'viewer', allCondos: true });
+    expect(routeRule('POST', '/api/search/saved')).toEqual({ role: 'operator', allCondos: true });
+    expect(routeRule('POST', '/api/search/reindex')).toEqual({ role: 'admin' });
+    expect(routeRule('GET', '/api/something-new')).toEqual({ role: 'admin' });
+  });
+});
+
+describe('authorizeRpc', () => {
+  it('enforces the minimum role', () => {
+    expect(authorizeRpc(viewer, 'goals.list', {}, loadData)).toEqual({ ok: true });
+    expect(authorizeRpc(viewer, 'goals.update', { id: 'goal_a' }, loadData))
+      .toEqual({ ok: false, code: 'FORBIDDEN', message: 'goals.update requires the operator role' });
+    expect(authorizeRpc(operator, 'goals.update', { id: 'goal_b' }, loadData).ok).toBe(true);
+    expect(authorizeRpc(operator, 'config.setService', {}, loadData).ok).toBe(false);
+    expect(authorizeRpc(LOCAL_ADMIN, 'config.setService', {}, loadData).ok).toBe(true);
+  });
+
+  it('limits contractors to their condos', () => {
+    expect(authorizeRpc(contractor, 'goals.update', { id: 'goal_a' }, loadData).ok).toBe(true);
+    expect(authorizeRpc(contractor, 'goals.create', { condoId: 'condo_a', title: 'x' }, loadData).ok).toBe(true);
+    expect(authorizeRpc(contractor, 'chat.send', { sessionKey: 'agent:main:webchat:task-a' }, loadData).ok).toBe(true);
+    expect(authorizeRpc(contractor, 'chat.history', { sessionKey: 'agent:main:pm-a' }, loadData).ok).toBe(true);
+
+    expect(authorizeRpc(contractor, 'goals.get', { id: 'goal_b' }, loadData).message).toBe('This condo is not shared with your account');
+    expect(authorizeRpc(contractor, 'goals.kickoff', { goalId: 'goal_loose' }, loadData).ok).toBe(false);
+    expect(authorizeRpc(contractor, 'condos.get', { id: 'condo_b' }, loadData).ok).toBe(false);
+    expect(authorizeRpc(contractor, 'goals.get', { id: 'goal_nope' }, loadData).ok).toBe(false);
+    // Sessions outside any goal or condo (e.g. the main agent chat) are off-limits
+    expect(authorizeRpc(contractor, 'chat.send', { sessionKey: 'agent:main:main' }, loadData).ok).toBe(false);
+    // Mixed references must all be shared
+    expect(authorizeRpc(contractor, 'goals.addSession', { id: 'goal_a', sessionKey: 'agent:main:webchat:task-b' }, loadData).ok).toBe(false);
+
+    // Without a condo reference only filtered lists are allowed
+    expect(authorizeRpc(contractor, 'goals.list', {}, loadData).ok).toBe(true);
+    expect(authorizeRpc(contractor, 'condos.create', { name: 'Mine' }, loadData).message)
+      .toBe('condos.create is not available to accounts limited to shared condos');
+  });
+});
+
+describe('filterRpcResult and eventVisible', () => {
+  it('filters list results for contractors only', () => {
+    const goals = { goals: data.goals };
+    expect(filterRpcResult(operator, 'goals.list', goals, loadData)).toBe(goals);
+    expect(filterRpcResult(contractor, 'goals.list', goals, loadData).goals.map(g => g.id)).toEqual(['goal_a']);
+    expect(filterRpcResult(contractor, 'condos.list', { condos: data.condos }, loadData).condos.map(c => c.id)).toEqual(['condo_a']);
+    const sessions = [{ key: 'agent:main:webchat:task-a' }, { key: 'agent:main:webchat:task-b' }, { key: 'agent:main:main' }, { key: 'agent:main:pm-a' }];
+    expect(filterRpcResult(contractor, 'sessions.list', { sessions }, loadData).sessions.map(s => s.key))
+      .toEqual(['agent:main:webchat:task-a', 'agent:main:pm-a']);
+    expect(filterRpcResult(contractor, 'chat.activeRuns', { activeRuns: [{ sessionKey: 'agent:main:main' }] }, loadData).activeRuns).toEqual([]);
+    expect(filterRpcResult(contractor, 'goals.get', { goal: data.goals[1] }, loadData)).toEqual({ goal: data.goals[1] });
+  });
+
+  it('hides events of other condos', () => {
+    expect(eventVisible(contractor, 'goal.task_completed', { goalId: 'goal_a' }, loadData)).toBe(true);
+    expect(eventVisible(contractor, 'goal.task_completed', { goalId: 'goal_b' }, loadData)).toBe(false);
+    expect(eventVisible(contractor, 'chat', { sessionKey: 'agent:main:webchat:task-b' }, loadData)).toBe(false);
+    expect(eventVisible(contractor, 'chat', {}, loadData)).toBe(false);
+    expect(eventVisible(contractor, 'goals.changed', {}, loadData)).toBe(true);
+    expect(eventVisible(viewer, 'chat', { sessionKey: 'agent:main:main' }, loadData)).toBe(true);
+    expect(canAccessCondo(contractor, 'condo_a')).toBe(true);
+    expect(canAccessCondo(contractor, null)).toBe(false);
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { existsSync, rmSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import crypto from 'crypto';
+import {
+  createAccounts,
+  hashPassword,
+  verifyPassword,
+  roleAtLeast,
+  parseCookies,
+} from '../lib/accounts.js';
+
+const TEST_DIR = join(tmpdir(), 'clawcondos-test-accounts-' + crypto.randomBytes(4).toString('hex'));
+const FILE_PATH = join(TEST_DIR, 'accounts.json');
+const silentLogger = { log: vi.fn(), error: vi.fn(), warn: vi.fn() };
+
+describe('password hashing and helpers', () => {
+  it('hashes with a salt and verifies', () => {
+    const a = hashPassword('correct horse');
+    expect(a).toMatch(/^scrypt\$\d+\$[0-9a-f]+\$[0-9a-f]+$/);
+    expect(hashPassword('correct horse')).not.toBe(a);
+    expect(verifyPassword('correct horse', a)).toBe(true);
+    expect(verifyPassword('wrong horse', a)).toBe(false);
+    expect(verifyPassword('x', 'garbage')).toBe(false);
+  });
+
+  it('orders roles and parses cookies', () => {
+    expect(roleAtLeast('admin', 'operator')).toBe(true);
+    expect(roleAtLeast('viewer', 'operator')).toBe(false);
+    expect(roleAtLeast('nobody', 'viewer')).toBe(false);
+    expect(parseCookies('a=1; clawcondos_session=abc%3D; b')).toEqual({ a: '1', clawcondos_session: 'abc=' });
+    expect(parseCookies(undefined)).toEqual({});
+  });
+});
+
+describe('createAccounts', () => {
+  let accounts;
+
+  beforeEach(() => {
+    rmSync(TEST_DIR, { recursive: true, force: true });
+    accounts = createAccounts({ filePath: FILE_PATH, logger: silentLogger });
+  });
+
+  afterEach(() => {
+    rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('is off until the first account, which must be an admin', () => {
+    expect(accounts.isEnabled()).toBe(false);
+    expect(accounts.createUser({ username: 'sam', password: 'password1', role: 'viewer' }).error).toBe('The first account must be an admin');
+    const { user } = accounts.createUser({ username: 'Admin', password: 'password1', role: 'admin' });
+    expect(user).toMatchObject({ username: 'admin', role: 'admin', condoIds: [], disabled: false });
+    expect(user.passwordHash).toBeUndefined();
+    expect(accounts.isEnabled()).toBe(true);
+    // Only hashes are written to disk
+    expect(readFileSync(FILE_PATH, 'utf-8')).not.toContain('password1');
+  });
+
+  it('validates new users', () => {
+    accounts.createUser({ username: 'admin', password: 'password1', role: 'admin' });
+    expect(accounts.createUser({ username: 'a', password: 'password1' }).error).toMatch(/username/);
+    expect(accounts.createUser({ username: 'sam', password: 'short' }).error).toMatch(/at least 8/);
+    expect(accounts.createUser({ username: 'sam', password: 'password1', role: 'root' }).error).toMatch(/role must be/);
+    expect(accounts.createUser({ username: 'sam', password: 'password1', condoIds: 'condo_1' }).error).toMatch(/condoIds/);
+    expect(accounts.createUser({ username: 'ADMIN', password: 'password1' }).error).toBe('Username already exists');
+    expect(accounts.createUser({ username: 'sam', password: 'password1', condoIds: ['condo_1', 'condo_1'] }).user)
+      .toMatchObject({ role: 'viewer', allCondos: false, condoIds: ['condo_1'] });
+  });
+
+  it('logs in with a session token and logs out', () => {
+    accounts.createUser({ username: 'admin', password: 'password1', role: 'admin' });
+    expect(accounts.login('admin', 'nope').error).toBe('Invalid username or password');
+    expect(accounts.login('ghost', 'password1').error).toBe('Invalid username or password');
+
+    const { token, user, expiresAtMs } = accounts.login('ADMIN', 'password1');
+    expect(token).toBeTruthy();
+    expect(expiresAtMs).toBeGreaterThan(Date.now());
+    expect(readFileSync(FILE_PATH, 'utf-8')).not.toContain(token);
+    expect(accounts.authenticate(token)).toMatchObject({ id: user.id, username: 'admin' });
+    expect(accounts.getUser(user.id).lastLoginAtMs).toBeTruthy();
+
+    accounts.logout(token);
+    expect(accounts.authenticate(token)).toBeNull();
+    expect(accounts.authenticate(null)).toBeNull();
+  });
+
+  it('expires sessions', () => {
+    const short = createAccounts({ filePath: FILE_PATH, sessionTtlMs: 1000, logger: silentLogger });
+    short.createUser({ username: 'admin', password: 'password1', role: 'admin' });
+    const { token } = short.login('admin', 'password1');
+    const now = Date.now();
+    vi.spyOn(Date, 'now').mockReturnValue(now + 2000);
+    try {
+      expect(short.authenticate(token)).toBeNull();
+    } finally {
+      vi.restoreAllMocks();
+    }
+  });
+
+  it('locks a username after repeated failures', () => {
+    accounts.createUser({ username: 'admin', password: 'password1', role: 'admin' });
+    for (let i = 0; i < 5; i++) accounts.login('admin', 'wrong');
+    const locked = accounts.login('admin', 'password1');
+    expect(locked).toMatchObject({ locked: true });
+    expect(locked.token).toBeUndefined();
+  });
+
+  it('ends sessions on password change, disable and removal', () => {
+    const admin = accounts.createUser({ username: 'admin', password: 'password1', role: 'admin' }).user;
+    const sam = accounts.createUser({ username: 'sam', password: 'password1', role: 'operator' }).user;
+
+    let { token } = accounts.login('sam', 'password1');
+    expect(accounts.updateUser(sam.id, { role: 'viewer', condoIds: ['condo_2'] }).user).toMatchObject({ role: 'viewer', condoIds: ['condo_2'] });
+    // Role changes keep the session; the new role applies on the next check
+    expect(accounts.authenticate(token)).toMatchObject({ role: 'viewer' });
+
+    accounts.updateUser(sam.id, { password: 'password2' });
+    expect(accounts.authenticate(token)).toBeNull();
+    ({ token } = accounts.login('sam', 'password2'));
+    accounts.updateUser(sam.id, { disabled: true });
+    expect(accounts.authenticate(token)).toBeNull();
+    expect(accounts.login('sam', 'password2').error).toBeTruthy();
+
+    accounts.updateUser(sam.id, { disabled: false });
+    ({ token } = accounts.login('sam', 'password2'));
+    expect(accounts.removeUser(sam.id)).toEqual({ ok: true });
+    expect(accounts.authenticate(token)).toBeNull();
+
+    // Self-service change keeps the current session only
+    const first = accounts.login('admin', 'password1').token;
+    const second = accounts.login('admin', 'password1').token;
+    expect(accounts.changePassword(admin.id, 'wrong', 'password3', second).error).toBe('Current password is incorrect');
+    expect(accounts.changePassword(admin.id, 'password1', 'password3', second)).toEqual({ ok: true });
+    expect(accounts.authenticate(first)).toBeNull();
+    expect(accounts.authenticate(second)).toMatchObject({ id: admin.id });
+  });
+
+  it('keeps at least one active admin', () => {
+    const admin = accounts.createUser({ username: 'admin', password: 'password1', role: 'admin' }).user;
+    accounts.createUser({ username: 'sam', password: 'password1', role: 'viewer' });
+    expect(accounts.updateUser(admin.id, { role: 'operator' }).error).toBe('At least one active admin is required');
+    expect(accounts.updateUser(admin.id, { disabled: true }).error).toBe('At least one active admin is required');
+    expect(accounts.removeUser(admin.id).error).toBe('At least one active admin is required');
+    expect(accounts.updateUser('user_nope', {}).error).toBe('User not found');
+  });
+
+  it('refuses to remove the last account', () => {
+    const admin = accounts.createUser({ username: 'admin', password: 'password1', role: 'admin' }).user;
+    expect(accounts.removeUser(admin.id).error).toBe('Cannot remove the last account');
+    expect(accounts.isEnabled()).toBe(true);
+  });
+
+  it('creates the configured admin only when there are no accounts', () => {
+    expect(accounts.ensureAdmin({ username: '', password: '' })).toBeNull();
+    expect(accounts.ensureAdmin({ username: 'root', password: 'password1' })).toMatchObject({ username: 'root', role: 'admin', allCondos: true });
+    expect(accounts.ensureAdmin({ username: 'other', password: 'password1' })).toBeNull();
+    expect(accounts.listUsers().map(u => u.username)).toEqual(['root']);
+    expect(existsSync(FILE_PATH)).toBe(true);
+  });
+});
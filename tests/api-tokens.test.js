@@ -0,0 +1,100 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { rmSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import crypto from 'crypto';
+import { createApiTokens, scopesError, tokenRole, TOKEN_PREFIX } from '../lib/api-tokens.js';
+
+const TEST_DIR = join(tmpdir(), 'clawcondos-test-api-tokens-' + crypto.randomBytes(4).toString('hex'));
+const FILE_PATH = join(TEST_DIR, 'api-tokens.json');
+const silentLogger = { log: vi.fn(), error: vi.fn(), warn: vi.fn() };
+
+const operator = { id: 'user_op', role: 'operator' };
+const viewer = { id: 'user_view', role: 'viewer' };
+
+describe('scopes', () => {
+  it('validates scopes against the creator role', () => {
+    expect(scopesError(['goals:read', 'search:read'], 'viewer')).toBeNull();
+    expect(scopesError(['goals:write'], 'viewer')).toBe('The viewer role cannot create tokens with the goals:write scope');
+    expect(scopesError(['goals:delete'], 'admin')).toMatch(/^Unknown scope "goals:delete"/);
+    expect(scopesError([], 'admin')).toBe('scopes must be a non-empty array');
+  });
+
+  it('caps the token role by its scopes', () => {
+    expect(tokenRole('admin', ['goals:read'])).toBe('viewer');
+    expect(tokenRole('admin', ['goals:read', 'goals:write'])).toBe('operator');
+    expect(tokenRole('viewer', ['goals:write'])).toBe('viewer');
+  });
+});
+
+describe('createApiTokens', () => {
+  let tokens;
+
+  beforeEach(() => {
+    tokens = createApiTokens({ filePath: FILE_PATH, logger: silentLogger });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('creates a token shown once and stores only its hash', () => {
+    const { token, record } = tokens.create({ name: ' CI ', scopes: ['goals:read', 'goals:read', 'goals:write'] }, operator);
+    expect(token.startsWith(TOKEN_PREFIX)).toBe(true);
+    expect(record).toMatchObject({ name: 'CI', scopes: ['goals:read', 'goals:write'], userId: 'user_op', expiresAtMs: null, lastUsedAtMs: null });
+    expect(token.startsWith(record.prefix)).toBe(true);
+    expect(record.tokenHash).toBeUndefined();
+
+    const raw = readFileSync(FILE_PATH, 'utf-8');
+    expect(raw).not.toContain(token);
+    expect(raw).toContain(crypto.createHash('sha256').update(token).digest('hex'));
+    expect(tokens.list()).toHaveLength(1);
+    expect(tokens.list({ userId: 'user_other' })).toHaveLength(0);
+  });
+
+  it('rejects invalid requests', () => {
+    expect(tokens.create({ scopes: ['goals:read'] }, operator).error).toBe('name is required');
+    expect(tokens.create({ name: 'x', scopes: ['condos:write'] }, viewer).error).toMatch(/cannot create tokens/);
+    expect(tokens.create({ name: 'x', scopes: ['goals:read'], expiresInDays: 0 }, operator).error).toMatch(/^expiresInDays/);
+    expect(tokens.list()).toEqual([]);
+  });
+
+  it('authenticates until revoked', () => {
+    const { token, record } = tokens.create({ name: 'script', scopes: ['search:read'] }, viewer);
+    expect(tokens.authenticate(token)).toMatchObject({ id: record.id, userId: 'user_view' });
+    expect(tokens.authenticate(token + 'x')).toBeNull();
+    expect(tokens.authenticate('not-a-token')).toBeNull();
+    expect(tokens.authenticate(undefined)).toBeNull();
+
+    expect(tokens.revoke(record.id).revokedAtMs).toBeTypeOf('number');
+    expect(tokens.authenticate(token)).toBeNull();
+    expect(tokens.revoke('token_missing')).toBeNull();
+  });
+
+  it('expires tokens', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    const { token } = tokens.create({ name: 'short', scopes: ['goals:read'], expiresInDays: 1 }, operator);
+    expect(tokens.authenticate(token)).not.toBeNull();
+    vi.setSystemTime(new Date('2026-01-02T00:00:01Z'));
+    expect(tokens.authenticate(token)).toBeNull();
+  });
+
+  it('tracks last use to the minute', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    const { token, record } = tokens.create({ name: 'ci', scopes: ['goals:read'] }, operator);
+    tokens.authenticate(token);
+    const first = tokens.get(record.id).lastUsedAtMs;
+    expect(first).toBe(Date.now());
+
+    vi.setSystemTime(new Date('2026-01-01T00:00:30Z'));
+    tokens.authenticate(token);
+    expect(tokens.get(record.id).lastUsedAtMs).toBe(first);
+
+    vi.setSystemTime(new Date('2026-01-01T00:01:30Z'));
+    tokens.authenticate(token);
+    expect(tokens.get(record.id).lastUsedAtMs).toBe(Date.now());
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { createServer } from 'net';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import crypto from 'crypto';
+import { createAppSupervisor, checkPort } from '../lib/app-supervisor.js';
+
+const TEST_DIR = join(tmpdir(), 'clawcondos-test-app-supervisor-' + crypto.randomBytes(4).toString('hex'));
+const LOG_DIR = join(TEST_DIR, 'logs');
+const silentLogger = { log: vi.fn(), error: vi.fn(), warn: vi.fn() };
+
+// Minimal app: says hello on stdout and serves $PORT until stopped
+const SERVER_SCRIPT = `
+const http = require('http');
+console.log('hello from app');
+console.error('warming up');
+http.createServer((req, res) => res.end('ok')).listen(Number(process.env.PORT));
+`;
+
+async function freePort() {
+  const srv = createServer();
+  await new Promise(resolve => srv.listen(0, '127.0.0.1', resolve));
+  const { port } = srv.address();
+  await new Promise(resolve => srv.close(resolve));
+  return port;
+}
+
+async function waitFor(check, timeoutMs = 8000) {
+  const until = Date.now() + timeoutMs;
+  while (Date.now() < until) {
+    if (await check()) return true;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Timed out waiting for condition');
+}
+
+describe('createAppSupervisor', () => {
+  let apps;
+  let supervisor;
+
+  const make = (opts = {}) => createAppSupervisor({
+    loadApps: () => apps,
+    logDir: LOG_DIR,
+    healthIntervalMs: 60000,
+    startGraceMs: 0,
+    stopTimeoutMs: 2000,
+    logger: silentLogger,
+    ...opts,
+  });
+
+  beforeEach(() => {
+    mkdirSync(TEST_DIR, { recursive: true });
+    writeFileSync(join(TEST_DIR, 'server.js'), SERVER_SCRIPT);
+    apps = [];
+  });
+
+  afterEach(async () => {
+    await supervisor?.shutdown();
+    supervisor = null;
+    rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('starts, health-checks and stops an app, capturing its output', async () => {
+    const port = await freePort();
+    apps = [{ id: 'web', name: 'Web', port, path: TEST_DIR, startCommand: 'node server.js' }, { id: 'docs', static: true }];
+    supervisor = make();
+    expect(supervisor.list().map(a => a.id)).toEqual(['web']);
+    expect(supervisor.status('web')).toMatchObject({ status: 'stopped', managed: false, canStart: true });
+
+    const { app } = await supervisor.start('web');
+    expect(app).toMatchObject({ status: 'starting', managed: true });
+    expect(app.pid).toBeGreaterThan(0);
+    await waitFor(async () => {
+      await supervisor.checkAll();
+      return supervisor.status('web').status === 'running';
+    });
+    expect(supervisor.status('web').healthy).toBe(true);
+
+    // Already running: no second copy
+    expect((await supervisor.start('web')).app.pid).toBe(app.pid);
+    await waitFor(() => supervisor.logs('web').lines.some(l => l === 'warming up'));
+    expect(supervisor.logs('web').lines).toContain('hello from app');
+    expect(supervisor.logs('web').lines[0]).toMatch(/^\[supervisor .*\] starting: node server\.js$/);
+
+    expect((await supervisor.stop('web')).app).toMatchObject({ status: 'stopped', managed: false, pid: null });
+    expect(await checkPort(port)).toBe(false);
+    expect(supervisor.status('web').lastExit.signal).toBe('SIGTERM');
+  });
+
+  it('restarts crashed apps with backoff and gives up after repeated crashes', async () => {
+    apps = [{ id: 'flaky', name: 'Flaky', port: await freePort(), path: TEST_DIR, startCommand: 'echo boom; exit 3' }];
+    supervisor = make({ restartDelaysMs: [10, 20] });
+    await supervisor.start('flaky');
+    await waitFor(() => supervisor.status('flaky').status === 'failed');
+    const status = supervisor.status('flaky');
+    expect(status.restarts).toBe(9);
+    expect(status.lastExit.code).toBe(3);
+    expect(status.lastError).toBe('Crashed 10 times in a row');
+    // Log writes are flushed asynchronously
+    await waitFor(() => /giving up/.test(supervisor.logs('flaky', { lines: 1 }).lines[0]));
+    expect(supervisor.logs('flaky').lines.filter(l => l === 'boom')).toHaveLength(10);
+  });
+
+  it('rotates logs by size', async () => {
+    const script = 'for i in $(seq 1 40); do echo "line $i of the log output"; sleep 0.01; done; sleep 30';
+    apps = [{ id: 'chatty', name: 'Chatty', port: await freePort(), path: TEST_DIR, startCommand: script }];
+    supervisor = make({ maxLogBytes: 200, logFiles: 2 });
+    await supervisor.start('chatty');
+    await waitFor(() => supervisor.logs('chatty').lines.includes('line 40 of the log output'));
+
+    expect(existsSync(join(LOG_DIR, 'chatty.log.1'))).toBe(true);
+    expect(existsSync(join(LOG_DIR, 'chatty.log.2'))).toBe(true);
+    expect(existsSync(join(LOG_DIR, 'chatty.log.3'))).toBe(false);
+    const { lines } = supervisor.logs('chatty', { lines: 5 });
+    expect(lines).toHaveLength(5);
+    expect(lines[4]).toBe('line 40 of the log output');
+    expect(lines[0]).toBe('line 36 of the log output');
+  });
+
+  it('kills group members that ignore SIGTERM on shutdown', async () => {
+    const pidFile = join(TEST_DIR, 'stubborn.pid');
+    const script = `sh -c 'trap "" TERM; echo $$ > ${pidFile}; while true; do sleep 1; done' & wait`;
+    apps = [{ id: 'stubborn', name: 'Stubborn', port: await freePort(), path: TEST_DIR, startCommand: script }];
+    supervisor = make({ stopTimeoutMs: 200 });
+    await supervisor.start('stubborn');
+    await waitFor(() => existsSync(pidFile) && readFileSync(pidFile, 'utf-8').trim());
+    const pid = Number(readFileSync(pidFile, 'utf-8').trim());
+
+    await supervisor.shutdown();
+    supervisor = null;
+    await waitFor(() => {
+      try { process.kill(pid, 0); return false; } catch { return true; }
+    });
+  });
+
+  it('only monitors apps it did not start', async () => {
+    const port = await freePort();
+    const external = createServer(socket => socket.end());
+    await new Promise(resolve => external.listen(port, 'localhost', resolve));
+    try {
+      apps = [
+        { id: 'ext', name: 'External', port, path: TEST_DIR, startCommand: 'node server.js' },
+        { id: 'manual', name: 'Manual', port: await freePort() },
+      ];
+      supervisor = make();
+      await supervisor.checkAll();
+      expect(supervisor.status('ext')).toMatchObject({ status: 'running', managed: false, healthy: true });
+      expect((await supervisor.start('ext')).error).toBe(`Port ${port} is already in use`);
+      await new Promise(resolve => external.close(resolve));
+      expect(await supervisor.check('ext')).toMatchObject({ status: 'stopped', healthy: false });
+      expect(await supervisor.check('missing')).toBeNull();
+      expect(supervisor.status('manual')).toMatchObject({ status: 'stopped', canStart: false });
+      expect((await supervisor.start('manual')).error).toBe('App has no startCommand');
+      expect((await supervisor.start('missing')).error).toBe('App not found');
+      expect(supervisor.logs('missing').error).toBe('App not found');
+    } finally {
+      if (external.listening) await new Promise(resolve => external.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,202 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdirSync, rmSync, existsSync, statSync } from 'fs';
+import { join } from 'path';
+import { createGoalsStore } from '../clawcondos/condo-management/lib/goals-store.js';
+import { createGoalHandlers } from '../clawcondos/condo-management/lib/goals-handlers.js';
+import { createCondoHandlers } from '../clawcondos/condo-management/lib/condos-handlers.js';
+import { createHistoryHandlers, createAuditLog, runWithActor, diffFields } from '../clawcondos/condo-management/lib/audit-log.js';
+
+const TEST_DIR = join(import.meta.dirname, '__fixtures__', 'audit-log-test');
+
+function makeResponder() {
+  let result = null;
+  const respond = (ok, payload, error) => { result = { ok, payload, error }; };
+  return { respond, getResult: () => result };
+}
+
+function call(handlers, method, params) {
+  const { respond, getResult } = makeResponder();
+  handlers[method]({ params, respond });
+  return getResult();
+}
+
+describe('AuditLog', () => {
+  let store, goalHandlers, condoHandlers, historyHandlers;
+
+  beforeEach(() => {
+    rmSync(TEST_DIR, { recursive: true, force: true });
+    mkdirSync(TEST_DIR, { recursive: true });
+    store = createGoalsStore(TEST_DIR);
+    goalHandlers = createGoalHandlers(store);
+    condoHandlers = createCondoHandlers(store);
+    historyHandlers = createHistoryHandlers(store);
+  });
+
+  afterEach(() => {
+    rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  function history(params) {
+    return call(historyHandlers, 'goals.history', params).payload.events;
+  }
+
+  describe('recording', () => {
+    it('records goal creation with the ambient actor', () => {
+      const goal = runWithActor({ actor: 'dashboard', method: 'goals.create' }, () =>
+        call(goalHandlers, 'goals.create', { title: 'Ship it' }).payload.goal);
+
+      const events = history({ goalId: goal.id });
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({
+        entity: 'goal',
+        action: 'created',
+        goalId: goal.id,
+        label: 'Ship it',
+        actor: 'dashboard',
+        method: 'goals.create',
+      });
+      expect(typeof events[0].ts).toBe('number');
+      expect(existsSync(store.audit.filePath)).toBe(true);
+    });
+
+    it('defaults the actor to system outside any context', () => {
+      const goal = call(goalHandlers, 'goals.create', { title: 'Bare' }).payload.goal;
+      expect(history({ goalId: goal.id })[0].actor).toBe('system');
+    });
+
+    it('records field-level before/after diffs for goal updates', () => {
+      const goal = call(goalHandlers, 'goals.create', { title: 'Old' }).payload.goal;
+      call(goalHandlers, 'goals.update', { id: goal.id, title: 'New', priority: 'high' });
+
+      const [latest] = history({ goalId: goal.id });
+      expect(latest.action).toBe('updated');
+      expect(latest.changes.title).toEqual({ before: 'Old', after: 'New' });
+      expect(latest.changes.priority).toEqual({ before: null, after: 'high' });
+      expect(latest.changes.updatedAtMs).toBeUndefined();
+      expect(latest.changes.revision).toBeUndefined();
+    });
+
+    it('records task changes as task events, not goal diffs', () => {
+      const goal = call(goalHandlers, 'goals.create', { title: 'G' }).payload.goal;
+      const task = runWithActor({ actor: 'agent:main:sub1', method: 'goal_update' }, () => {
+        const t = call(goalHandlers, 'goals.addTask', { goalId: goal.id, text: 'Write docs' }).payload.task;
+        call(goalHandlers, 'goals.updateTask', { goalId: goal.id, taskId: t.id, status: 'in-progress' });
+        return t;
+      });
+
+      const events = history({ goalId: goal.id });
+      const taskEvents = events.filter(e => e.entity === 'task');
+      expect(taskEvents.map(e => e.action)).toEqual(['updated', 'created']);
+      expect(taskEvents[0]).toMatchObject({ taskId: task.id, label: 'Write docs', actor: 'agent:main:sub1' });
+      expect(taskEvents[0].changes.status).toEqual({ before: 'pending', after: 'in-progress' });
+      expect(events.some(e => e.entity === 'goal' && e.changes.tasks)).toBe(false);
+    });
+
+    it('filters goal history by taskId', () => {
+      const goal = call(goalHandlers, 'goals.create', { title: 'G' }).payload.goal;
+      const a = call(goalHandlers, 'goals.addTask', { goalId: goal.id, text: 'A' }).payload.task;
+      call(goalHandlers, 'goals.addTask', { goalId: goal.id, text: 'B' });
+      const events = history({ goalId: goal.id, taskId: a.id });
+      expect(events).toHaveLength(1);
+      expect(events[0].label).toBe('A');
+    });
+
+    it('records task and goal deletions', () => {
+      const goal = call(goalHandlers, 'goals.create', { title: 'G' }).payload.goal;
+      const task = call(goalHandlers, 'goals.addTask', { goalId: goal.id, text: 'T' }).payload.task;
+      call(goalHandlers, 'goals.deleteTask', { goalId: goal.id, taskId: task.id });
+      call(goalHandlers, 'goals.delete', { id: goal.id });
+
+      const events = history({ goalId: goal.id });
+      expect(events[0]).toMatchObject({ entity: 'goal', action: 'deleted', label: 'G' });
+      expect(events[1]).toMatchObject({ entity: 'task', action: 'deleted', taskId: task.id });
+    });
+
+    it('does not record saves that change nothing', () => {
+      const goal = call(goalHandlers, 'goals.create', { title: 'Same' }).payload.goal;
+      store.save(store.load());
+      expect(history({ goalId: goal.id })).toHaveLength(1);
+    });
+
+    it('redacts sensitive fields and truncates long strings', () => {
+      const changes = diffFields(
+        { apiToken: 'abc', notes: '' },
+        { apiToken: 'xyz', notes: 'x'.repeat(5000) },
+      );
+      expect(changes.apiToken).toEqual({ before: '[redacted]', after: '[redacted]' });
+      expect(changes.notes.after.length).toBeLessThan(5000);
+    });
+  });
+
+  describe('goals.history', () => {
+    it('requires goalId', () => {
+      const r = call(historyHandlers, 'goals.history', {});
+      expect(r.ok).toBe(false);
+      expect(r.error).toBe('goalId is required');
+    });
+
+    it('returns newest first and honours limit and beforeTs', () => {
+      const goal = call(goalHandlers, 'goals.create', { title: 'v0' }).payload.goal;
+      for (let i = 1; i <= 3; i++) {
+        call(goalHandlers, 'goals.update', { id: goal.id, title: `v${i}` });
+      }
+      const all = history({ goalId: goal.id });
+      expect(all.map(e => e.changes.title?.after ?? e.action)).toEqual(['v3', 'v2', 'v1', 'created']);
+      expect(history({ goalId: goal.id, limit: 2 })).toHaveLength(2);
+      expect(history({ goalId: goal.id, beforeTs: all[0].ts + 1 })).toHaveLength(4);
+      expect(history({ goalId: goal.id, beforeTs: all[all.length - 1].ts })).toHaveLength(0);
+    });
+
+    it('falls back to the default limit for a non-numeric limit', () => {
+      const goal = call(goalHandlers, 'goals.create', { title: 'v0' }).payload.goal;
+      call(goalHandlers, 'goals.update', { id: goal.id, title: 'v1' });
+      expect(history({ goalId: goal.id, limit: 'lots' })).toHaveLength(2);
+      expect(history({ goalId: goal.id, limit: '1' })).toHaveLength(1);
+    });
+
+    it('pages through events saved together with a ts and seq cursor', () => {
+      const batch = ['a', 'b', 'c'].map(label => ({ id: `evt_${label}`, ts: 1000, entity: 'task', action: 'created', goalId: 'goal_1', label }));
+      store.audit.append(batch);
+      store.audit.append([{ id: 'evt_d', ts: 2000, entity: 'goal', action: 'updated', goalId: 'goal_1', label: 'd' }]);
+
+      const first = history({ goalId: 'goal_1', limit: 2 });
+      expect(first.map(e => e.label)).toEqual(['d', 'c']);
+      const last = first[first.length - 1];
+      const next = history({ goalId: 'goal_1', limit: 2, beforeTs: last.ts, beforeSeq: last.seq });
+      expect(next.map(e => e.label)).toEqual(['b', 'a']);
+      expect(next.map(e => e.seq)).toEqual([2, 1]);
+    });
+
+    it('rotates the log past its size cap and keeps counting seqs', () => {
+      const audit = createAuditLog(TEST_DIR, { maxBytes: 200 });
+      for (let i = 1; i <= 10; i++) {
+        audit.append([{ id: `evt_${i}`, ts: i, entity: 'goal', action: 'updated', goalId: 'goal_1', label: `v${i}` }]);
+      }
+      expect(existsSync(join(TEST_DIR, 'audit-log.1.jsonl'))).toBe(true);
+      expect(statSync(audit.filePath).size).toBeLessThan(200);
+      // Three events fit per file; older generations are dropped
+      expect(audit.query({ goalId: 'goal_1' }).map(e => e.seq)).toEqual([10, 9, 8, 7]);
+      expect(audit.query({ goalId: 'goal_1', limit: 1 }).map(e => e.seq)).toEqual([10]);
+    });
+  });
+
+  describe('condos.history', () => {
+    it('requires condoId', () => {
+      const r = call(historyHandlers, 'condos.history', {});
+      expect(r.ok).toBe(false);
+      expect(r.error).toBe('condoId is required');
+    });
+
+    it('includes condo events and events of goals in the condo', () => {
+      const condo = call(condoHandlers, 'condos.create', { name: 'Ops' }).payload.condo;
+      call(condoHandlers, 'condos.update', { id: condo.id, description: 'Ops work' });
+      const goal = call(goalHandlers, 'goals.create', { title: 'In condo', condoId: condo.id }).payload.goal;
+      call(goalHandlers, 'goals.create', { title: 'Elsewhere' });
+
+      const events = call(historyHandlers, 'condos.history', { condoId: condo.id }).payload.events;
+      expect(events.map(e => `${e.entity}:${e.action}`)).toEqual(['goal:created', 'condo:updated', 'condo:created']);
+      expect(events[0].goalId).toBe(goal.id);
+      expect(events[1].changes.description).toEqual({ before: '', after: 'Ops work' });
+    });
+  });
+});
@@ -165,6 +165,207 @@ describe('createChatIndex', () => {
     expect(results.length).toBeGreaterThan(0);
   });
 
+  it('appends only messages past the history cursor', async () => {
+    idx = createChatIndex({ dbPath: DB_PATH, embeddingProvider: nullProvider, logger: silentLogger });
+    idx.init();
+
+    const history = [
+      { role: 'user', content: 'Deploy the staging cluster', timestamp: 1000 },
+      { role: 'assistant', content: [{ type: 'text', text: 'Staging deployed' }], timestamp: 2000 },
+    ];
+    expect(await idx.indexHistory('agent:main:main', history)).toEqual({ mode: 'full', messages: 2 });
+    const first = idx.getStats().chunkCount;
+
+    const more = [...history, { role: 'assistant', content: 'Rolled back the canary release', timestamp: 3000 }];
+    expect(await idx.indexHistory('agent:main:main', more)).toEqual({ mode: 'append', messages: 1 });
+    expect(idx.getStats().chunkCount).toBe(first + 1);
+    expect(await idx.indexHistory('agent:main:main', more)).toEqual({ mode: 'append', messages: 0 });
+
+    expect((await idx.search('canary release'))[0].sessionKey).toBe('agent:main:main');
+    expect((await idx.search('staging deployed')).length).toBe(1);
+  });
+
+  it('anchors on the last messages without timestamps and reindexes rewritten histories', async () => {
+    idx = createChatIndex({ dbPath: DB_PATH, embeddingProvider: nullProvider, logger: silentLogger });
+    idx.init();
+
+    await idx.indexHistory('agent:main:main', [{ role: 'user', content: 'alpha' }]);
+    expect(await idx.indexHistory('agent:main:main', [{ role: 'user', content: 'alpha' }, { role: 'assistant', content: 'beta' }]))
+      .toEqual({ mode: 'append', messages: 1 });
+    expect(await idx.indexHistory('agent:main:main', [{ role: 'user', content: 'gamma' }]))
+      .toEqual({ mode: 'full', messages: 1 });
+    expect(await idx.search('alpha')).toHaveLength(0);
+  });
+
+  it('keeps appending once the history window is capped', async () => {
+    idx = createChatIndex({ dbPath: DB_PATH, embeddingProvider: nullProvider, logger: silentLogger });
+    idx.init();
+
+    // chat.history returns only the most recent messages; the oldest drop out of the window
+    const all = Array.from({ length: 12 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `message number${i}` }));
+    await idx.indexHistory('agent:main:main', all.slice(0, 9));
+    expect(await idx.indexHistory('agent:main:main', all.slice(3, 12))).toEqual({ mode: 'append', messages: 3 });
+    expect(await idx.indexHistory('agent:main:main', all.slice(3, 12))).toEqual({ mode: 'append', messages: 0 });
+    expect(await idx.search('number11')).toHaveLength(1);
+    expect(await idx.search('number0')).toHaveLength(1);
+  });
+
+  it('indexes messages that share the cursor millisecond', async () => {
+    idx = createChatIndex({ dbPath: DB_PATH, embeddingProvider: nullProvider, logger: silentLogger });
+    idx.init();
+
+    const first = [{ role: 'user', content: 'Start the rollout', timestamp: 1000 }];
+    await idx.indexHistory('agent:main:main', first);
+    const more = [...first, { role: 'assistant', content: 'Rollout started', timestamp: 1000 }];
+    expect(await idx.indexHistory('agent:main:main', more)).toEqual({ mode: 'append', messages: 1 });
+    expect(await idx.indexHistory('agent:main:main', more)).toEqual({ mode: 'append', messages: 0 });
+    expect(await idx.search('rollout started')).toHaveLength(1);
+  });
+
+  it('skips tool results when indexing history', async () => {
+    idx = createChatIndex({ dbPath: DB_PATH, embeddingProvider: nullProvider, logger: silentLogger });
+    idx.init();
+
+    await idx.indexHistory('agent:main:main', [
+      { role: 'user', content: 'List the files', timestamp: 1 },
+      { role: 'toolResult', content: [{ type: 'text', text: 'secretfile.txt' }], timestamp: 2 },
+    ]);
+    expect(await idx.search('secretfile')).toHaveLength(0);
+  });
+
+  it('applies role, agent, date, phrase and exclusion filters', async () => {
+    idx = createChatIndex({ dbPath: DB_PATH, embeddingProvider: nullProvider, logger: silentLogger });
+    idx.init();
+
+    await idx.indexHistory('agent:blake:main', [{ role: 'assistant', content: 'Pipeline migration finished for investors', timestamp: 5000 }]);
+    await idx.indexHistory('agent:main:main', [{ role: 'user', content: 'Is the pipeline migration finished?', timestamp: 1000 }]);
+    const keys = async (query, opts) => (await idx.search(query, opts)).map(r => r.sessionKey).sort();
+
+    expect(await keys('pipeline')).toEqual(['agent:blake:main', 'agent:main:main']);
+    expect(await keys('pipeline', { filters: { roles: ['assistant'] } })).toEqual(['agent:blake:main']);
+    expect(await keys('pipeline', { filters: { agents: ['Main'] } })).toEqual(['agent:main:main']);
+    expect(await keys('pipeline', { filters: { after: 2000 } })).toEqual(['agent:blake:main']);
+    expect(await keys('pipeline', { filters: { before: 2000 } })).toEqual(['agent:main:main']);
+    expect(await keys('', { phrases: ['migration finished for'] })).toEqual(['agent:blake:main']);
+    expect(await keys('pipeline', { filters: { exclude: ['investors'] } })).toEqual(['agent:main:main']);
+    expect((await idx.search('pipeline', { filters: { roles: ['user'] } }))[0].ts).toBe(1000);
+    const ranked = await idx.search('pipeline');
+    expect(ranked.map(r => r.ftsRank).sort()).toEqual([1, 2]);
+    expect(ranked[0].vecRank).toBeNull();
+  });
+
+  it('indexes live messages once and replaces them on the next history sync', async () => {
+    idx = createChatIndex({ dbPath: DB_PATH, embeddingProvider: nullProvider, logger: silentLogger });
+    idx.init();
+
+    await idx.indexHistory('agent:main:main', [{ role: 'user', content: 'Ship it', timestamp: 1 }]);
+    const message = { role: 'assistant', content: [{ type: 'text', text: 'Shipped version four' }] };
+    expect(await idx.indexLiveMessage('agent:main:main', message)).toBe(true);
+    expect(await idx.indexLiveMessage('agent:main:main', message)).toBe(false);
+    expect((await idx.search('version four')).length).toBe(1);
+    const withLive = idx.getStats().chunkCount;
+
+    await idx.indexHistory('agent:main:main', [
+      { role: 'user', content: 'Ship it', timestamp: 1 },
+      { ...message, timestamp: 2 },
+    ]);
+    expect(idx.getStats().chunkCount).toBe(withLive);
+    expect((await idx.search('version four')).length).toBe(1);
+  });
+
+  it('syncs every session page and skips sessions that did not change', async () => {
+    idx = createChatIndex({ dbPath: DB_PATH, embeddingProvider: nullProvider, logger: silentLogger });
+    idx.init();
+
+    const sessions = Array.from({ length: 501 }, (_, i) => ({ key: `agent:main:s${i}`, updatedAt: 10 }));
+    const gatewayClient = {
+      rpcCall: vi.fn(async (method, params) => {
+        if (method === 'sessions.list') return { sessions: sessions.slice(params.offset, params.offset + params.limit) };
+        if (method === 'chat.history') return { messages: [{ role: 'user', content: `hello from ${params.sessionKey}`, timestamp: 5 }] };
+        throw new Error('unexpected ' + method);
+      }),
+    };
+
+    await idx.sync(gatewayClient);
+    expect(idx.getStats().sessionCount).toBe(501);
+    const historyCalls = () => gatewayClient.rpcCall.mock.calls.filter(c => c[0] === 'chat.history').length;
+    expect(historyCalls()).toBe(501);
+
+    sessions[500].updatedAt = 20;
+    await idx.sync(gatewayClient);
+    expect(historyCalls()).toBe(502);
+  });
+
+  it('finds synced chunks added after an id and runs onSync after a sync', async () => {
+    const onSync = vi.fn();
+    idx = createChatIndex({ dbPath: DB_PATH, embeddingProvider: nullProvider, logger: silentLogger, onSync });
+    idx.init();
+
+    await idx.indexHistory('agent:main:main', [{ role: 'user', content: 'deploy failed on staging', timestamp: 1 }]);
+    const seen = idx.latestChunkId();
+    await idx.indexLiveMessage('agent:main:main', { role: 'assistant', content: 'deploy failed again (live)' });
+    expect(idx.findNewChunks('deploy failed', { afterId: seen })).toEqual([]);
+
+    await idx.indexHistory('agent:main:main', [
+      { role: 'user', content: 'deploy failed on staging', timestamp: 1 },
+      { role: 'assistant', content: 'deploy failed again (live)', timestamp: 2 },
+    ]);
+    const hits = idx.findNewChunks('deploy', { afterId: seen, phrases: ['failed again'] });
+    expect(hits).toHaveLength(1);
+    expect(hits[0]).toMatchObject({ sessionKey: 'agent:main:main', role: 'assistant', ts: 2 });
+    expect(idx.findNewChunks('deploy', { afterId: seen, upToId: seen })).toEqual([]);
+
+    await idx.sync({ rpcCall: async () => ({ sessions: [] }) });
+    expect(onSync).toHaveBeenCalledTimes(1);
+  });
+
+  it('re-embeds stored chunks when the provider dimensions change', async () => {
+    const fakeProvider = (model, dims) => ({
+      embed: vi.fn(async (texts) => texts.map((t, i) => Array.from({ length: dims }, (_, d) => (d === i % dims ? 1 : 0.1)))),
+      getDimensions: () => dims,
+      getProviderName: () => 'fake',
+      getModel: () => model,
+      isAvailable: () => true,
+    });
+
+    idx = createChatIndex({ dbPath: DB_PATH, embeddingProvider: fakeProvider('small', 4), logger: silentLogger });
+    idx.init();
+    await idx.indexSessionWithEmbeddings('agent:main:main', [{ role: 'user', content: 'vector search works' }]);
+    expect(idx.getStats()).toMatchObject({ embeddingSignature: 'fake:small', reembedPending: false });
+    idx.close();
+
+    const bigger = fakeProvider('large', 8);
+    idx = createChatIndex({ dbPath: DB_PATH, embeddingProvider: bigger, logger: silentLogger });
+    idx.init();
+    expect(idx.getStats()).toMatchObject({ embeddingSignature: 'fake:large', reembedPending: true });
+    expect(await idx.reembed()).toBe(1);
+    expect(bigger.embed).toHaveBeenCalledWith(['[user] vector search works']);
+    expect(idx.getStats().reembedPending).toBe(false);
+
+    const results = await idx.search('vector');
+    expect(results[0].sessionKey).toBe('agent:main:main');
+  });
+
+  it('does not drop stored vectors when a query embedding has other dimensions', async () => {
+    let dims = 4;
+    const provider = {
+      embed: vi.fn(async (texts) => texts.map(() => Array.from({ length: dims }, () => 0.5))),
+      getDimensions: () => null,
+      getProviderName: () => 'fake',
+      getModel: () => 'auto',
+      isAvailable: () => true,
+    };
+    idx = createChatIndex({ dbPath: DB_PATH, embeddingProvider: provider, logger: silentLogger });
+    idx.init();
+    await idx.indexSessionWithEmbeddings('agent:main:main', [{ role: 'user', content: 'vector search works' }]);
+    await idx.reembed();
+    expect(idx.getStats().reembedPending).toBe(false);
+
+    dims = 8;
+    expect((await idx.search('vector'))[0].sessionKey).toBe('agent:main:main');
+    expect(idx.getStats().reembedPending).toBe(false);
+  });
+
   it('close is idempotent', () => {
     idx = createChatIndex({ dbPath: DB_PATH, embeddingProvider: nullProvider, logger: silentLogger });
     idx.init();
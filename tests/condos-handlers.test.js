@@ -561,6 +561,45 @@ describe('CondoHandlers', () => {
       expect(getResult().payload.condo.name).toBe('After');
       expect(getResult().payload.condo.description).toBe('Updated');
     });
+
+    it('sets and validates maxConcurrentTasks', () => {
+      const condo = createCondo(handlers, { name: 'Capped' });
+
+      const ok = makeResponder();
+      handlers['condos.update']({ params: { id: condo.id, maxConcurrentTasks: 3 }, respond: ok.respond });
+      expect(ok.getResult().payload.condo.maxConcurrentTasks).toBe(3);
+
+      const bad = makeResponder();
+      handlers['condos.update']({ params: { id: condo.id, maxConcurrentTasks: 0 }, respond: bad.respond });
+      expect(bad.getResult().ok).toBe(false);
+      expect(bad.getResult().error.message).toBe('maxConcurrentTasks must be a positive integer or null');
+    });
+  });
+
+  // ─── revisions ────────────────────────────────────────────────────
+
+  describe('condo revisions', () => {
+    it('bumps revision on update and rejects stale expectedRevision', () => {
+      const condo = createCondo(handlers, { name: 'Rev' });
+      expect(condo.revision).toBe(1);
+
+      const r1 = makeResponder();
+      handlers['condos.update']({ params: { id: condo.id, name: 'Rev 2', expectedRevision: 1 }, respond: r1.respond });
+      expect(r1.getResult().payload.condo.revision).toBe(2);
+
+      const r2 = makeResponder();
+      handlers['condos.update']({ params: { id: condo.id, name: 'Stale', expectedRevision: 1 }, respond: r2.respond });
+      expect(r2.getResult().ok).toBe(false);
+      expect(r2.getResult().error.code).toBe('REVISION_CONFLICT');
+    });
+
+    it('rejects delete with stale expectedRevision', async () => {
+      const condo = createCondo(handlers, { name: 'Keep' });
+      const { respond, getResult } = makeResponder();
+      await handlers['condos.delete']({ params: { id: condo.id, expectedRevision: 5 }, respond });
+      expect(getResult().error.code).toBe('REVISION_CONFLICT');
+      expect(store.load().condos).toHaveLength(1);
+    });
   });
 
   // ─── condos.delete ────────────────────────────────────────────────
@@ -0,0 +1,206 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { createGoalsStore } from '../clawcondos/condo-management/lib/goals-store.js';
+import { createGoalHandlers } from '../clawcondos/condo-management/lib/goals-handlers.js';
+import { createCondoHandlers } from '../clawcondos/condo-management/lib/condos-handlers.js';
+import { createPmHandlers } from '../clawcondos/condo-management/lib/pm-handlers.js';
+import {
+  normalizeUsage,
+  extractRunUsage,
+  addUsage,
+  budgetError,
+  budgetStatus,
+  kickoffBudgetBlock,
+  recordSessionUsage,
+  createCostHandlers,
+} from '../clawcondos/condo-management/lib/cost-tracking.js';
+
+const TEST_DIR = join(import.meta.dirname, '__fixtures__', 'cost-tracking-test');
+
+function makeResponder() {
+  let result = null;
+  const respond = (ok, payload, error) => { result = { ok, payload, error }; };
+  return { respond, getResult: () => result };
+}
+
+async function call(handlers, method, params) {
+  const { respond, getResult } = makeResponder();
+  await handlers[method]({ params, respond });
+  return getResult();
+}
+
+function assistant(timestamp, usage) {
+  return { role: 'assistant', content: 'ok', timestamp, usage };
+}
+
+describe('cost tracking', () => {
+  describe('normalizeUsage', () => {
+    it('reads gateway, Anthropic and OpenAI shapes', () => {
+      expect(normalizeUsage({ input: 10, output: 5, cacheRead: 3, cacheWrite: 2, totalTokens: 20, cost: { total: 0.01 } }))
+        .toEqual({ inputTokens: 10, outputTokens: 5, cacheReadTokens: 3, cacheWriteTokens: 2, totalTokens: 20, costUsd: 0.01 });
+      expect(normalizeUsage({ input_tokens: 7, output_tokens: 3 })).toMatchObject({ totalTokens: 10, costUsd: 0 });
+      expect(normalizeUsage({ prompt_tokens: 4, completion_tokens: 1, total_tokens: 5 })).toMatchObject({ inputTokens: 4, totalTokens: 5 });
+    });
+
+    it('returns null when nothing was reported', () => {
+      expect(normalizeUsage(null)).toBeNull();
+      expect(normalizeUsage({ input: 0, output: 0 })).toBeNull();
+    });
+  });
+
+  describe('extractRunUsage', () => {
+    it('sums assistant messages newer than the watermark', () => {
+      const event = {
+        messages: [
+          assistant(1, { input: 100, output: 10, cost: { total: 0.5 } }),
+          { role: 'user', content: 'again', timestamp: 2 },
+          assistant(3, { input: 200, output: 20, cost: { total: 0.25 } }),
+        ],
+      };
+      expect(extractRunUsage(event, 0)).toMatchObject({ totalTokens: 330, costUsd: 0.75, lastTs: 3 });
+      expect(extractRunUsage(event, 1)).toMatchObject({ totalTokens: 220, costUsd: 0.25 });
+      expect(extractRunUsage(event, 3)).toBeNull();
+    });
+
+    it('counts only the last turn when messages have no timestamps', () => {
+      const event = {
+        messages: [
+          { role: 'assistant', usage: { input: 100, output: 10 } },
+          { role: 'user' },
+          { role: 'assistant', usage: { input: 5, output: 5 } },
+        ],
+      };
+      expect(extractRunUsage(event)).toMatchObject({ totalTokens: 10, lastTs: null });
+    });
+
+    it('prefers a run-level usage', () => {
+      expect(extractRunUsage({ usage: { inputTokens: 1, outputTokens: 2, costUsd: 0.1 }, messages: [assistant(1, { input: 999 })] }))
+        .toMatchObject({ totalTokens: 3, costUsd: 0.1 });
+    });
+  });
+
+  describe('budgets', () => {
+    it('validates budget shapes', () => {
+      expect(budgetError(null)).toBeNull();
+      expect(budgetError({ maxCostUsd: 5, maxTokens: 1000 })).toBeNull();
+      expect(budgetError(5)).toBe('budget must be an object or null');
+      expect(budgetError({ dollars: 5 })).toBe('Unknown budget field: dollars');
+      expect(budgetError({ maxCostUsd: -1 })).toMatch(/maxCostUsd/);
+      expect(budgetError({ maxTokens: 1.5 })).toMatch(/maxTokens/);
+    });
+
+    it('reports when usage reaches the budget', () => {
+      const goal = { budget: { maxTokens: 100 } };
+      expect(budgetStatus(goal)).toMatchObject({ exceeded: false, totalTokens: 0 });
+      addUsage(goal, { totalTokens: 100, costUsd: 0.2 });
+      expect(budgetStatus(goal)).toMatchObject({ exceeded: true, reason: '100 of 100 tokens' });
+      expect(goal.usage.runs).toBe(1);
+    });
+
+    it('blocks kickoff when the goal or its condo is over budget', () => {
+      const condo = { id: 'c1', budget: { maxCostUsd: 1 }, usage: { costUsd: 2, totalTokens: 10 } };
+      const goal = { id: 'g1', condoId: 'c1' };
+      expect(kickoffBudgetBlock({ condos: [condo] }, goal)).toMatchObject({ scope: 'condo', id: 'c1' });
+      expect(kickoffBudgetBlock({ condos: [] }, goal)).toBeNull();
+    });
+  });
+
+  describe('with a store', () => {
+    let store, goalHandlers, condoHandlers;
+
+    beforeEach(() => {
+      rmSync(TEST_DIR, { recursive: true, force: true });
+      mkdirSync(TEST_DIR, { recursive: true });
+      store = createGoalsStore(TEST_DIR);
+      goalHandlers = createGoalHandlers(store);
+      condoHandlers = createCondoHandlers(store);
+    });
+
+    afterEach(() => {
+      rmSync(TEST_DIR, { recursive: true, force: true });
+    });
+
+    async function seed() {
+      const condo = (await call(condoHandlers, 'condos.create', { name: 'C' })).payload.condo;
+      const goal = (await call(goalHandlers, 'goals.create', { title: 'G', condoId: condo.id })).payload.goal;
+      const task = (await call(goalHandlers, 'goals.addTask', { goalId: goal.id, text: 'Build it' })).payload.task;
+      const data = store.load();
+      data.goals[0].tasks[0].sessionKey = 'agent:main:w1';
+      data.sessionIndex['agent:main:w1'] = { goalId: goal.id };
+      store.save(data);
+      return { condo, goal, task };
+    }
+
+    it('rolls usage up to task, goal and condo without double counting', async () => {
+      const { condo, goal } = await seed();
+      const first = { messages: [assistant(10, { input: 100, output: 50, cost: { total: 0.1 } })] };
+      recordSessionUsage(store, 'agent:main:w1', first);
+      recordSessionUsage(store, 'agent:main:w1', { messages: [...first.messages, assistant(20, { input: 10, output: 10, cost: { total: 0.02 } })] });
+
+      const data = store.load();
+      const g = data.goals[0];
+      expect(g.tasks[0].usage).toMatchObject({ totalTokens: 170, costUsd: 0.12, runs: 2 });
+      expect(g.usage.totalTokens).toBe(170);
+      expect(data.condos[0].usage.costUsd).toBe(0.12);
+
+      const goalUsage = await call(createCostHandlers(store), 'goals.usage', { goalId: goal.id });
+      expect(goalUsage.payload.tasks[0].usage.totalTokens).toBe(170);
+      const condoUsage = await call(createCostHandlers(store), 'condos.usage', { condoId: condo.id });
+      expect(condoUsage.payload.goals[0]).toMatchObject({ id: goal.id, usage: { costUsd: 0.12 } });
+    });
+
+    it('books condo PM sessions on the condo only', async () => {
+      const { condo } = await seed();
+      const data = store.load();
+      data.condos[0].pmCondoSessionKey = 'agent:main:webchat:pm-condo';
+      store.save(data);
+
+      recordSessionUsage(store, 'agent:main:webchat:pm-condo', { messages: [assistant(5, { input: 40, output: 2 })] });
+      const after = store.load();
+      expect(after.condos[0].usage.totalTokens).toBe(42);
+      expect(after.goals[0].usage).toBeUndefined();
+      expect(recordSessionUsage(store, 'agent:orphan:main', { messages: [assistant(5, { input: 1 })] })).toBeNull();
+      expect(condo.id).toBe(after.condos[0].id);
+    });
+
+    it('notifies once when a budget is exceeded and re-arms on budget change', async () => {
+      const { goal } = await seed();
+      await call(goalHandlers, 'goals.update', { id: goal.id, budget: { maxTokens: 100 } });
+
+      const r = recordSessionUsage(store, 'agent:main:w1', { messages: [assistant(1, { input: 150 })] });
+      expect(r.exceeded).toEqual([expect.objectContaining({ kind: 'goal', id: goal.id })]);
+      recordSessionUsage(store, 'agent:main:w1', { messages: [assistant(2, { input: 10 })] });
+
+      let data = store.load();
+      expect(data.notifications.filter(n => n.type === 'budget_exceeded')).toHaveLength(1);
+      expect(data.goals[0].budgetExceededAtMs).toBeTruthy();
+
+      await call(goalHandlers, 'goals.update', { id: goal.id, budget: { maxTokens: 1000 } });
+      data = store.load();
+      expect(data.goals[0].budgetExceededAtMs).toBeNull();
+      expect(kickoffBudgetBlock(data, data.goals[0])).toBeNull();
+    });
+
+    it('rejects invalid budgets on goals.update and condos.update', async () => {
+      const { condo, goal } = await seed();
+      const badGoal = await call(goalHandlers, 'goals.update', { id: goal.id, budget: { maxCostUsd: 'lots' } });
+      expect(badGoal.ok).toBe(false);
+      expect(badGoal.error.message).toMatch(/maxCostUsd/);
+
+      const okCondo = await call(condoHandlers, 'condos.update', { id: condo.id, budget: { maxCostUsd: 10 } });
+      expect(okCondo.payload.condo.budget).toEqual({ maxCostUsd: 10 });
+    });
+
+    it('pm.condoCascade refuses to run for a condo over budget', async () => {
+      const { condo } = await seed();
+      await call(condoHandlers, 'condos.update', { id: condo.id, budget: { maxCostUsd: 0.01 } });
+      recordSessionUsage(store, 'agent:main:w1', { messages: [assistant(1, { input: 10, cost: { total: 0.05 } })] });
+
+      const pmHandlers = createPmHandlers(store, { logger: { info() {}, error() {}, warn() {} } });
+      const r = await call(pmHandlers, 'pm.condoCascade', { condoId: condo.id, mode: 'plan' });
+      expect(r.ok).toBe(false);
+      expect(r.error).toMatch(/Condo budget exceeded/);
+    });
+  });
+});
@@ -1,5 +1,10 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { createEmbeddingProvider } from '../lib/embedding-provider.js';
+import {
+  createEmbeddingProvider,
+  registerEmbeddingProvider,
+  listEmbeddingProviders,
+  getSignature,
+} from '../lib/embedding-provider.js';
 
 describe('createEmbeddingProvider', () => {
   describe('null provider (no API key)', () => {
@@ -83,4 +88,80 @@ describe('createEmbeddingProvider', () => {
       expect(provider.getDimensions()).toBe(768);
     });
   });
+
+  describe('openai-compatible provider', () => {
+    it('requires a base URL and model', () => {
+      expect(createEmbeddingProvider({ provider: 'openai-compatible', baseUrl: 'http://localhost:8080/v1' }).isAvailable()).toBe(false);
+      const provider = createEmbeddingProvider({ provider: 'openai-compatible', baseUrl: 'http://localhost:8080/v1/', model: 'bge-small' });
+      expect(provider.isAvailable()).toBe(true);
+      expect(provider.getProviderName()).toBe('openai-compatible');
+      expect(getSignature(provider)).toBe('openai-compatible:bge-small');
+    });
+
+    it('posts to the endpoint without dimensions and learns them from the response', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ data: [{ index: 1, embedding: [0, 1, 0] }, { index: 0, embedding: [1, 0, 0] }] }),
+      });
+      const provider = createEmbeddingProvider({ provider: 'openai-compatible', baseUrl: 'http://gpu-box:8080/v1', model: 'bge-small' });
+      expect(provider.getDimensions()).toBeNull();
+
+      const result = await provider.embed(['a', 'b']);
+      expect(result).toEqual([[1, 0, 0], [0, 1, 0]]);
+      expect(provider.getDimensions()).toBe(3);
+
+      const [url, opts] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://gpu-box:8080/v1/embeddings');
+      expect(opts.headers['Authorization']).toBeUndefined();
+      expect(JSON.parse(opts.body)).toEqual({ input: ['a', 'b'], model: 'bge-small' });
+    });
+  });
+
+  describe('local provider', () => {
+    it('embeds with a pipeline loaded once from the model path', async () => {
+      const extractor = vi.fn(async (texts) => ({ tolist: () => texts.map(() => [0.5, 0.5]) }));
+      const loadPipeline = vi.fn(async () => extractor);
+      const provider = createEmbeddingProvider({ provider: 'local', modelPath: '/models/minilm', loadPipeline });
+
+      expect(await provider.embed(['one', 'two'])).toEqual([[0.5, 0.5], [0.5, 0.5]]);
+      await provider.embed(['three']);
+      expect(loadPipeline).toHaveBeenCalledOnce();
+      expect(loadPipeline).toHaveBeenCalledWith('/models/minilm');
+      expect(extractor.mock.calls[0][1]).toEqual({ pooling: 'mean', normalize: true });
+      expect(provider.getDimensions()).toBe(2);
+      expect(getSignature(provider)).toBe('local:/models/minilm');
+    });
+
+    it('becomes unavailable when the model cannot be loaded', async () => {
+      const logger = { error: vi.fn(), warn: vi.fn() };
+      const provider = createEmbeddingProvider({
+        provider: 'local', modelPath: '/missing', logger, loadPipeline: async () => { throw new Error('not found'); },
+      });
+      expect(await provider.embed(['x'])).toBeNull();
+      expect(provider.isAvailable()).toBe(false);
+      expect(logger.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('registry', () => {
+    it('lists built-in providers and accepts custom ones', async () => {
+      expect(listEmbeddingProviders()).toEqual(expect.arrayContaining(['none', 'openai', 'openai-compatible', 'local']));
+      registerEmbeddingProvider('test-fixed', () => ({
+        embed: async (texts) => texts.map(() => [1]),
+        getDimensions: () => 1,
+        getProviderName: () => 'test-fixed',
+        getModel: () => 'fixed',
+        isAvailable: () => true,
+      }));
+      expect(await createEmbeddingProvider({ provider: 'test-fixed' }).embed(['x'])).toEqual([[1]]);
+    });
+
+    it('falls back to none for unknown providers', () => {
+      const logger = { warn: vi.fn() };
+      const provider = createEmbeddingProvider({ provider: 'mystery', logger });
+      expect(provider.isAvailable()).toBe(false);
+      expect(getSignature(provider)).toBe('none');
+      expect(logger.warn).toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdirSync, rmSync, writeFileSync, appendFileSync, existsSync, readFileSync, utimesSync } from 'fs';
+import { join } from 'path';
+import { createEventLog } from '../clawcondos/condo-management/lib/event-log.js';
+
+const TEST_DIR = join(import.meta.dirname, '__fixtures__', 'event-log-test');
+
+const silentLogger = { log: vi.fn(), info: vi.fn(), error: vi.fn(), warn: vi.fn() };
+
+describe('createEventLog', () => {
+  let eventLog;
+
+  beforeEach(() => {
+    rmSync(TEST_DIR, { recursive: true, force: true });
+    mkdirSync(TEST_DIR, { recursive: true });
+    eventLog = createEventLog(TEST_DIR, { logger: silentLogger });
+  });
+
+  afterEach(() => {
+    rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('appends events with increasing sequence numbers', () => {
+    expect(eventLog.lastSeq()).toBe(0);
+    expect(eventLog.append('goal.kickoff', { goalId: 'g1' })).toMatchObject({ seq: 1, event: 'goal.kickoff', payload: { goalId: 'g1' } });
+    expect(eventLog.append('goal.completed', { goalId: 'g1' }).seq).toBe(2);
+
+    // A second instance (the other process) continues the sequence
+    const other = createEventLog(TEST_DIR, { logger: silentLogger });
+    expect(other.append('goal.merged', {}).seq).toBe(3);
+    expect(eventLog.readSince(0).events.map(e => e.seq)).toEqual([1, 2, 3]);
+    expect(existsSync(join(TEST_DIR, 'events.lock'))).toBe(false);
+  });
+
+  it('reads events after a sequence number', () => {
+    for (let i = 0; i < 5; i++) eventLog.append('goal.kickoff', { i });
+    expect(eventLog.readSince(3)).toMatchObject({ lastSeq: 5, gap: false });
+    expect(eventLog.readSince(3).events.map(e => e.payload.i)).toEqual([3, 4]);
+    expect(eventLog.readSince(0, { limit: 2 }).events.map(e => e.seq)).toEqual([1, 2]);
+    expect(eventLog.readSince(5).events).toEqual([]);
+  });
+
+  it('skips a torn trailing line', () => {
+    eventLog.append('goal.kickoff', {});
+    appendFileSync(eventLog.filePath, '{"seq":2,"ev');
+    expect(eventLog.readSince(0).events.map(e => e.seq)).toEqual([1]);
+  });
+
+  it('applies retention on compaction and reports gaps', () => {
+    eventLog = createEventLog(TEST_DIR, { logger: silentLogger, maxEvents: 3 });
+    for (let i = 0; i < 6; i++) eventLog.append('goal.kickoff', { i });
+    expect(eventLog.compact()).toBe(3);
+    expect(eventLog.readSince(0).events.map(e => e.seq)).toEqual([4, 5, 6]);
+    expect(eventLog.readSince(1).gap).toBe(true);
+    expect(eventLog.readSince(3).gap).toBe(false);
+    // The sequence survives compaction
+    expect(eventLog.append('goal.kickoff', {}).seq).toBe(7);
+  });
+
+  it('drops events older than maxAgeMs', () => {
+    eventLog = createEventLog(TEST_DIR, { logger: silentLogger, maxAgeMs: 1000 });
+    eventLog.append('goal.kickoff', {});
+    const old = JSON.parse(readFileSync(eventLog.filePath, 'utf-8'));
+    writeFileSync(eventLog.filePath, JSON.stringify({ ...old, ts: Date.now() - 5000 }) + '\n');
+    eventLog.compact();
+    expect(eventLog.readSince(0)).toMatchObject({ events: [], lastSeq: 1, gap: true });
+    expect(eventLog.readSince(1).gap).toBe(false);
+  });
+
+  it('treats a cursor past the head as a reset log', () => {
+    eventLog.append('goal.kickoff', {});
+    expect(eventLog.readSince(40)).toMatchObject({ lastSeq: 1, gap: true });
+    expect(eventLog.readSince(40).events).toHaveLength(1);
+  });
+
+  it('recovers a stale lock and persists consumer cursors', () => {
+    // Left behind by a crashed writer a minute ago
+    const lockPath = join(TEST_DIR, 'events.lock');
+    writeFileSync(lockPath, '');
+    const past = new Date(Date.now() - 60000);
+    utimesSync(lockPath, past, past);
+    expect(eventLog.append('goal.kickoff', {}).seq).toBe(1);
+
+    expect(eventLog.getCursor('serve')).toBeNull();
+    eventLog.setCursor('serve', 1);
+    expect(createEventLog(TEST_DIR).getCursor('serve')).toBe(1);
+  });
+
+  it('breaks a fresh lock whose writer has exited', () => {
+    writeFileSync(join(TEST_DIR, 'events.lock'), '2147483646');
+    const started = Date.now();
+    expect(eventLog.append('goal.kickoff', {}).seq).toBe(1);
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(existsSync(join(TEST_DIR, 'events.lock'))).toBe(false);
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { createGatewayClient } from '../lib/gateway-client.js';
+import { createGatewayClient, isIdempotentMethod, reconnectDelay } from '../lib/gateway-client.js';
 import { EventEmitter } from 'events';
 
 class MockWebSocket extends EventEmitter {
@@ -350,4 +350,144 @@ describe('createGatewayClient', () => {
     expect(connectMsg.params.auth.password).toBe('pw-only');
     expect(connectMsg.params.auth.token).toBeUndefined();
   });
+
+  describe('reconnect, retries and subscriptions', () => {
+    // Tracks every socket the client opens; tests drop them to simulate outages
+    function trackingClient(opts = {}) {
+      const sockets = [];
+      const AutoAuthWS = createAutoAuthMockWS();
+      class TrackingWS extends AutoAuthWS {
+        constructor(url, wsOpts) {
+          super(url, wsOpts);
+          sockets.push(this);
+        }
+      }
+      client = createGatewayClient({
+        getWsUrl: () => 'ws://localhost:18789/ws',
+        getAuth: () => 'token',
+        logger,
+        WebSocketImpl: TrackingWS,
+        reconnect: { initialDelayMs: 10, jitter: 0 },
+        ...opts,
+      });
+      return sockets;
+    }
+
+    const wait = (ms) => new Promise(r => setTimeout(r, ms));
+    const sentRequest = (ws, method) => ws.sent.find(m => m.method === method);
+    const respond = (ws, req, payload) => ws.emit('message', JSON.stringify({ type: 'res', id: req.id, ok: true, payload }));
+
+    it('reconnects with backoff after the socket drops', async () => {
+      const sockets = trackingClient();
+      await client.connect();
+      sockets[0].close();
+      expect(client.getState()).toBe('reconnecting');
+
+      await wait(60);
+      expect(sockets).toHaveLength(2);
+      expect(client.getState()).toBe('connected');
+    });
+
+    it('queues calls made while reconnecting and sends them once connected', async () => {
+      const sockets = trackingClient();
+      await client.connect();
+      sockets[0].close();
+
+      const promise = client.rpcCall('chat.send', { text: 'hi' });
+      await wait(60);
+      const req = sentRequest(sockets[1], 'chat.send');
+      expect(req).toBeTruthy();
+      respond(sockets[1], req, { ok: true });
+      await expect(promise).resolves.toEqual({ ok: true });
+    });
+
+    it('re-sends idempotent calls in flight when the connection drops', async () => {
+      const sockets = trackingClient();
+      await client.connect();
+
+      const list = client.rpcCall('sessions.list', {});
+      const send = client.rpcCall('chat.send', {});
+      await wait(5);
+      sockets[0].close();
+      await expect(send).rejects.toThrow('WebSocket closed');
+
+      await wait(60);
+      const req = sentRequest(sockets[1], 'sessions.list');
+      expect(req).toBeTruthy();
+      expect(sentRequest(sockets[1], 'chat.send')).toBeUndefined();
+      respond(sockets[1], req, { sessions: [] });
+      await expect(list).resolves.toEqual({ sessions: [] });
+    });
+
+    it('honours per-method and per-call retry policies', async () => {
+      const sockets = trackingClient({ retryPolicies: { 'chat.send': { retries: 1 } } });
+      await client.connect();
+
+      const send = client.rpcCall('chat.send', {});
+      const list = client.rpcCall('sessions.list', {}, { retries: 0 });
+      await wait(5);
+      sockets[0].close();
+      await expect(list).rejects.toThrow('WebSocket closed');
+
+      await wait(60);
+      const req = sentRequest(sockets[1], 'chat.send');
+      respond(sockets[1], req, { sent: true });
+      await expect(send).resolves.toEqual({ sent: true });
+    });
+
+    it('rejects queued calls that wait too long or overflow the queue', async () => {
+      class NeverOpenWS extends MockWebSocket {}
+      client = createGatewayClient({
+        getWsUrl: () => 'ws://localhost:18789/ws',
+        logger,
+        WebSocketImpl: NeverOpenWS,
+        queueLimit: 1,
+        queueTimeoutMs: 30,
+      });
+
+      const first = client.rpcCall('sessions.list', {});
+      await expect(client.rpcCall('agents.list', {})).rejects.toThrow('queue is full');
+      await expect(first).rejects.toThrow('Gateway unavailable');
+    });
+
+    it('delivers gateway push events to subscribers until unsubscribed', async () => {
+      const sockets = trackingClient();
+      await client.connect();
+      const onChat = vi.fn();
+      const onAny = vi.fn();
+      const unsubscribe = client.on('chat', onChat);
+      client.on('*', onAny);
+
+      const event = { type: 'event', event: 'chat', payload: { sessionKey: 'agent:main:main', state: 'final' } };
+      sockets[0].emit('message', JSON.stringify(event));
+      sockets[0].emit('message', JSON.stringify({ type: 'event', event: 'agent', payload: {} }));
+      expect(onChat).toHaveBeenCalledWith(event.payload, event);
+      expect(onAny).toHaveBeenCalledTimes(2);
+
+      unsubscribe();
+      sockets[0].emit('message', JSON.stringify(event));
+      expect(onChat).toHaveBeenCalledTimes(1);
+    });
+
+    it('stops reconnecting after close', async () => {
+      const sockets = trackingClient();
+      await client.connect();
+      sockets[0].close();
+      client.close();
+      await wait(40);
+      expect(sockets).toHaveLength(1);
+      expect(client.getState()).toBe('disconnected');
+    });
+  });
+
+  it('classifies read-only methods and computes backoff delays', () => {
+    expect(isIdempotentMethod('sessions.list')).toBe(true);
+    expect(isIdempotentMethod('chat.history')).toBe(true);
+    expect(isIdempotentMethod('status')).toBe(true);
+    expect(isIdempotentMethod('chat.send')).toBe(false);
+
+    const opts = { initialDelayMs: 100, maxDelayMs: 1000, factor: 2, jitter: 0.5 };
+    expect([1, 2, 3, 5].map(n => reconnectDelay(n, opts, () => 0))).toEqual([100, 200, 400, 1000]);
+    expect(reconnectDelay(1, opts, () => 1)).toBe(50);
+  });
 });
@@ -0,0 +1,186 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { createGoalsStore } from '../clawcondos/condo-management/lib/goals-store.js';
+import { createGoalHandlers } from '../clawcondos/condo-management/lib/goals-handlers.js';
+import { createCondoHandlers } from '../clawcondos/condo-management/lib/condos-handlers.js';
+import {
+  parseCron,
+  nextCronRun,
+  templateError,
+  runDueSchedules,
+  createScheduleHandlers,
+} from '../clawcondos/condo-management/lib/goal-scheduler.js';
+
+const TEST_DIR = join(import.meta.dirname, '__fixtures__', 'goal-scheduler-test');
+
+function makeResponder() {
+  let result = null;
+  const respond = (ok, payload, error) => { result = { ok, payload, error }; };
+  return { respond, getResult: () => result };
+}
+
+async function call(handlers, method, params) {
+  const { respond, getResult } = makeResponder();
+  await handlers[method]({ params, respond });
+  return getResult();
+}
+
+// Local time, since cron expressions are evaluated in the server's time zone
+function local(y, mo, d, h = 0, mi = 0) {
+  return new Date(y, mo - 1, d, h, mi).getTime();
+}
+
+describe('goal scheduler', () => {
+  describe('cron expressions', () => {
+    it('parses lists, ranges, steps, names and macros', () => {
+      const cron = parseCron('*/15 9-17 * jan,jul mon-fri');
+      expect([...cron.minute.values]).toEqual([0, 15, 30, 45]);
+      expect(cron.hour.values.size).toBe(9);
+      expect([...cron.month.values]).toEqual([1, 7]);
+      expect([...cron.dayOfWeek.values]).toEqual([1, 2, 3, 4, 5]);
+      expect([...parseCron('@daily').hour.values]).toEqual([0]);
+      expect(parseCron('0 0 * * 7').dayOfWeek.values.has(0)).toBe(true);
+    });
+
+    it('rejects malformed expressions', () => {
+      expect(() => parseCron('* * * *')).toThrow(/5 fields/);
+      expect(() => parseCron('60 * * * *')).toThrow(/out of range/);
+      expect(() => parseCron('*/0 * * * *')).toThrow(/step/);
+      expect(() => parseCron('5-1 * * * *')).toThrow(/range/);
+      expect(() => parseCron('')).toThrow(/required/);
+    });
+
+    it('finds the next run strictly after a time', () => {
+      expect(nextCronRun('0 9 * * *', local(2026, 3, 10, 8, 30))).toBe(local(2026, 3, 10, 9, 0));
+      expect(nextCronRun('0 9 * * *', local(2026, 3, 10, 9, 0))).toBe(local(2026, 3, 11, 9, 0));
+      // 2026-03-13 is a Friday, so the next weekday run is Monday
+      expect(nextCronRun('30 8 * * mon-fri', local(2026, 3, 13, 9, 0))).toBe(local(2026, 3, 16, 8, 30));
+      expect(nextCronRun('@monthly', local(2026, 12, 15))).toBe(local(2027, 1, 1));
+    });
+
+    it('fires on either day field when both are restricted', () => {
+      // The 1st of the month or any Monday: 2026-06-01 is a Monday, 2026-06-08 the next
+      expect(nextCronRun('0 0 1 * 1', local(2026, 6, 1, 1))).toBe(local(2026, 6, 8));
+      expect(nextCronRun('0 0 30 2 *', local(2026, 1, 1))).toBeNull();
+    });
+  });
+
+  describe('templates', () => {
+    it('validates title, condo, autonomy mode and task dependencies', () => {
+      const data = { condos: [{ id: 'c1' }] };
+      expect(templateError({ title: 'Weekly review', condoId: 'c1', tasks: [{ text: 'a' }, { text: 'b', dependsOn: [0] }] }, data)).toBeNull();
+      expect(templateError({ title: ' ' }, data)).toMatch(/title/);
+      expect(templateError({ title: 'x', condoId: 'nope' }, data)).toMatch(/Condo nope not found/);
+      expect(templateError({ title: 'x', autonomyMode: 'yolo' }, data)).toMatch(/autonomyMode/);
+      expect(templateError({ title: 'x', tasks: [{ text: 'a', dependsOn: [0] }] }, data)).toMatch(/dependsOn/);
+    });
+  });
+
+  describe('with a store', () => {
+    let store, goalHandlers, kickoff, handlers;
+
+    beforeEach(() => {
+      rmSync(TEST_DIR, { recursive: true, force: true });
+      mkdirSync(TEST_DIR, { recursive: true });
+      store = createGoalsStore(TEST_DIR);
+      goalHandlers = createGoalHandlers(store);
+      kickoff = vi.fn(async (goalId) => ({ goalId, spawnedSessions: [] }));
+      handlers = createScheduleHandlers(store, { goalHandlers, kickoff });
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      rmSync(TEST_DIR, { recursive: true, force: true });
+    });
+
+    const template = {
+      title: 'Dependency audit {{date}}',
+      autonomyMode: 'plan',
+      tasks: [{ text: 'Scan', estimateMinutes: 20 }, { text: 'Report', dependsOn: [0] }],
+    };
+
+    it('creates, updates and deletes schedules', async () => {
+      vi.useFakeTimers({ now: local(2026, 3, 10, 8, 0) });
+      const created = await call(handlers, 'schedules.create', { cron: '0 9 * * *', template });
+      expect(created.ok).toBe(true);
+      expect(created.payload.schedule).toMatchObject({
+        name: 'Dependency audit {{date}}', enabled: true, autoKickoff: false, nextRunAtMs: local(2026, 3, 10, 9, 0),
+      });
+      const id = created.payload.schedule.id;
+
+      const paused = await call(handlers, 'schedules.update', { id, enabled: false, name: 'Audit' });
+      expect(paused.payload.schedule).toMatchObject({ name: 'Audit', nextRunAtMs: null });
+      const moved = await call(handlers, 'schedules.update', { id, enabled: true, cron: '0 7 * * *' });
+      expect(moved.payload.schedule.nextRunAtMs).toBe(local(2026, 3, 11, 7, 0));
+
+      const list = await call(handlers, 'schedules.list', {});
+      expect(list.payload.schedules).toHaveLength(1);
+      expect((await call(handlers, 'schedules.delete', { id })).ok).toBe(true);
+      expect((await call(handlers, 'schedules.get', { id })).error.message).toBe('Schedule not found');
+    });
+
+    it('rejects invalid cron expressions and templates', async () => {
+      const badCron = await call(handlers, 'schedules.create', { cron: 'every day', template });
+      expect(badCron.error.message).toMatch(/^Invalid cron/);
+      const badTemplate = await call(handlers, 'schedules.create', { cron: '@daily', template: { title: 'x', condoId: 'missing' } });
+      expect(badTemplate.error.message).toMatch(/not found/);
+      expect(store.load().schedules).toEqual([]);
+    });
+
+    it('runNow instantiates the template as a goal with tasks and dependencies', async () => {
+      const condo = (await call(createCondoHandlers(store), 'condos.create', { name: 'Ops' })).payload.condo;
+      const { schedule } = (await call(handlers, 'schedules.create', {
+        cron: '@weekly', autoKickoff: true, template: { ...template, condoId: condo.id },
+      })).payload;
+
+      const result = await call(handlers, 'schedules.runNow', { id: schedule.id });
+      expect(result.ok).toBe(true);
+      const goal = store.load().goals[0];
+      expect(goal.title).toMatch(/^Dependency audit \d{4}-\d{2}-\d{2}$/);
+      expect(goal).toMatchObject({ condoId: condo.id, autonomyMode: 'plan', scheduleId: schedule.id });
+      expect(goal.tasks.map(t => t.text)).toEqual(['Scan', 'Report']);
+      expect(goal.tasks[0].estimateMinutes).toBe(20);
+      expect(goal.tasks[1].dependsOn).toEqual([goal.tasks[0].id]);
+      expect(kickoff).toHaveBeenCalledWith(goal.id);
+
+      const stored = store.load().schedules[0];
+      expect(stored).toMatchObject({ lastGoalId: goal.id, runCount: 1, lastError: null, nextRunAtMs: schedule.nextRunAtMs });
+    });
+
+    it('runs due schedules once and skips missed runs', async () => {
+      vi.useFakeTimers({ now: local(2026, 3, 10, 8, 0) });
+      await call(handlers, 'schedules.create', { cron: '0 9 * * *', template });
+      await call(handlers, 'schedules.create', { cron: '0 9 * * *', template: { title: 'Off' }, enabled: false });
+
+      expect(await runDueSchedules(store, { goalHandlers, kickoff }, local(2026, 3, 10, 8, 59))).toEqual([]);
+      // Three days late: one goal, next run from now
+      const results = await runDueSchedules(store, { goalHandlers, kickoff }, local(2026, 3, 13, 10, 0));
+      expect(results).toHaveLength(1);
+      expect(results[0].error).toBeNull();
+      expect(store.load().goals).toHaveLength(1);
+      expect(store.load().schedules.find(s => s.enabled).nextRunAtMs).toBe(local(2026, 3, 14, 9, 0));
+      expect(await runDueSchedules(store, { goalHandlers, kickoff }, local(2026, 3, 13, 10, 1))).toEqual([]);
+      expect(kickoff).not.toHaveBeenCalled();
+    });
+
+    it('records a failed run on the schedule', async () => {
+      const { schedule } = (await call(handlers, 'schedules.create', {
+        cron: '@hourly', autoKickoff: true, template: { title: 'Flaky', tasks: [{ text: 'Go' }] },
+      })).payload;
+      kickoff.mockRejectedValueOnce(new Error('gateway down'));
+
+      const result = await call(handlers, 'schedules.runNow', { id: schedule.id });
+      expect(result.ok).toBe(false);
+      expect(result.error.message).toBe('gateway down');
+      expect(store.load().schedules[0]).toMatchObject({ lastError: 'gateway down', runCount: 1 });
+    });
+
+    it('previews upcoming runs', async () => {
+      vi.useFakeTimers({ now: local(2026, 3, 10, 8, 0) });
+      const preview = await call(handlers, 'schedules.preview', { cron: '0 */6 * * *', count: 3 });
+      expect(preview.payload.runs).toEqual([local(2026, 3, 10, 12), local(2026, 3, 10, 18), local(2026, 3, 11, 0)]);
+      expect((await call(handlers, 'schedules.preview', { cron: 'nope' })).ok).toBe(false);
+    });
+  });
+});
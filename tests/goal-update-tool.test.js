@@ -48,6 +48,17 @@ describe('goal_update tool', () => {
     expect(task.done).toBe(true);
   });
 
+  it('saves nothing when a later part of the call is invalid', async () => {
+    const result = await execute('call1', {
+      sessionKey: 'agent:main:main',
+      taskId: 'task_1',
+      status: 'done',
+      planStatus: 'bogus',
+    });
+    expect(result.content[0].text).toContain('planStatus must be one of');
+    expect(store.load().goals[0].tasks[0].done).toBe(false);
+  });
+
   it('syncs task.status to in-progress', async () => {
     await execute('call1', {
       sessionKey: 'agent:main:main',
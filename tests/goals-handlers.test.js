@@ -202,6 +202,79 @@ describe('GoalHandlers', () => {
       handlers['goals.update']({ params: { id, status: 'done' }, respond: r2.respond });
       expect(r2.getResult().payload.goal.completed).toBe(true);
     });
+
+    it('sets, clears and validates maxConcurrentTasks', () => {
+      const r1 = makeResponder();
+      handlers['goals.create']({ params: { title: 'G' }, respond: r1.respond });
+      const id = r1.getResult().payload.goal.id;
+
+      const r2 = makeResponder();
+      handlers['goals.update']({ params: { id, maxConcurrentTasks: 2 }, respond: r2.respond });
+      expect(r2.getResult().payload.goal.maxConcurrentTasks).toBe(2);
+
+      const r3 = makeResponder();
+      handlers['goals.update']({ params: { id, maxConcurrentTasks: null }, respond: r3.respond });
+      expect(r3.getResult().payload.goal.maxConcurrentTasks).toBeNull();
+
+      const r4 = makeResponder();
+      handlers['goals.update']({ params: { id, maxConcurrentTasks: -1 }, respond: r4.respond });
+      expect(r4.getResult().ok).toBe(false);
+      expect(r4.getResult().error.message).toBe('maxConcurrentTasks must be a positive integer or null');
+    });
+  });
+
+  describe('revisions', () => {
+    function createGoalId() {
+      const { respond, getResult } = makeResponder();
+      handlers['goals.create']({ params: { title: 'Rev' }, respond });
+      return getResult().payload.goal;
+    }
+
+    it('starts new goals at revision 1 and bumps on change', () => {
+      const goal = createGoalId();
+      expect(goal.revision).toBe(1);
+      const r = makeResponder();
+      handlers['goals.update']({ params: { id: goal.id, title: 'Rev 2' }, respond: r.respond });
+      expect(r.getResult().payload.goal.revision).toBe(2);
+    });
+
+    it('does not bump goals that were not changed', () => {
+      const a = createGoalId();
+      const b = createGoalId();
+      const r = makeResponder();
+      handlers['goals.update']({ params: { id: a.id, title: 'Changed' }, respond: r.respond });
+      const stored = store.load().goals.find(g => g.id === b.id);
+      expect(stored.revision).toBe(1);
+    });
+
+    it('accepts a matching expectedRevision', () => {
+      const goal = createGoalId();
+      const r = makeResponder();
+      handlers['goals.update']({ params: { id: goal.id, title: 'Ok', expectedRevision: 1 }, respond: r.respond });
+      expect(r.getResult().ok).toBe(true);
+    });
+
+    it('rejects a stale expectedRevision with REVISION_CONFLICT and writes nothing', () => {
+      const goal = createGoalId();
+      handlers['goals.update']({ params: { id: goal.id, title: 'Other writer' }, respond: () => {} });
+
+      const r = makeResponder();
+      handlers['goals.update']({ params: { id: goal.id, title: 'Stale', expectedRevision: 1 }, respond: r.respond });
+      const result = r.getResult();
+      expect(result.ok).toBe(false);
+      expect(result.error.code).toBe('REVISION_CONFLICT');
+      expect(result.error.currentRevision).toBe(2);
+      expect(result.error.expectedRevision).toBe(1);
+      expect(store.load().goals[0].title).toBe('Other writer');
+    });
+
+    it('checks expectedRevision on task mutations', () => {
+      const goal = createGoalId();
+      const r = makeResponder();
+      handlers['goals.addTask']({ params: { goalId: goal.id, text: 'T', expectedRevision: 0 }, respond: r.respond });
+      expect(r.getResult().error.code).toBe('REVISION_CONFLICT');
+      expect(store.load().goals[0].tasks).toHaveLength(0);
+    });
   });
 
   describe('goals.delete', () => {
@@ -717,6 +790,66 @@ describe('GoalHandlers', () => {
     });
   });
 
+  describe('task dependencies', () => {
+    function setup() {
+      const r1 = makeResponder();
+      handlers['goals.create']({ params: { title: 'G' }, respond: r1.respond });
+      const goalId = r1.getResult().payload.goal.id;
+      const add = (text, dependsOn) => {
+        const r = makeResponder();
+        handlers['goals.addTask']({ params: { goalId, text, dependsOn }, respond: r.respond });
+        return r.getResult();
+      };
+      return { goalId, add };
+    }
+
+    it('addTask rejects unknown dependencies', () => {
+      const { add } = setup();
+      const r = add('B', ['task_missing']);
+      expect(r.ok).toBe(false);
+      expect(r.error.code).toBe('INVALID_DEPENDENCIES');
+    });
+
+    it('updateTask rejects cycles and leaves the task unchanged', () => {
+      const { goalId, add } = setup();
+      const a = add('A').payload.task;
+      const b = add('B', [a.id]).payload.task;
+
+      const r = makeResponder();
+      handlers['goals.updateTask']({ params: { goalId, taskId: a.id, dependsOn: [b.id] }, respond: r.respond });
+      expect(r.getResult().ok).toBe(false);
+      expect(r.getResult().error.message).toMatch(/Dependency cycle/);
+      expect(store.load().goals[0].tasks[0].dependsOn).toEqual([]);
+    });
+
+    it('deleteTask removes references from dependent tasks', () => {
+      const { goalId, add } = setup();
+      const a = add('A').payload.task;
+      const b = add('B', [a.id]).payload.task;
+      handlers['goals.deleteTask']({ params: { goalId, taskId: a.id }, respond: () => {} });
+      expect(store.load().goals[0].tasks.find(t => t.id === b.id).dependsOn).toEqual([]);
+    });
+
+    it('dependencyGraph returns edges, blocked tasks and critical path', () => {
+      const { goalId, add } = setup();
+      const a = add('A').payload.task;
+      const b = add('B', [a.id]).payload.task;
+
+      const r = makeResponder();
+      handlers['goals.dependencyGraph']({ params: { goalId }, respond: r.respond });
+      const graph = r.getResult().payload;
+      expect(graph.edges).toEqual([{ from: a.id, to: b.id }]);
+      expect(graph.nodes.find(n => n.id === b.id).blocked).toBe(true);
+      expect(graph.criticalPath).toEqual([a.id, b.id]);
+    });
+
+    it('dependencyGraph requires goalId', () => {
+      const r = makeResponder();
+      handlers['goals.dependencyGraph']({ params: {}, respond: r.respond });
+      expect(r.getResult().ok).toBe(false);
+    });
+  });
+
   describe('goals.addFiles', () => {
     it('adds files to a goal', () => {
       const r1 = makeResponder();
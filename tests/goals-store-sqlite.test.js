@@ -0,0 +1,221 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdirSync, rmSync, existsSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import Database from 'better-sqlite3';
+import { createGoalsStore, recordedBackend } from '../clawcondos/condo-management/lib/goals-store.js';
+
+const TEST_DIR = join(import.meta.dirname, '__fixtures__', 'goals-store-sqlite-test');
+
+describe('GoalsStore (sqlite backend)', () => {
+  let store;
+
+  beforeEach(() => {
+    rmSync(TEST_DIR, { recursive: true, force: true });
+    mkdirSync(TEST_DIR, { recursive: true });
+    store = createGoalsStore(TEST_DIR, { backend: 'sqlite', logger: { info() {} } });
+  });
+
+  afterEach(() => {
+    store.close();
+    rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('reports backend and db path', () => {
+    expect(store.backend).toBe('sqlite');
+    expect(store.filePath).toBe(join(TEST_DIR, 'goals.db'));
+  });
+
+  it('rejects unknown backends', () => {
+    expect(() => createGoalsStore(TEST_DIR, { backend: 'redis' })).toThrow(/unknown goals storage backend/i);
+  });
+
+  it('returns empty store when nothing is stored', () => {
+    const data = store.load();
+    expect(data.version).toBe(2);
+    expect(data.goals).toEqual([]);
+    expect(data.condos).toEqual([]);
+    expect(data.sessionIndex).toEqual({});
+    expect(data.notifications).toEqual([]);
+    expect(data.config).toEqual({});
+  });
+
+  it('round-trips all collections', () => {
+    const data = store.load();
+    data.goals.push({ id: 'goal_1', title: 'One', condoId: 'condo_1', sessions: ['s1'], tasks: [{ id: 't1', text: 'T' }] });
+    data.condos.push({ id: 'condo_1', name: 'Condo' });
+    data.sessionIndex.s1 = { goalId: 'goal_1' };
+    data.sessionCondoIndex.s2 = 'condo_1';
+    data.notifications.push({ id: 'notif_1', title: 'Hi' });
+    data.config.services = { github: { token: 'x' } };
+    store.save(data);
+
+    const loaded = store.load();
+    expect(loaded.goals[0].title).toBe('One');
+    expect(loaded.goals[0].tasks[0].id).toBe('t1');
+    expect(loaded.condos[0].name).toBe('Condo');
+    expect(loaded.sessionIndex).toEqual({ s1: { goalId: 'goal_1' } });
+    expect(loaded.sessionCondoIndex).toEqual({ s2: 'condo_1' });
+    expect(loaded.notifications[0].title).toBe('Hi');
+    expect(loaded.config.services.github.token).toBe('x');
+  });
+
+  it('preserves array order for unshift, push and removals', () => {
+    const data = store.load();
+    data.goals.push({ id: 'goal_b', title: 'B' });
+    store.save(data);
+
+    const d2 = store.load();
+    d2.goals.unshift({ id: 'goal_a', title: 'A' });
+    d2.goals.push({ id: 'goal_c', title: 'C' });
+    store.save(d2);
+    expect(store.load().goals.map(g => g.id)).toEqual(['goal_a', 'goal_b', 'goal_c']);
+
+    const d3 = store.load();
+    d3.goals.splice(1, 1);
+    store.save(d3);
+    expect(store.load().goals.map(g => g.id)).toEqual(['goal_a', 'goal_c']);
+
+    const d4 = store.load();
+    d4.goals.reverse();
+    store.save(d4);
+    expect(store.load().goals.map(g => g.id)).toEqual(['goal_c', 'goal_a']);
+  });
+
+  it('keeps unknown top-level keys', () => {
+    const data = store.load();
+    data.customThing = { a: 1 };
+    store.save(data);
+    const db = new Database(store.filePath, { readonly: true });
+    const row = db.prepare('SELECT value FROM extras WHERE key = ?').get('customThing');
+    db.close();
+    expect(JSON.parse(row.value)).toEqual({ a: 1 });
+  });
+
+  it('does not lose concurrent updates to different rows', () => {
+    const seed = store.load();
+    seed.goals.push({ id: 'goal_1', title: 'One' }, { id: 'goal_2', title: 'Two' });
+    store.save(seed);
+
+    const other = createGoalsStore(TEST_DIR, { backend: 'sqlite' });
+    const a = store.load();
+    const b = other.load();
+    a.goals[0].title = 'One (a)';
+    b.goals[1].title = 'Two (b)';
+    b.sessionIndex.sB = { goalId: 'goal_2' };
+    store.save(a);
+    other.save(b);
+    other.close();
+
+    const loaded = store.load();
+    expect(loaded.goals.map(g => g.title)).toEqual(['One (a)', 'Two (b)']);
+    expect(loaded.sessionIndex.sB).toEqual({ goalId: 'goal_2' });
+  });
+
+  it('does not resurrect rows deleted by another writer', () => {
+    const seed = store.load();
+    seed.goals.push({ id: 'goal_1', title: 'One' }, { id: 'goal_2', title: 'Two' });
+    store.save(seed);
+
+    const a = store.load();
+    const b = store.load();
+    a.goals = a.goals.filter(g => g.id !== 'goal_1');
+    store.save(a);
+    b.goals[1].title = 'Two (b)';
+    store.save(b);
+
+    expect(store.load().goals.map(g => g.id)).toEqual(['goal_2']);
+  });
+
+  it('replaces everything when saving data that was not loaded', () => {
+    const seed = store.load();
+    seed.goals.push({ id: 'goal_1', title: 'One' });
+    store.save(seed);
+
+    store.save({ version: 2, goals: [{ id: 'goal_9', title: 'Nine' }], condos: [], sessionIndex: {}, sessionCondoIndex: {}, notifications: [], config: {} });
+    expect(store.load().goals.map(g => g.id)).toEqual(['goal_9']);
+  });
+
+  describe('transaction', () => {
+    it('saves mutations and returns the callback result', () => {
+      const result = store.transaction(data => {
+        data.goals.push({ id: 'goal_t', title: 'T' });
+        return 'done';
+      });
+      expect(result).toBe('done');
+      expect(store.load().goals).toHaveLength(1);
+    });
+
+    it('rolls back when the callback throws', () => {
+      expect(() => store.transaction(data => {
+        data.goals.push({ id: 'goal_t', title: 'T' });
+        throw new Error('boom');
+      })).toThrow('boom');
+      expect(store.load().goals).toHaveLength(0);
+    });
+  });
+
+  describe('migration from goals.json', () => {
+    it('imports goals.json once and renames it', () => {
+      store.close();
+      writeFileSync(join(TEST_DIR, 'goals.json'), JSON.stringify({
+        version: 2,
+        goals: [{ id: 'g1', title: 'Old', status: 'done', notes: 'legacy' }],
+        condos: [{ id: 'c1', name: 'C' }],
+        sessionIndex: { s1: { goalId: 'g1' } },
+      }));
+      store = createGoalsStore(TEST_DIR, { backend: 'sqlite', logger: { info() {} } });
+
+      const data = store.load();
+      expect(data.goals[0].completed).toBe(true);
+      expect(data.goals[0].description).toBe('legacy');
+      expect(data.condos[0].name).toBe('C');
+      expect(data.sessionIndex.s1).toEqual({ goalId: 'g1' });
+      expect(existsSync(join(TEST_DIR, 'goals.json'))).toBe(false);
+      expect(existsSync(join(TEST_DIR, 'goals.json.migrated'))).toBe(true);
+    });
+
+    it('refuses to initialize from a corrupt goals.json', () => {
+      store.close();
+      writeFileSync(join(TEST_DIR, 'goals.json'), '{not json');
+      store = createGoalsStore(TEST_DIR, { backend: 'sqlite', logger: { info() {} } });
+
+      const data = store.load();
+      expect(data._loadError).toBe(true);
+      expect(() => store.save(data)).toThrow(/refusing to save/i);
+      expect(existsSync(join(TEST_DIR, 'goals.json'))).toBe(true);
+    });
+  });
+
+  describe('recorded backend', () => {
+    it('lets a store without a backend follow the one the owner picked', () => {
+      const data = store.load();
+      data.goals.push({ id: 'goal_1', title: 'In sqlite' });
+      store.save(data);
+      expect(recordedBackend(TEST_DIR)).toBe('sqlite');
+
+      const follower = createGoalsStore(TEST_DIR, { logger: { info() {} } });
+      try {
+        expect(follower.backend).toBe('sqlite');
+        expect(follower.load().goals.map(g => g.id)).toEqual(['goal_1']);
+
+        // The owner switches back to JSON; the follower moves with it on its next load
+        store.close();
+        store = createGoalsStore(TEST_DIR, { backend: 'json' });
+        store.save({ ...store.load(), goals: [{ id: 'goal_2', title: 'In json' }] });
+        expect(follower.load().goals.map(g => g.id)).toEqual(['goal_2']);
+        expect(follower.watchPath).toBe(join(TEST_DIR, 'goals.json'));
+      } finally {
+        follower.close();
+      }
+    });
+
+    it('treats a goals.db without goals.json as sqlite before anything is recorded', () => {
+      rmSync(join(TEST_DIR, 'goals-backend'));
+      expect(recordedBackend(TEST_DIR)).toBe('json');
+      store.save(store.load());
+      expect(recordedBackend(TEST_DIR)).toBe('sqlite');
+      writeFileSync(join(TEST_DIR, 'goals.json'), '{}');
+      expect(recordedBackend(TEST_DIR)).toBe('json');
+    });
+  });
+});
@@ -91,6 +91,25 @@ describe('GoalsStore', () => {
     });
   });
 
+  describe('transaction', () => {
+    it('loads, applies the mutation and saves', () => {
+      const result = store.transaction(data => {
+        data.goals.push({ id: 'goal_t', title: 'T' });
+        return data.goals.length;
+      });
+      expect(result).toBe(1);
+      expect(store.load().goals[0].id).toBe('goal_t');
+    });
+
+    it('does not save when the callback throws', () => {
+      expect(() => store.transaction(data => {
+        data.goals.push({ id: 'goal_t', title: 'T' });
+        throw new Error('boom');
+      })).toThrow('boom');
+      expect(existsSync(join(TEST_DIR, 'goals.json'))).toBe(false);
+    });
+  });
+
   describe('newId', () => {
     it('generates prefixed random IDs', () => {
       const id = store.newId('goal');
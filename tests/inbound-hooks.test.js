@@ -0,0 +1,221 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { rmSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import crypto from 'crypto';
+import { createInboundHooks, renderTemplate, normalizeInbound, verifyInbound } from '../lib/inbound-hooks.js';
+
+const TEST_DIR = join(tmpdir(), 'clawcondos-test-inbound-hooks-' + crypto.randomBytes(4).toString('hex'));
+const FILE_PATH = join(TEST_DIR, 'inbound-hooks.json');
+const silentLogger = { log: vi.fn(), error: vi.fn(), warn: vi.fn() };
+
+const data = {
+  condos: [{ id: 'condo_a', name: 'A' }, { id: 'condo_b', name: 'B' }],
+  goals: [{ id: 'goal_bugs', title: 'Bugs', condoId: 'condo_a' }, { id: 'goal_other', title: 'Other', condoId: 'condo_b' }],
+};
+
+const githubIssue = {
+  action: 'opened',
+  issue: {
+    number: 42,
+    title: 'Login button does nothing',
+    body: 'Steps to reproduce...',
+    html_url: 'https://github.com/acme/app/issues/42',
+    user: { login: 'octocat' },
+    labels: [{ name: 'bug' }, { name: 'ui' }],
+  },
+  repository: { full_name: 'acme/app' },
+};
+
+const sign = (secret, body) => 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+describe('helpers', () => {
+  it('renders templates', () => {
+    const ctx = { title: 'T', labels: ['bug', 'ui'], number: 7, payload: { extra: { field: 'x' } } };
+    expect(renderTemplate('[#{{number}}] {{ title }}', ctx)).toBe('[#7] T');
+    expect(renderTemplate('{{labels}} / {{payload.extra.field}} / {{missing.deep}}', ctx)).toBe('bug, ui / x /');
+  });
+
+  it('normalizes GitHub and generic payloads', () => {
+    const { item } = normalizeInbound('issues', githubIssue);
+    expect(item).toMatchObject({
+      source: 'github', kind: 'issue', title: 'Login button does nothing', number: 42,
+      repo: 'acme/app', author: 'octocat', labels: ['bug', 'ui'], url: 'https://github.com/acme/app/issues/42',
+    });
+    expect(normalizeInbound('pull_request', { action: 'opened', pull_request: { title: 'Fix', number: 3 } }).item.kind).toBe('pull_request');
+    expect(normalizeInbound('issues', { ...githubIssue, action: 'closed' }).ignored).toMatch(/"closed" is not handled/);
+    expect(normalizeInbound('push', {}).ignored).toBe('GitHub push events are not handled');
+    expect(normalizeInbound('ping', { zen: 'hi' })).toEqual({ ping: true });
+
+    expect(normalizeInbound(undefined, { summary: 'Crash on save', description: 'Stack trace', link: 'https://bugs/1' }).item)
+      .toMatchObject({ source: 'generic', title: 'Crash on save', body: 'Stack trace', url: 'https://bugs/1' });
+    expect(normalizeInbound(undefined, { body: 'no title' }).error).toBe('title is required');
+    expect(normalizeInbound(undefined, [1]).error).toBe('Body must be a JSON object');
+  });
+
+  it('verifies signatures and bearer secrets', () => {
+    const body = '{"title":"x"}';
+    expect(verifyInbound('s3cret', { 'x-hub-signature-256': sign('s3cret', body) }, body)).toBe(true);
+    expect(verifyInbound('s3cret', { 'x-clawcondos-signature': sign('s3cret', body) }, body)).toBe(true);
+    expect(verifyInbound('s3cret', { 'x-hub-signature-256': sign('other', body) }, body)).toBe(false);
+    expect(verifyInbound('s3cret', { authorization: 'Bearer s3cret' }, body)).toBe(true);
+    expect(verifyInbound('s3cret', { authorization: 'Bearer nope' }, body)).toBe(false);
+    expect(verifyInbound('s3cret', {}, body)).toBe(false);
+  });
+});
+
+describe('createInboundHooks', () => {
+  let hooks;
+  let callRpc;
+  let calls;
+
+  beforeEach(() => {
+    calls = [];
+    callRpc = vi.fn(async (method, params, actor) => {
+      calls.push({ method, params, actor });
+      if (method === 'goals.create') return { ok: true, result: { goal: { id: 'goal_new', ...params } } };
+      if (method === 'goals.addTask') {
+        return params.goalId === 'goal_gone'
+          ? { ok: false, error: { message: 'Goal not found' } }
+          : { ok: true, result: { task: { id: 'task_new', text: params.text } } };
+      }
+      if (method === 'goals.kickoff') return { ok: true, result: { spawnedSessions: [{ sessionKey: 'agent:main:webchat:task-1' }] } };
+      return { ok: false, error: { message: 'unexpected' } };
+    });
+    hooks = createInboundHooks({ filePath: FILE_PATH, callRpc, loadData: () => data, logger: silentLogger });
+  });
+
+  afterEach(() => {
+    rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  const post = (condoId, payload, headers = {}) => {
+    const rawBody = Buffer.from(JSON.stringify(payload));
+    return hooks.receive({ condoId, headers: { 'content-type': 'application/json', ...headers }, rawBody });
+  };
+
+  it('configures one endpoint per condo with a secret shown once', () => {
+    expect(hooks.configure('condo_missing', {}).error).toBe('Condo not found');
+    expect(hooks.configure('condo_a', { mode: 'task', goalId: 'goal_other' }).error).toBe('Task mode needs a goalId in this condo');
+    expect(hooks.configure('condo_a', { mode: 'sprint' }).error).toMatch(/^mode must be one of/);
+
+    const { hook, secret } = hooks.configure('condo_a', {});
+    expect(secret).toMatch(/^whin_/);
+    expect(hook).toMatchObject({ condoId: 'condo_a', mode: 'goal', enabled: true, autoKickoff: false, hasSecret: true });
+    expect(hook.secret).toBeUndefined();
+
+    const updated = hooks.configure('condo_a', { mode: 'task', goalId: 'goal_bugs', autoKickoff: true });
+    expect(updated.secret).toBeUndefined();
+    expect(updated.hook).toMatchObject({ mode: 'task', goalId: 'goal_bugs', autoKickoff: true });
+    expect(hooks.rotateSecret('condo_a').secret).not.toBe(secret);
+    expect(hooks.list()).toHaveLength(1);
+    expect(hooks.remove('condo_a')).toBe(true);
+    expect(hooks.get('condo_a')).toBeNull();
+  });
+
+  it('creates a goal with a task from a signed GitHub issue', async () => {
+    const { secret } = hooks.configure('condo_a', { titleTemplate: '[{{repo}}#{{number}}] {{title}}', descriptionTemplate: '{{body}}\n\nLabels: {{labels}}' });
+    const rawBody = Buffer.from(JSON.stringify(githubIssue));
+    const res = await hooks.receive({
+      condoId: 'condo_a',
+      headers: { 'x-github-event': 'issues', 'x-github-delivery': 'd-1', 'x-hub-signature-256': sign(secret, rawBody) },
+      rawBody,
+    });
+    expect(res).toEqual({ status: 201, body: { ok: true, goalId: 'goal_new', taskId: 'task_new', kickoff: null } });
+    expect(calls.map(c => c.method)).toEqual(['goals.create', 'goals.addTask']);
+    expect(calls[0]).toEqual({
+      method: 'goals.create',
+      params: { condoId: 'condo_a', title: '[acme/app#42] Login button does nothing', description: 'Steps to reproduce...\n\nLabels: bug, ui' },
+      actor: 'webhook:github',
+    });
+    expect(calls[1].params).toMatchObject({ goalId: 'goal_new', text: '[acme/app#42] Login button does nothing' });
+    expect(hooks.get('condo_a').lastResult).toMatchObject({ status: 201, goalId: 'goal_new' });
+
+    // GitHub redelivery of the same event is not created twice
+    const again = await hooks.receive({
+      condoId: 'condo_a',
+      headers: { 'x-github-event': 'issues', 'x-github-delivery': 'd-1', 'x-hub-signature-256': sign(secret, rawBody) },
+      rawBody,
+    });
+    expect(again.body).toEqual({ ok: true, duplicate: true });
+    expect(callRpc).toHaveBeenCalledTimes(2);
+  });
+
+  it('claims a delivery before creating so concurrent redeliveries are skipped', async () => {
+    const { secret } = hooks.configure('condo_a', {});
+    const headers = { authorization: `Bearer ${secret}`, 'idempotency-key': 'k-1' };
+    const [first, second] = await Promise.all([post('condo_a', { title: 'Once' }, headers), post('condo_a', { title: 'Once' }, headers)]);
+    expect([first.status, second.status].sort()).toEqual([200, 201]);
+    expect(calls.filter(c => c.method === 'goals.create')).toHaveLength(1);
+  });
+
+  it('deletes the new goal and frees the delivery when adding its task fails', async () => {
+    const { secret } = hooks.configure('condo_a', {});
+    const succeed = callRpc.getMockImplementation();
+    callRpc.mockImplementation(async (method, params, actor) => {
+      if (method === 'goals.addTask') {
+        calls.push({ method, params, actor });
+        return { ok: false, error: { message: 'Task text too long' } };
+      }
+      if (method === 'goals.delete') {
+        calls.push({ method, params, actor });
+        return { ok: true, result: {} };
+      }
+      return succeed(method, params, actor);
+    });
+    const headers = { authorization: `Bearer ${secret}`, 'idempotency-key': 'k-2' };
+    expect(await post('condo_a', { title: 'x' }, headers)).toEqual({ status: 400, body: { ok: false, error: 'Task text too long' } });
+    expect(calls.map(c => c.method)).toEqual(['goals.create', 'goals.addTask', 'goals.delete']);
+    expect(calls[2].params).toEqual({ id: 'goal_new' });
+
+    // The sender's retry is processed, not treated as a duplicate
+    callRpc.mockImplementation(succeed);
+    expect((await post('condo_a', { title: 'x' }, headers)).status).toBe(201);
+  });
+
+  it('adds tasks to a goal and kicks it off', async () => {
+    const { secret } = hooks.configure('condo_a', { mode: 'task', goalId: 'goal_bugs', autoKickoff: true });
+    const res = await post('condo_a', { title: 'Crash on save', description: 'Stack trace' }, { authorization: `Bearer ${secret}` });
+    expect(res.status).toBe(201);
+    expect(res.body.kickoff).toEqual({ ok: true, spawnedCount: 1 });
+    expect(calls.map(c => [c.method, c.actor])).toEqual([['goals.addTask', 'webhook:generic'], ['goals.kickoff', 'webhook:generic']]);
+    expect(calls[0].params).toEqual({ goalId: 'goal_bugs', text: 'Crash on save', description: 'Stack trace' });
+    expect(calls[1].params).toEqual({ goalId: 'goal_bugs' });
+  });
+
+  it('refuses unknown condos, bad secrets and bad payloads', async () => {
+    expect((await post('condo_b', { title: 'x' })).status).toBe(404);
+    const { secret } = hooks.configure('condo_a', {});
+    expect((await post('condo_a', { title: 'x' }, { authorization: 'Bearer wrong' })).status).toBe(401);
+    expect((await post('condo_a', { nope: 1 }, { authorization: `Bearer ${secret}` })))
+      .toEqual({ status: 400, body: { ok: false, error: 'title is required' } });
+    const closed = await post('condo_a', { ...githubIssue, action: 'closed' }, { authorization: `Bearer ${secret}`, 'x-github-event': 'issues' });
+    expect(closed.status).toBe(202);
+    const raw = await hooks.receive({ condoId: 'condo_a', headers: { authorization: `Bearer ${secret}` }, rawBody: Buffer.from('not json') });
+    expect(raw.status).toBe(400);
+
+    hooks.configure('condo_a', { enabled: false });
+    expect((await post('condo_a', { title: 'x' }, { authorization: `Bearer ${secret}` })).status).toBe(404);
+    expect(callRpc).not.toHaveBeenCalled();
+    expect(readFileSync(FILE_PATH, 'utf-8')).toContain(secret);
+  });
+
+  it('reports failed calls and accepts form-encoded GitHub payloads', async () => {
+    const { secret } = hooks.configure('condo_a', { mode: 'task', goalId: 'goal_bugs' });
+    // The target goal was deleted after the endpoint was configured
+    const cfg = JSON.parse(readFileSync(FILE_PATH, 'utf-8'));
+    cfg.hooks[0].goalId = 'goal_gone';
+    writeFileSync(FILE_PATH, JSON.stringify(cfg));
+    expect(await post('condo_a', { title: 'x' }, { authorization: `Bearer ${secret}` }))
+      .toEqual({ status: 404, body: { ok: false, error: 'Goal not found' } });
+
+    hooks.configure('condo_a', { mode: 'goal' });
+    const form = 'payload=' + encodeURIComponent(JSON.stringify(githubIssue));
+    const res = await hooks.receive({
+      condoId: 'condo_a',
+      headers: { 'content-type': 'application/x-www-form-urlencoded', 'x-github-event': 'issues', 'x-hub-signature-256': sign(secret, form) },
+      rawBody: Buffer.from(form),
+    });
+    expect(res.status).toBe(201);
+  });
+});
@@ -0,0 +1,213 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdirSync, rmSync, writeFileSync, readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { execSync } from 'child_process';
+import { createGoalsStore } from '../clawcondos/condo-management/lib/goals-store.js';
+import * as workspaceManager from '../clawcondos/condo-management/lib/workspace-manager.js';
+import {
+  createConflictHandlers,
+  remainingConflicts,
+  buildConflictBrief,
+  CONFLICT_TASK_KIND,
+} from '../clawcondos/condo-management/lib/merge-conflicts.js';
+
+const TEST_DIR = join(import.meta.dirname, '__fixtures__', 'merge-conflicts-test');
+const gitEnv = {
+  ...process.env,
+  GIT_AUTHOR_NAME: 'Test',
+  GIT_AUTHOR_EMAIL: 'test@localhost',
+  GIT_COMMITTER_NAME: 'Test',
+  GIT_COMMITTER_EMAIL: 'test@localhost',
+};
+
+function git(cwd, cmd) {
+  return execSync(`git ${cmd}`, { cwd, stdio: 'pipe', env: gitEnv, encoding: 'utf-8' });
+}
+
+function commitFile(cwd, file, content, message) {
+  writeFileSync(join(cwd, file), content);
+  git(cwd, `add ${file}`);
+  git(cwd, `commit -m "${message}"`);
+}
+
+function callHandler(handler, params) {
+  return new Promise((resolve) => {
+    Promise.resolve(handler({ params, respond: (ok, result, error) => resolve({ ok, result, error }) }));
+  });
+}
+
+describe('parseConflictHunks', () => {
+  it('parses both sides, the base section and marker lines', () => {
+    const content = [
+      'a',
+      '<<<<<<< HEAD',
+      'ours 1',
+      'ours 2',
+      '||||||| base',
+      'base',
+      '=======',
+      'theirs',
+      '>>>>>>> main',
+      'b',
+      '<<<<<<< HEAD',
+      '=======',
+      'only theirs',
+      '>>>>>>> main',
+    ].join('\n');
+    expect(workspaceManager.parseConflictHunks(content)).toEqual([
+      { line: 2, ours: ['ours 1', 'ours 2'], base: ['base'], theirs: ['theirs'] },
+      { line: 11, ours: [], base: null, theirs: ['only theirs'] },
+    ]);
+    expect(workspaceManager.parseConflictHunks('no markers\n')).toEqual([]);
+  });
+});
+
+describe('merge conflict workflow', () => {
+  let condoWs, worktree, store, kickoff, onResolved, handlers;
+
+  beforeEach(() => {
+    rmSync(TEST_DIR, { recursive: true, force: true });
+    mkdirSync(TEST_DIR, { recursive: true });
+    condoWs = workspaceManager.createCondoWorkspace(join(TEST_DIR, 'ws'), 'condo_1', 'Project').path;
+    commitFile(condoWs, 'app.js', 'start\nvalue = 1\nend\n', 'Add app');
+    const wt = workspaceManager.createGoalWorktree(condoWs, 'goal_1', 'Ship');
+    worktree = wt.path;
+
+    // The goal branch and main change the same line
+    commitFile(worktree, 'app.js', 'start\nvalue = 2\nend\n', 'Goal change');
+    commitFile(condoWs, 'app.js', 'start\nvalue = 3\nend\n', 'Main change');
+
+    store = createGoalsStore(join(TEST_DIR, 'data'));
+    const data = store.load();
+    data.condos.push({ id: 'condo_1', name: 'Project', workspace: { path: condoWs } });
+    data.goals.push({
+      id: 'goal_1', title: 'Ship', condoId: 'condo_1', status: 'active', sessions: [],
+      mergeStatus: 'conflict',
+      worktree: { path: worktree, branch: wt.branch },
+      tasks: [{ id: 'task_1', text: 'Build it', status: 'done', done: true }],
+    });
+    store.save(data);
+
+    kickoff = vi.fn(async () => ({ spawnedSessions: [] }));
+    onResolved = vi.fn(async () => {});
+    handlers = createConflictHandlers(store, {
+      wsOps: workspaceManager,
+      kickoff,
+      onResolved,
+      logger: { info: vi.fn(), error: vi.fn() },
+    });
+  });
+
+  afterEach(() => {
+    rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  const goal = () => store.load().goals[0];
+
+  it('previews conflicts without touching the worktree', async () => {
+    const preview = workspaceManager.previewMergeConflicts(condoWs, goal().worktree.branch);
+    expect(preview.ok).toBe(true);
+    expect(preview.files).toEqual([
+      { path: 'app.js', hunks: [{ line: 2, goal: ['value = 2'], main: ['value = 3'], truncated: undefined }] },
+    ]);
+    expect(readFileSync(join(worktree, 'app.js'), 'utf-8')).toBe('start\nvalue = 2\nend\n');
+
+    const res = await callHandler(handlers['goals.conflicts'], { goalId: 'goal_1' });
+    expect(res.ok).toBe(true);
+    expect(res.result).toMatchObject({ source: 'preview', mainBranch: preview.mainBranch, files: preview.files });
+  });
+
+  it('spawns a resolution task with the conflicting files and both sides', async () => {
+    const res = await callHandler(handlers['goals.resolveConflicts'], { goalId: 'goal_1' });
+    expect(res.ok).toBe(true);
+    expect(kickoff).toHaveBeenCalledWith('goal_1');
+
+    const task = goal().tasks.find(t => t.kind === CONFLICT_TASK_KIND);
+    expect(task).toMatchObject({ status: 'pending', sessionKey: null, dependsOn: [] });
+    expect(task.description).toContain('app.js');
+    expect(task.description).toContain('value = 2');
+    expect(task.description).toContain('value = 3');
+    expect(goal().conflictResolution).toMatchObject({
+      status: 'resolving',
+      taskId: task.id,
+      files: [{ path: 'app.js', hunkCount: 1 }],
+    });
+
+    // The merge is left in progress in the worktree
+    expect(readFileSync(join(worktree, 'app.js'), 'utf-8')).toContain('<<<<<<<');
+    const conflicts = await callHandler(handlers['goals.conflicts'], { goalId: 'goal_1' });
+    expect(conflicts.result.source).toBe('worktree');
+    expect(conflicts.result.files[0]).toMatchObject({ path: 'app.js', unmerged: true, hunks: [{ goal: ['value = 2'], main: ['value = 3'] }] });
+
+    const again = await callHandler(handlers['goals.resolveConflicts'], { goalId: 'goal_1' });
+    expect(again.ok).toBe(false);
+    expect(again.error.message).toMatch(/already being resolved/);
+  });
+
+  it('reports conflicts as remaining until the markers are gone', async () => {
+    await callHandler(handlers['goals.resolveConflicts'], { goalId: 'goal_1' });
+    expect(remainingConflicts(workspaceManager, goal())).toEqual(['app.js']);
+
+    // Staged with the markers still in: not resolved
+    git(worktree, 'add app.js');
+    expect(remainingConflicts(workspaceManager, goal())).toEqual(['app.js']);
+
+    writeFileSync(join(worktree, 'app.js'), 'start\nvalue = 5\nend\n');
+    git(worktree, 'add app.js');
+    expect(remainingConflicts(workspaceManager, goal())).toEqual([]);
+
+    // Concluding the merge lets the goal branch merge into main cleanly
+    expect(workspaceManager.commitWorktreeChanges(worktree, 'Merge main').ok).toBe(true);
+    expect(workspaceManager.mergeGoalBranch(condoWs, goal().worktree.branch)).toEqual({ ok: true, merged: true });
+    expect(readFileSync(join(condoWs, 'app.js'), 'utf-8')).toBe('start\nvalue = 5\nend\n');
+  });
+
+  it('re-runs the merge when main merges into the goal branch cleanly', async () => {
+    // Make the goal branch agree with main
+    commitFile(worktree, 'app.js', 'start\nvalue = 3\nend\n', 'Take main');
+    const res = await callHandler(handlers['goals.resolveConflicts'], { goalId: 'goal_1' });
+    expect(res.ok).toBe(true);
+    expect(res.result.task).toBeNull();
+    expect(kickoff).not.toHaveBeenCalled();
+    expect(onResolved).toHaveBeenCalledWith('goal_1');
+    expect(goal().tasks).toHaveLength(1);
+  });
+
+  it('refuses while other tasks are running or pending and validates the goal', async () => {
+    const data = store.load();
+    data.goals[0].tasks.push({ id: 'task_2', text: 'More', status: 'in-progress', sessionKey: 'agent:main:webchat:task-x' });
+    store.save(data);
+    const res = await callHandler(handlers['goals.resolveConflicts'], { goalId: 'goal_1' });
+    expect(res.ok).toBe(false);
+    expect(res.error.message).toMatch(/running task/);
+    expect(existsSync(join(worktree, '.git'))).toBe(true);
+    expect(readFileSync(join(worktree, 'app.js'), 'utf-8')).toBe('start\nvalue = 2\nend\n');
+
+    // Pending tasks would be kicked off into the merge along with the resolution task
+    data.goals[0].tasks[1] = { id: 'task_2', text: 'More', status: 'pending', sessionKey: null };
+    store.save(data);
+    const pending = await callHandler(handlers['goals.resolveConflicts'], { goalId: 'goal_1' });
+    expect(pending.error.message).toBe('Finish 1 pending task(s) before resolving conflicts');
+    expect(kickoff).not.toHaveBeenCalled();
+    expect(readFileSync(join(worktree, 'app.js'), 'utf-8')).toBe('start\nvalue = 2\nend\n');
+
+    expect((await callHandler(handlers['goals.resolveConflicts'], {})).error.message).toBe('goalId is required');
+    expect((await callHandler(handlers['goals.conflicts'], { goalId: 'nope' })).error.message).toBe('Goal not found');
+    const disabled = createConflictHandlers(store, { wsOps: null });
+    expect((await callHandler(disabled['goals.conflicts'], { goalId: 'goal_1' })).error.message).toBe('Workspaces not enabled');
+  });
+});
+
+describe('buildConflictBrief', () => {
+  it('caps the hunks it shows', () => {
+    const hunks = Array.from({ length: 25 }, (_, i) => ({ line: i + 1, goal: ['g'], main: ['m'] }));
+    const brief = buildConflictBrief({
+      goal: { worktree: { branch: 'goal/ship' } },
+      mainBranch: 'main',
+      files: [{ path: 'a.js', hunks }, { path: 'gone.js', hunks: [] }],
+    });
+    expect(brief).toContain('`main` has been merged into `goal/ship`');
+    expect(brief).toContain('5 more conflict(s) not shown');
+    expect(brief).toContain('No conflict markers');
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseTasksFromTable,
+  parseTasksFromPlan,
+  applyPlanDependencies,
+} from '../clawcondos/condo-management/lib/plan-parser.js';
+
+function createTasks(parsed) {
+  return parsed.map((t, i) => ({ id: `task_${i + 1}`, text: t.text, dependsOn: [] }));
+}
+
+function depsOf(tasks) {
+  return Object.fromEntries(tasks.map(t => [t.id, t.dependsOn]));
+}
+
+describe('parseTasksFromTable', () => {
+  it('reads depends-on, phase and ref columns', () => {
+    const tasks = parseTasksFromTable([
+      '| # | Task | Agent | Depends on | Phase |',
+      '|---|------|-------|------------|-------|',
+      '| 1 | Design schema | Blake | - | 1 |',
+      '| 2 | Build API | Blake | 1 | 2 |',
+      '| 3 | Build UI | Félix | #1, Build API | 2 |',
+    ].join('\n'));
+
+    expect(tasks.map(t => t.text)).toEqual(['Design schema', 'Build API', 'Build UI']);
+    expect(tasks[0]).toMatchObject({ ref: '1', phase: 1, dependsOnRefs: [], agent: 'backend' });
+    expect(tasks[2].dependsOnRefs).toEqual(['1', 'Build API']);
+  });
+
+  it('keeps blank cells so later columns stay aligned', () => {
+    const [task] = parseTasksFromTable([
+      '| Task | Depends on | Agent |',
+      '|------|------------|-------|',
+      '| Write docs |  | Quinn |',
+    ].join('\n'));
+    expect(task).toMatchObject({ text: 'Write docs', agent: 'tester', dependsOnRefs: [] });
+  });
+
+  it('takes the phase from a heading above the table', () => {
+    const tasks = parseTasksFromTable([
+      '### Phase 1',
+      '| Task | Agent |',
+      '|------|-------|',
+      '| Setup repo | Devon |',
+      '',
+      '### Phase 2',
+      '| Task | Agent |',
+      '|------|-------|',
+      '| Build API | Blake |',
+    ].join('\n'));
+    expect(tasks.map(t => t.phase)).toEqual([1, 2]);
+    expect(tasks[0].dependsOnRefs).toBeNull();
+  });
+
+  it('matches the depends-on header by whole words', () => {
+    const [task] = parseTasksFromTable([
+      '| Task | Hereafter notes | After |',
+      '|------|-----------------|-------|',
+      '| Ship it | Later | 1 |',
+    ].join('\n'));
+    expect(task).toMatchObject({ text: 'Ship it', description: 'Later', dependsOnRefs: ['1'] });
+  });
+
+  it('expands numeric ranges', () => {
+    const [, , , last] = parseTasksFromTable([
+      '| Task | Blocked by |',
+      '|------|------------|',
+      '| One task | |',
+      '| Two task | |',
+      '| Three task | |',
+      '| Final task | 1-3 |',
+    ].join('\n'));
+    expect(last.dependsOnRefs).toEqual(['1', '2', '3']);
+  });
+});
+
+describe('applyPlanDependencies', () => {
+  it('uses explicit depends-on references so independent tasks run in parallel', () => {
+    const { tasks: parsed } = parseTasksFromPlan([
+      '## Plan',
+      '| # | Task | Agent | Depends on |',
+      '|---|------|-------|------------|',
+      '| 1 | Design schema | Blake | |',
+      '| 2 | Build API | Blake | 1 |',
+      '| 3 | Build UI | Félix | 1 |',
+      '| 4 | End-to-end tests | Quinn | 2, 3 |',
+    ].join('\n'));
+    const tasks = createTasks(parsed);
+
+    expect(applyPlanDependencies(parsed, tasks)).toBe('explicit');
+    expect(depsOf(tasks)).toEqual({
+      task_1: [],
+      task_2: ['task_1'],
+      task_3: ['task_1'],
+      task_4: ['task_2', 'task_3'],
+    });
+  });
+
+  it('gives tasks with an empty depends-on cell no dependencies, whatever their phase', () => {
+    const { tasks: parsed } = parseTasksFromPlan([
+      '| # | Task | Agent | Depends on | Phase |',
+      '|---|------|-------|------------|-------|',
+      '| 1 | Design schema | Blake | - | 1 |',
+      '| 2 | Write docs | Quinn | none | 2 |',
+      '| 3 | Build API | Blake | 1 | 2 |',
+    ].join('\n'));
+    const tasks = createTasks(parsed);
+
+    expect(applyPlanDependencies(parsed, tasks)).toBe('explicit');
+    expect(depsOf(tasks)).toEqual({ task_1: [], task_2: [], task_3: ['task_1'] });
+  });
+
+  it('makes each phase depend on all tasks of the previous phase', () => {
+    const { tasks: parsed } = parseTasksFromPlan([
+      '## Plan',
+      '### Phase 1',
+      '- Build API endpoints (Blake)',
+      '- Build UI screens (Félix)',
+      '### Phase 2',
+      '- Test everything (Quinn)',
+    ].join('\n'));
+    const tasks = createTasks(parsed);
+
+    applyPlanDependencies(parsed, tasks);
+    expect(depsOf(tasks)).toEqual({ task_1: [], task_2: [], task_3: ['task_1', 'task_2'] });
+  });
+
+  it('falls back to a sequential chain without dependency information', () => {
+    const { tasks: parsed } = parseTasksFromPlan([
+      '| Task | Agent |',
+      '|------|-------|',
+      '| First thing | Blake |',
+      '| Second thing | Félix |',
+      '| Third thing | Quinn |',
+    ].join('\n'));
+    const tasks = createTasks(parsed);
+
+    expect(applyPlanDependencies(parsed, tasks)).toBe('sequential');
+    expect(depsOf(tasks)).toEqual({ task_1: [], task_2: ['task_1'], task_3: ['task_2'] });
+  });
+
+  it('falls back to a sequential chain when references form a cycle', () => {
+    const parsed = [
+      { text: 'A', dependsOnRefs: ['2'] },
+      { text: 'B', dependsOnRefs: ['1'] },
+    ];
+    const tasks = createTasks(parsed);
+    expect(applyPlanDependencies(parsed, tasks)).toBe('sequential');
+    expect(depsOf(tasks)).toEqual({ task_1: [], task_2: ['task_1'] });
+  });
+
+  it('ignores unknown and self references', () => {
+    const parsed = [
+      { text: 'A', dependsOnRefs: ['1', '9', 'Nope'] },
+      { text: 'B', dependsOnRefs: ['a'] },
+    ];
+    const tasks = createTasks(parsed);
+    applyPlanDependencies(parsed, tasks);
+    expect(depsOf(tasks)).toEqual({ task_1: [], task_2: ['task_1'] });
+  });
+});
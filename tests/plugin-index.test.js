@@ -52,7 +52,8 @@ describe('Plugin index.js', () => {
         'goals.addTask', 'goals.updateTask', 'goals.deleteTask',
         'goals.addFiles', 'goals.removeFile',
         'condos.create', 'condos.list', 'condos.get', 'condos.update', 'condos.delete',
-        'goals.spawnTaskSession',
+        'goals.spawnTaskSession', 'goals.retryTask', 'goals.usage', 'condos.usage',
+        'schedules.list', 'schedules.create', 'schedules.update', 'schedules.delete', 'schedules.runNow',
         'classification.stats', 'classification.learningReport', 'classification.applyLearning',
       ];
       for (const name of coreExpected) {
@@ -311,6 +312,83 @@ describe('Plugin index.js', () => {
       });
       expect(condoAfter.updatedAtMs).toBeGreaterThan(condoBefore.updatedAtMs);
     });
+
+    async function spawnFailingTask(retryPolicy) {
+      api.logger.warn = vi.fn();
+      let goal;
+      api._methods['goals.create']({ params: { title: 'Flaky' }, respond: (ok, p) => { goal = p.goal; } });
+      let task;
+      api._methods['goals.addTask']({ params: { goalId: goal.id, text: 'Flaky task' }, respond: (ok, p) => { task = p.task; } });
+      api._methods['goals.update']({ params: { id: goal.id, retryPolicy }, respond: () => {} });
+      let spawned;
+      await api._methods['goals.spawnTaskSession']({
+        params: { goalId: goal.id, taskId: task.id },
+        respond: (ok, p) => { spawned = p; },
+      });
+      await api._hooks['agent_end']({
+        context: { sessionKey: spawned.sessionKey },
+        success: false,
+        error: 'model overloaded',
+      });
+      let stored;
+      api._methods['goals.get']({ params: { id: goal.id }, respond: (ok, p) => { stored = p.goal.tasks[0]; } });
+      return { goal, spawned, stored };
+    }
+
+    it('retries a failed worker with the policy backoff and records the attempt', async () => {
+      const { goal, spawned, stored } = await spawnFailingTask({ maxAttempts: 2, backoffMs: 0, jitter: 0, fallbackModels: ['m2'] });
+      expect(stored).toMatchObject({ status: 'pending', sessionKey: null, retryCount: 1, lastError: 'model overloaded', model: 'm2' });
+      expect(stored.attempts[0]).toMatchObject({ sessionKey: spawned.sessionKey, outcome: 'failed', error: 'model overloaded' });
+
+      await new Promise(r => setTimeout(r, 20));
+      let respawned;
+      api._methods['goals.get']({ params: { id: goal.id }, respond: (ok, p) => { respawned = p.goal.tasks[0]; } });
+      expect(respawned.status).toBe('in-progress');
+      expect(respawned.attempts).toHaveLength(2);
+      expect(respawned.attempts[1]).toMatchObject({ outcome: 'running', model: 'm2' });
+    });
+
+    it('marks the task failed once attempts are exhausted', async () => {
+      const { stored } = await spawnFailingTask({ maxAttempts: 1 });
+      expect(stored.status).toBe('failed');
+      expect(stored.lastError).toBe('model overloaded');
+      expect(api.logger.error).toHaveBeenCalledWith(expect.stringContaining('FAILED after 1 attempt(s)'));
+    });
+
+    it('books run usage on the task and goal and pauses kickoff over budget', async () => {
+      api.logger.warn = vi.fn();
+      let goal;
+      api._methods['goals.create']({ params: { title: 'Metered' }, respond: (ok, p) => { goal = p.goal; } });
+      let task;
+      api._methods['goals.addTask']({ params: { goalId: goal.id, text: 'First' }, respond: (ok, p) => { task = p.task; } });
+      api._methods['goals.addTask']({ params: { goalId: goal.id, text: 'Second' }, respond: () => {} });
+      api._methods['goals.update']({ params: { id: goal.id, budget: { maxCostUsd: 0.5 } }, respond: () => {} });
+      let spawned;
+      await api._methods['goals.spawnTaskSession']({
+        params: { goalId: goal.id, taskId: task.id },
+        respond: (ok, p) => { spawned = p; },
+      });
+
+      await api._hooks['agent_end']({
+        context: { sessionKey: spawned.sessionKey },
+        success: true,
+        messages: [
+          { role: 'user', content: 'go', timestamp: 1 },
+          { role: 'assistant', content: 'done', timestamp: 2, usage: { input: 1000, output: 200, totalTokens: 1200, cost: { total: 0.75 } } },
+        ],
+      });
+
+      let usage;
+      api._methods['goals.usage']({ params: { goalId: goal.id }, respond: (ok, p) => { usage = p; } });
+      expect(usage.usage).toMatchObject({ totalTokens: 1200, costUsd: 0.75, runs: 1 });
+      expect(usage.tasks[0].usage.costUsd).toBe(0.75);
+      expect(usage.budget.exceeded).toBe(true);
+
+      let kickoff;
+      await api._methods['goals.kickoff']({ params: { goalId: goal.id }, respond: (ok, p) => { kickoff = p; } });
+      expect(kickoff.spawnedSessions).toEqual([]);
+      expect(kickoff.budgetExceeded).toMatchObject({ scope: 'goal', id: goal.id });
+    });
   });
 
   describe('goal_update tool factory', () => {
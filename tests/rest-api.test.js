@@ -0,0 +1,109 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createRestApi, matchRestRoute, bearerToken } from '../lib/rest-api.js';
+
+const data = {
+  condos: [{ id: 'condo_a', name: 'A' }, { id: 'condo_b', name: 'B' }],
+  goals: [
+    { id: 'goal_a', title: 'In A', condoId: 'condo_a', status: 'active' },
+    { id: 'goal_b', title: 'In B', condoId: 'condo_b', status: 'done' },
+  ],
+  sessionIndex: {},
+  sessionCondoIndex: {},
+};
+const loadData = () => data;
+
+const users = {
+  user_admin: { id: 'user_admin', role: 'admin', allCondos: false, condoIds: [] },
+  user_contractor: { id: 'user_contractor', role: 'operator', allCondos: false, condoIds: ['condo_a'] },
+};
+
+// Fake token store: raw token -> record
+const records = {
+  ccp_admin_read: { id: 'token_1', name: 'reader', userId: 'user_admin', scopes: ['goals:read', 'search:read'] },
+  ccp_admin_write: { id: 'token_2', name: 'ci', userId: 'user_admin', scopes: ['goals:read', 'goals:write'] },
+  ccp_contractor: { id: 'token_3', name: 'vendor', userId: 'user_contractor', scopes: ['goals:read', 'goals:write'] },
+  ccp_orphan: { id: 'token_4', name: 'old', userId: 'user_gone', scopes: ['goals:read'] },
+};
+const apiTokens = { authenticate: (token) => records[token] || null };
+
+describe('matchRestRoute and bearerToken', () => {
+  it('matches routes and lists the methods of known paths', () => {
+    const found = matchRestRoute('POST', '/api/v1/goals/goal_a/tasks');
+    expect(found.route.method).toBe('goals.addTask');
+    expect(found.match[1]).toBe('goal_a');
+    expect(matchRestRoute('DELETE', '/api/v1/goals/goal_a')).toEqual({ allowed: ['GET', 'PATCH'] });
+    expect(matchRestRoute('GET', '/api/v1/nothing')).toBeNull();
+  });
+
+  it('reads bearer tokens', () => {
+    expect(bearerToken('Bearer ccp_abc')).toBe('ccp_abc');
+    expect(bearerToken('bearer  ccp_abc')).toBe('ccp_abc');
+    expect(bearerToken('Basic abc')).toBeNull();
+    expect(bearerToken(undefined)).toBeNull();
+  });
+});
+
+describe('createRestApi', () => {
+  let callRpc;
+  let api;
+  const request = (method, pathname, token, extra = {}) => api.handle({
+    method,
+    pathname,
+    searchParams: new URLSearchParams(extra.query || ''),
+    authorization: token ? `Bearer ${token}` : undefined,
+    body: extra.body,
+  });
+
+  beforeEach(() => {
+    callRpc = vi.fn(async (method, params) => {
+      if (method === 'goals.list') return { ok: true, result: { goals: data.goals } };
+      if (method === 'goals.get') {
+        const goal = data.goals.find(g => g.id === params.id);
+        return goal ? { ok: true, result: { goal } } : { ok: false, error: { message: 'Goal not found' } };
+      }
+      if (method === 'goals.addTask') return { ok: true, result: { task: { id: 'task_1', text: params.text } } };
+      return { ok: false, error: { message: 'text is required' } };
+    });
+    api = createRestApi({ apiTokens, resolveUser: (id) => users[id] || null, callRpc, loadData });
+  });
+
+  it('requires a valid token with the route scope', async () => {
+    expect((await request('GET', '/api/v1/goals')).status).toBe(401);
+    expect((await request('GET', '/api/v1/goals', 'ccp_unknown')).status).toBe(401);
+    expect((await request('GET', '/api/v1/goals', 'ccp_orphan')).status).toBe(401);
+    const res = await request('POST', '/api/v1/goals/goal_a/tasks', 'ccp_admin_read', { body: { text: 'x' } });
+    expect(res).toEqual({ status: 403, body: { ok: false, error: 'This token lacks the goals:write scope' } });
+    expect((await request('PUT', '/api/v1/goals', 'ccp_admin_read')).status).toBe(405);
+    expect((await request('GET', '/api/v1/unknown', 'ccp_admin_read')).status).toBe(404);
+    expect(callRpc).not.toHaveBeenCalled();
+  });
+
+  it('calls the RPC method as the token', async () => {
+    const res = await request('POST', '/api/v1/goals/goal_b/tasks', 'ccp_admin_write', { body: { text: 'Ship it', goalId: 'goal_a' } });
+    expect(res).toEqual({ status: 201, body: { ok: true, task: { id: 'task_1', text: 'Ship it' } } });
+    expect(callRpc).toHaveBeenCalledWith('goals.addTask', { text: 'Ship it', goalId: 'goal_b' }, 'api:ci');
+
+    expect((await request('GET', '/api/v1/goals/goal_missing', 'ccp_admin_read')).status).toBe(404);
+    expect((await request('PATCH', '/api/v1/goals/goal_a/tasks/task_1', 'ccp_admin_write', { body: {} })).status).toBe(400);
+  });
+
+  it('filters goals by query and keeps an admin token on every condo', async () => {
+    const all = await request('GET', '/api/v1/goals', 'ccp_admin_read');
+    expect(all.body.goals.map(g => g.id)).toEqual(['goal_a', 'goal_b']);
+    const done = await request('GET', '/api/v1/goals', 'ccp_admin_read', { query: 'status=done' });
+    expect(done.body.goals.map(g => g.id)).toEqual(['goal_b']);
+  });
+
+  it('limits tokens to the creator\'s condos', async () => {
+    const list = await request('GET', '/api/v1/goals', 'ccp_contractor');
+    expect(list.body.goals.map(g => g.id)).toEqual(['goal_a']);
+    const res = await request('GET', '/api/v1/goals/goal_b', 'ccp_contractor');
+    expect(res).toEqual({ status: 403, body: { ok: false, error: 'This condo is not shared with your account' } });
+  });
+
+  it('forwards search to the existing route', async () => {
+    const res = await request('GET', '/api/v1/search', 'ccp_admin_read', { query: 'q=deploy' });
+    expect(res.forward).toBe('/api/search');
+    expect(res.user).toMatchObject({ id: 'user_admin', role: 'viewer', allCondos: true, tokenId: 'token_1' });
+  });
+});
@@ -0,0 +1,257 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { createGoalsStore } from '../clawcondos/condo-management/lib/goals-store.js';
+import { createGoalHandlers } from '../clawcondos/condo-management/lib/goals-handlers.js';
+import { createTaskSpawnHandler } from '../clawcondos/condo-management/lib/task-spawn.js';
+import {
+  DEFAULT_RETRY_POLICY,
+  retryPolicyError,
+  resolveRetryPolicy,
+  computeRetryDelay,
+  planRetry,
+  applyRetry,
+  startAttempt,
+  finishAttempt,
+  describeAgentError,
+  createRetryHandlers,
+  escalateToPm,
+  findDueRetries,
+} from '../clawcondos/condo-management/lib/retry-policy.js';
+
+const TEST_DIR = join(import.meta.dirname, '__fixtures__', 'retry-policy-test');
+
+function makeResponder() {
+  let result = null;
+  const respond = (ok, payload, error) => { result = { ok, payload, error }; };
+  return { respond, getResult: () => result };
+}
+
+async function call(handlers, method, params) {
+  const { respond, getResult } = makeResponder();
+  await handlers[method]({ params, respond });
+  return getResult();
+}
+
+describe('retry policy', () => {
+  describe('retryPolicyError', () => {
+    it('accepts partial policies and null', () => {
+      expect(retryPolicyError(null)).toBeNull();
+      expect(retryPolicyError({ maxAttempts: 3, fallbackAgents: ['backend'] })).toBeNull();
+    });
+
+    it('rejects unknown fields and bad values', () => {
+      expect(retryPolicyError('3')).toBe('retryPolicy must be an object or null');
+      expect(retryPolicyError({ retries: 3 })).toBe('Unknown retryPolicy field: retries');
+      expect(retryPolicyError({ maxAttempts: 0 })).toMatch(/maxAttempts/);
+      expect(retryPolicyError({ jitter: 2 })).toMatch(/between 0 and 1/);
+      expect(retryPolicyError({ fallbackModels: [''] })).toMatch(/fallbackModels/);
+      expect(retryPolicyError({ escalateToPm: 'yes' })).toMatch(/escalateToPm/);
+    });
+  });
+
+  describe('resolveRetryPolicy', () => {
+    it('layers defaults, condo, goal and task', () => {
+      const policy = resolveRetryPolicy({
+        defaults: { backoffMs: 1000 },
+        condo: { retryPolicy: { maxAttempts: 5, escalateToPm: true } },
+        goal: { retryPolicy: { maxAttempts: 4 } },
+        task: { retryPolicy: { fallbackModels: ['opus'] } },
+      });
+      expect(policy).toMatchObject({ backoffMs: 1000, maxAttempts: 4, escalateToPm: true, fallbackModels: ['opus'] });
+      expect(policy.backoffFactor).toBe(DEFAULT_RETRY_POLICY.backoffFactor);
+    });
+
+    it('honours the legacy goal.maxRetries', () => {
+      expect(resolveRetryPolicy({ goal: { maxRetries: 3 } }).maxAttempts).toBe(4);
+    });
+
+    it('skips invalid layers', () => {
+      expect(resolveRetryPolicy({ goal: { retryPolicy: { maxAttempts: -1 } } }).maxAttempts).toBe(2);
+    });
+  });
+
+  describe('computeRetryDelay', () => {
+    const policy = { ...DEFAULT_RETRY_POLICY, backoffMs: 1000, backoffFactor: 2, maxBackoffMs: 5000, jitter: 0 };
+
+    it('backs off exponentially up to the cap', () => {
+      expect([1, 2, 3, 4].map(n => computeRetryDelay(policy, n))).toEqual([1000, 2000, 4000, 5000]);
+    });
+
+    it('applies jitter around the base delay', () => {
+      const jittered = { ...policy, jitter: 0.5 };
+      expect(computeRetryDelay(jittered, 1, () => 0)).toBe(500);
+      expect(computeRetryDelay(jittered, 1, () => 1)).toBe(1500);
+    });
+  });
+
+  describe('planRetry / applyRetry', () => {
+    it('retries with the next fallback agent and model until attempts run out', () => {
+      const policy = { ...DEFAULT_RETRY_POLICY, maxAttempts: 3, jitter: 0, fallbackAgents: ['backend'], fallbackModels: ['m2', 'm3'] };
+      const task = { id: 't', assignedAgent: 'frontend', model: 'm1', retryCount: 0 };
+
+      const first = planRetry(task, policy);
+      expect(first).toMatchObject({ action: 'retry', retry: 1, delayMs: 2000, agent: 'backend', model: 'm2' });
+      applyRetry(task, first, 'boom', 1000);
+      expect(task).toMatchObject({
+        status: 'pending', sessionKey: null, retryCount: 1, lastError: 'boom',
+        assignedAgent: 'backend', model: 'm2', nextRetryAtMs: 3000,
+      });
+
+      const second = planRetry(task, policy);
+      expect(second).toMatchObject({ action: 'retry', retry: 2, agent: null, model: 'm3' });
+      applyRetry(task, second, 'boom again');
+      expect(task.assignedAgent).toBe('backend');
+
+      expect(planRetry(task, policy)).toEqual({ action: 'fail', escalate: false });
+    });
+  });
+
+  describe('findDueRetries', () => {
+    it('lists unspawned retries whose backoff has passed', () => {
+      const data = {
+        goals: [
+          {
+            id: 'g1', status: 'active',
+            tasks: [
+              { id: 'due', status: 'pending', sessionKey: null, nextRetryAtMs: 900 },
+              { id: 'almost', status: 'pending', sessionKey: null, nextRetryAtMs: 1500 },
+              { id: 'waiting', status: 'pending', sessionKey: null, nextRetryAtMs: 5000 },
+              { id: 'respawned', status: 'in-progress', sessionKey: 's', nextRetryAtMs: 900 },
+              { id: 'fresh', status: 'pending', sessionKey: null },
+            ],
+          },
+          { id: 'g2', status: 'done', tasks: [{ id: 'old', status: 'pending', nextRetryAtMs: 900 }] },
+        ],
+      };
+      expect(findDueRetries(data, 1000)).toEqual([
+        { goalId: 'g1', taskId: 'due', nextRetryAtMs: 900 },
+        { goalId: 'g1', taskId: 'almost', nextRetryAtMs: 1500 },
+      ]);
+    });
+  });
+
+  describe('attempt history', () => {
+    it('records start and end of each attempt', () => {
+      const task = {};
+      startAttempt(task, { sessionKey: 's1', agentId: 'main', model: 'm1' }, 100);
+      finishAttempt(task, 's1', { outcome: 'failed', error: 'crash' }, 200);
+      startAttempt(task, { sessionKey: 's2', agentId: 'main' }, 300);
+      finishAttempt(task, 's2', { outcome: 'done' }, 400);
+
+      expect(task.attempts).toEqual([
+        { attempt: 1, sessionKey: 's1', agentId: 'main', model: 'm1', startedAtMs: 100, endedAtMs: 200, outcome: 'failed', error: 'crash' },
+        { attempt: 2, sessionKey: 's2', agentId: 'main', model: null, startedAtMs: 300, endedAtMs: 400, outcome: 'done', error: null },
+      ]);
+    });
+
+    it('does not overwrite a finished attempt and backfills untracked sessions', () => {
+      const task = {};
+      finishAttempt(task, 'legacy', { outcome: 'failed', error: 'x' });
+      finishAttempt(task, 'legacy', { outcome: 'cancelled' });
+      expect(task.attempts).toHaveLength(1);
+      expect(task.attempts[0]).toMatchObject({ attempt: 1, outcome: 'failed', startedAtMs: null });
+    });
+
+    it('extracts error text from agent_end events', () => {
+      expect(describeAgentError({ error: 'rate limited' })).toBe('rate limited');
+      expect(describeAgentError({ error: { message: 'timeout' } })).toBe('timeout');
+      expect(describeAgentError({ success: false })).toBe('Agent failed while working on task');
+    });
+  });
+
+  describe('with a store', () => {
+    let store, goalHandlers;
+
+    beforeEach(() => {
+      rmSync(TEST_DIR, { recursive: true, force: true });
+      mkdirSync(TEST_DIR, { recursive: true });
+      store = createGoalsStore(TEST_DIR);
+      goalHandlers = createGoalHandlers(store);
+    });
+
+    afterEach(() => {
+      rmSync(TEST_DIR, { recursive: true, force: true });
+    });
+
+    async function seedTask(patch = {}) {
+      const goal = (await call(goalHandlers, 'goals.create', { title: 'G' })).payload.goal;
+      const task = (await call(goalHandlers, 'goals.addTask', { goalId: goal.id, text: 'Build it' })).payload.task;
+      const data = store.load();
+      Object.assign(data.goals[0].tasks[0], patch);
+      store.save(data);
+      return { goal, task };
+    }
+
+    it('spawning a task session starts an attempt', async () => {
+      const { goal, task } = await seedTask();
+      await call({ spawn: createTaskSpawnHandler(store) }, 'spawn', { goalId: goal.id, taskId: task.id, agentId: 'main' });
+      const stored = store.load().goals[0].tasks[0];
+      expect(stored.attempts).toHaveLength(1);
+      expect(stored.attempts[0]).toMatchObject({ attempt: 1, sessionKey: stored.sessionKey, agentId: 'main', outcome: 'running' });
+    });
+
+    it('validates retryPolicy on goals.update and goals.updateTask', async () => {
+      const { goal, task } = await seedTask();
+      const ok = await call(goalHandlers, 'goals.update', { id: goal.id, retryPolicy: { maxAttempts: 3 } });
+      expect(ok.payload.goal.retryPolicy).toEqual({ maxAttempts: 3 });
+
+      const bad = await call(goalHandlers, 'goals.updateTask', { goalId: goal.id, taskId: task.id, retryPolicy: { maxAttempts: 'x' } });
+      expect(bad.ok).toBe(false);
+      expect(bad.error.message).toMatch(/maxAttempts/);
+    });
+
+    describe('goals.retryTask', () => {
+      it('resets a failed task and runs kickoff', async () => {
+        const { goal, task } = await seedTask({ status: 'failed', sessionKey: 'agent:main:w1', retryCount: 2, lastError: 'crash' });
+        const onRetry = vi.fn().mockResolvedValue({ spawnedSessions: [{ taskId: task.id }] });
+        const handlers = createRetryHandlers(store, { onRetry });
+
+        const r = await call(handlers, 'goals.retryTask', { goalId: goal.id, taskId: task.id, model: 'opus' });
+        expect(r.ok).toBe(true);
+        expect(r.payload.task).toMatchObject({ status: 'pending', sessionKey: null, retryCount: 0, model: 'opus', lastError: 'crash' });
+        expect(r.payload.kickoff.spawnedSessions).toHaveLength(1);
+        expect(onRetry).toHaveBeenCalledWith(goal.id);
+      });
+
+      it('aborts a running session and records it as cancelled', async () => {
+        const { goal, task } = await seedTask({ status: 'in-progress' });
+        const data = store.load();
+        startAttempt(data.goals[0].tasks[0], { sessionKey: 'agent:main:w1' });
+        data.goals[0].tasks[0].sessionKey = 'agent:main:w1';
+        store.save(data);
+        const rpcCall = vi.fn().mockResolvedValue({});
+
+        await call(createRetryHandlers(store, { rpcCall }), 'goals.retryTask', { goalId: goal.id, taskId: task.id });
+        expect(rpcCall).toHaveBeenCalledWith('chat.abort', { sessionKey: 'agent:main:w1' });
+        expect(store.load().goals[0].tasks[0].attempts[0].outcome).toBe('cancelled');
+      });
+
+      it('rejects done and never-started tasks', async () => {
+        const { goal, task } = await seedTask();
+        const handlers = createRetryHandlers(store);
+        expect((await call(handlers, 'goals.retryTask', { goalId: goal.id, taskId: task.id })).error.message)
+          .toBe('Task has not been started');
+        await call(goalHandlers, 'goals.updateTask', { goalId: goal.id, taskId: task.id, status: 'done' });
+        expect((await call(handlers, 'goals.retryTask', { goalId: goal.id, taskId: task.id })).error.message)
+          .toBe('Task is already done');
+        expect((await call(handlers, 'goals.retryTask', { goalId: goal.id })).error.message)
+          .toBe('goalId and taskId are required');
+      });
+    });
+
+    it('escalates a failed task to the goal PM and records a notification', async () => {
+      const { task } = await seedTask({ status: 'failed', lastError: 'crash' });
+      const data = store.load();
+      data.goals[0].pmSessionKey = 'agent:pm:goal';
+      store.save(data);
+      const goal = store.load().goals[0];
+      const sendMessage = vi.fn().mockResolvedValue();
+
+      const notified = await escalateToPm(store, goal, goal.tasks[0], { sendMessage });
+      expect(notified).toBe('agent:pm:goal');
+      expect(sendMessage.mock.calls[0][1]).toContain('Last error: crash');
+      expect(store.load().notifications[0]).toMatchObject({ type: 'task_failed', taskId: task.id });
+    });
+  });
+});
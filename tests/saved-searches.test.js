@@ -0,0 +1,138 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createSavedSearches, savedQueryError } from '../lib/saved-searches.js';
+import { createChatIndex } from '../lib/chat-index.js';
+import { existsSync, rmSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import crypto from 'crypto';
+
+const TEST_DIR = join(tmpdir(), 'clawcondos-test-saved-' + crypto.randomBytes(4).toString('hex'));
+const FILE_PATH = join(TEST_DIR, 'saved-searches.json');
+
+const nullProvider = {
+  embed: async () => null,
+  getDimensions: () => 1536,
+  getProviderName: () => 'none',
+  isAvailable: () => false,
+};
+
+const silentLogger = { log: vi.fn(), error: vi.fn(), warn: vi.fn() };
+
+describe('savedQueryError', () => {
+  it('requires free text and a valid query', () => {
+    expect(savedQueryError('deploy failed')).toBeNull();
+    expect(savedQueryError('"rate limit" agent:main')).toBeNull();
+    expect(savedQueryError('')).toBe('query is required');
+    expect(savedQueryError('agent:main role:user')).toMatch(/words/);
+    expect(savedQueryError('deploy after:someday')).toMatch(/Invalid date/);
+  });
+});
+
+describe('createSavedSearches', () => {
+  let chatIndex;
+  let saved;
+  let onMatches;
+
+  beforeEach(() => {
+    if (existsSync(TEST_DIR)) rmSync(TEST_DIR, { recursive: true });
+    chatIndex = createChatIndex({ dbPath: join(TEST_DIR, 'chat-index.db'), embeddingProvider: nullProvider, logger: silentLogger });
+    chatIndex.init();
+    onMatches = vi.fn();
+    saved = createSavedSearches({
+      filePath: FILE_PATH,
+      chatIndex,
+      sessionContext: (keys) => new Map(keys.filter(k => k.includes(':webchat:')).map(k => [k, { condoId: 'condo_ops', condoName: 'Ops', status: 'active' }])),
+      onMatches,
+      logger: silentLogger,
+    });
+  });
+
+  afterEach(() => {
+    chatIndex.close();
+    if (existsSync(TEST_DIR)) rmSync(TEST_DIR, { recursive: true });
+  });
+
+  it('persists searches and supports update, seen and delete', () => {
+    const { search } = saved.create({ query: 'deploy failed' });
+    expect(search).toMatchObject({ name: 'deploy failed', notify: true, newMatches: 0 });
+    expect(JSON.parse(readFileSync(FILE_PATH, 'utf-8')).searches).toHaveLength(1);
+
+    expect(saved.update(search.id, { name: 'Deploys', notify: false }).search).toMatchObject({ name: 'Deploys', notify: false });
+    expect(saved.update(search.id, { query: 'role:user' }).error).toMatch(/words/);
+    expect(saved.update('search_missing', { name: 'x' }).error).toBe('Saved search not found');
+    expect(saved.create({ query: '' }).error).toBe('query is required');
+
+    expect(saved.markSeen(search.id).newMatches).toBe(0);
+    expect(saved.remove(search.id)).toBe(true);
+    expect(saved.remove(search.id)).toBe(false);
+    expect(saved.list()).toEqual([]);
+  });
+
+  it('reports only chunks indexed after the search was saved, once', async () => {
+    await chatIndex.indexHistory('agent:main:main', [{ role: 'user', content: 'deploy failed yesterday', timestamp: 1 }]);
+    const { search } = saved.create({ name: 'Deploys', query: 'deploy failed' });
+    expect(saved.evaluate()).toEqual([]);
+
+    await chatIndex.indexHistory('agent:main:main', [
+      { role: 'user', content: 'deploy failed yesterday', timestamp: 1 },
+      { role: 'assistant', content: 'The deploy failed on a missing secret', timestamp: 2 },
+    ]);
+    const found = saved.evaluate();
+    expect(found).toHaveLength(1);
+    expect(found[0].matches[0]).toMatchObject({ sessionKey: 'agent:main:main', role: 'assistant' });
+    expect(onMatches).toHaveBeenCalledWith(expect.objectContaining({ id: search.id, newMatches: 1 }), found[0].matches);
+
+    expect(saved.evaluate()).toEqual([]);
+    const [stored] = saved.list();
+    expect(stored.newMatches).toBe(1);
+    expect(stored.recentMatches).toHaveLength(1);
+    expect(saved.markSeen(search.id).newMatches).toBe(0);
+  });
+
+  it('applies condo and status filters through the session context', async () => {
+    saved.create({ query: 'rate limit condo:ops' });
+    await chatIndex.indexHistory('agent:main:main', [{ role: 'assistant', content: 'hit the rate limit', timestamp: 1 }]);
+    await chatIndex.indexHistory('agent:main:webchat:task-1', [{ role: 'assistant', content: 'rate limit again', timestamp: 2 }]);
+
+    const found = saved.evaluate();
+    expect(found).toHaveLength(1);
+    expect(found[0].matches.map(m => m.sessionKey)).toEqual(['agent:main:webchat:task-1']);
+  });
+
+  it('continues after the last reported chunk when a run fills its page', () => {
+    // 120 new matching chunks, more than one run reports
+    const index = {
+      latestChunkId: () => 120,
+      findNewChunks: vi.fn((query, { afterId, upToId, limit }) => {
+        const hits = [];
+        for (let id = afterId + 1; id <= upToId && hits.length < limit; id++) {
+          hits.push({ chunkId: id, sessionKey: 'agent:main:main', role: 'user', ts: id, snippet: 'outage' });
+        }
+        return hits;
+      }),
+    };
+    const paged = createSavedSearches({ filePath: FILE_PATH, chatIndex: index, logger: silentLogger });
+    const { search } = paged.create({ query: 'outage' });
+    // Rewind as if the chunks arrived after the search was saved
+    const file = JSON.parse(readFileSync(FILE_PATH, 'utf-8'));
+    file.searches[0].cursorChunkId = 0;
+    writeFileSync(FILE_PATH, JSON.stringify(file));
+
+    const reported = [];
+    for (let run = 0; run < 4; run++) {
+      for (const { matches } of paged.evaluate()) reported.push(...matches.map(m => m.chunkId));
+    }
+    expect(reported).toEqual(Array.from({ length: 120 }, (_, i) => i + 1));
+    expect(paged.list().find(s => s.id === search.id).newMatches).toBe(120);
+  });
+
+  it('keeps going when an alert fails', async () => {
+    onMatches.mockImplementation(() => { throw new Error('socket closed'); });
+    saved.create({ query: 'outage' });
+    saved.create({ query: 'incident' });
+    await chatIndex.indexHistory('agent:main:main', [{ role: 'user', content: 'outage incident report', timestamp: 1 }]);
+
+    expect(saved.evaluate()).toHaveLength(2);
+    expect(onMatches).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { parseSearchQuery, parseDateValue, hasCriteria, suggestSearchCompletions } from '../lib/search-query.js';
+
+const NOW = Date.parse('2026-10-01T00:00:00Z');
+
+describe('parseSearchQuery', () => {
+  it('splits filters, phrases, exclusions and free text', () => {
+    const p = parseSearchQuery('condo:investor-crm status:Active agent:blake after:2026-09-01 role:assistant "Exact Phrase" -excluded deploy', { now: NOW });
+    expect(p.filters).toEqual({
+      condo: ['investor-crm'], status: ['active'], agent: ['blake'], role: ['assistant'],
+      after: Date.parse('2026-09-01'), before: null,
+    });
+    expect(p.terms).toEqual(['deploy']);
+    expect(p.phrases).toEqual(['exact phrase']);
+    expect(p.excluded).toEqual(['excluded']);
+    expect(p.text).toBe('deploy exact phrase');
+    expect(p.tokens.map(t => t.type)).toEqual(['filter', 'filter', 'filter', 'filter', 'filter', 'phrase', 'excluded', 'term']);
+    expect(p.errors).toEqual([]);
+  });
+
+  it('accepts quoted filter values and ORs repeated list filters', () => {
+    const p = parseSearchQuery('condo:"Investor CRM" agent:blake agent:main agent:blake');
+    expect(p.filters.condo).toEqual(['investor crm']);
+    expect(p.filters.agent).toEqual(['blake', 'main']);
+    expect(p.tokens[0].raw).toBe('condo:"Investor CRM"');
+  });
+
+  it('keeps unknown keys and negated filters as text', () => {
+    const p = parseSearchQuery('https://example.com cron:daily -status:done');
+    expect(p.terms).toEqual(['https://example.com', 'cron:daily']);
+    expect(p.excluded).toEqual(['status:done']);
+    expect(p.filters.status).toEqual([]);
+  });
+
+  it('reports invalid dates and ignores empty filters while typing', () => {
+    const p = parseSearchQuery('before:soon condo:');
+    expect(p.errors).toEqual(['Invalid date for before: soon']);
+    expect(p.tokens[0].error).toBe('Invalid date for before: soon');
+    expect(p.filters.before).toBeNull();
+    expect(hasCriteria(p)).toBe(false);
+    expect(hasCriteria(parseSearchQuery('status:done'))).toBe(true);
+  });
+
+  it('parses relative and absolute dates', () => {
+    expect(parseDateValue('7d', NOW)).toBe(NOW - 7 * 24 * 60 * 60 * 1000);
+    expect(parseDateValue('12h', NOW)).toBe(NOW - 12 * 60 * 60 * 1000);
+    expect(parseDateValue('2026-09-01T12:00:00Z')).toBe(Date.parse('2026-09-01T12:00:00Z'));
+    expect(parseDateValue('September')).toBeNull();
+  });
+});
+
+describe('suggestSearchCompletions', () => {
+  it('suggests filter keys for a bare prefix', () => {
+    const r = suggestSearchCompletions('deploy st');
+    expect(r.start).toBe(7);
+    expect(r.suggestions.map(s => s.insert)).toEqual(['status:']);
+    expect(suggestSearchCompletions('deploy -st').suggestions).toEqual([]);
+  });
+
+  it('suggests known and supplied values for a key', () => {
+    expect(suggestSearchCompletions('role:a').suggestions.map(s => s.insert)).toEqual(['role:assistant ']);
+    const condos = suggestSearchCompletions('condo:inv', undefined, { condo: ['Investor CRM', 'Ops'] });
+    expect(condos.suggestions).toEqual([{ label: 'condo:Investor CRM', insert: 'condo:"Investor CRM" ' }]);
+  });
+
+  it('completes the word under the cursor', () => {
+    const r = suggestSearchCompletions('ag deploy', 2);
+    expect(r).toMatchObject({ start: 0, end: 2 });
+    expect(r.suggestions[0].insert).toBe('agent:');
+  });
+});
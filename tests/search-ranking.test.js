@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import {
+  RRF_K,
+  fuseRankings,
+  matchOffsets,
+  fieldMatches,
+  facetCounts,
+  queryFingerprint,
+  encodeCursor,
+  decodeCursor,
+} from '../lib/search-ranking.js';
+import { parseSearchQuery } from '../lib/search-query.js';
+
+const hit = (id, type = 'session', data = {}) => ({ id, type, data: { id, ...data } });
+
+describe('fuseRankings', () => {
+  it('sums reciprocal ranks across sources', () => {
+    const fused = fuseRankings([
+      { source: 'fts', items: [hit('a'), hit('b'), hit('c')] },
+      { source: 'vector', items: [hit('c'), hit('a')] },
+    ]);
+    expect(fused.map(r => r.id)).toEqual(['a', 'c', 'b']);
+    expect(fused[0].ranks).toEqual({ fts: 1, vector: 2 });
+    expect(fused[0].score).toBeCloseTo(1 / (RRF_K + 1) + 1 / (RRF_K + 2));
+    expect(fused[2].ranks).toEqual({ fts: 2 });
+  });
+
+  it('ranks disjoint lists under one source and fills missing fields', () => {
+    const fused = fuseRankings([
+      { source: 'metadata', items: [hit('goal:1', 'goal')] },
+      { source: 'metadata', items: [hit('session:x', 'session', { displayName: 'X' })] },
+      { source: 'fts', items: [hit('session:x', 'session', { displayName: 'ignored', snippet: 'hello' })] },
+    ]);
+    expect(fused[0]).toMatchObject({ id: 'session:x', ranks: { metadata: 1, fts: 1 } });
+    expect(fused[0].data).toMatchObject({ displayName: 'X', snippet: 'hello' });
+    expect(fused[1]).toMatchObject({ id: 'goal:1', type: 'goal', ranks: { metadata: 1 } });
+  });
+
+  it('keeps the best rank when a source repeats an item', () => {
+    const fused = fuseRankings([{ source: 'memory', items: [hit('f'), hit('f'), hit('g')] }]);
+    expect(fused.find(r => r.id === 'g').ranks.memory).toBe(2);
+  });
+});
+
+describe('match offsets', () => {
+  it('finds and merges word and phrase spans', () => {
+    const parsed = parseSearchQuery('deploy "the canary"');
+    expect(matchOffsets('Deploy the canary, then deploy again', parsed)).toEqual([[0, 6], [7, 17], [24, 30]]);
+    expect(matchOffsets('', parsed)).toEqual([]);
+    expect(matchOffsets('redeployment', parseSearchQuery('deploy deployment'))).toEqual([[2, 12]]);
+  });
+
+  it('reports only fields with hits', () => {
+    const parsed = parseSearchQuery('crm');
+    expect(fieldMatches({ title: 'Investor CRM', description: 'Pipeline' }, ['title', 'description'], parsed))
+      .toEqual({ title: [[9, 12]] });
+  });
+});
+
+describe('facets and cursors', () => {
+  it('counts results per type and source', () => {
+    const fused = fuseRankings([
+      { source: 'metadata', items: [hit('goal:1', 'goal'), hit('session:a')] },
+      { source: 'fts', items: [hit('session:a')] },
+      { source: 'memory', items: [hit('file:x', 'file')] },
+    ]);
+    expect(facetCounts(fused)).toEqual({
+      type: { goal: 1, session: 1, file: 1 },
+      source: { metadata: 2, fts: 1, memory: 1 },
+    });
+  });
+
+  it('round-trips cursors only for the same query', () => {
+    const fp = queryFingerprint('deploy', 'deep');
+    const cursor = encodeCursor(50, fp);
+    expect(decodeCursor(cursor, fp)).toBe(50);
+    expect(decodeCursor(cursor, queryFingerprint('deploy', 'fast'))).toBeNull();
+    expect(decodeCursor('not-a-cursor', fp)).toBeNull();
+    expect(decodeCursor(encodeCursor(-1, fp), fp)).toBeNull();
+  });
+});
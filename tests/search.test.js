@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
-import { filterGoals, filterSessions } from '../lib/search.js';
+import { filterGoals, filterSessions, matchesQuery, agentFromSessionKey } from '../lib/search.js';
+import { parseSearchQuery } from '../lib/search-query.js';
 
 describe('filterGoals', () => {
   const goals = [
@@ -92,3 +93,61 @@ describe('filterSessions', () => {
     expect(filterSessions(null, 'test')).toHaveLength(0);
   });
 });
+
+describe('query filters', () => {
+  const goals = [
+    { id: '1', title: 'Investor update', condoId: 'c1', condoName: 'Investor CRM', status: 'active', updatedAtMs: Date.parse('2026-09-10'), tasks: [{ text: 'Draft deck', assignedAgent: 'blake' }] },
+    { id: '2', title: 'Investor dinner', condoId: 'c2', condoName: 'Events', status: 'done', updatedAtMs: Date.parse('2026-08-01'), sessions: ['agent:main:main'] },
+    { id: '3', title: 'Quarterly numbers', condoId: 'c1', condoName: 'Investor CRM', completed: true, tasks: [] },
+  ];
+  const ids = (query) => filterGoals(goals, query).map(g => g.id);
+
+  it('requires every word and phrase and drops excluded words', () => {
+    expect(ids('investor deck')).toEqual(['1']);
+    expect(ids('"investor dinner"')).toEqual(['2']);
+    expect(ids('investor -dinner')).toEqual(['1']);
+  });
+
+  it('filters goals by condo name or id, status, agent and date', () => {
+    expect(ids('condo:investor-crm')).toEqual(['1', '3']);
+    expect(ids('condo:c2')).toEqual(['2']);
+    expect(ids('condo:investor-crm status:done')).toEqual(['3']);
+    expect(ids('agent:blake')).toEqual(['1']);
+    expect(ids('agent:main investor')).toEqual(['2']);
+    expect(ids('after:2026-09-01')).toEqual(['1']);
+    expect(ids('before:2026-09-01 investor')).toEqual(['2']);
+  });
+
+  it('ranks title matches first, then the most recent', () => {
+    const ranked = filterGoals([
+      { id: 'old', title: 'Misc', notes: 'investor follow-up', updatedAtMs: 1 },
+      { id: 'new', title: 'Misc', notes: 'investor intro', updatedAtMs: 2 },
+      { id: 'title', title: 'Investor list', updatedAtMs: 0 },
+    ], 'investor');
+    expect(ranked.map(g => g.id)).toEqual(['title', 'new', 'old']);
+  });
+
+  it('excludes goals and sessions under a role filter', () => {
+    expect(ids('investor role:assistant')).toEqual([]);
+    expect(filterSessions([{ key: 'agent:main:main', displayName: 'Main' }], 'main role:user')).toEqual([]);
+  });
+
+  it('filters sessions through their goal and key', () => {
+    const sessions = [
+      { key: 'agent:blake:main', displayName: 'Blake', condoId: 'c1', condoName: 'Investor CRM', goalStatus: 'active', updatedAt: Date.parse('2026-09-15') },
+      { key: 'agent:main:main', displayName: 'Main', updatedAt: Date.parse('2026-07-01') },
+    ];
+    expect(filterSessions(sessions, 'condo:"Investor CRM"').map(s => s.key)).toEqual(['agent:blake:main']);
+    expect(filterSessions(sessions, 'agent:main').map(s => s.key)).toEqual(['agent:main:main']);
+    expect(filterSessions(sessions, 'status:active').map(s => s.key)).toEqual(['agent:blake:main']);
+    expect(filterSessions(sessions, 'after:30d').map(s => s.key)).toHaveLength(0);
+  });
+
+  it('skips text checks when the fields carry no text', () => {
+    const parsed = parseSearchQuery('deploy role:assistant agent:blake');
+    expect(matchesQuery({ agents: ['blake'], message: true }, parsed)).toBe(true);
+    expect(matchesQuery({ agents: ['blake'] }, parsed)).toBe(false);
+    expect(agentFromSessionKey('agent:blake:subagent:1')).toBe('blake');
+    expect(agentFromSessionKey('cron:daily')).toBeNull();
+  });
+});
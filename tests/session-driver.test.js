@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { createGoalsStore } from '../clawcondos/condo-management/lib/goals-store.js';
+import { createSessionDriver } from '../lib/session-driver.js';
+
+const TEST_DIR = join(import.meta.dirname, '__fixtures__', 'session-driver-test');
+const SESSION = 'agent:main:webchat:task-abc';
+
+const silentLogger = { log: vi.fn(), error: vi.fn(), warn: vi.fn() };
+
+describe('createSessionDriver', () => {
+  let store, rpcCall, driver;
+
+  beforeEach(() => {
+    rmSync(TEST_DIR, { recursive: true, force: true });
+    mkdirSync(TEST_DIR, { recursive: true });
+    store = createGoalsStore(TEST_DIR);
+    const data = store.load();
+    data.goals.push({
+      id: 'goal_1', title: 'Ship', status: 'active', sessions: [SESSION],
+      tasks: [{ id: 'task_1', text: 'Build it', status: 'in-progress', sessionKey: SESSION }],
+    });
+    data.sessionIndex[SESSION] = { goalId: 'goal_1' };
+    store.save(data);
+    rpcCall = vi.fn(async () => ({ ok: true }));
+    driver = createSessionDriver({ store, rpcCall, logger: silentLogger, retryDelayMs: 10 });
+  });
+
+  afterEach(() => {
+    driver.stop();
+    rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  const spawned = { taskId: 'task_1', sessionKey: SESSION, taskContext: 'Do the task' };
+  const delivery = () => store.load().goals[0].tasks[0].kickoffDelivery;
+
+  it('sends the task context once and records delivery on the task', async () => {
+    expect(await driver.start([spawned], { via: 'dashboard' })).toEqual([{ sessionKey: SESSION, result: 'sent' }]);
+    expect(rpcCall).toHaveBeenCalledWith('chat.send', { sessionKey: SESSION, message: 'Do the task', idempotencyKey: `kickoff-${SESSION}` });
+    expect(delivery()).toMatchObject({ sessionKey: SESSION, status: 'sent', via: 'dashboard', attempts: 1, error: null });
+
+    // The same session reported again by the kickoff event is not resent
+    await driver.handleKickoffEvent({ event: 'goal.kickoff', goalId: 'goal_1', spawnedSessions: [spawned] });
+    expect(rpcCall).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not double-send when two paths report a session concurrently', async () => {
+    let release;
+    rpcCall.mockImplementationOnce(() => new Promise(r => { release = r; }));
+    const first = driver.start([spawned]);
+    const second = await driver.start([spawned]);
+    expect(second).toEqual([{ sessionKey: SESSION, result: 'in-flight' }]);
+    release({});
+    await first;
+    expect(rpcCall).toHaveBeenCalledTimes(1);
+  });
+
+  it('records failures and retries with backoff', async () => {
+    rpcCall.mockRejectedValueOnce(new Error('Gateway unavailable'));
+    expect((await driver.start([spawned]))[0].result).toBe('failed');
+    expect(delivery()).toMatchObject({ status: 'failed', attempts: 1, error: 'Gateway unavailable' });
+
+    await new Promise(r => setTimeout(r, 40));
+    expect(rpcCall).toHaveBeenCalledTimes(2);
+    expect(delivery()).toMatchObject({ status: 'sent', via: 'retry', attempts: 2 });
+  });
+
+  it('gives up after maxAttempts', async () => {
+    driver = createSessionDriver({ store, rpcCall, logger: silentLogger, maxAttempts: 1, retryDelayMs: 5 });
+    rpcCall.mockRejectedValue(new Error('down'));
+    await driver.start([spawned]);
+    await new Promise(r => setTimeout(r, 30));
+    expect(rpcCall).toHaveBeenCalledTimes(1);
+    expect(delivery()).toMatchObject({ status: 'failed', attempts: 1 });
+  });
+
+  it('records plugin-started sessions and skips stale ones', async () => {
+    await driver.handleKickoffEvent({ event: 'goal.kickoff', spawnedSessions: [{ ...spawned, headlessStarted: true }] });
+    expect(rpcCall).not.toHaveBeenCalled();
+    expect(delivery()).toMatchObject({ status: 'sent', via: 'plugin' });
+
+    const stale = { taskId: 'task_1', sessionKey: 'agent:main:webchat:task-old', taskContext: 'Old' };
+    expect(await driver.start([stale])).toEqual([{ sessionKey: stale.sessionKey, result: 'stale' }]);
+    expect(await driver.handleKickoffEvent({ event: 'goal.completed', goalId: 'goal_1' })).toEqual([]);
+    expect(rpcCall).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseEstimateMinutes,
+  findDependencyCycle,
+  validateTaskDependencies,
+  dependencyError,
+  buildDependencyGraph,
+  isValidConcurrencyCap,
+  resolveConcurrencyCap,
+  resolveMaxConcurrentTasks,
+  selectRunnableTasks,
+  INVALID_DEPENDENCIES,
+} from '../clawcondos/condo-management/lib/task-graph.js';
+
+const task = (id, dependsOn = [], extra = {}) => ({ id, text: id, status: 'pending', dependsOn, ...extra });
+
+describe('parseEstimateMinutes', () => {
+  it('parses common units', () => {
+    expect(parseEstimateMinutes('30m')).toBe(30);
+    expect(parseEstimateMinutes('45 min')).toBe(45);
+    expect(parseEstimateMinutes('2h')).toBe(120);
+    expect(parseEstimateMinutes('1.5 hours')).toBe(90);
+    expect(parseEstimateMinutes('1 day')).toBe(480);
+  });
+
+  it('uses the upper bound of ranges', () => {
+    expect(parseEstimateMinutes('2-3h')).toBe(180);
+  });
+
+  it('returns null for unparseable input', () => {
+    expect(parseEstimateMinutes('soon')).toBeNull();
+    expect(parseEstimateMinutes(null)).toBeNull();
+  });
+});
+
+describe('findDependencyCycle', () => {
+  it('returns null for a DAG', () => {
+    expect(findDependencyCycle([task('a'), task('b', ['a']), task('c', ['a', 'b'])])).toBeNull();
+  });
+
+  it('returns the cycle path', () => {
+    const cycle = findDependencyCycle([task('a', ['c']), task('b', ['a']), task('c', ['b'])]);
+    expect(cycle[0]).toBe(cycle[cycle.length - 1]);
+    expect(new Set(cycle)).toEqual(new Set(['a', 'b', 'c']));
+  });
+});
+
+describe('validateTaskDependencies', () => {
+  it('accepts valid dependencies', () => {
+    expect(validateTaskDependencies([task('a'), task('b', ['a'])])).toEqual([]);
+  });
+
+  it('reports missing, self and non-array dependencies', () => {
+    const errors = validateTaskDependencies([
+      task('a', ['nope']),
+      task('b', ['b']),
+      { id: 'c', dependsOn: 'a' },
+    ]);
+    expect(errors).toEqual([
+      { type: 'missing', taskId: 'a', dependsOn: 'nope' },
+      { type: 'self', taskId: 'b', dependsOn: 'b' },
+      { type: 'invalid', taskId: 'c' },
+    ]);
+  });
+
+  it('reports cycles', () => {
+    const errors = validateTaskDependencies([task('a', ['b']), task('b', ['a'])]);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].type).toBe('cycle');
+  });
+});
+
+describe('dependencyError', () => {
+  it('returns an INVALID_DEPENDENCIES payload', () => {
+    const err = dependencyError([task('a', ['b']), task('b', ['a'])]);
+    expect(err.code).toBe(INVALID_DEPENDENCIES);
+    expect(err.message).toMatch(/^Dependency cycle: /);
+  });
+
+  it('ignores problems outside the given task ids', () => {
+    const tasks = [task('a', ['gone']), task('b'), task('c', ['b'])];
+    expect(dependencyError(tasks, ['c'])).toBeNull();
+    expect(dependencyError(tasks, ['a']).message).toBe('Task a depends on unknown task gone');
+  });
+});
+
+describe('buildDependencyGraph', () => {
+  it('returns nodes, edges and blocked/ready state', () => {
+    const graph = buildDependencyGraph({
+      tasks: [task('a', [], { status: 'done' }), task('b', ['a']), task('c', ['b'])],
+    });
+    expect(graph.edges).toEqual([{ from: 'a', to: 'b' }, { from: 'b', to: 'c' }]);
+    const byId = Object.fromEntries(graph.nodes.map(n => [n.id, n]));
+    expect(byId.b).toMatchObject({ ready: true, blocked: false, depth: 1 });
+    expect(byId.c).toMatchObject({ ready: false, blocked: true, blockedBy: ['b'], depth: 2 });
+    expect(byId.a.blocked).toBe(false);
+  });
+
+  it('follows the longest remaining-work chain for the critical path', () => {
+    const graph = buildDependencyGraph({
+      tasks: [
+        task('setup', [], { estimatedTime: '1h' }),
+        task('backend', ['setup'], { estimatedTime: '1 day' }),
+        task('frontend', ['setup'], { estimatedTime: '2h' }),
+        task('ship', ['backend', 'frontend'], { estimatedTime: '30m' }),
+      ],
+    });
+    expect(graph.criticalPath).toEqual(['setup', 'backend', 'ship']);
+    expect(graph.criticalPathMinutes).toBe(60 + 480 + 30);
+    expect(graph.nodes.find(n => n.id === 'frontend').critical).toBe(false);
+  });
+
+  it('reports cycles without a critical path', () => {
+    const graph = buildDependencyGraph({ tasks: [task('a', ['b']), task('b', ['a'])] });
+    expect(graph.cycle).not.toBeNull();
+    expect(graph.criticalPath).toEqual([]);
+  });
+
+  it('handles goals without tasks', () => {
+    expect(buildDependencyGraph({ tasks: [] })).toMatchObject({ nodes: [], edges: [], criticalPath: [] });
+  });
+});
+
+describe('selectRunnableTasks', () => {
+  const goal = {
+    tasks: [
+      task('setup', [], { status: 'done' }),
+      task('api', ['setup']),
+      task('ui', ['setup']),
+      task('docs', []),
+      task('ship', ['api', 'ui']),
+    ],
+  };
+
+  it('returns every task whose dependencies are done', () => {
+    const { runnable, deferred } = selectRunnableTasks(goal);
+    expect(runnable.map(t => t.id)).toEqual(['api', 'ui', 'docs']);
+    expect(deferred).toEqual([]);
+  });
+
+  it('treats a retry due within a second as ready', () => {
+    const now = Date.now();
+    const retrying = { tasks: [task('soon', [], { nextRetryAtMs: now + 200 }), task('later', [], { nextRetryAtMs: now + 60000 })] };
+    expect(selectRunnableTasks(retrying).runnable.map(t => t.id)).toEqual(['soon']);
+  });
+
+  it('defers ready tasks beyond the cap, counting running tasks', () => {
+    const running = { tasks: [...goal.tasks, task('live', [], { sessionKey: 'agent:main:w1', status: 'in-progress' })] };
+    const { runnable, deferred, running: count } = selectRunnableTasks(running, 2);
+    expect(count).toBe(1);
+    expect(runnable.map(t => t.id)).toEqual(['api']);
+    expect(deferred.map(t => t.id)).toEqual(['ui', 'docs']);
+  });
+
+  it('does not count failed tasks as running', () => {
+    const failed = { tasks: [task('x', [], { sessionKey: 'agent:main:w1', status: 'failed' }), task('y')] };
+    expect(selectRunnableTasks(failed, 1).runnable.map(t => t.id)).toEqual(['y']);
+  });
+
+  it('counts tasks running in other goals against a shared cap', () => {
+    const { runnable, deferred, running } = selectRunnableTasks(goal, 3, 2);
+    expect(running).toBe(2);
+    expect(runnable.map(t => t.id)).toEqual(['api']);
+    expect(deferred.map(t => t.id)).toEqual(['ui', 'docs']);
+  });
+});
+
+describe('concurrency cap', () => {
+  it('prefers the goal cap over the condo cap', () => {
+    expect(resolveMaxConcurrentTasks({ maxConcurrentTasks: 2 }, { maxConcurrentTasks: 5 })).toBe(2);
+    expect(resolveMaxConcurrentTasks({ maxConcurrentTasks: null }, { maxConcurrentTasks: 5 })).toBe(5);
+    expect(resolveMaxConcurrentTasks({}, null)).toBeNull();
+  });
+
+  it('reports whether the cap belongs to the goal or the condo', () => {
+    expect(resolveConcurrencyCap({ maxConcurrentTasks: 2 }, { maxConcurrentTasks: 5 })).toEqual({ max: 2, scope: 'goal' });
+    expect(resolveConcurrencyCap({}, { maxConcurrentTasks: 5 })).toEqual({ max: 5, scope: 'condo' });
+    expect(resolveConcurrencyCap({}, {})).toEqual({ max: null, scope: null });
+  });
+
+  it('accepts positive integers or null', () => {
+    expect(isValidConcurrencyCap(3)).toBe(true);
+    expect(isValidConcurrencyCap(null)).toBe(true);
+    expect(isValidConcurrencyCap(0)).toBe(false);
+    expect(isValidConcurrencyCap(1.5)).toBe(false);
+    expect(isValidConcurrencyCap('2')).toBe(false);
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { createGoalsStore } from '../clawcondos/condo-management/lib/goals-store.js';
+import { createGoalHandlers } from '../clawcondos/condo-management/lib/goals-handlers.js';
+import { createGoalUpdateExecutor } from '../clawcondos/condo-management/lib/goal-update-tool.js';
+import { buildGoalContext } from '../clawcondos/condo-management/lib/context-builder.js';
+import {
+  normalizeDueAt,
+  scheduleFields,
+  applyStatusTiming,
+  taskActiveMs,
+  isOverdue,
+  goalTimeSummary,
+  checkOverdue,
+} from '../clawcondos/condo-management/lib/time-tracking.js';
+
+const TEST_DIR = join(import.meta.dirname, '__fixtures__', 'time-tracking-test');
+
+function makeResponder() {
+  let result = null;
+  const respond = (ok, payload, error) => { result = { ok, payload, error }; };
+  return { respond, getResult: () => result };
+}
+
+async function call(handlers, method, params) {
+  const { respond, getResult } = makeResponder();
+  await handlers[method]({ params, respond });
+  return getResult();
+}
+
+describe('time tracking', () => {
+  describe('schedule fields', () => {
+    it('accepts epoch ms, ISO dates and null', () => {
+      expect(normalizeDueAt(1767225600000)).toEqual({ value: 1767225600000 });
+      expect(normalizeDueAt('2026-01-01T00:00:00Z')).toEqual({ value: 1767225600000 });
+      expect(normalizeDueAt('1767225600000')).toEqual({ value: 1767225600000 });
+      expect(normalizeDueAt('')).toEqual({ value: null });
+      expect(normalizeDueAt('next week').error).toMatch(/dueAtMs/);
+    });
+
+    it('only patches fields present in params', () => {
+      expect(scheduleFields({ title: 'x' })).toEqual({ patch: {}, error: null });
+      expect(scheduleFields({ estimateMinutes: 90, dueAtMs: null }).patch).toEqual({ estimateMinutes: 90, dueAtMs: null });
+      expect(scheduleFields({ estimateMinutes: 0 }).error).toMatch(/estimateMinutes/);
+    });
+  });
+
+  describe('applyStatusTiming', () => {
+    it('accumulates time spent in progress across transitions', () => {
+      const task = { id: 't1', status: 'in-progress' };
+      const goal = { tasks: [task] };
+      applyStatusTiming([{ collection: 'goals', before: { tasks: [{ id: 't1', status: 'pending' }] }, after: goal }], 1000);
+      expect(task).toMatchObject({ activeSinceMs: 1000, startedAtMs: 1000 });
+
+      task.status = 'blocked';
+      applyStatusTiming([{ collection: 'goals', before: { tasks: [{ id: 't1', status: 'in-progress' }] }, after: goal }], 4000);
+      expect(task).toMatchObject({ activeMs: 3000, activeSinceMs: null });
+
+      task.status = 'in-progress';
+      applyStatusTiming([{ collection: 'goals', before: { tasks: [{ id: 't1', status: 'blocked' }] }, after: goal }], 5000);
+      expect(taskActiveMs(task, 6000)).toBe(4000);
+
+      task.status = 'done';
+      applyStatusTiming([{ collection: 'goals', before: { tasks: [{ id: 't1', status: 'in-progress' }] }, after: goal }], 7000);
+      expect(task).toMatchObject({ activeMs: 5000, completedAtMs: 7000, startedAtMs: 1000 });
+    });
+
+    it('leaves unchanged tasks alone', () => {
+      const task = { id: 't1', status: 'in-progress', activeSinceMs: 10 };
+      applyStatusTiming([{ collection: 'goals', before: { tasks: [{ id: 't1', status: 'in-progress' }] }, after: { tasks: [task] } }], 500);
+      expect(task.activeSinceMs).toBe(10);
+    });
+  });
+
+  describe('overdue', () => {
+    it('ignores done items and future due dates', () => {
+      expect(isOverdue({ dueAtMs: 100, status: 'active' }, 200)).toBe(true);
+      expect(isOverdue({ dueAtMs: 100, status: 'done' }, 200)).toBe(false);
+      expect(isOverdue({ dueAtMs: 300, status: 'active' }, 200)).toBe(false);
+      expect(isOverdue({ status: 'active' }, 200)).toBe(false);
+    });
+
+    it('summarizes estimates, active time and overdue tasks', () => {
+      const goal = {
+        status: 'active',
+        tasks: [
+          { id: 'a', estimateMinutes: 30, activeMs: 60000, dueAtMs: 50, status: 'pending' },
+          { id: 'b', estimateMinutes: 45, activeSinceMs: 100, status: 'in-progress' },
+        ],
+      };
+      expect(goalTimeSummary(goal, 200)).toEqual({
+        dueAtMs: null, estimateMinutes: 75, activeMs: 60100, overdue: false, overdueTaskIds: ['a'],
+      });
+    });
+  });
+
+  describe('with a store', () => {
+    let store, handlers;
+
+    beforeEach(() => {
+      rmSync(TEST_DIR, { recursive: true, force: true });
+      mkdirSync(TEST_DIR, { recursive: true });
+      store = createGoalsStore(TEST_DIR);
+      handlers = createGoalHandlers(store);
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      rmSync(TEST_DIR, { recursive: true, force: true });
+    });
+
+    it('sets due dates and estimates through goals.update and goals.updateTask', async () => {
+      const goal = (await call(handlers, 'goals.create', { title: 'G', dueAtMs: '2026-03-01T17:00:00Z' })).payload.goal;
+      expect(goal.dueAtMs).toBe(Date.parse('2026-03-01T17:00:00Z'));
+      const task = (await call(handlers, 'goals.addTask', { goalId: goal.id, text: 'T', estimateMinutes: 30 })).payload.task;
+      expect(task.estimateMinutes).toBe(30);
+
+      const updated = await call(handlers, 'goals.updateTask', { goalId: goal.id, taskId: task.id, dueAtMs: 1767225600000 });
+      expect(updated.payload.task.dueAtMs).toBe(1767225600000);
+
+      const bad = await call(handlers, 'goals.update', { id: goal.id, estimateMinutes: -5 });
+      expect(bad.ok).toBe(false);
+      expect(bad.error.message).toMatch(/estimateMinutes/);
+    });
+
+    it('tracks active time from status changes made through any writer', async () => {
+      vi.useFakeTimers({ now: 1_000_000 });
+      const goal = (await call(handlers, 'goals.create', { title: 'G' })).payload.goal;
+      const task = (await call(handlers, 'goals.addTask', { goalId: goal.id, text: 'T' })).payload.task;
+      await call(handlers, 'goals.updateTask', { goalId: goal.id, taskId: task.id, status: 'in-progress' });
+
+      vi.setSystemTime(1_000_000 + 90_000);
+      const data = store.load();
+      data.goals[0].tasks[0].status = 'done';
+      store.save(data);
+
+      const stored = store.load().goals[0].tasks[0];
+      expect(stored).toMatchObject({ activeMs: 90_000, startedAtMs: 1_000_000, completedAtMs: 1_090_000, activeSinceMs: null });
+    });
+
+    it('lets agents set a task due date with goal_update', async () => {
+      const goal = (await call(handlers, 'goals.create', { title: 'G' })).payload.goal;
+      const task = (await call(handlers, 'goals.addTask', { goalId: goal.id, text: 'T' })).payload.task;
+      await call(handlers, 'goals.addSession', { id: goal.id, sessionKey: 'agent:main:main' });
+
+      const execute = createGoalUpdateExecutor(store);
+      const result = await execute('c1', { sessionKey: 'agent:main:main', taskId: task.id, dueAtMs: '2026-01-01T00:00:00Z', estimateMinutes: 120 });
+      expect(result.content[0].text).toContain('schedule updated');
+      expect(store.load().goals[0].tasks[0]).toMatchObject({ dueAtMs: 1767225600000, estimateMinutes: 120 });
+
+      const rejected = await execute('c2', { sessionKey: 'agent:main:main', dueAtMs: 'soon' });
+      expect(rejected.content[0].text).toMatch(/^Error: dueAtMs/);
+    });
+
+    it('notifies once per passed due date and again when it moves', async () => {
+      const goal = (await call(handlers, 'goals.create', { title: 'Launch', dueAtMs: 1000 })).payload.goal;
+      await call(handlers, 'goals.addTask', { goalId: goal.id, text: 'Docs', dueAtMs: 2000 });
+      await call(handlers, 'goals.addTask', { goalId: goal.id, text: 'Later', dueAtMs: 9000 });
+
+      expect(checkOverdue(store, 5000)).toHaveLength(2);
+      expect(checkOverdue(store, 6000)).toEqual([]);
+      const notifications = store.load().notifications.filter(n => n.type === 'overdue');
+      expect(notifications.map(n => n.title)).toEqual(['Goal overdue: Launch', 'Task overdue: Docs']);
+
+      await call(handlers, 'goals.update', { id: goal.id, dueAtMs: 3000 });
+      expect(checkOverdue(store, 6000)).toEqual([{ goalId: goal.id, taskId: null }]);
+    });
+
+    it('shows due dates and estimates in the goal context', async () => {
+      const goal = (await call(handlers, 'goals.create', { title: 'G', dueAtMs: 1000 })).payload.goal;
+      await call(handlers, 'goals.addTask', { goalId: goal.id, text: 'T', estimateMinutes: 45 });
+      const context = buildGoalContext(store.load().goals[0]);
+      expect(context).toContain('Due 1970-01-01 00:00 UTC (OVERDUE)');
+      expect(context).toContain('(est 45m)');
+    });
+  });
+});
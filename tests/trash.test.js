@@ -0,0 +1,276 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { createGoalsStore } from '../clawcondos/condo-management/lib/goals-store.js';
+import { createGoalHandlers } from '../clawcondos/condo-management/lib/goals-handlers.js';
+import { createCondoHandlers } from '../clawcondos/condo-management/lib/condos-handlers.js';
+import { createTrashHandlers, purgeTrash, recordTrashRetention } from '../clawcondos/condo-management/lib/trash.js';
+
+const TEST_DIR = join(import.meta.dirname, '__fixtures__', 'trash-test');
+
+function makeResponder() {
+  let result = null;
+  const respond = (ok, payload, error) => { result = { ok, payload, error }; };
+  return { respond, getResult: () => result };
+}
+
+async function call(handlers, method, params) {
+  const { respond, getResult } = makeResponder();
+  await handlers[method]({ params, respond });
+  return getResult();
+}
+
+describe('Trash', () => {
+  let store, goalHandlers, condoHandlers, trashHandlers;
+
+  beforeEach(() => {
+    rmSync(TEST_DIR, { recursive: true, force: true });
+    mkdirSync(TEST_DIR, { recursive: true });
+    store = createGoalsStore(TEST_DIR);
+    goalHandlers = createGoalHandlers(store);
+    condoHandlers = createCondoHandlers(store);
+    trashHandlers = createTrashHandlers(store);
+  });
+
+  afterEach(() => {
+    rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  async function createGoalWithSession(params = {}) {
+    const goal = (await call(goalHandlers, 'goals.create', { title: 'Doomed', ...params })).payload.goal;
+    await call(goalHandlers, 'goals.addSession', { id: goal.id, sessionKey: 'agent:main:s1' });
+    return goal;
+  }
+
+  describe('goals.delete', () => {
+    it('moves the goal to the trash', async () => {
+      const goal = await createGoalWithSession();
+      await call(goalHandlers, 'goals.delete', { id: goal.id });
+
+      const data = store.load();
+      expect(data.goals.find(g => g.id === goal.id)).toBeUndefined();
+      expect(data.trash).toHaveLength(1);
+      expect(data.trash[0]).toMatchObject({ id: goal.id, kind: 'goal', sessionKeys: ['agent:main:s1'] });
+      expect(data.sessionIndex['agent:main:s1']).toBeUndefined();
+    });
+
+    it('aborts sessions but defers deleting them', async () => {
+      const rpcCall = vi.fn().mockResolvedValue({});
+      goalHandlers = createGoalHandlers(store, { rpcCall });
+      const goal = await createGoalWithSession();
+      await call(goalHandlers, 'goals.delete', { id: goal.id });
+
+      expect(rpcCall).toHaveBeenCalledWith('chat.abort', { sessionKey: 'agent:main:s1' });
+      expect(rpcCall).not.toHaveBeenCalledWith('sessions.delete', expect.anything());
+    });
+
+    it('trashes the goal before aborting its sessions', async () => {
+      let trashedAtAbort = null;
+      const rpcCall = vi.fn(async () => { trashedAtAbort = store.load().trash.length; });
+      goalHandlers = createGoalHandlers(store, { rpcCall });
+      const goal = await createGoalWithSession();
+      const r = await call(goalHandlers, 'goals.delete', { id: goal.id });
+
+      expect(r.payload).toEqual({ ok: true, killedSessions: ['agent:main:s1'] });
+      expect(trashedAtAbort).toBe(1);
+    });
+
+    it('rejects a stale expectedRevision without stopping sessions', async () => {
+      const rpcCall = vi.fn().mockResolvedValue({});
+      goalHandlers = createGoalHandlers(store, { rpcCall });
+      const goal = await createGoalWithSession();
+      const r = await call(goalHandlers, 'goals.delete', { id: goal.id, expectedRevision: 1 });
+
+      expect(r.ok).toBe(false);
+      expect(r.error.code).toBe('REVISION_CONFLICT');
+      expect(rpcCall).not.toHaveBeenCalled();
+      expect(store.load().goals.map(g => g.id)).toEqual([goal.id]);
+    });
+
+    it('does not remove the worktree until purge', async () => {
+      const wsOps = { removeGoalWorktree: vi.fn(() => ({ ok: true })) };
+      goalHandlers = createGoalHandlers(store, { wsOps });
+      const condo = (await call(condoHandlers, 'condos.create', { name: 'C' })).payload.condo;
+      const goal = (await call(goalHandlers, 'goals.create', { title: 'G', condoId: condo.id })).payload.goal;
+      const data = store.load();
+      data.condos[0].workspace = { path: '/ws/c' };
+      data.goals[0].worktree = { path: '/ws/c/goals/g', branch: 'goal/g' };
+      store.save(data);
+
+      await call(goalHandlers, 'goals.delete', { id: goal.id });
+      expect(wsOps.removeGoalWorktree).not.toHaveBeenCalled();
+
+      await purgeTrash(store, { id: goal.id, wsOps });
+      expect(wsOps.removeGoalWorktree).toHaveBeenCalledWith('/ws/c', goal.id, 'goal/g');
+    });
+  });
+
+  describe('goals.restore', () => {
+    it('restores the goal and its sessionIndex bindings', async () => {
+      const goal = await createGoalWithSession();
+      await call(goalHandlers, 'goals.delete', { id: goal.id });
+
+      const r = await call(trashHandlers, 'goals.restore', { id: goal.id });
+      expect(r.ok).toBe(true);
+      const data = store.load();
+      expect(data.goals.find(g => g.id === goal.id).sessions).toEqual(['agent:main:s1']);
+      expect(data.sessionIndex['agent:main:s1']).toEqual({ goalId: goal.id });
+      expect(data.trash).toHaveLength(0);
+    });
+
+    it('continues the revision count of the restored goal', async () => {
+      const goal = await createGoalWithSession();
+      const before = store.load().goals[0].revision;
+      await call(goalHandlers, 'goals.delete', { id: goal.id });
+      const r = await call(trashHandlers, 'goals.restore', { id: goal.id });
+      expect(r.payload.goal.revision).toBe(before + 1);
+    });
+
+    it('keeps bindings that were reassigned in the meantime', async () => {
+      const goal = await createGoalWithSession();
+      await call(goalHandlers, 'goals.delete', { id: goal.id });
+      const other = (await call(goalHandlers, 'goals.create', { title: 'Other' })).payload.goal;
+      await call(goalHandlers, 'goals.addSession', { id: other.id, sessionKey: 'agent:main:s1' });
+
+      await call(trashHandlers, 'goals.restore', { id: goal.id });
+      expect(store.load().sessionIndex['agent:main:s1']).toEqual({ goalId: other.id });
+    });
+
+    it('detaches the goal when its condo no longer exists', async () => {
+      const condo = (await call(condoHandlers, 'condos.create', { name: 'C' })).payload.condo;
+      const goal = (await call(goalHandlers, 'goals.create', { title: 'G', condoId: condo.id })).payload.goal;
+      await call(goalHandlers, 'goals.delete', { id: goal.id });
+      await call(condoHandlers, 'condos.delete', { id: condo.id });
+
+      const r = await call(trashHandlers, 'goals.restore', { id: goal.id });
+      expect(r.payload.goal.condoId).toBeNull();
+    });
+
+    it('requires id and rejects unknown entries', async () => {
+      expect((await call(trashHandlers, 'goals.restore', {})).error.message).toBe('id is required');
+      expect((await call(trashHandlers, 'goals.restore', { id: 'goal_nope' })).error.message).toBe('Goal not found in trash');
+    });
+  });
+
+  describe('condos.restore', () => {
+    it('restores the condo and reattaches detached goals, sessions and indexes', async () => {
+      const condo = (await call(condoHandlers, 'condos.create', { name: 'Ops' })).payload.condo;
+      const goal = await createGoalWithSession({ condoId: condo.id });
+      const task = (await call(goalHandlers, 'goals.addTask', { goalId: goal.id, text: 'T' })).payload.task;
+      const data = store.load();
+      data.goals[0].tasks[0].sessionKey = 'agent:main:task1';
+      data.sessionCondoIndex['agent:main:s1'] = condo.id;
+      store.save(data);
+
+      await call(condoHandlers, 'condos.delete', { id: condo.id });
+      const detached = store.load();
+      expect(detached.condos).toHaveLength(0);
+      expect(detached.goals[0].condoId).toBeNull();
+      expect(detached.goals[0].sessions).toEqual([]);
+      expect(detached.sessionCondoIndex).toEqual({});
+
+      const r = await call(trashHandlers, 'condos.restore', { id: condo.id });
+      expect(r.ok).toBe(true);
+      expect(r.payload.reattachedGoalIds).toEqual([goal.id]);
+      const restored = store.load();
+      expect(restored.condos[0].id).toBe(condo.id);
+      expect(restored.goals[0].condoId).toBe(condo.id);
+      expect(restored.goals[0].sessions).toEqual(['agent:main:s1']);
+      expect(restored.goals[0].tasks.find(t => t.id === task.id).sessionKey).toBe('agent:main:task1');
+      expect(restored.sessionIndex['agent:main:s1']).toEqual({ goalId: goal.id });
+      expect(restored.sessionCondoIndex['agent:main:s1']).toBe(condo.id);
+    });
+
+    it('leaves goals that were moved to another condo alone', async () => {
+      const condo = (await call(condoHandlers, 'condos.create', { name: 'Ops' })).payload.condo;
+      const other = (await call(condoHandlers, 'condos.create', { name: 'Other' })).payload.condo;
+      const goal = (await call(goalHandlers, 'goals.create', { title: 'G', condoId: condo.id })).payload.goal;
+      await call(condoHandlers, 'condos.delete', { id: condo.id });
+      await call(goalHandlers, 'goals.update', { id: goal.id, condoId: other.id });
+
+      const r = await call(trashHandlers, 'condos.restore', { id: condo.id });
+      expect(r.payload.reattachedGoalIds).toEqual([]);
+      expect(store.load().goals[0].condoId).toBe(other.id);
+    });
+
+    it('does not remove the workspace until purge', async () => {
+      const wsOps = {
+        dir: '/ws',
+        createCondoWorkspace: () => ({ ok: true, path: '/ws/ops' }),
+        removeCondoWorkspace: vi.fn(() => ({ ok: true })),
+      };
+      condoHandlers = createCondoHandlers(store, { wsOps });
+      const condo = (await call(condoHandlers, 'condos.create', { name: 'Ops' })).payload.condo;
+      await call(condoHandlers, 'condos.delete', { id: condo.id });
+      expect(wsOps.removeCondoWorkspace).not.toHaveBeenCalled();
+
+      await purgeTrash(store, { all: true, wsOps });
+      expect(wsOps.removeCondoWorkspace).toHaveBeenCalledWith('/ws/ops');
+    });
+  });
+
+  describe('trash.list', () => {
+    it('lists entries with purge time from the retention period', async () => {
+      trashHandlers = createTrashHandlers(store, { retentionDays: 7 });
+      const goal = await createGoalWithSession();
+      await call(goalHandlers, 'goals.delete', { id: goal.id });
+
+      const r = await call(trashHandlers, 'trash.list', {});
+      expect(r.payload.retentionDays).toBe(7);
+      const [item] = r.payload.items;
+      expect(item).toMatchObject({ id: goal.id, kind: 'goal', title: 'Doomed', taskCount: 0 });
+      expect(item.purgeAtMs - item.deletedAtMs).toBe(7 * 24 * 60 * 60 * 1000);
+      expect(item.goal).toBeUndefined();
+    });
+  });
+
+  describe('purge', () => {
+    it('purges only expired entries by default', async () => {
+      const old = await createGoalWithSession();
+      const fresh = (await call(goalHandlers, 'goals.create', { title: 'Fresh' })).payload.goal;
+      await call(goalHandlers, 'goals.delete', { id: old.id });
+      await call(goalHandlers, 'goals.delete', { id: fresh.id });
+      const data = store.load();
+      data.trash.find(e => e.id === old.id).deletedAtMs = Date.now() - 31 * 24 * 60 * 60 * 1000;
+      store.save(data);
+
+      const rpcCall = vi.fn().mockResolvedValue({});
+      const purged = await purgeTrash(store, { rpcCall });
+      expect(purged).toEqual([old.id]);
+      expect(rpcCall).toHaveBeenCalledWith('sessions.delete', { sessionKey: 'agent:main:s1' });
+      expect(store.load().trash.map(e => e.id)).toEqual([fresh.id]);
+    });
+
+    it('uses the retention setting recorded in the store', async () => {
+      const goal = await createGoalWithSession();
+      await call(goalHandlers, 'goals.delete', { id: goal.id });
+      const data = store.load();
+      data.trash[0].deletedAtMs = Date.now() - 3 * 24 * 60 * 60 * 1000;
+      store.save(data);
+
+      expect(await purgeTrash(store)).toEqual([]);
+      recordTrashRetention(store, 2);
+      expect(store.load().config.trashRetentionDays).toBe(2);
+      expect((await call(trashHandlers, 'trash.list', {})).payload.retentionDays).toBe(2);
+      expect(await purgeTrash(store)).toEqual([goal.id]);
+
+      recordTrashRetention(store, undefined);
+      expect(store.load().config.trashRetentionDays).toBeUndefined();
+    });
+
+    it('trash.purge deletes a single entry on request', async () => {
+      const goal = await createGoalWithSession();
+      await call(goalHandlers, 'goals.delete', { id: goal.id });
+
+      const r = await call(trashHandlers, 'trash.purge', { id: goal.id });
+      expect(r.payload.purged).toEqual([goal.id]);
+      expect(store.load().trash).toEqual([]);
+      expect((await call(trashHandlers, 'goals.restore', { id: goal.id })).ok).toBe(false);
+    });
+
+    it('trash.purge rejects unknown ids', async () => {
+      const r = await call(trashHandlers, 'trash.purge', { id: 'goal_nope' });
+      expect(r.ok).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { rmSync, readFileSync } from 'fs';
+import { createServer } from 'http';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import crypto from 'crypto';
+import { createWebhooks, signPayload, isRetryable, TEST_EVENT } from '../lib/webhooks.js';
+
+const TEST_DIR = join(tmpdir(), 'clawcondos-test-webhooks-' + crypto.randomBytes(4).toString('hex'));
+const FILE_PATH = join(TEST_DIR, 'webhooks.json');
+const silentLogger = { log: vi.fn(), error: vi.fn(), warn: vi.fn() };
+
+// Local stand-in receiver: records requests and answers with the next queued status
+let server;
+let baseUrl;
+let received;
+let statuses;
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      res.statusCode = statuses.shift() ?? 200;
+      if (req.url === '/slow') setTimeout(() => res.end('ok'), 200);
+      else res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+const goals = { goal_a: 'condo_a', goal_b: 'condo_b' };
+const evt = (event, payload, seq = 1) => ({ seq, ts: 1700000000000, event, payload });
+
+describe('helpers', () => {
+  it('signs bodies and classifies failures', () => {
+    const expected = crypto.createHmac('sha256', 'secret').update('{"a":1}').digest('hex');
+    expect(signPayload('secret', '{"a":1}')).toBe(`sha256=${expected}`);
+    expect(isRetryable(null)).toBe(true);
+    expect(isRetryable(503)).toBe(true);
+    expect(isRetryable(429)).toBe(true);
+    expect(isRetryable(404)).toBe(false);
+  });
+});
+
+describe('createWebhooks', () => {
+  let webhooks;
+
+  beforeEach(() => {
+    received = [];
+    statuses = [];
+    webhooks = createWebhooks({
+      filePath: FILE_PATH,
+      resolveCondoId: (payload) => goals[payload.goalId] || null,
+      timeoutMs: 2000,
+      logger: silentLogger,
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('validates webhooks and hides secrets', () => {
+    expect(webhooks.create({ url: 'ftp://example.com' }).error).toBe('url must be http or https');
+    expect(webhooks.create({ url: baseUrl, events: ['goal.kickoff'] }).error).toMatch(/^Unknown event "goal.kickoff"/);
+    expect(webhooks.create({ url: baseUrl, secret: 'short' }).error).toBe('secret must be at least 8 characters');
+
+    const { hook, secret } = webhooks.create({ url: `${baseUrl}/hook` });
+    expect(secret).toMatch(/^whsec_/);
+    expect(hook).toMatchObject({ name: new URL(baseUrl).host, condoId: null, events: [], enabled: true, hasSecret: true });
+    expect(hook.secret).toBeUndefined();
+    expect(webhooks.list()[0].secret).toBeUndefined();
+    expect(webhooks.update(hook.id, { events: ['plan.approved'], enabled: false }).hook).toMatchObject({ events: ['plan.approved'], enabled: false });
+    expect(webhooks.update('hook_missing', {}).error).toBe('Webhook not found');
+  });
+
+  it('queues events by filter and condo', () => {
+    const all = webhooks.create({ url: `${baseUrl}/all` }).hook;
+    const condoA = webhooks.create({ url: `${baseUrl}/a`, condoId: 'condo_a', events: ['goal.task_completed'] }).hook;
+    webhooks.create({ url: `${baseUrl}/off`, enabled: false });
+
+    expect(webhooks.enqueue(evt('goal.task_completed', { goalId: 'goal_a', taskId: 't1' }))).toBe(2);
+    expect(webhooks.enqueue(evt('goal.task_completed', { goalId: 'goal_b', taskId: 't2' }, 2))).toBe(1);
+    expect(webhooks.enqueue(evt('plan.approved', { goalId: 'goal_a' }, 3))).toBe(1);
+    // Events outside the catalogue are never sent
+    expect(webhooks.enqueue(evt('goal.kickoff', { goalId: 'goal_a' }, 4))).toBe(0);
+
+    expect(webhooks.listDeliveries({ hookId: condoA.id }).map(d => d.seq)).toEqual([1]);
+    expect(webhooks.listDeliveries({ hookId: all.id })).toHaveLength(3);
+    const body = JSON.parse(webhooks.listDeliveries({ hookId: condoA.id })[0].body);
+    expect(body).toMatchObject({ event: 'goal.task_completed', seq: 1, condoId: 'condo_a', data: { goalId: 'goal_a', taskId: 't1' } });
+  });
+
+  it('delivers signed payloads to the receiver', async () => {
+    const { hook, secret } = webhooks.create({ url: `${baseUrl}/hook`, events: ['goal.merged'] });
+    webhooks.enqueue(evt('goal.merged', { goalId: 'goal_a', mergeStatus: 'merged' }, 7));
+    expect(await webhooks.processQueue()).toBe(1);
+
+    expect(received).toHaveLength(1);
+    const req = received[0];
+    expect(req.path).toBe('/hook');
+    expect(req.headers['content-type']).toBe('application/json');
+    expect(req.headers['x-clawcondos-event']).toBe('goal.merged');
+    expect(req.headers['x-clawcondos-signature']).toBe(signPayload(secret, req.body));
+    const body = JSON.parse(req.body);
+    expect(body).toMatchObject({ event: 'goal.merged', seq: 7, condoId: 'condo_a', data: { mergeStatus: 'merged' } });
+    expect(req.headers['x-clawcondos-delivery']).toBe(body.id);
+
+    const [delivery] = webhooks.listDeliveries({ hookId: hook.id });
+    expect(delivery).toMatchObject({ status: 'delivered', attempts: 1, responseStatus: 200, error: null });
+    expect(await webhooks.processQueue()).toBe(0);
+  });
+
+  it('retries failures with backoff and gives up on rejections', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    const { hook } = webhooks.create({ url: `${baseUrl}/flaky` });
+
+    statuses = [503, 200];
+    webhooks.enqueue(evt('goal.completed', { goalId: 'goal_a' }));
+    await webhooks.processQueue();
+    let [delivery] = webhooks.listDeliveries({ hookId: hook.id });
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 1, responseStatus: 503, error: 'HTTP 503' });
+    expect(delivery.nextAttemptAtMs).toBe(Date.now() + 30 * 1000);
+
+    // Not due yet
+    expect(await webhooks.processQueue()).toBe(0);
+    vi.setSystemTime(new Date('2026-01-01T00:00:31Z'));
+    await webhooks.processQueue();
+    [delivery] = webhooks.listDeliveries({ hookId: hook.id });
+    expect(delivery).toMatchObject({ status: 'delivered', attempts: 2, responseStatus: 200 });
+
+    statuses = [400];
+    webhooks.enqueue(evt('goal.completed', { goalId: 'goal_a' }, 2));
+    await webhooks.processQueue();
+    [delivery] = webhooks.listDeliveries({ hookId: hook.id });
+    expect(delivery).toMatchObject({ seq: 2, status: 'failed', attempts: 1, error: 'HTTP 400' });
+
+    // Redelivery starts a new attempt series
+    expect(webhooks.redeliver(delivery.id).delivery.status).toBe('pending');
+    await webhooks.processQueue();
+    expect(webhooks.listDeliveries({ hookId: hook.id })[0]).toMatchObject({ status: 'delivered', attempts: 1 });
+    expect(received).toHaveLength(4);
+  });
+
+  it('sends to each webhook in order without waiting on other webhooks', async () => {
+    const { hook: slow } = webhooks.create({ url: `${baseUrl}/slow` });
+    const { hook: fast } = webhooks.create({ url: `${baseUrl}/fast` });
+    webhooks.enqueue(evt('goal.completed', { goalId: 'goal_a' }, 1));
+    webhooks.enqueue(evt('goal.merged', { goalId: 'goal_a' }, 2));
+
+    const run = webhooks.processQueue();
+    expect(webhooks.isProcessing()).toBe(true);
+    expect(await webhooks.processQueue()).toBe(0);
+    expect(await run).toBe(4);
+    expect(webhooks.isProcessing()).toBe(false);
+
+    const slowDone = webhooks.listDeliveries({ hookId: slow.id });
+    const fastDone = webhooks.listDeliveries({ hookId: fast.id });
+    expect([...slowDone, ...fastDone].every(d => d.status === 'delivered')).toBe(true);
+    expect(Math.max(...fastDone.map(d => d.deliveredAtMs))).toBeLessThan(Math.min(...slowDone.map(d => d.deliveredAtMs)));
+    expect(received.filter(r => r.path === '/slow').map(r => JSON.parse(r.body).seq)).toEqual([1, 2]);
+  });
+
+  it('records unreachable receivers and test deliveries', async () => {
+    const { hook: dead } = webhooks.create({ url: 'http://127.0.0.1:1/nothing' });
+    webhooks.enqueue(evt('goal.task_failed', { goalId: 'goal_a' }));
+    await webhooks.processQueue();
+    const [delivery] = webhooks.listDeliveries({ hookId: dead.id });
+    expect(delivery.status).toBe('pending');
+    expect(delivery.responseStatus).toBeNull();
+    expect(delivery.error).toBeTruthy();
+
+    const { hook } = webhooks.create({ url: `${baseUrl}/test`, events: ['plan.rejected'] });
+    expect(webhooks.sendTest(hook.id).delivery.event).toBe(TEST_EVENT);
+    await webhooks.processQueue();
+    expect(received.map(r => r.headers['x-clawcondos-event'])).toEqual([TEST_EVENT]);
+    expect(webhooks.sendTest('hook_missing').error).toBe('Webhook not found');
+
+    expect(webhooks.remove(dead.id)).toBe(true);
+    expect(webhooks.listDeliveries({ hookId: dead.id })).toEqual([]);
+    expect(readFileSync(FILE_PATH, 'utf-8')).not.toContain(dead.id);
+  });
+});
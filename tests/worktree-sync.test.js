@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdirSync, rmSync, writeFileSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { execSync } from 'child_process';
+import { createGoalsStore } from '../clawcondos/condo-management/lib/goals-store.js';
+import * as workspaceManager from '../clawcondos/condo-management/lib/workspace-manager.js';
+import {
+  syncGoalWithMain,
+  runWorktreeSync,
+  takeSyncNotice,
+  createSyncHandlers,
+} from '../clawcondos/condo-management/lib/worktree-sync.js';
+
+const TEST_DIR = join(import.meta.dirname, '__fixtures__', 'worktree-sync-test');
+const SESSION = 'agent:main:webchat:task-abc';
+const gitEnv = {
+  ...process.env,
+  GIT_AUTHOR_NAME: 'Test',
+  GIT_AUTHOR_EMAIL: 'test@localhost',
+  GIT_COMMITTER_NAME: 'Test',
+  GIT_COMMITTER_EMAIL: 'test@localhost',
+};
+
+function git(cwd, cmd) {
+  return execSync(`git ${cmd}`, { cwd, stdio: 'pipe', env: gitEnv, encoding: 'utf-8' }).trim();
+}
+
+function commitFile(cwd, file, content, message) {
+  writeFileSync(join(cwd, file), content);
+  git(cwd, `add ${file}`);
+  git(cwd, `commit -m "${message}"`);
+}
+
+describe('worktree sync', () => {
+  let condoWs, worktree, store, options;
+
+  beforeEach(() => {
+    rmSync(TEST_DIR, { recursive: true, force: true });
+    mkdirSync(TEST_DIR, { recursive: true });
+    condoWs = workspaceManager.createCondoWorkspace(join(TEST_DIR, 'ws'), 'condo_1', 'Project').path;
+    commitFile(condoWs, 'app.js', 'value = 1\n', 'Add app');
+    const wt = workspaceManager.createGoalWorktree(condoWs, 'goal_1', 'Ship');
+    worktree = wt.path;
+    commitFile(worktree, 'feature.js', 'feature\n', 'Goal work');
+
+    store = createGoalsStore(join(TEST_DIR, 'data'));
+    const data = store.load();
+    data.condos.push({ id: 'condo_1', name: 'Project', workspace: { path: condoWs } });
+    data.goals.push({
+      id: 'goal_1', title: 'Ship', condoId: 'condo_1', status: 'active', sessions: [SESSION],
+      worktree: { path: worktree, branch: wt.branch },
+      tasks: [{
+        // Paused worker: its session outlives the sync and gets the notice
+        id: 'task_1', text: 'Build it', status: 'waiting', sessionKey: SESSION,
+        attempts: [{ attempt: 1, sessionKey: SESSION, startedAtMs: Date.now() - 60000, outcome: 'running' }],
+      }],
+    });
+    store.save(data);
+    options = { wsOps: workspaceManager, onSync: vi.fn(), logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn() } };
+  });
+
+  afterEach(() => {
+    rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  const goal = () => store.load().goals[0];
+
+  it('merges main into the worktree and records the changed files', () => {
+    expect(syncGoalWithMain(store, 'goal_1', options)).toMatchObject({ status: 'up-to-date', behind: 0 });
+
+    commitFile(condoWs, 'app.js', 'value = 2\n', 'Main change');
+    // Uncommitted worker changes are committed first
+    writeFileSync(join(worktree, 'notes.md'), 'wip\n');
+    const result = syncGoalWithMain(store, 'goal_1', options);
+    expect(result).toMatchObject({ status: 'synced', behind: 1, changedFiles: ['app.js'] });
+    expect(readFileSync(join(worktree, 'app.js'), 'utf-8')).toBe('value = 2\n');
+    expect(git(worktree, 'status --porcelain')).toBe('');
+    expect(goal().mainSync).toMatchObject({ status: 'synced', strategy: 'merge', behind: 1, changedFiles: ['app.js'], notifiedSessions: [] });
+    expect(options.onSync).toHaveBeenCalledTimes(2);
+
+    // A later no-op check keeps the sync for notes not yet delivered
+    syncGoalWithMain(store, 'goal_1', options);
+    expect(goal().mainSync).toMatchObject({ status: 'up-to-date', behind: 1, changedFiles: ['app.js'] });
+  });
+
+  it('rebases onto main when asked', () => {
+    commitFile(condoWs, 'app.js', 'value = 2\n', 'Main change');
+    expect(syncGoalWithMain(store, 'goal_1', { ...options, strategy: 'rebase' })).toMatchObject({ status: 'synced' });
+    // Linear history: main's commit is an ancestor and there is no merge commit
+    expect(git(worktree, 'rev-list --merges --count HEAD')).toBe('0');
+    expect(git(worktree, 'log -1 --format=%s')).toBe('Goal work');
+  });
+
+  it('aborts a conflicting sync and notifies once per main commit', () => {
+    commitFile(worktree, 'app.js', 'value = goal\n', 'Goal change');
+    commitFile(condoWs, 'app.js', 'value = main\n', 'Main change');
+    const head = git(worktree, 'rev-parse HEAD');
+
+    expect(syncGoalWithMain(store, 'goal_1', options)).toMatchObject({ status: 'conflict', conflictFiles: ['app.js'] });
+    expect(git(worktree, 'rev-parse HEAD')).toBe(head);
+    expect(git(worktree, 'status --porcelain')).toBe('');
+    expect(readFileSync(join(worktree, 'app.js'), 'utf-8')).toBe('value = goal\n');
+
+    syncGoalWithMain(store, 'goal_1', options);
+    const notes = store.load().notifications.filter(n => n.type === 'sync_conflict');
+    expect(notes).toHaveLength(1);
+    expect(notes[0]).toMatchObject({ goalId: 'goal_1', title: `Goal "Ship" conflicts with ${workspaceManager.getMainBranch(condoWs)}` });
+  });
+
+  it('skips goals with running tasks', () => {
+    commitFile(condoWs, 'app.js', 'value = 2\n', 'Main change');
+    writeFileSync(join(worktree, 'notes.md'), 'wip\n');
+    const data = store.load();
+    data.goals[0].tasks[0].status = 'in-progress';
+    store.save(data);
+
+    expect(syncGoalWithMain(store, 'goal_1', options)).toMatchObject({
+      status: 'skipped', skipped: 'Wait for 1 running task(s) to finish before syncing',
+    });
+    expect(runWorktreeSync(store, options)).toEqual([]);
+    // The worker's files are left alone
+    expect(git(worktree, 'status --porcelain')).toBe('?? notes.md');
+    expect(readFileSync(join(worktree, 'app.js'), 'utf-8')).toBe('value = 1\n');
+    expect(goal().mainSync).toBeUndefined();
+  });
+
+  it('gives each existing worker the changed files once per sync', () => {
+    commitFile(condoWs, 'app.js', 'value = 2\n', 'Main change');
+    syncGoalWithMain(store, 'goal_1', options);
+
+    const g = goal();
+    const notice = takeSyncNotice(g, SESSION);
+    expect(notice).toContain('## Main has moved');
+    expect(notice).toContain('(1 new commit)');
+    expect(notice).toContain('- app.js');
+    expect(takeSyncNotice(g, SESSION)).toBeNull();
+
+    // Workers started after the sync began from the synced branch
+    g.tasks.push({ id: 'task_2', attempts: [{ sessionKey: 'agent:main:webchat:task-new', startedAtMs: Date.now() + 1000 }] });
+    expect(takeSyncNotice(g, 'agent:main:webchat:task-new')).toBeNull();
+  });
+
+  it('syncs active goals only and exposes goals.syncWithMain', () => {
+    const data = store.load();
+    data.goals.push({ id: 'goal_2', title: 'Done', condoId: 'condo_1', status: 'done', worktree: { path: worktree, branch: 'x' }, tasks: [] });
+    data.goals.push({ id: 'goal_3', title: 'No worktree', condoId: 'condo_1', status: 'active', tasks: [] });
+    store.save(data);
+    expect(runWorktreeSync(store, options).map(r => r.goalId)).toEqual(['goal_1']);
+
+    const handlers = createSyncHandlers(store, options);
+    const respond = vi.fn();
+    handlers['goals.syncWithMain']({ params: { goalId: 'goal_1', strategy: 'squash' }, respond });
+    expect(respond).toHaveBeenLastCalledWith(false, undefined, { message: 'strategy must be one of: merge, rebase' });
+    handlers['goals.syncWithMain']({ params: { goalId: 'goal_3' }, respond });
+    expect(respond).toHaveBeenLastCalledWith(false, undefined, { message: 'Goal has no worktree' });
+    handlers['goals.syncWithMain']({ params: { goalId: 'goal_1' }, respond });
+    expect(respond).toHaveBeenLastCalledWith(true, expect.objectContaining({ status: 'up-to-date', mainSync: expect.objectContaining({ mainBranch: workspaceManager.getMainBranch(condoWs) }) }));
+  });
+});